@@ -22,6 +22,26 @@ const app = express();
 // Import Passport configuration
 const { initializePassport } = require('./config/passport');
 
+// =============================================================================
+// PROXY CONFIGURATION
+// =============================================================================
+
+/**
+ * Trusted Proxies
+ * - req.ip is taken from X-Forwarded-For only through trusted proxies
+ * - TRUST_PROXY: number of proxy hops (e.g. 1), "true", or a comma separated
+ *   list of proxy addresses/subnets (e.g. "loopback,10.0.0.0/8")
+ * - Default: no proxy (req.ip is the socket address)
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // =============================================================================
 // MIDDLEWARE CONFIGURATION
 // =============================================================================
@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * JOBS CONFIGURATION
+ * =============================================================================
+ * Catalog of background job types
+ *
+ * Handlers and retry settings are registered in utils/jobs.js; the queue
+ * itself is utils/jobQueue.js.
+ *
+ * Jobs:
+ * - email.send                         : Deliver one queued email (utils/mailQueue.js)
+ * - data-export.build                  : Build a background personal data export
+ * - data-export.purge                  : Delete expired exports and their archives (hourly)
+ * - accounts.purge                     : Anonymize deleted accounts (hourly)
+ * - notifications.competition-updated  : Tell participants a competition changed
+ * - competitions.lifecycle             : Publish, close and complete competitions
+ *                                        on schedule (every minute)
+ * - notifications.reminders            : Deadline and start reminders (every 5 minutes)
+ *
+ * Usage:
+ *   const { JOB_NAMES } = require('./config/jobs');
+ *   await enqueue(JOB_NAMES.SEND_EMAIL, { emailId });
+ * =============================================================================
+ */
+
+const JOB_NAMES = {
+  SEND_EMAIL: 'email.send',
+  BUILD_DATA_EXPORT: 'data-export.build',
+  PURGE_DATA_EXPORTS: 'data-export.purge',
+  PURGE_DELETED_ACCOUNTS: 'accounts.purge',
+  NOTIFY_COMPETITION_UPDATED: 'notifications.competition-updated',
+  RUN_COMPETITION_LIFECYCLE: 'competitions.lifecycle',
+  SEND_REMINDERS: 'notifications.reminders'
+};
+
+module.exports = {
+  JOB_NAMES
+};
@@ -0,0 +1,193 @@
+/**
+ * =============================================================================
+ * MAIL TRANSPORT CONFIGURATION
+ * =============================================================================
+ * Pluggable mail transport used to deliver outgoing email
+ *
+ * Transports:
+ * - console : Prints messages to stdout (default outside production)
+ * - file    : Writes each message as a JSON file into an outbox directory
+ *             (local development and tests)
+ * - smtp    : Delivers through an SMTP server (nodemailer)
+ *
+ * Application code should not call sendMail() directly: queue messages with
+ * utils/mailQueue.js, which retries failed deliveries.
+ *
+ * Environment Variables:
+ *   MAIL_TRANSPORT  - Transport name: console | file | smtp (default: console;
+ *                     required in production, where a missing or unknown
+ *                     name stops the app at startup)
+ *   MAIL_FROM       - Sender address (default: UCP-TAKRA <no-reply@ucp-takra.local>)
+ *   MAIL_OUTBOX_DIR - Directory used by the file transport (default: ./outbox)
+ *   SMTP_HOST       - SMTP server host (smtp transport)
+ *   SMTP_PORT       - SMTP server port (default: 587)
+ *   SMTP_SECURE     - "true" for implicit TLS, usually port 465 (default: false)
+ *   SMTP_USER       - SMTP username (optional)
+ *   SMTP_PASS       - SMTP password (optional)
+ *
+ * Usage:
+ *   const { sendMail } = require('./config/mail');
+ *   await sendMail({ to, subject, text, html, headers });
+ * =============================================================================
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'UCP-TAKRA <no-reply@ucp-takra.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+
+/**
+ * Console transport - logs the message instead of delivering it
+ */
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log('\n✉ ──────────────── OUTGOING EMAIL ────────────────');
+    console.log(`From:    ${message.from}`);
+    console.log(`To:      ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    Object.entries(message.headers || {}).forEach(([name, value]) => {
+      console.log(`${name}: ${value}`);
+    });
+    console.log('');
+    console.log(message.text || message.html);
+    console.log('✉ ────────────────────────────────────────────────\n');
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * File transport - stores each message as JSON in the outbox directory
+ */
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const filePath = path.join(MAIL_OUTBOX_DIR, `${messageId}.json`);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, messageId, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId, path: filePath };
+  }
+};
+
+/**
+ * SMTP transport - delivers through the configured SMTP server
+ * The connection is created on first use.
+ */
+let smtpClient = null;
+
+const smtpTransport = {
+  name: 'smtp',
+  send: async (message) => {
+    if (!smtpClient) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+      }
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    const info = await smtpClient.sendMail(message);
+    return { messageId: info.messageId, response: info.response };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+/**
+ * Transport named by MAIL_TRANSPORT
+ * Production must name one explicitly: the console fallback would print
+ * token links from emails to the logs.
+ * @returns {Object} Transport
+ */
+const resolveTransport = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  if (transports[name]) return transports[name];
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      `MAIL_TRANSPORT must be one of ${Object.keys(transports).join(', ')} in production (got "${name || ''}")`
+    );
+  }
+
+  if (name) {
+    console.warn(`⚠ Unknown MAIL_TRANSPORT "${name}", printing emails to the console`);
+  }
+  return consoleTransport;
+};
+
+// Active transport (can be swapped at runtime, e.g. in scripts)
+let activeTransport = resolveTransport();
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @desc    Send an email through the active transport
+ * @param   {Object} options - { to, subject, text, html, headers }
+ *          headers: extra message headers, e.g. List-Unsubscribe
+ * @returns {Promise<Object>} Transport result ({ messageId, ... })
+ */
+const sendMail = async ({ to, subject, text, html, headers }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires "to" and "subject"');
+  }
+
+  return activeTransport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    headers
+  });
+};
+
+/**
+ * @desc    Register or replace the active transport
+ * @param   {Object} transport - Object with { name, send(message) }
+ */
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+/**
+ * @desc    Get the name of the active transport
+ * @returns {string}
+ */
+const getTransportName = () => activeTransport.name;
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransportName,
+  transports,
+  MAIL_FROM
+};
@@ -0,0 +1,82 @@
+/**
+ * =============================================================================
+ * NOTIFICATIONS CONFIGURATION
+ * =============================================================================
+ * Catalog of notification types and delivery channels
+ *
+ * Every user has a preference matrix (User.notificationPreferences) with one
+ * on/off switch per type and channel. utils/notifier.js checks it before
+ * delivering anything, so senders never look at preferences themselves.
+ *
+ * Channels:
+ * - email : Sent through config/mail.js, with a one-click unsubscribe link
+ * - inApp : Pushed live over Socket.IO ("notification" event)
+ * - push  : Web push; only delivered once a push sender is registered
+ *           (utils/notifier.setChannelSender)
+ *
+ * Usage:
+ *   const { NOTIFICATION_TYPES } = require('./config/notifications');
+ *   await notifyUser(userId, NOTIFICATION_TYPES.REGISTRATION_APPROVED, { ... });
+ * =============================================================================
+ */
+
+const NOTIFICATION_TYPES = {
+  REGISTRATION_APPROVED: 'registration_approved',
+  REGISTRATION_REJECTED: 'registration_rejected',
+  WAITLIST_PROMOTED: 'waitlist_promoted',
+  TEAM_INVITE: 'team_invite',
+  TEAM_INVITE_RESPONSE: 'team_invite_response',
+  TEAM_JOIN_REQUEST: 'team_join_request',
+  TEAM_JOIN_RESPONSE: 'team_join_response',
+  DEADLINE_REMINDER: 'deadline_reminder',
+  NEW_MESSAGE: 'new_message',
+  COMPETITION_UPDATED: 'competition_updated',
+  RESULTS_PUBLISHED: 'results_published'
+};
+
+const NOTIFICATION_CHANNELS = ['email', 'inApp', 'push'];
+
+/**
+ * Human readable descriptions (returned with the user's settings)
+ */
+const NOTIFICATION_TYPE_DESCRIPTIONS = {
+  [NOTIFICATION_TYPES.REGISTRATION_APPROVED]: 'A registration of yours was approved',
+  [NOTIFICATION_TYPES.REGISTRATION_REJECTED]: 'A registration of yours was rejected',
+  [NOTIFICATION_TYPES.WAITLIST_PROMOTED]: 'A spot opened up for a competition you are waitlisted for',
+  [NOTIFICATION_TYPES.TEAM_INVITE]: 'You were invited to join a team (the invitation email itself is always sent)',
+  [NOTIFICATION_TYPES.TEAM_INVITE_RESPONSE]: 'Someone accepted or declined an invitation to your team',
+  [NOTIFICATION_TYPES.TEAM_JOIN_REQUEST]: 'A team or participant on the team board asked to team up with you',
+  [NOTIFICATION_TYPES.TEAM_JOIN_RESPONSE]: 'Your team board request was accepted or declined',
+  [NOTIFICATION_TYPES.DEADLINE_REMINDER]: 'A deadline or start time of a competition you saved or registered for is coming up',
+  [NOTIFICATION_TYPES.NEW_MESSAGE]: 'New message in a support conversation',
+  [NOTIFICATION_TYPES.COMPETITION_UPDATED]: 'A competition you registered for changed',
+  [NOTIFICATION_TYPES.RESULTS_PUBLISHED]: 'Your result in a competition was published'
+};
+
+/**
+ * Default preferences for new and existing users
+ * Chat messages are not emailed by default (the conversation is live).
+ */
+const DEFAULT_PREFERENCES = Object.values(NOTIFICATION_TYPES).reduce((defaults, type) => {
+  defaults[type] = {
+    email: type !== NOTIFICATION_TYPES.NEW_MESSAGE,
+    inApp: true,
+    push: true
+  };
+  return defaults;
+}, {});
+
+/**
+ * @desc    Check that a string is a known notification type
+ * @param   {string} type
+ * @returns {boolean}
+ */
+const isNotificationType = (type) => Object.values(NOTIFICATION_TYPES).includes(type);
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPE_DESCRIPTIONS,
+  DEFAULT_PREFERENCES,
+  isNotificationType
+};
@@ -6,20 +6,24 @@
  * 
  * Features:
  * - Google OAuth 2.0 login
- * - Automatic user creation/linking
+ * - Automatic user creation (existing accounts must link Google explicitly)
  * - JWT token generation after OAuth
+ * - Explicit linking of a Google identity to a signed-in account ('google-link'),
+ *   bound to the browser that asked for the link by a nonce cookie
  * 
  * Environment Variables Required:
  *   GOOGLE_CLIENT_ID     - Google OAuth Client ID
  *   GOOGLE_CLIENT_SECRET - Google OAuth Client Secret
  *   GOOGLE_CALLBACK_URL  - OAuth callback URL
+ *   GOOGLE_LINK_CALLBACK_URL - OAuth callback URL for account linking
  * 
  * Setup Instructions:
  * 1. Go to https://console.cloud.google.com/
  * 2. Create a new project or select existing
  * 3. Enable Google+ API
  * 4. Go to Credentials > Create OAuth 2.0 Client ID
- * 5. Add authorized redirect URI: http://localhost:5000/api/auth/google/callback
+ * 5. Add authorized redirect URIs: http://localhost:5000/api/auth/google/callback
+ *    and http://localhost:5000/api/auth/google/link/callback
  * 6. Copy Client ID and Secret to .env file
  * =============================================================================
  */
@@ -27,6 +31,25 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/UserSchema');
+const { verifyGoogleLinkState, hashToken } = require('../utils/tokenGenerator');
+const { getCookie } = require('../utils/requestContext');
+const { queueTemplatedMail } = require('../utils/mailQueue');
+
+// Cookie holding the nonce of a Google link started by this browser
+const GOOGLE_LINK_COOKIE = 'google_link_nonce';
+
+/**
+ * Options of the Google link nonce cookie (set with a maxAge matching the
+ * link state lifetime)
+ * - Only sent to the link routes
+ * - SameSite=None in production: it is set by the frontend's cross-site API call
+ */
+const googleLinkCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth/google/link'
+});
 
 /**
  * Serialize user for session (stores user ID in session)
@@ -68,7 +91,13 @@ const configureGoogleStrategy = () => {
       async (accessToken, refreshToken, profile, done) => {
         try {
           // Find or create user from Google profile
-          const user = await User.findOrCreateGoogleUser(profile);
+          const { user, conflict } = await User.findOrCreateGoogleUser(profile);
+          if (conflict) {
+            return done(null, false, { conflict });
+          }
+          if (user.$locals.isNewSignup) {
+            await queueTemplatedMail({ to: user.email, template: 'signup', data: { name: user.name } });
+          }
           return done(null, user);
         } catch (error) {
           console.error('Google OAuth error:', error);
@@ -78,6 +107,43 @@ const configureGoogleStrategy = () => {
     )
   );
 
+  // Linking strategy: the signed-in user is identified by the signed `state`,
+  // which must belong to the nonce cookie of this browser
+  passport.use(
+    'google-link',
+    new GoogleStrategy(
+      {
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL: process.env.GOOGLE_LINK_CALLBACK_URL || 'http://localhost:5000/api/auth/google/link/callback',
+        scope: ['profile', 'email'],
+        passReqToCallback: true
+      },
+      async (req, accessToken, refreshToken, profile, done) => {
+        try {
+          const state = verifyGoogleLinkState(req.query.state);
+          if (!state) {
+            return done(null, false, { conflict: 'INVALID_STATE' });
+          }
+
+          const nonce = getCookie(req, GOOGLE_LINK_COOKIE);
+          if (!nonce || !state.nonceHash || hashToken(nonce) !== state.nonceHash) {
+            return done(null, false, { conflict: 'INVALID_STATE' });
+          }
+
+          const { user, conflict } = await User.linkGoogleAccount(state.id, profile);
+          if (conflict) {
+            return done(null, false, { conflict });
+          }
+          return done(null, user);
+        } catch (error) {
+          console.error('Google link error:', error);
+          return done(error, null);
+        }
+      }
+    )
+  );
+
   console.log('✓ Google OAuth strategy configured');
 };
 
@@ -94,8 +160,17 @@ const initializePassport = (app) => {
   console.log('✓ Passport initialized');
 };
 
+/**
+ * Check whether Google OAuth is configured
+ * @returns {boolean}
+ */
+const isGoogleConfigured = () => !!passport._strategy('google');
+
 module.exports = {
   passport,
+  GOOGLE_LINK_COOKIE,
+  googleLinkCookieOptions,
+  isGoogleConfigured,
   initializePassport,
   configureGoogleStrategy
 };
@@ -0,0 +1,125 @@
+/**
+ * =============================================================================
+ * PERMISSIONS CONFIGURATION
+ * =============================================================================
+ * Catalog of fine-grained permissions and the built-in (system) roles
+ *
+ * Permissions are "<resource>:<action>" strings. Roles are named bundles of
+ * permissions stored in MongoDB (models/Role.js); a user's `role` field holds
+ * the role name. The wildcard "*" grants every permission.
+ *
+ * Roles may be scoped to categories (Role.scope.categories). A scoped role only
+ * grants its SCOPABLE permissions for registrations of competitions in those
+ * categories (e.g. "manage registrations for category X").
+ *
+ * Usage:
+ *   const { PERMISSIONS } = require('./config/permissions');
+ *   router.get('/', requirePermission(PERMISSIONS.REGISTRATIONS_READ), handler);
+ * =============================================================================
+ */
+
+const PERMISSIONS = {
+  // Users
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+
+  // Roles & permission bundles (includes assigning roles to users)
+  ROLES_MANAGE: 'roles:manage',
+
+  // Catalog
+  CATEGORIES_WRITE: 'categories:write',
+  COMPETITIONS_WRITE: 'competitions:write',
+
+  // Registrations
+  REGISTRATIONS_READ: 'registrations:read',
+  REGISTRATIONS_APPROVE: 'registrations:approve',
+  REGISTRATIONS_EXPORT: 'registrations:export',
+
+  // Support chat
+  CHAT_READ_ALL: 'chat:read_all',
+  CHAT_REPLY: 'chat:reply',
+
+  // Reporting & platform
+  ANALYTICS_READ: 'analytics:read',
+  AUDIT_READ: 'audit:read',
+  SETTINGS_MANAGE: 'settings:manage',
+  JOBS_READ: 'jobs:read'
+};
+
+// Grants every permission
+const WILDCARD = '*';
+
+/**
+ * Human readable descriptions (returned by GET /api/admin/roles/permissions)
+ */
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.USERS_READ]: 'View and search user accounts',
+  [PERMISSIONS.USERS_WRITE]: 'Delete users and clear login lockouts',
+  [PERMISSIONS.ROLES_MANAGE]: 'Create, edit and assign roles',
+  [PERMISSIONS.CATEGORIES_WRITE]: 'Create, edit and delete categories',
+  [PERMISSIONS.COMPETITIONS_WRITE]: 'Create, edit, publish and delete competitions',
+  [PERMISSIONS.REGISTRATIONS_READ]: 'View registrations',
+  [PERMISSIONS.REGISTRATIONS_APPROVE]: 'Approve, reject and edit registrations',
+  [PERMISSIONS.REGISTRATIONS_EXPORT]: 'Export registration data',
+  [PERMISSIONS.CHAT_READ_ALL]: 'Read every support conversation',
+  [PERMISSIONS.CHAT_REPLY]: 'Be assigned and reply to support conversations',
+  [PERMISSIONS.ANALYTICS_READ]: 'View analytics dashboards',
+  [PERMISSIONS.AUDIT_READ]: 'View the audit log of privileged actions',
+  [PERMISSIONS.SETTINGS_MANAGE]: 'Change platform security settings',
+  [PERMISSIONS.JOBS_READ]: 'View background jobs and failed (dead) jobs'
+};
+
+/**
+ * Permissions that can be restricted to categories by a scoped role
+ */
+const SCOPABLE_PERMISSIONS = [
+  PERMISSIONS.REGISTRATIONS_READ,
+  PERMISSIONS.REGISTRATIONS_APPROVE,
+  PERMISSIONS.REGISTRATIONS_EXPORT
+];
+
+/**
+ * Built-in roles, seeded into MongoDB and used as a fallback if missing.
+ * System roles cannot be deleted or renamed; `admin` cannot be edited.
+ */
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to all features',
+    permissions: [WILDCARD]
+  },
+  support: {
+    description: 'Support staff: registration review and support chat',
+    permissions: [
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.REGISTRATIONS_READ,
+      PERMISSIONS.REGISTRATIONS_APPROVE,
+      PERMISSIONS.CHAT_READ_ALL,
+      PERMISSIONS.CHAT_REPLY
+    ]
+  },
+  user: {
+    description: 'Regular participant',
+    permissions: []
+  }
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * @desc    Check whether a permission string is known
+ * @param   {string} permission
+ * @returns {boolean}
+ */
+const isValidPermission = (permission) => {
+  return permission === WILDCARD || ALL_PERMISSIONS.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  SCOPABLE_PERMISSIONS,
+  DEFAULT_ROLES,
+  ALL_PERMISSIONS,
+  WILDCARD,
+  isValidPermission
+};
@@ -58,6 +58,24 @@ const uploadToS3 = async (fileBuffer, key, contentType, metadata = {}) => {
   }
 };
 
+/**
+ * Get a readable stream of an S3 object (for serving private files through the API)
+ * @param {string} key - S3 object key
+ * @returns {Promise<Object>} { stream, contentType, contentLength }
+ */
+const getS3ObjectStream = async (key) => {
+  const result = await s3Client.send(new GetObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key
+  }));
+
+  return {
+    stream: result.Body,
+    contentType: result.ContentType,
+    contentLength: result.ContentLength
+  };
+};
+
 /**
  * Delete file from S3
  * @param {string} key - S3 object key
@@ -127,6 +145,7 @@ const extractKeyFromUrl = (url) => {
 module.exports = {
   s3Client,
   uploadToS3,
+  getS3ObjectStream,
   deleteFromS3,
   deleteMultipleFromS3,
   generateS3Key,
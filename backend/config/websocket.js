@@ -5,7 +5,7 @@
  * Real-time bidirectional communication layer for the chat module
  *
  * Features:
- * - JWT-based authentication on connection
+ * - JWT-based authentication on connection (suspended accounts rejected)
  * - Room-based messaging (one room per conversation)
  * - Typing indicators (start/stop) with auto-timeout
  * - Message delivery & read receipts
@@ -32,6 +32,11 @@
  *   user_offline        - A user went offline
  *   online_users        - Full list of online users
  *   conversation_closed - Conversation closed by staff
+ *   notification        - New notification center entry (utils/notifier.js)
+ *   notifications_read  - Notification entries marked read (keeps tabs in sync)
+ *   competition_status  - Competition published, closed or completed on schedule
+ *                         (utils/competitionLifecycle.js)
+ *   force_logout        - Account suspended or logged out by an admin
  *   error               - Error notification
  *
  * Usage:
@@ -41,9 +46,11 @@
  */
 
 const { Server } = require('socket.io');
-const { verifyToken } = require('../utils/tokenGenerator');
+const { verifyAccessToken } = require('../utils/tokenGenerator');
+const { checkAccountStatus } = require('../middleware/auth');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const { notifyNewMessage } = require('../utils/notifier');
 
 // =============================================================================
 // STATE
@@ -114,7 +121,7 @@ const initializeWebSocket = (httpServer) => {
  * @param   {Socket} socket - Socket.IO socket instance
  * @param   {Function} next - Next middleware function
  */
-const authenticateSocket = (socket, next) => {
+const authenticateSocket = async (socket, next) => {
   try {
     const token =
       socket.handshake.auth?.token ||
@@ -124,11 +131,16 @@ const authenticateSocket = (socket, next) => {
       return next(new Error('Authentication required. Provide a valid JWT token.'));
     }
 
-    const decoded = verifyToken(token);
+    const decoded = verifyAccessToken(token);
     if (!decoded) {
       return next(new Error('Invalid or expired token.'));
     }
 
+    const rejection = await checkAccountStatus(decoded);
+    if (rejection) {
+      return next(new Error(rejection.body.message));
+    }
+
     // Attach user data to socket
     socket.user = {
       id: decoded.id,
@@ -323,25 +335,15 @@ const handleSendMessage = async (socket, data) => {
       sentAt: message.createdAt
     });
 
-    // ─── Notify Offline Participants ──────────────────────────────────
+    // ─── Notify Participants ──────────────────────────────────────────
+    // Honors each participant's notification preferences
     for (const participantId of otherParticipants) {
-      const participantIdStr = participantId.toString();
-      if (!onlineUsers.has(participantIdStr)) {
-        // Participant is offline — could push a notification here
-        // For now, the unread count is already incremented
-      } else {
-        // Participant is online but may not be in the room
-        const sockets = onlineUsers.get(participantIdStr);
-        for (const socketId of sockets) {
-          io.to(socketId).emit('notification', {
-            type: 'new_message',
-            conversationId,
-            preview: content.substring(0, 80),
-            senderName: socket.user.name,
-            sentAt: message.createdAt
-          });
-        }
-      }
+      await notifyNewMessage(participantId, {
+        conversationId,
+        senderName: socket.user.name,
+        content,
+        sentAt: message.createdAt
+      });
     }
   } catch (error) {
     console.error('Send message error:', error.message);
@@ -586,6 +588,25 @@ const isUserOnline = (userId) => {
   return onlineUsers.has(userId);
 };
 
+/**
+ * @desc    Disconnect all of a user's sockets (suspension, force logout)
+ * @param   {string} userId - Target user ID
+ * @param   {string} reason - Sent to the client with the force_logout event
+ */
+const disconnectUser = (userId, reason) => {
+  if (!io) return;
+  const sockets = onlineUsers.get(userId);
+  if (!sockets) return;
+
+  for (const socketId of sockets) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.emit('force_logout', { reason });
+      socket.disconnect(true);
+    }
+  }
+};
+
 /**
  * @desc    Get the Socket.IO server instance
  * @returns {Server|null}
@@ -596,6 +617,7 @@ module.exports = {
   initializeWebSocket,
   emitToUser,
   emitToConversation,
+  disconnectUser,
   isUserOnline,
   getIO
 };
@@ -0,0 +1,70 @@
+/**
+ * =============================================================================
+ * ADMIN AUDIT LOG CONTROLLER
+ * =============================================================================
+ * Read-only access to the trail of privileged actions
+ * (entries are written by utils/auditLogger.js)
+ * =============================================================================
+ */
+
+const AuditLog = require('../../models/AuditLog');
+const { getPagination, formatPagination } = require('../../middleware/validators');
+
+// =============================================================================
+// GET AUDIT LOGS
+// =============================================================================
+
+/**
+ * @desc    Get audit log entries, newest first
+ * @route   GET /api/admin/audit-logs
+ * @access  Admin (audit:read)
+ * @query   actor, targetType, targetId, action, from, to, page, limit
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 50 });
+    const { actor, targetType, targetId, action, from, to } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: formatPagination(total, page, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
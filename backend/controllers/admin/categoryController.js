@@ -13,6 +13,7 @@ const cacheService = require('../../config/cache');
 const { getPagination, formatPagination } = require('../../middleware/validators');
 const { uploadToS3, deleteFromS3, generateS3Key, extractKeyFromUrl } = require('../../config/s3');
 const { processCategoryImage } = require('../../utils/imageOptimizer');
+const { recordAudit, pickFields } = require('../../utils/auditLogger');
 
 // Cache keys
 const CACHE_KEYS = {
@@ -20,6 +21,9 @@ const CACHE_KEYS = {
   CATEGORY_PREFIX: 'category:'
 };
 
+// Category fields tracked in the audit log
+const AUDIT_FIELDS = ['name', 'description', 'icon', 'color', 'displayOrder', 'isActive', 'images'];
+
 // =============================================================================
 // CREATE CATEGORY
 // =============================================================================
@@ -106,6 +110,13 @@ const createCategory = async (req, res) => {
     // Invalidate cache
     await cacheService.delete(CACHE_KEYS.ALL_CATEGORIES);
 
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'category',
+      targetId: category._id,
+      after: pickFields(category, AUDIT_FIELDS)
+    });
+
     return res.status(201).json({
       success: true,
       message: 'Category created successfully',
@@ -263,6 +274,8 @@ const updateCategory = async (req, res) => {
       }
     }
 
+    const before = pickFields(category, AUDIT_FIELDS);
+
     // Update fields
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
@@ -333,6 +346,14 @@ const updateCategory = async (req, res) => {
     await cacheService.delete(CACHE_KEYS.ALL_CATEGORIES);
     await cacheService.delete(`${CACHE_KEYS.CATEGORY_PREFIX}${categoryId}`);
 
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'category',
+      targetId: category._id,
+      before,
+      after: pickFields(category, AUDIT_FIELDS)
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Category updated successfully',
@@ -384,12 +405,22 @@ const deleteCategory = async (req, res) => {
     }
 
     // Soft delete
+    const before = pickFields(category, ['isActive']);
     await category.softDelete();
 
     // Invalidate cache
     await cacheService.delete(CACHE_KEYS.ALL_CATEGORIES);
     await cacheService.delete(`${CACHE_KEYS.CATEGORY_PREFIX}${categoryId}`);
 
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category._id,
+      before,
+      after: pickFields(category, ['isActive']),
+      metadata: { name: category.name }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Category deleted successfully'
@@ -430,11 +461,19 @@ const reorderCategories = async (req, res) => {
       Category.findByIdAndUpdate(id, { displayOrder, updatedBy: req.user.id })
     );
 
-    await Promise.all(updates);
+    // findByIdAndUpdate resolves to the pre-update documents
+    const previous = (await Promise.all(updates)).filter(Boolean);
 
     // Invalidate cache
     await cacheService.delete(CACHE_KEYS.ALL_CATEGORIES);
 
+    await recordAudit(req, {
+      action: 'category.reorder',
+      targetType: 'category',
+      before: Object.fromEntries(previous.map((c) => [c._id.toString(), c.displayOrder])),
+      after: Object.fromEntries(orders.map(({ id, displayOrder }) => [String(id), displayOrder]))
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Categories reordered successfully'
@@ -13,14 +13,18 @@
  *   PATCH  /api/admin/chat/conversations/:id/reopen  - Reopen a conversation
  *   GET    /api/admin/chat/stats                     - Chat statistics
  *
- * Access: admin and support roles only.
+ * Access: roles with chat:read_all (reading) or chat:reply (replying).
  * =============================================================================
  */
 
 const Conversation = require('../../models/Conversation');
 const Message = require('../../models/Message');
 const User = require('../../models/UserSchema');
-const { emitToUser, emitToConversation, isUserOnline } = require('../../config/websocket');
+const { emitToConversation, isUserOnline } = require('../../config/websocket');
+const { notifyNewMessage } = require('../../utils/notifier');
+const { getRoleNamesWithPermission } = require('../../middleware/permissions');
+const { PERMISSIONS } = require('../../config/permissions');
+const { recordAudit } = require('../../utils/auditLogger');
 
 // =============================================================================
 // LIST ALL CONVERSATIONS (Admin View)
@@ -325,12 +329,12 @@ const replyToConversation = async (req, res) => {
       conversationId
     });
 
+    // Notify the other participants (honors their notification preferences)
     for (const participantId of otherParticipants) {
-      emitToUser(participantId.toString(), 'notification', {
-        type: 'new_message',
+      await notifyNewMessage(participantId, {
         conversationId,
-        preview: content.substring(0, 80),
         senderName: req.user.name || req.user.email,
+        content,
         sentAt: message.createdAt
       });
     }
@@ -381,6 +385,13 @@ const closeConversation = async (req, res) => {
       readBy: [{ user: staffId, readAt: new Date() }]
     });
 
+    await recordAudit(req, {
+      action: 'conversation.close',
+      targetType: 'conversation',
+      targetId: conversation._id,
+      after: { status: conversation.status }
+    });
+
     // Notify all participants via WebSocket
     emitToConversation(conversationId, 'conversation_closed', {
       conversationId,
@@ -443,6 +454,13 @@ const reopenConversation = async (req, res) => {
       readBy: [{ user: staffId, readAt: new Date() }]
     });
 
+    await recordAudit(req, {
+      action: 'conversation.reopen',
+      targetType: 'conversation',
+      targetId: conversation._id,
+      after: { status: conversation.status }
+    });
+
     // Notify via WebSocket
     emitToConversation(conversationId, 'conversation_reopened', {
       conversationId,
@@ -528,7 +546,10 @@ const getChatStats = async (req, res) => {
       }
     ];
 
-    const conversationMessages = await Message.aggregate(responseTimePipeline);
+    const [conversationMessages, staffRoles] = await Promise.all([
+      Message.aggregate(responseTimePipeline),
+      getRoleNamesWithPermission(PERMISSIONS.CHAT_REPLY)
+    ]);
 
     let totalResponseTime = 0;
     let responseCount = 0;
@@ -538,7 +559,7 @@ const getChatStats = async (req, res) => {
       for (let i = 1; i < msgs.length; i++) {
         if (
           msgs[i - 1].role === 'user' &&
-          (msgs[i].role === 'admin' || msgs[i].role === 'support')
+          staffRoles.includes(msgs[i].role)
         ) {
           totalResponseTime += msgs[i].createdAt - msgs[i - 1].createdAt;
           responseCount++;
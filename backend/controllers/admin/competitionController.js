@@ -11,10 +11,15 @@ const mongoose = require('mongoose');
 const Competition = require('../../models/Competition');
 const Category = require('../../models/Category');
 const Registration = require('../../models/Registration');
+const User = require('../../models/UserSchema');
 const cacheService = require('../../config/cache');
 const { getPagination, formatPagination } = require('../../middleware/validators');
 const { uploadToS3, deleteFromS3, generateS3Key, extractKeyFromUrl } = require('../../config/s3');
 const { processCompetitionImage } = require('../../utils/imageOptimizer');
+const { recordAudit, pickFields } = require('../../utils/auditLogger');
+const { notifyCompetitionUpdated } = require('../../utils/notifier');
+const { promoteFromWaitlist } = require('../../utils/waitlist');
+const { summarizeForm } = require('../../utils/registrationForm');
 
 // Cache keys
 const CACHE_KEYS = {
@@ -23,6 +28,14 @@ const CACHE_KEYS = {
   COMPETITION_PREFIX: 'competition:'
 };
 
+// Competition fields tracked in the audit log
+const AUDIT_FIELDS = [
+  'title', 'description', 'shortDescription', 'category', 'deadline', 'startDate', 'endDate', 'publishAt',
+  'maxRegistrations', 'venue', 'isOnline', 'type', 'teamSize', 'teamLockAt', 'prizes', 'requirements', 'rules',
+  'faqs', 'tags', 'banner', 'thumbnail', 'images', 'externalLink', 'contactEmail', 'organizer',
+  'sponsors', 'isFeatured', 'waitlistEnabled', 'registrationForm', 'status', 'isDeleted'
+];
+
 // =============================================================================
 // CREATE COMPETITION
 // =============================================================================
@@ -42,11 +55,15 @@ const createCompetition = async (req, res) => {
       deadline,
       startDate,
       endDate,
+      publishAt,
       maxRegistrations,
+      waitlistEnabled,
       venue,
       isOnline,
       type,
       teamSize,
+      teamLockAt,
+      registrationForm,
       prizes,
       requirements,
       rules,
@@ -84,11 +101,16 @@ const createCompetition = async (req, res) => {
       deadline: new Date(deadline),
       startDate: startDate ? new Date(startDate) : undefined,
       endDate: endDate ? new Date(endDate) : undefined,
+      // Drafts only; published automatically by the lifecycle job
+      publishAt: publishAt && (status || 'draft') === 'draft' ? new Date(publishAt) : null,
       maxRegistrations,
+      waitlistEnabled,
       venue,
       isOnline,
       type,
       teamSize,
+      teamLockAt: teamLockAt ? new Date(teamLockAt) : null,
+      registrationForm,
       prizes,
       requirements,
       rules,
@@ -167,6 +189,13 @@ const createCompetition = async (req, res) => {
     // Update category competition count
     await Category.updateCompetitionCount(category, 1);
 
+    await recordAudit(req, {
+      action: 'competition.create',
+      targetType: 'competition',
+      targetId: competition._id,
+      after: pickFields(competition, AUDIT_FIELDS)
+    });
+
     // Invalidate caches
     await Promise.all([
       cacheService.delete(CACHE_KEYS.FEATURED),
@@ -228,7 +257,7 @@ const getAllCompetitions = async (req, res) => {
         .sort(sortObj)
         .skip(skip)
         .limit(limit)
-        .select('title slug status deadline category registrationsCount viewsCount isFeatured createdAt thumbnail')
+        .select('title slug status deadline publishAt category registrationsCount viewsCount isFeatured createdAt thumbnail')
         .populate('category', 'name slug color')
         .populate('createdBy', 'name email')
         .lean(),
@@ -271,6 +300,7 @@ const getCompetitionById = async (req, res) => {
       .populate('category', 'name slug color')
       .populate('createdBy', 'name email')
       .populate('updatedBy', 'name email')
+      .populate('organizers.user', 'name email avatar')
       .lean();
 
     if (!competition) {
@@ -315,6 +345,9 @@ const updateCompetition = async (req, res) => {
     const competitionId = req.params.id;
     const updateData = req.body;
 
+    // Organizer assignments have their own endpoints
+    delete updateData.organizers;
+
     // Find competition
     const competition = await Competition.findOne({
       _id: competitionId,
@@ -328,6 +361,8 @@ const updateCompetition = async (req, res) => {
       });
     }
 
+    const before = pickFields(competition, AUDIT_FIELDS);
+
     // If changing category, verify new category exists
     if (updateData.category && updateData.category !== competition.category.toString()) {
       const categoryExists = await Category.findOne({
@@ -353,6 +388,8 @@ const updateCompetition = async (req, res) => {
     if (updateData.deadline) updateData.deadline = new Date(updateData.deadline);
     if (updateData.startDate) updateData.startDate = new Date(updateData.startDate);
     if (updateData.endDate) updateData.endDate = new Date(updateData.endDate);
+    if (updateData.publishAt) updateData.publishAt = new Date(updateData.publishAt);
+    if (updateData.teamLockAt) updateData.teamLockAt = new Date(updateData.teamLockAt);
 
     // Update competition
     updateData.updatedBy = req.user.id;
@@ -421,6 +458,7 @@ const updateCompetition = async (req, res) => {
       oldImages.filter(Boolean).forEach(key => deleteFromS3(key));
     }
 
+    const modifiedPaths = competition.modifiedPaths();
     await competition.save();
 
     // Invalidate caches
@@ -430,6 +468,21 @@ const updateCompetition = async (req, res) => {
       cacheService.delete(`${CACHE_KEYS.COMPETITION_PREFIX}${competitionId}`)
     ]);
 
+    await recordAudit(req, {
+      action: 'competition.update',
+      targetType: 'competition',
+      targetId: competition._id,
+      before,
+      after: pickFields(competition, AUDIT_FIELDS)
+    });
+
+    await notifyCompetitionUpdated(competition, modifiedPaths);
+
+    // A higher limit frees slots for the waitlist
+    if (modifiedPaths.includes('maxRegistrations')) {
+      await promoteFromWaitlist(competition._id);
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Competition updated successfully',
@@ -472,6 +525,7 @@ const deleteCompetition = async (req, res) => {
     }
 
     // Soft delete
+    const before = pickFields(competition, ['status', 'isDeleted']);
     await competition.softDelete(req.user.id);
 
     // Update category competition count
@@ -484,6 +538,15 @@ const deleteCompetition = async (req, res) => {
       cacheService.delete(`${CACHE_KEYS.COMPETITION_PREFIX}${competitionId}`)
     ]);
 
+    await recordAudit(req, {
+      action: 'competition.delete',
+      targetType: 'competition',
+      targetId: competition._id,
+      before,
+      after: pickFields(competition, ['status', 'isDeleted']),
+      metadata: { title: competition.title }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Competition deleted successfully'
@@ -539,6 +602,7 @@ const publishCompetition = async (req, res) => {
       });
     }
 
+    const before = pickFields(competition, ['status']);
     await competition.publish(req.user.id);
 
     // Invalidate caches
@@ -547,6 +611,14 @@ const publishCompetition = async (req, res) => {
       cacheService.delete(CACHE_KEYS.TRENDING)
     ]);
 
+    await recordAudit(req, {
+      action: 'competition.publish',
+      targetType: 'competition',
+      targetId: competition._id,
+      before,
+      after: pickFields(competition, ['status'])
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Competition published successfully',
@@ -595,6 +667,14 @@ const toggleFeatured = async (req, res) => {
     // Invalidate featured cache
     await cacheService.delete(CACHE_KEYS.FEATURED);
 
+    await recordAudit(req, {
+      action: competition.isFeatured ? 'competition.feature' : 'competition.unfeature',
+      targetType: 'competition',
+      targetId: competition._id,
+      before: { isFeatured: !competition.isFeatured },
+      after: { isFeatured: competition.isFeatured }
+    });
+
     return res.status(200).json({
       success: true,
       message: competition.isFeatured ? 'Competition featured' : 'Competition unfeatured',
@@ -629,7 +709,7 @@ const getCompetitionRegistrations = async (req, res) => {
     const competition = await Competition.findOne({
       _id: competitionId,
       isDeleted: false
-    }).select('title');
+    }).select('title registrationForm');
 
     if (!competition) {
       return res.status(404).json({
@@ -649,6 +729,8 @@ const getCompetitionRegistrations = async (req, res) => {
       success: true,
       data: {
         competition: competition.title,
+        // Column headers for the form answers in additionalInfo
+        formFields: summarizeForm(competition.registrationForm),
         ...result
       }
     });
@@ -696,6 +778,10 @@ const duplicateCompetition = async (req, res) => {
     delete original.registrationsCount;
     delete original.viewsCount;
     delete original.__v;
+    delete original.organizers;
+    delete original.publishAt;
+    delete original.registrationClosedAt;
+    delete original.completedAt;
 
     // Create new competition
     const duplicate = await Competition.create({
@@ -706,6 +792,13 @@ const duplicateCompetition = async (req, res) => {
       createdBy: req.user.id
     });
 
+    await recordAudit(req, {
+      action: 'competition.duplicate',
+      targetType: 'competition',
+      targetId: duplicate._id,
+      metadata: { source: competitionId }
+    });
+
     return res.status(201).json({
       success: true,
       message: 'Competition duplicated successfully',
@@ -722,6 +815,127 @@ const duplicateCompetition = async (req, res) => {
   }
 };
 
+// =============================================================================
+// ORGANIZERS
+// =============================================================================
+
+/**
+ * @desc    Assign a user as organizer or co-organizer of a competition
+ * @route   POST /api/admin/competitions/:id/organizers
+ * @access  Admin
+ * @body    { userId } or { email }, role?: 'organizer' | 'co-organizer'
+ */
+const addOrganizer = async (req, res) => {
+  try {
+    const { userId, email, role = 'organizer' } = req.body;
+
+    const competition = await Competition.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    });
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    const user = userId
+      ? await User.findById(userId)
+      : await User.findByEmail(email);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = competition.getOrganizerRole(user._id);
+    await competition.setOrganizer(user._id, role, req.user.id);
+
+    await recordAudit(req, {
+      action: 'competition.organizer_add',
+      targetType: 'competition',
+      targetId: competition._id,
+      before: { organizerRole: previousRole },
+      after: { organizerRole: role },
+      metadata: { user: user._id }
+    });
+
+    return res.status(previousRole ? 200 : 201).json({
+      success: true,
+      message: previousRole ? 'Organizer role updated' : 'Organizer added successfully',
+      data: {
+        user: { id: user._id, name: user.name, email: user.email },
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Add organizer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add organizer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove an organizer from a competition
+ * @route   DELETE /api/admin/competitions/:id/organizers/:userId
+ * @access  Admin
+ */
+const removeOrganizer = async (req, res) => {
+  try {
+    const competition = await Competition.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    });
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    const previousRole = competition.getOrganizerRole(req.params.userId);
+    if (!previousRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not an organizer of this competition'
+      });
+    }
+
+    await competition.removeOrganizer(req.params.userId, req.user.id);
+
+    await recordAudit(req, {
+      action: 'competition.organizer_remove',
+      targetType: 'competition',
+      targetId: competition._id,
+      before: { organizerRole: previousRole },
+      after: { organizerRole: null },
+      metadata: { user: req.params.userId }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Organizer removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove organizer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove organizer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   createCompetition,
   getAllCompetitions,
@@ -731,5 +945,7 @@ module.exports = {
   publishCompetition,
   toggleFeatured,
   getCompetitionRegistrations,
-  duplicateCompetition
+  duplicateCompetition,
+  addOrganizer,
+  removeOrganizer
 };
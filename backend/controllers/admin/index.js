@@ -10,10 +10,18 @@ const categoryController = require('./categoryController');
 const competitionController = require('./competitionController');
 const registrationController = require('./registrationController');
 const analyticsController = require('./analyticsController');
+const settingsController = require('./settingsController');
+const roleController = require('./roleController');
+const auditLogController = require('./auditLogController');
+const jobController = require('./jobController');
 
 module.exports = {
   category: categoryController,
   competition: competitionController,
   registration: registrationController,
-  analytics: analyticsController
+  analytics: analyticsController,
+  settings: settingsController,
+  role: roleController,
+  auditLog: auditLogController,
+  job: jobController
 };
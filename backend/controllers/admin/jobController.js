@@ -0,0 +1,64 @@
+/**
+ * =============================================================================
+ * ADMIN JOB CONTROLLER
+ * =============================================================================
+ * Read-only view of the background job queue (utils/jobQueue.js)
+ * =============================================================================
+ */
+
+const { getJobCounts, getJobDefinitions, listJobs } = require('../../utils/jobQueue');
+const { getPagination, formatPagination } = require('../../middleware/validators');
+
+// =============================================================================
+// GET JOBS
+// =============================================================================
+
+/**
+ * @desc    Get queue counts and the jobs of one status
+ *          Redis is listed when connected, MongoDB otherwise (or ?backend=).
+ * @route   GET /api/admin/jobs
+ * @access  Admin (jobs:read)
+ * @query   backend (redis | mongodb), status (queued | active | completed | dead,
+ *          default: dead), name, page, limit
+ */
+const getJobs = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 50 });
+    const status = req.query.status || 'dead';
+
+    const [counts, { backend, jobs, total }] = await Promise.all([
+      getJobCounts(),
+      listJobs({
+        backend: req.query.backend,
+        status,
+        name: req.query.name,
+        skip,
+        limit
+      })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        counts,
+        jobTypes: getJobDefinitions(),
+        backend,
+        status,
+        jobs,
+        pagination: formatPagination(total, page, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getJobs
+};
@@ -6,6 +6,10 @@
  * - Approve/Reject registrations
  * - View all registrations
  * - Bulk operations
+ * - Export, with registration form answers as columns
+ *
+ * Also mounted under /api/organizer, where middleware/organizer.js limits
+ * every query to the organizer's competitions via req.permissionScope.
  * =============================================================================
  */
 
@@ -13,6 +17,31 @@ const mongoose = require('mongoose');
 const Registration = require('../../models/Registration');
 const Competition = require('../../models/Competition');
 const { getPagination, formatPagination } = require('../../middleware/validators');
+const { applyRegistrationScope } = require('../../middleware/permissions');
+const { recordAudit, pickFields } = require('../../utils/auditLogger');
+const { notifyRegistrationDecision, notifyResultPublished } = require('../../utils/notifier');
+const { rejectPendingRegistrations } = require('../../utils/waitlist');
+const { getFormColumns, formatAnswer, summarizeForm } = require('../../utils/registrationForm');
+
+// Registration fields tracked in the audit log
+const AUDIT_FIELDS = ['status', 'reason', 'adminNotes', 'score', 'position', 'hasAttended'];
+
+// Export columns before the registration form answers
+const EXPORT_COLUMNS = [
+  'confirmationCode', 'userName', 'userEmail', 'teamName', 'institution', 'phone',
+  'status', 'hasAttended', 'score', 'position', 'registeredAt'
+];
+
+/**
+ * @desc    Registration form of the competition a list or export covers
+ * @param   {string|undefined} competitionId
+ * @returns {Promise<Array>} Form fields ([] without a competition or form)
+ */
+const findRegistrationForm = async (competitionId) => {
+  if (!competitionId) return [];
+  const competition = await Competition.findById(competitionId).select('registrationForm').lean();
+  return competition?.registrationForm || [];
+};
 
 // =============================================================================
 // GET ALL REGISTRATIONS
@@ -31,11 +60,14 @@ const getAllRegistrations = async (req, res) => {
     // Build filter
     const filter = {};
     if (status) filter.status = status;
-    if (competition) filter.competition = competition;
+    if (competition) filter.competition = new mongoose.Types.ObjectId(competition);
+
+    // Limit to the categories a scoped role may manage
+    const scopedFilter = await applyRegistrationScope(req, filter);
 
     // Build aggregation pipeline
     const pipeline = [
-      { $match: filter },
+      { $match: scopedFilter },
       {
         $lookup: {
           from: 'users',
@@ -86,6 +118,7 @@ const getAllRegistrations = async (req, res) => {
           status: 1,
           teamName: 1,
           confirmationCode: 1,
+          additionalInfo: 1,
           createdAt: 1,
           'user._id': '$userDetails._id',
           'user.name': '$userDetails.name',
@@ -97,12 +130,18 @@ const getAllRegistrations = async (req, res) => {
       }
     );
 
-    const registrations = await Registration.aggregate(pipeline);
+    const [registrations, form] = await Promise.all([
+      Registration.aggregate(pipeline),
+      // Organizer routes cover one competition (req.params.competitionId)
+      findRegistrationForm(req.params.competitionId || competition)
+    ]);
 
     return res.status(200).json({
       success: true,
       data: {
         registrations,
+        // Column headers for the form answers in additionalInfo
+        formFields: summarizeForm(form),
         pagination: formatPagination(total, page, limit)
       }
     });
@@ -128,7 +167,8 @@ const getAllRegistrations = async (req, res) => {
  */
 const getRegistrationById = async (req, res) => {
   try {
-    const registration = await Registration.findById(req.params.id)
+    const scopedFilter = await applyRegistrationScope(req, { _id: req.params.id });
+    const registration = await Registration.findOne(scopedFilter)
       .populate('user', 'name email avatar')
       .populate({
         path: 'competition',
@@ -176,7 +216,9 @@ const approveRegistration = async (req, res) => {
   try {
     const registrationId = req.params.id;
 
-    const registration = await Registration.findById(registrationId);
+    const registration = await Registration.findOne(
+      await applyRegistrationScope(req, { _id: registrationId })
+    );
     if (!registration) {
       return res.status(404).json({
         success: false,
@@ -194,6 +236,17 @@ const approveRegistration = async (req, res) => {
     // Approve registration
     const updated = await Registration.approve(registrationId, req.user.id);
 
+    await recordAudit(req, {
+      action: 'registration.approve',
+      targetType: 'registration',
+      targetId: registration._id,
+      before: pickFields(registration, AUDIT_FIELDS),
+      after: pickFields(updated, AUDIT_FIELDS),
+      metadata: { competition: registration.competition }
+    });
+
+    await notifyRegistrationDecision(updated);
+
     return res.status(200).json({
       success: true,
       message: 'Registration approved successfully',
@@ -224,7 +277,9 @@ const rejectRegistration = async (req, res) => {
     const registrationId = req.params.id;
     const { reason } = req.body;
 
-    const registration = await Registration.findById(registrationId);
+    const registration = await Registration.findOne(
+      await applyRegistrationScope(req, { _id: registrationId })
+    );
     if (!registration) {
       return res.status(404).json({
         success: false,
@@ -239,11 +294,25 @@ const rejectRegistration = async (req, res) => {
       });
     }
 
-    // Reject registration and decrement competition count
-    const updated = await Registration.reject(registrationId, req.user.id, reason);
-    
-    // Decrement competition registration count
-    await Competition.updateRegistrationCount(registration.competition, -1);
+    // Reject, free the slot and give it to the next waitlisted registration
+    const [updated] = await rejectPendingRegistrations([registrationId], req.user.id, reason);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration was already processed'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'registration.reject',
+      targetType: 'registration',
+      targetId: registration._id,
+      before: pickFields(registration, AUDIT_FIELDS),
+      after: pickFields(updated, AUDIT_FIELDS),
+      metadata: { competition: registration.competition }
+    });
+
+    await notifyRegistrationDecision(updated);
 
     return res.status(200).json({
       success: true,
@@ -281,11 +350,16 @@ const bulkApprove = async (req, res) => {
       });
     }
 
+    const scopedFilter = await applyRegistrationScope(req, {
+      _id: { $in: registrationIds },
+      status: 'pending'
+    });
+
+    // Capture which registrations will change
+    const affected = await Registration.find(scopedFilter).distinct('_id');
+
     const result = await Registration.updateMany(
-      {
-        _id: { $in: registrationIds },
-        status: 'pending'
-      },
+      { _id: { $in: affected }, status: 'pending' },
       {
         status: 'approved',
         processedBy: req.user.id,
@@ -293,6 +367,19 @@ const bulkApprove = async (req, res) => {
       }
     );
 
+    await recordAudit(req, {
+      action: 'registration.bulk_approve',
+      targetType: 'registration',
+      before: { status: 'pending' },
+      after: { status: 'approved' },
+      metadata: { registrationIds: affected, approved: result.modifiedCount }
+    });
+
+    const approved = await Registration.find({ _id: { $in: affected }, status: 'approved' });
+    for (const registration of approved) {
+      await notifyRegistrationDecision(registration);
+    }
+
     return res.status(200).json({
       success: true,
       message: `${result.modifiedCount} registrations approved`,
@@ -332,44 +419,40 @@ const bulkReject = async (req, res) => {
       });
     }
 
-    // Get competitions to update counts
-    const registrations = await Registration.find({
+    const scopedFilter = await applyRegistrationScope(req, {
       _id: { $in: registrationIds },
       status: 'pending'
-    }).select('competition');
+    });
 
-    // Update registrations
-    const result = await Registration.updateMany(
-      {
-        _id: { $in: registrationIds },
-        status: 'pending'
-      },
-      {
-        status: 'rejected',
-        reason,
-        processedBy: req.user.id,
-        processedAt: new Date()
-      }
+    const registrations = await Registration.find(scopedFilter).select('_id');
+
+    // Reject and free the slots in one transaction, then promote from the waitlists
+    const rejected = await rejectPendingRegistrations(
+      registrations.map((reg) => reg._id),
+      req.user.id,
+      reason
     );
 
-    // Decrement competition counts
-    const competitionCounts = {};
-    registrations.forEach(reg => {
-      const compId = reg.competition.toString();
-      competitionCounts[compId] = (competitionCounts[compId] || 0) + 1;
+    await recordAudit(req, {
+      action: 'registration.bulk_reject',
+      targetType: 'registration',
+      before: { status: 'pending' },
+      after: { status: 'rejected', reason },
+      metadata: {
+        registrationIds: rejected.map((reg) => reg._id),
+        rejected: rejected.length
+      }
     });
 
-    await Promise.all(
-      Object.entries(competitionCounts).map(([compId, count]) =>
-        Competition.updateRegistrationCount(compId, -count)
-      )
-    );
+    for (const registration of rejected) {
+      await notifyRegistrationDecision(registration);
+    }
 
     return res.status(200).json({
       success: true,
-      message: `${result.modifiedCount} registrations rejected`,
+      message: `${rejected.length} registrations rejected`,
       data: {
-        rejected: result.modifiedCount,
+        rejected: rejected.length,
         total: registrationIds.length
       }
     });
@@ -398,7 +481,9 @@ const updateRegistration = async (req, res) => {
     const registrationId = req.params.id;
     const { adminNotes, score, position, hasAttended } = req.body;
 
-    const registration = await Registration.findById(registrationId);
+    const registration = await Registration.findOne(
+      await applyRegistrationScope(req, { _id: registrationId })
+    );
     if (!registration) {
       return res.status(404).json({
         success: false,
@@ -406,14 +491,31 @@ const updateRegistration = async (req, res) => {
       });
     }
 
+    const before = pickFields(registration, AUDIT_FIELDS);
+
     // Update fields
     if (adminNotes !== undefined) registration.adminNotes = adminNotes;
     if (score !== undefined) registration.score = score;
     if (position !== undefined) registration.position = position;
     if (hasAttended !== undefined) registration.hasAttended = hasAttended;
 
+    const resultChanged = registration.isModified('score') || registration.isModified('position');
+
     await registration.save();
 
+    await recordAudit(req, {
+      action: 'registration.update',
+      targetType: 'registration',
+      targetId: registration._id,
+      before,
+      after: pickFields(registration, AUDIT_FIELDS)
+    });
+
+    const hasResult = registration.position || (registration.score !== null && registration.score !== undefined);
+    if (resultChanged && hasResult) {
+      await notifyResultPublished(registration);
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Registration updated successfully',
@@ -436,33 +538,49 @@ const updateRegistration = async (req, res) => {
 
 /**
  * @desc    Export registrations for a competition as CSV data
- * @route   GET /api/admin/competitions/:competitionId/registrations/export
- * @access  Admin
+ *          Each registration form field becomes a column (named by its label).
+ * @route   GET /api/admin/registrations/export?competition=&status=
+ * @route   GET /api/organizer/competitions/:competitionId/registrations/export
+ * @access  Admin (registrations:export) | Organizer
  */
 const exportRegistrations = async (req, res) => {
   try {
-    const { competitionId } = req.params;
+    const competitionId = req.params.competitionId || req.query.competition;
 
-    const registrations = await Registration.find({
-      competition: competitionId
-    })
-      .populate('user', 'name email')
-      .lean();
+    const filter = { competition: competitionId };
+    if (req.query.status) filter.status = req.query.status;
+    const scopedFilter = await applyRegistrationScope(req, filter);
+
+    const [registrations, form] = await Promise.all([
+      Registration.find(scopedFilter)
+        .populate('user', 'name email')
+        .lean(),
+      findRegistrationForm(competitionId)
+    ]);
+    const formColumns = getFormColumns(form, EXPORT_COLUMNS);
 
     // Format data for CSV
-    const exportData = registrations.map(reg => ({
-      confirmationCode: reg.confirmationCode,
-      userName: reg.user?.name || 'N/A',
-      userEmail: reg.user?.email || 'N/A',
-      teamName: reg.teamName || 'N/A',
-      institution: reg.institution || 'N/A',
-      phone: reg.phone || 'N/A',
-      status: reg.status,
-      hasAttended: reg.hasAttended ? 'Yes' : 'No',
-      score: reg.score || 'N/A',
-      position: reg.position || 'N/A',
-      registeredAt: reg.createdAt
-    }));
+    const exportData = registrations.map(reg => {
+      const row = {
+        confirmationCode: reg.confirmationCode,
+        userName: reg.user?.name || 'N/A',
+        userEmail: reg.user?.email || 'N/A',
+        teamName: reg.teamName || 'N/A',
+        institution: reg.institution || 'N/A',
+        phone: reg.phone || 'N/A',
+        status: reg.status,
+        hasAttended: reg.hasAttended ? 'Yes' : 'No',
+        score: reg.score || 'N/A',
+        position: reg.position || 'N/A',
+        registeredAt: reg.createdAt
+      };
+
+      formColumns.forEach(({ key, column }) => {
+        row[column] = formatAnswer(reg.additionalInfo?.[key]);
+      });
+
+      return row;
+    });
 
     return res.status(200).json({
       success: true,
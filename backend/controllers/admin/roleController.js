@@ -0,0 +1,441 @@
+/**
+ * =============================================================================
+ * ADMIN ROLE CONTROLLER
+ * =============================================================================
+ * CRUD for roles (named permission bundles)
+ *
+ * Rules:
+ * - Role names are immutable once created
+ * - System roles (admin, support, user) cannot be deleted
+ * - The admin role always keeps the "*" permission
+ * - A role cannot be deleted while users still have it
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const Role = require('../../models/Role');
+const User = require('../../models/UserSchema');
+const Category = require('../../models/Category');
+const { clearRoleCache } = require('../../middleware/permissions');
+const { recordAudit, pickFields } = require('../../utils/auditLogger');
+const {
+  PERMISSION_DESCRIPTIONS,
+  SCOPABLE_PERMISSIONS,
+  ALL_PERMISSIONS,
+  WILDCARD,
+  isValidPermission
+} = require('../../config/permissions');
+
+/**
+ * Validate a permissions array from the request body
+ * @param {*} permissions
+ * @returns {string|null} Error message or null if valid
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array';
+  }
+  const unknown = permissions.filter((permission) => !isValidPermission(permission));
+  if (unknown.length) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Validate category scope IDs from the request body
+ * @param {*} categories
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+const validateScopeCategories = async (categories) => {
+  if (!Array.isArray(categories)) {
+    return 'scope.categories must be an array';
+  }
+  if (!categories.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return 'scope.categories contains an invalid ID';
+  }
+  const found = await Category.countDocuments({ _id: { $in: categories } });
+  if (found !== new Set(categories.map(String)).size) {
+    return 'scope.categories contains a category that does not exist';
+  }
+  return null;
+};
+
+// =============================================================================
+// PERMISSION CATALOG
+// =============================================================================
+
+/**
+ * @desc    List all available permissions
+ * @route   GET /api/admin/roles/permissions
+ * @access  Admin (roles:manage)
+ */
+const getPermissionCatalog = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: ALL_PERMISSIONS.map((permission) => ({
+      permission,
+      description: PERMISSION_DESCRIPTIONS[permission],
+      scopable: SCOPABLE_PERMISSIONS.includes(permission)
+    }))
+  });
+};
+
+// =============================================================================
+// LIST / GET ROLES
+// =============================================================================
+
+/**
+ * @desc    Get all roles with user counts
+ * @route   GET /api/admin/roles
+ * @access  Admin (roles:manage)
+ */
+const getAllRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().populate('scope.categories', 'name slug').sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const countByRole = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+    return res.status(200).json({
+      success: true,
+      data: roles.map((role) => ({
+        ...role,
+        userCount: countByRole[role.name] || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get a single role
+ * @route   GET /api/admin/roles/:id
+ * @access  Admin (roles:manage)
+ */
+const getRoleById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role ID'
+      });
+    }
+
+    const role = await Role.findById(req.params.id)
+      .populate('scope.categories', 'name slug')
+      .lean();
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    return res.status(200).json({
+      success: true,
+      data: { ...role, userCount }
+    });
+
+  } catch (error) {
+    console.error('Get role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// CREATE ROLE
+// =============================================================================
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/admin/roles
+ * @access  Admin (roles:manage)
+ * @body    { name, description?, permissions: [], scope?: { categories: [] } }
+ */
+const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [], scope } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required'
+      });
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    // Only holders of "*" may hand out "*"
+    if (permissions.includes(WILDCARD) && !req.permissions?.includes(WILDCARD)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only full administrators can grant all permissions'
+      });
+    }
+
+    const categories = scope?.categories || [];
+    const scopeError = await validateScopeCategories(categories);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const existing = await Role.findByName(name);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      scope: { categories },
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: role._id,
+      after: pickFields(role, ['name', 'description', 'permissions', 'scope'])
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+
+    console.error('Create role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// UPDATE ROLE
+// =============================================================================
+
+/**
+ * @desc    Update a role's description, permissions or scope
+ * @route   PUT /api/admin/roles/:id
+ * @access  Admin (roles:manage)
+ * @body    { description?, permissions?, scope?: { categories: [] } }
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { name, description, permissions, scope } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role ID'
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (name !== undefined && name.toLowerCase() !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role names cannot be changed. Create a new role instead.'
+      });
+    }
+
+    if (role.name === 'admin' && (permissions !== undefined || scope !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The admin role always has every permission'
+      });
+    }
+
+    const before = pickFields(role, ['description', 'permissions', 'scope']);
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      // Only holders of "*" may hand out "*"
+      if (permissions.includes(WILDCARD) && !req.permissions?.includes(WILDCARD)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only full administrators can grant all permissions'
+        });
+      }
+
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (scope !== undefined) {
+      const categories = scope?.categories || [];
+      const scopeError = await validateScopeCategories(categories);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          message: scopeError
+        });
+      }
+      role.scope = { categories };
+    }
+
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    await clearRoleCache(role.name);
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: role._id,
+      before,
+      after: pickFields(role, ['description', 'permissions', 'scope']),
+      metadata: { name: role.name }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+
+    console.error('Update role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// DELETE ROLE
+// =============================================================================
+
+/**
+ * @desc    Delete a custom role (must not be assigned to any user)
+ * @route   DELETE /api/admin/roles/:id
+ * @access  Admin (roles:manage)
+ */
+const deleteRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role ID'
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(403).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+    await clearRoleCache(role.name);
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: role._id,
+      before: pickFields(role, ['name', 'description', 'permissions', 'scope'])
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getPermissionCatalog,
+  getAllRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,193 @@
+/**
+ * =============================================================================
+ * ADMIN SETTINGS CONTROLLER
+ * =============================================================================
+ * Platform-wide settings managed by admins
+ * 
+ * Features:
+ * - Security policy (mandatory two-factor authentication for staff roles,
+ *   i.e. any role that grants at least one permission)
+ * - Account policy (grace period before deleted accounts are anonymized)
+ * =============================================================================
+ */
+
+const User = require('../../models/UserSchema');
+const SystemSetting = require('../../models/SystemSetting');
+const { getPrivilegedRoleNames } = require('../../middleware/permissions');
+const { recordAudit } = require('../../utils/auditLogger');
+
+// =============================================================================
+// SECURITY SETTINGS
+// =============================================================================
+
+/**
+ * @desc    Get security settings
+ * @route   GET /api/admin/settings/security
+ * @access  Admin
+ */
+const getSecuritySettings = async (req, res) => {
+  try {
+    const security = await SystemSetting.getValue('security');
+
+    // Privileged accounts that would be forced to enroll at next login
+    const privilegedRoles = await getPrivilegedRoleNames();
+    const privilegedWithout2FA = await User.countDocuments({
+      role: { $in: privilegedRoles },
+      'twoFactor.enabled': { $ne: true }
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...security,
+        privilegedWithout2FA
+      }
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Update security settings
+ * @route   PUT /api/admin/settings/security
+ * @access  Admin
+ * @body    { require2FAForPrivilegedRoles: boolean }
+ */
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const { require2FAForPrivilegedRoles } = req.body;
+
+    if (typeof require2FAForPrivilegedRoles !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'require2FAForPrivilegedRoles must be a boolean'
+      });
+    }
+
+    const before = await SystemSetting.getValue('security');
+    const security = await SystemSetting.setValue(
+      'security',
+      { require2FAForPrivilegedRoles },
+      req.user.id
+    );
+
+    await recordAudit(req, {
+      action: 'setting.update',
+      targetType: 'setting',
+      before,
+      after: security,
+      metadata: { key: 'security' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Security settings updated',
+      data: security
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// ACCOUNT SETTINGS
+// =============================================================================
+
+/**
+ * @desc    Get account settings
+ * @route   GET /api/admin/settings/accounts
+ * @access  Admin
+ */
+const getAccountSettings = async (req, res) => {
+  try {
+    const accounts = await SystemSetting.getValue('accounts');
+
+    // Accounts waiting for the grace period to end
+    const pendingDeletion = await User.countDocuments({
+      'deletion.scheduledFor': { $ne: null },
+      anonymizedAt: null
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...accounts,
+        pendingDeletion
+      }
+    });
+  } catch (error) {
+    console.error('Get account settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch account settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Update account settings
+ *          Applies to deletions requested from now on; already scheduled
+ *          deletions keep their date.
+ * @route   PUT /api/admin/settings/accounts
+ * @access  Admin
+ * @body    { deletionGraceDays: number } (0-365)
+ */
+const updateAccountSettings = async (req, res) => {
+  try {
+    const { deletionGraceDays } = req.body;
+
+    if (!Number.isInteger(deletionGraceDays) || deletionGraceDays < 0 || deletionGraceDays > 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'deletionGraceDays must be a whole number between 0 and 365'
+      });
+    }
+
+    const before = await SystemSetting.getValue('accounts');
+    const accounts = await SystemSetting.setValue(
+      'accounts',
+      { deletionGraceDays },
+      req.user.id
+    );
+
+    await recordAudit(req, {
+      action: 'setting.update',
+      targetType: 'setting',
+      before,
+      after: accounts,
+      metadata: { key: 'accounts' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account settings updated',
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Update account settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update account settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+  getAccountSettings,
+  updateAccountSettings
+};
@@ -10,20 +10,150 @@
  * - logout         : Invalidate user session
  * - refreshToken   : Get new access token using refresh token
  * - getMe          : Get current authenticated user
- * - googleCallback : Handle Google OAuth callback
+ * - authenticateGoogleCallback / googleCallback : Handle Google OAuth callback
+ * - startGoogleLink / googleLinkCallback : Link Google to a signed-in account
+ * - verifyEmail    : Confirm email address with verification token
+ * - resendVerification : Issue a new email verification token
+ * - forgotPassword : Email a password reset link
+ * - resetPassword  : Set a new password using a reset token
+ * - verifyTwoFactorLogin : Complete login with a TOTP/recovery code
+ * - setupTwoFactor / enableTwoFactor / disableTwoFactor : 2FA enrollment
+ * - regenerateRecoveryCodes : Issue a new set of recovery codes
+ * - restoreAccount : Cancel a self-requested account deletion
  * =============================================================================
  */
 
 const { db } = require('../config/database');
 const { 
-  generateToken, 
   generateTokenPair, 
-  generateAccessToken,
-  verifyRefreshToken 
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifyGoogleLinkState,
+  generateRestoreToken,
+  verifyRestoreToken
 } = require('../utils/tokenGenerator');
-const { validateRegisterInput, validateLoginInput } = require('../utils/validation');
+const {
+  validateRegisterInput,
+  validateLoginInput,
+  validateEmail,
+  validatePassword
+} = require('../utils/validation');
+const { clearUserCache } = require('../middleware/cache');
 const cacheService = require('../config/cache');
+const { queueTemplatedMail } = require('../utils/mailQueue');
+const { sendVerificationEmail } = require('../utils/emailVerification');
 const UserModel = require('../models/UserSchema');
+const Session = require('../models/Session');
+const SystemSetting = require('../models/SystemSetting');
+const { buildOtpAuthUri } = require('../utils/totp');
+const { passport, isGoogleConfigured, GOOGLE_LINK_COOKIE, googleLinkCookieOptions } = require('../config/passport');
+const { getClientIp, getUserAgent, describeDevice } = require('../utils/requestContext');
+const {
+  checkLoginLock,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../utils/loginThrottle');
+const { getRoleGrants } = require('../middleware/permissions');
+const { buildInactiveAccountResponse, clearAccountStatusCache } = require('../middleware/auth');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'UCP-TAKRA';
+
+/**
+ * @desc    Whether the user's role grants any permission (staff account).
+ *          Staff can be forced to use two-factor authentication by admin policy.
+ * @param   {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const isPrivilegedUser = async (user) => {
+  const grants = await getRoleGrants(user.role);
+  return grants.permissions.length > 0;
+};
+
+/**
+ * @desc    Start a new session for the user and issue its token pair
+ * @param   {Object} user - User document ({ _id, email, role })
+ * @param   {Object} req  - Express request (for device/IP/user agent)
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+const createSessionTokens = async (user, req) => {
+  const userAgent = getUserAgent(req);
+  const session = await Session.createForUser(user._id, {
+    device: req.body?.device || describeDevice(userAgent),
+    ipAddress: getClientIp(req),
+    userAgent
+  });
+
+  const tokens = generateTokenPair({
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+    sid: session._id.toString(),
+    tokenId: session.tokenId
+  });
+
+  return { ...tokens, sessionId: session._id.toString() };
+};
+
+/**
+ * @desc    Decide whether a user must pass a two-factor step before login completes
+ * @param   {Object} user - User document
+ * @returns {Promise<string|null>} 'login' (enter code), 'setup' (must enroll) or null
+ */
+const getTwoFactorRequirement = async (user) => {
+  if (user.twoFactor?.enabled) return 'login';
+
+  if (await isPrivilegedUser(user)) {
+    const security = await SystemSetting.getValue('security');
+    if (security.require2FAForPrivilegedRoles) return 'setup';
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Build the response data for a pending two-factor step
+ * @param   {Object} user - User document
+ * @param   {string} requirement - 'login' | 'setup'
+ * @returns {Object} { requiresTwoFactor, requiresTwoFactorSetup, challengeToken }
+ */
+const buildTwoFactorChallenge = (user, requirement) => ({
+  requiresTwoFactor: requirement === 'login',
+  requiresTwoFactorSetup: requirement === 'setup',
+  challengeToken: generateChallengeToken({ id: user._id.toString() }, requirement)
+});
+
+/**
+ * @desc    Send a 423 Locked response for a throttled login
+ * @param   {Object} res  - Express response object
+ * @param   {Object} lock - { retryAfter, scope } from loginThrottle
+ */
+const sendLockedResponse = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: lock.scope === 'ip'
+      ? 'Too many failed login attempts from this network. Please try again later.'
+      : 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+    retryAfter: lock.retryAfter
+  });
+};
+
+/**
+ * @desc    Build the 403 body for an inactive account at login
+ *          Accounts the user deleted themselves get a restore token, since
+ *          the caller has just proved they own the account.
+ * @param   {Object} user - User document
+ * @returns {Object} Response body
+ */
+const buildLoginInactiveResponse = (user) => {
+  const body = buildInactiveAccountResponse(user);
+  if (user.isPendingDeletion() && user.deletion.initiatedBy === 'self') {
+    body.restoreToken = generateRestoreToken({ id: user._id.toString() });
+  }
+  return body;
+};
 
 /**
  * @desc    Register a new user
@@ -33,10 +163,11 @@ const UserModel = require('../models/UserSchema');
  */
 const signup = async (req, res) => {
   try {
-    const { email, password, name, role } = req.body;
+    // A role in the body is ignored: staff roles are only granted by admins
+    const { email, password, name } = req.body;
 
     // Validate input
-    const validation = validateRegisterInput(email, password, name, role);
+    const validation = validateRegisterInput(email, password, name);
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -58,35 +189,32 @@ const signup = async (req, res) => {
       email: email.toLowerCase(),
       password: password,
       name: name.trim(),
-      role: role ? role.toLowerCase() : 'user'
-    });
-
-    // Generate token pair (access + refresh)
-    const tokens = generateTokenPair({
-      id: newUser._id.toString(),
-      email: newUser.email,
-      role: newUser.role
+      role: 'user'
     });
 
-    // Store refresh token in cache for validation
-    if (cacheService.isConnected()) {
-      await cacheService.set(
-        `refresh:${newUser._id.toString()}`,
-        tokens.refreshToken,
-        604800 // 7 days
-      );
+    // Issue email verification token and send the welcome email with the link
+    // (mail failures must not block account creation - user can resend)
+    try {
+      const userDoc = await UserModel.findById(newUser._id);
+      await sendVerificationEmail(userDoc, 'signup');
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
     }
 
+    // Start a session and generate token pair (access + refresh)
+    const tokens = await createSessionTokens(newUser, req);
+
     // Return success response
     return res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       data: {
         user: {
           id: newUser._id.toString(),
           email: newUser.email,
           name: newUser.name,
           role: newUser.role,
+          isEmailVerified: false,
           createdAt: newUser.createdAt
         },
         accessToken: tokens.accessToken,
@@ -108,6 +236,9 @@ const signup = async (req, res) => {
  * @desc    Login user and return JWT token
  * @route   POST /api/auth/login
  * @access  Public
+ * 
+ * Repeated failures lock the account (and the client IP) temporarily,
+ * answering 423 Locked with a Retry-After header until the lock expires.
  */
 const login = async (req, res) => {
   try {
@@ -122,42 +253,54 @@ const login = async (req, res) => {
       });
     }
 
+    // Reject early while the account or IP is locked out
+    const throttleKey = { email, ip: getClientIp(req) };
+    const lock = await checkLoginLock(throttleKey);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
     // Verify credentials using the schema static method
     const user = await UserModel.verifyCredentials(email, password);
     
     if (!user) {
+      const failure = await recordFailedLogin(throttleKey);
+      if (failure.locked) {
+        return sendLockedResponse(res, failure);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Check if user is active
+    // Check if user is active (a suspension that has run out is lifted here)
+    await user.liftExpiredSuspension();
     if (!user.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: 'Account is deactivated. Contact support.'
+      return res.status(403).json(buildLoginInactiveResponse(user));
+    }
+
+    // Correct password - reset the failed-attempt counter
+    await recordSuccessfulLogin(throttleKey);
+
+    // Second factor required: hand out a short-lived challenge instead of tokens
+    const twoFactorRequirement = await getTwoFactorRequirement(user);
+    if (twoFactorRequirement) {
+      return res.status(200).json({
+        success: true,
+        message: twoFactorRequirement === 'login'
+          ? 'Two-factor authentication code required'
+          : 'Two-factor authentication must be set up before logging in',
+        data: buildTwoFactorChallenge(user, twoFactorRequirement)
       });
     }
 
     // Update last login timestamp
     await user.updateLastLogin();
 
-    // Generate token pair (access + refresh)
-    const tokens = generateTokenPair({
-      id: user._id.toString(),
-      email: user.email,
-      role: user.role
-    });
-
-    // Store refresh token in cache for validation
-    if (cacheService.isConnected()) {
-      await cacheService.set(
-        `refresh:${user._id.toString()}`,
-        tokens.refreshToken,
-        604800 // 7 days
-      );
-    }
+    // Start a session and generate token pair (access + refresh)
+    const tokens = await createSessionTokens(user, req);
 
     // Return success response
     return res.status(200).json({
@@ -171,6 +314,7 @@ const login = async (req, res) => {
           role: user.role,
           avatar: user.avatar,
           authProvider: user.authProvider || 'local',
+          isEmailVerified: !!user.isEmailVerified,
           lastLogin: user.lastLogin
         },
         accessToken: tokens.accessToken,
@@ -189,7 +333,7 @@ const login = async (req, res) => {
 };
 
 /**
- * @desc    Logout user (invalidate token in cache)
+ * @desc    Logout user (invalidate token in cache and end current session)
  * @route   POST /api/auth/logout
  * @access  Private (requires authentication)
  */
@@ -205,8 +349,12 @@ const logout = async (req, res) => {
       await cacheService.set(tokenKey, 'blacklisted', 604800); // 7 days TTL
     }
 
+    // End the session this access token belongs to (its refresh token dies with it)
+    if (req.user.sid) {
+      await Session.revokeById(req.user.sid, 'logout', { user: userId });
+    }
+
     // Clear user's cached data
-    const cacheKey = `cache:${userId}:*`;
     if (cacheService.isConnected()) {
       await cacheService.del(`cache:${userId}:/api/users/me`);
     }
@@ -252,6 +400,8 @@ const getMe = async (req, res) => {
         avatar: user.avatar,
         authProvider: user.authProvider,
         isActive: user.isActive,
+        isEmailVerified: !!user.isEmailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
@@ -268,6 +418,35 @@ const getMe = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Passport authentication of the Google OAuth callback (sets req.user)
+ *          Google sign-in is refused when the email belongs to an account that
+ *          has not linked Google; its owner must link it from the settings.
+ * @param   {string} mode - 'redirect' (frontend login page) or 'json'
+ * @returns {Function} Express middleware
+ */
+const authenticateGoogleCallback = (mode) => (req, res, next) => {
+  passport.authenticate('google', { session: false }, (error, user, info) => {
+    if (error) return next(error);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+
+    if (info?.conflict === 'ACCOUNT_NOT_LINKED') {
+      if (mode === 'json') {
+        return res.status(409).json({
+          success: false,
+          message: 'An account with this email already exists. Log in with your password and link Google from your account settings.'
+        });
+      }
+      return res.redirect(`${FRONTEND_URL}/login?error=google_account_not_linked`);
+    }
+
+    return res.redirect('/api/auth/google/failure');
+  })(req, res, next);
+};
+
 /**
  * @desc    Handle Google OAuth callback
  * @route   GET /api/auth/google/callback
@@ -282,16 +461,27 @@ const googleCallback = async (req, res) => {
       return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=authentication_failed`);
     }
 
-    // Generate token pair
-    const tokenPayload = {
-      id: user._id.toString(),
-      email: user.email,
-      role: user.role
-    };
-    const { accessToken, refreshToken } = generateTokenPair(tokenPayload);
+    await user.liftExpiredSuspension();
+    if (!user.isActive) {
+      const { restoreToken } = buildLoginInactiveResponse(user);
+      if (restoreToken) {
+        return res.redirect(`${FRONTEND_URL}/login?error=account_pending_deletion&restoreToken=${restoreToken}`);
+      }
+      const error = user.isSuspended() ? 'account_suspended' : 'account_deactivated';
+      return res.redirect(`${FRONTEND_URL}/login?error=${error}`);
+    }
+
+    // Second factor required: send the challenge to the frontend instead of tokens
+    const twoFactorRequirement = await getTwoFactorRequirement(user);
+    if (twoFactorRequirement) {
+      const challenge = buildTwoFactorChallenge(user, twoFactorRequirement);
+      return res.redirect(
+        `${FRONTEND_URL}/oauth/callback?challengeToken=${challenge.challengeToken}&twoFactor=${twoFactorRequirement}`
+      );
+    }
 
-    // Store refresh token in Redis cache
-    await cache.set(`refresh:${user._id}`, refreshToken, 604800); // 7 days TTL
+    // Start a session and generate token pair
+    const { accessToken, refreshToken } = await createSessionTokens(user, req);
 
     // Redirect to frontend with tokens
     // Frontend should extract tokens from URL and store them
@@ -323,16 +513,25 @@ const googleCallbackJson = async (req, res) => {
       });
     }
 
-    // Generate token pair
-    const tokenPayload = {
-      id: user._id.toString(),
-      email: user.email,
-      role: user.role
-    };
-    const { accessToken, refreshToken } = generateTokenPair(tokenPayload);
+    await user.liftExpiredSuspension();
+    if (!user.isActive) {
+      return res.status(403).json(buildLoginInactiveResponse(user));
+    }
+
+    // Second factor required: return a challenge instead of tokens
+    const twoFactorRequirement = await getTwoFactorRequirement(user);
+    if (twoFactorRequirement) {
+      return res.status(200).json({
+        success: true,
+        message: twoFactorRequirement === 'login'
+          ? 'Two-factor authentication code required'
+          : 'Two-factor authentication must be set up before logging in',
+        data: buildTwoFactorChallenge(user, twoFactorRequirement)
+      });
+    }
 
-    // Store refresh token in Redis cache
-    await cache.set(`refresh:${user._id}`, refreshToken, 604800); // 7 days TTL
+    // Start a session and generate token pair
+    const { accessToken, refreshToken } = await createSessionTokens(user, req);
 
     return res.status(200).json({
       success: true,
@@ -362,17 +561,68 @@ const googleCallbackJson = async (req, res) => {
 };
 
 /**
- * @desc    Refresh access token using refresh token
+ * @desc    Start linking a Google identity (redirects to Google)
+ * @route   GET /api/auth/google/link?state=<link state>
+ * @access  Public (state token from POST /api/users/me/google/link)
+ */
+const startGoogleLink = (req, res, next) => {
+  const { state } = req.query;
+
+  if (!isGoogleConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Google sign-in is not configured'
+    });
+  }
+
+  if (!state || !verifyGoogleLinkState(state)) {
+    return res.redirect(`${FRONTEND_URL}/settings/account?googleLink=error&reason=INVALID_STATE`);
+  }
+
+  return passport.authenticate('google-link', {
+    scope: ['profile', 'email'],
+    session: false,
+    state
+  })(req, res, next);
+};
+
+/**
+ * @desc    Google callback for account linking - redirects to account settings
+ * @route   GET /api/auth/google/link/callback
+ * @access  Public (called by Google)
+ */
+const googleLinkCallback = (req, res, next) => {
+  passport.authenticate('google-link', { session: false }, async (error, user, info) => {
+    const settingsURL = `${FRONTEND_URL}/settings/account`;
+    res.clearCookie(GOOGLE_LINK_COOKIE, googleLinkCookieOptions());
+
+    if (error || !user) {
+      if (error) console.error('Google link callback error:', error);
+      const reason = info?.conflict || 'LINK_FAILED';
+      return res.redirect(`${settingsURL}?googleLink=error&reason=${reason}`);
+    }
+
+    await clearUserCache(user._id.toString());
+    return res.redirect(`${settingsURL}?googleLink=success`);
+  })(req, res, next);
+};
+
+/**
+ * @desc    Refresh access token using refresh token (rotates the refresh token)
  * @route   POST /api/auth/refresh
  * @access  Public
  * 
+ * Every refresh token can be used exactly once. A successful refresh returns
+ * a new refresh token and invalidates the presented one. Presenting a token
+ * that was already rotated is treated as theft and revokes the whole session.
+ * 
  * @param {Object} req.body
  * @param {string} req.body.refreshToken - The refresh token to validate
  * 
- * @returns {Object} Response with new access token
+ * @returns {Object} Response with new token pair
  * @returns {boolean} response.success - Operation success status
  * @returns {string} response.message - Response message
- * @returns {Object} response.data - Contains new accessToken
+ * @returns {Object} response.data - Contains new accessToken and refreshToken
  * 
  * @example
  * // Request body:
@@ -383,7 +633,8 @@ const googleCallbackJson = async (req, res) => {
  *   "success": true,
  *   "message": "Token refreshed successfully",
  *   "data": {
- *     "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *   }
  * }
  */
@@ -401,54 +652,81 @@ const refreshAccessToken = async (req, res) => {
 
     // Verify the refresh token
     const decoded = verifyRefreshToken(token);
-    if (!decoded) {
+    if (!decoded || !decoded.sid || !decoded.jti) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired refresh token'
       });
     }
 
-    // Check if refresh token exists in cache (not revoked)
-    const cachedToken = await cache.get(`refresh:${decoded.id}`);
-    if (!cachedToken || cachedToken !== token) {
+    // Load the session the token belongs to
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.user.toString() !== decoded.id || !session.isActive()) {
       return res.status(401).json({
         success: false,
         message: 'Refresh token has been revoked'
       });
     }
 
+    // Rotate: only the current token id is accepted
+    const rotated = await Session.rotate(session._id, decoded.jti, {
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req)
+    });
+
+    if (!rotated) {
+      // Token was already used - assume it was stolen and kill the session
+      await Session.revokeById(session._id, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for session ${session._id} (user ${decoded.id})`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
     // Verify user still exists and is active
-    const user = await User.findById(decoded.id).select('email role isActive');
+    const user = await UserModel.findById(decoded.id).select('email role isActive suspension twoFactor.enabled');
     if (!user) {
-      // Clean up orphaned token
-      await cache.delete(`refresh:${decoded.id}`);
+      await rotated.revoke('user_revoked');
       return res.status(401).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    await user.liftExpiredSuspension();
     if (!user.isActive) {
-      // Clean up token for deactivated user
-      await cache.delete(`refresh:${decoded.id}`);
+      await rotated.revoke(user.isSuspended() ? 'suspended' : 'user_revoked');
+      return res.status(403).json(buildInactiveAccountResponse(user));
+    }
+
+    // Same 2FA policy as login: sessions started before 2FA became mandatory
+    // for the user's role end here, and the user must log in and enroll
+    if (await getTwoFactorRequirement(user) === 'setup') {
+      await rotated.revoke('two_factor_required');
       return res.status(403).json({
         success: false,
-        message: 'User account is deactivated'
+        message: 'Two-factor authentication is required for your account. Please log in again to set it up.',
+        requiresTwoFactorSetup: true
       });
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken({
+    // Generate new token pair bound to the rotated token id
+    const { accessToken, refreshToken } = generateTokenPair({
       id: user._id.toString(),
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: rotated._id.toString(),
+      tokenId: rotated.tokenId
     });
 
     return res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        accessToken
+        accessToken,
+        refreshToken
       }
     });
 
@@ -463,24 +741,29 @@ const refreshAccessToken = async (req, res) => {
 };
 
 /**
- * @desc    Revoke refresh token (logout from all devices)
+ * @desc    Revoke refresh tokens (logout from all devices)
  * @route   POST /api/auth/revoke
  * @access  Private
  * 
  * @returns {Object} Response confirming token revocation
  * @returns {boolean} response.success - Operation success status
  * @returns {string} response.message - Response message
+ * @returns {Object} response.data - Contains revokedSessions count
  */
 const revokeToken = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Remove refresh token from cache
-    await cache.delete(`refresh:${userId}`);
+    // Revoke every session (and with it every refresh token) of the user
+    const revokedSessions = await Session.revokeAllForUser(userId, 'logout_all');
+    await clearUserCache(userId);
 
     return res.status(200).json({
       success: true,
-      message: 'Refresh token revoked successfully'
+      message: 'Refresh token revoked successfully',
+      data: {
+        revokedSessions
+      }
     });
 
   } catch (error) {
@@ -493,14 +776,643 @@ const revokeToken = async (req, res) => {
   }
 };
 
-// Export all controller methods
+/**
+ * @desc    Verify email address using the token sent at signup
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ * @body    { token }
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await UserModel.findByEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    await user.markEmailVerified();
+    await clearUserCache(user._id.toString());
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: user.email,
+        isEmailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ * @body    { email }
+ * @note    Always responds with the same message to avoid leaking which
+ *          addresses are registered
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const validation = validateEmail(email);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    const user = await UserModel.findByEmail(email);
+
+    if (user && !user.isEmailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a new verification email has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Send a password reset link to the account's email address
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ * @body    { email }
+ * @note    Always responds with the same message to avoid leaking which
+ *          addresses are registered
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const validation = validateEmail(email);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    const user = await UserModel.findByEmail(email);
+
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      await queueTemplatedMail({
+        to: user.email,
+        template: 'passwordReset',
+        data: {
+          name: user.name,
+          resetUrl: `${FRONTEND_URL}/reset-password?token=${resetToken}`
+        }
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Reset password using a valid reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ * @body    { token, newPassword }
+ * @note    Revokes existing refresh tokens so other sessions must log in again
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is required'
+      });
+    }
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordValidation.message
+      });
+    }
+
+    const user = await UserModel.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    await user.resetPassword(newPassword);
+
+    // Sign out every device that may hold the old credentials
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await clearUserCache(user._id.toString());
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Verify a two-factor code under the login lockout
+ *          Code guessing counts against the same lockout as password guessing.
+ * @param   {Object} user - User loaded with findWithTwoFactorSecrets()
+ * @param   {string} code - TOTP or recovery code
+ * @param   {Object} req  - Express request (client IP)
+ * @returns {Promise<Object>} { method, lock } - method is 'totp' | 'recovery' | null;
+ *          lock is set when the request must be refused with 423
+ */
+const verifyThrottledTwoFactorCode = async (user, code, req) => {
+  const throttleKey = { email: user.email, ip: getClientIp(req) };
+  const lock = await checkLoginLock(throttleKey);
+  if (lock.locked) {
+    return { method: null, lock };
+  }
+
+  const method = await user.verifyTwoFactorCode(code);
+  if (!method) {
+    const failure = await recordFailedLogin(throttleKey);
+    return { method: null, lock: failure.locked ? failure : null };
+  }
+
+  await recordSuccessfulLogin(throttleKey);
+  return { method, lock: null };
+};
+
+/**
+ * @desc    Complete a login with a two-factor code (TOTP or recovery code)
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires challenge token from login)
+ * @body    { challengeToken, code }
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, 'login');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token. Please log in again.'
+      });
+    }
+
+    const user = await UserModel.findWithTwoFactorSecrets(decoded.id);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token. Please log in again.'
+      });
+    }
+
+    const { method, lock } = await verifyThrottledTwoFactorCode(user, code, req);
+    if (lock) {
+      return sendLockedResponse(res, lock);
+    }
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await user.updateLastLogin();
+
+    const tokens = await createSessionTokens(user, req);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id.toString(),
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          avatar: user.avatar,
+          authProvider: user.authProvider || 'local',
+          isEmailVerified: !!user.isEmailVerified,
+          twoFactorEnabled: true,
+          lastLogin: user.lastLogin
+        },
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        ...(method === 'recovery' && {
+          recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (access token, or setup challenge token in body)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await UserModel.findWithTwoFactorSecrets(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = user.beginTwoFactorSetup();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a code and enable two-factor authentication
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (access token, or setup challenge token in body)
+ * @body    { code, challengeToken? }
+ * 
+ * When called with a setup challenge token (mandatory 2FA at login),
+ * the login is completed and a token pair is returned as well.
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+
+    const user = await UserModel.findWithTwoFactorSecrets(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = await user.enableTwoFactor(code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await clearUserCache(user._id.toString());
+
+    const data = { recoveryCodes };
+
+    // Enrollment forced at login: finish the login now
+    if (req.user.twoFactorSetup) {
+      await user.updateLastLogin();
+      const tokens = await createSessionTokens(user, req);
+      data.accessToken = tokens.accessToken;
+      data.refreshToken = tokens.refreshToken;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ * @body    { code, password? }
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, password } = req.body;
+
+    const user = await UserModel.findWithTwoFactorSecrets(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isPrivilegedUser(user)) {
+      const security = await SystemSetting.getValue('security');
+      if (security.require2FAForPrivilegedRoles) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is mandatory for your role'
+        });
+      }
+    }
+
+    // Password and code guessing count against the login lockout
+    const throttleKey = { email: user.email, ip: getClientIp(req) };
+    const lock = await checkLoginLock(throttleKey);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      const failure = await recordFailedLogin(throttleKey);
+      if (failure.locked) {
+        return sendLockedResponse(res, failure);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    const { method, lock: codeLock } = await verifyThrottledTwoFactorCode(user, code, req);
+    if (codeLock) {
+      return sendLockedResponse(res, codeLock);
+    }
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await user.disableTwoFactor();
+    await clearUserCache(user._id.toString());
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Regenerate two-factor recovery codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ * @body    { code }
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await UserModel.findWithTwoFactorSecrets(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { method, lock } = await verifyThrottledTwoFactorCode(user, code, req);
+    if (lock) {
+      return sendLockedResponse(res, lock);
+    }
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// ACCOUNT RESTORE
+// =============================================================================
+
+/**
+ * @desc    Cancel a self-requested account deletion during the grace period
+ *          The restore token comes from the 403 login response of the
+ *          account. The user logs in normally afterwards.
+ * @route   POST /api/auth/restore-account
+ * @access  Public (restore token)
+ * @body    { restoreToken }
+ */
+const restoreAccount = async (req, res) => {
+  try {
+    const { restoreToken } = req.body;
+
+    const decoded = restoreToken ? verifyRestoreToken(restoreToken) : null;
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired restore token. Please log in again.'
+      });
+    }
+
+    const user = await UserModel.findById(decoded.id);
+    if (!user || !user.isPendingDeletion() || user.deletion.initiatedBy !== 'self') {
+      return res.status(400).json({
+        success: false,
+        message: 'This account cannot be restored'
+      });
+    }
+
+    await user.cancelDeletion();
+    await clearUserCache(user._id.toString());
+    await clearAccountStatusCache(user._id.toString());
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account restored. You can log in again.',
+      data: {
+        email: user.email,
+        isActive: user.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore account error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to restore account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   signup,
   login,
   logout,
   getMe,
+  authenticateGoogleCallback,
   googleCallback,
   googleCallbackJson,
+  startGoogleLink,
+  googleLinkCallback,
   refreshAccessToken,
-  revokeToken
+  revokeToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  restoreAccount
 };
@@ -21,6 +21,9 @@ const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/UserSchema');
 const { emitToUser, emitToConversation, isUserOnline } = require('../config/websocket');
+const { notifyNewMessage } = require('../utils/notifier');
+const { getRoleNamesWithPermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
 
 // =============================================================================
 // START OR GET CONVERSATION
@@ -37,10 +40,10 @@ const startConversation = async (req, res) => {
     const userId = req.user.id;
     const { subject = 'Support Request' } = req.body;
 
-    // Find an available support/admin staff member
-    // Priority: support staff first, then admin
+    // Find an available staff member (any role that can reply to chats)
+    const staffRoles = await getRoleNamesWithPermission(PERMISSIONS.CHAT_REPLY);
     let staffMember = await User.findOne({
-      role: { $in: ['support', 'admin'] },
+      role: { $in: staffRoles },
       _id: { $ne: userId }
     }).sort({ lastLogin: -1 }); // Most recently active
 
@@ -332,13 +335,12 @@ const sendMessage = async (req, res) => {
       conversationId
     });
 
-    // Notify offline participants
+    // Notify the other participants (honors their notification preferences)
     for (const participantId of otherParticipants) {
-      emitToUser(participantId.toString(), 'notification', {
-        type: 'new_message',
+      await notifyNewMessage(participantId, {
         conversationId,
-        preview: content.substring(0, 80),
         senderName: req.user.name || req.user.email,
+        content,
         sentAt: message.createdAt
       });
     }
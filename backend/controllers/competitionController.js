@@ -79,6 +79,7 @@ const getCompetitions = async (req, res) => {
       'category',
       'registrationsCount',
       'maxRegistrations',
+      'waitlistEnabled',
       'totalPrizePool',
       'prizeCurrency',
       'type',
@@ -105,6 +106,8 @@ const getCompetitions = async (req, res) => {
       ...comp,
       isRegistrationOpen: comp.deadline > now &&
         (comp.maxRegistrations === 0 || comp.registrationsCount < comp.maxRegistrations),
+      isWaitlistOpen: comp.waitlistEnabled && comp.deadline > now &&
+        comp.maxRegistrations > 0 && comp.registrationsCount >= comp.maxRegistrations,
       daysUntilDeadline: Math.ceil((comp.deadline - now) / (1000 * 60 * 60 * 24)),
       registrationProgress: comp.maxRegistrations > 0
         ? Math.round((comp.registrationsCount / comp.maxRegistrations) * 100)
@@ -180,6 +183,9 @@ const getCompetitionByIdentifier = async (req, res) => {
       isRegistrationOpen: competition.deadline > now &&
         (competition.maxRegistrations === 0 || 
          competition.registrationsCount < competition.maxRegistrations),
+      isWaitlistOpen: competition.waitlistEnabled && competition.deadline > now &&
+        competition.maxRegistrations > 0 &&
+        competition.registrationsCount >= competition.maxRegistrations,
       daysUntilDeadline: Math.ceil((competition.deadline - now) / (1000 * 60 * 60 * 24)),
       registrationProgress: competition.maxRegistrations > 0
         ? Math.round((competition.registrationsCount / competition.maxRegistrations) * 100)
@@ -6,7 +6,7 @@
  * 
  * Features:
  * - Dashboard overview with stats
- * - Registered competitions list
+ * - Registered competitions list (including teams joined as a member)
  * - Activity timeline
  * - Upcoming deadlines
  * - Profile completion status
@@ -158,6 +158,8 @@ const getDashboardOverview = async (req, res) => {
 
 /**
  * @desc    Get all competitions user is registered for
+ *          Includes team registrations the user joined by accepting an invite
+ *          (teamRole: captain | member).
  * @route   GET /api/dashboard/competitions
  * @access  Private
  */
@@ -167,8 +169,13 @@ const getMyCompetitions = async (req, res) => {
     const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 10 });
     const { status, timeframe } = req.query;
 
-    // Build filter
-    const filter = { user: userId };
+    // Build filter: own registrations and teams joined as a member
+    const filter = {
+      $or: [
+        { user: userId },
+        { teamMembers: { $elemMatch: { userId, inviteStatus: 'accepted' } } }
+      ]
+    };
     if (status) {
       filter.status = status;
     }
@@ -200,7 +207,7 @@ const getMyCompetitions = async (req, res) => {
             select: 'name slug icon'
           }
         })
-        .select('status confirmationCode teamName createdAt submission')
+        .select('user status confirmationCode teamName teamMembers createdAt submission')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -216,6 +223,8 @@ const getMyCompetitions = async (req, res) => {
         confirmationCode: reg.confirmationCode,
         registrationStatus: reg.status,
         teamName: reg.teamName,
+        teamRole: reg.teamName ? (reg.user.toString() === userId ? 'captain' : 'member') : null,
+        teamMembers: (reg.teamMembers || []).map(({ name, role, inviteStatus }) => ({ name, role, inviteStatus })),
         registeredAt: reg.createdAt,
         hasSubmission: !!reg.submission?.submittedAt,
         competition: reg.competition
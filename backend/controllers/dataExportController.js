@@ -0,0 +1,215 @@
+/**
+ * =============================================================================
+ * DATA EXPORT CONTROLLER
+ * =============================================================================
+ * Lets users download a copy of their personal data (ZIP: JSON + CSV)
+ *
+ * Methods:
+ * - requestExport       : Stream the archive, or start a background export
+ * - getExportStatus     : Status of a background export
+ * - downloadExport      : Download a finished background export
+ *
+ * Archive contents and the sync/background threshold: utils/dataExport.js
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const { getS3ObjectStream } = require('../config/s3');
+const {
+  SYNC_RECORD_LIMIT,
+  countUserRecords,
+  collectUserData,
+  createExportArchive,
+  getExportFileName,
+  removePreviousExports
+} = require('../utils/dataExport');
+const { enqueue } = require('../utils/jobQueue');
+const { JOB_NAMES } = require('../config/jobs');
+
+/**
+ * @desc    Shape a DataExport document for responses
+ * @param   {Object} dataExport - DataExport document
+ * @returns {Object}
+ */
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  recordCounts: dataExport.recordCounts,
+  fileSize: dataExport.fileSize,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  statusUrl: `/api/users/me/export/${dataExport._id}`,
+  downloadUrl: dataExport.status === 'completed'
+    ? `/api/users/me/export/${dataExport._id}/download`
+    : null
+});
+
+/**
+ * @desc    Find one of the current user's exports by the :exportId param
+ * @param   {Object} req - Express request
+ * @returns {Promise<Object|null>}
+ */
+const findOwnExport = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) return null;
+  return DataExport.findOne({ _id: req.params.exportId, user: req.user.id });
+};
+
+/**
+ * @desc    Export the current user's personal data
+ *          Small exports are streamed as a ZIP download (200). Larger ones,
+ *          or any export with ?async=true, are built in the background (202).
+ * @route   GET /api/users/me/export
+ * @access  Private
+ * @query   async - "true" to always build in the background
+ */
+const requestExport = async (req, res) => {
+  try {
+    // Only one background export at a time
+    const inProgress = await DataExport.findInProgress(req.user.id);
+    if (inProgress) {
+      return res.status(202).json({
+        success: true,
+        message: 'Your data export is already being prepared',
+        data: formatExport(inProgress)
+      });
+    }
+
+    const recordCount = await countUserRecords(req.user.id);
+    const runInBackground = req.query.async === 'true' || recordCount > SYNC_RECORD_LIMIT;
+
+    if (runInBackground) {
+      await removePreviousExports(req.user.id);
+      const dataExport = await DataExport.create({ user: req.user.id });
+
+      await enqueue(JOB_NAMES.BUILD_DATA_EXPORT, { exportId: dataExport._id.toString() });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your data export is being prepared. Check the status URL for progress.',
+        data: formatExport(dataExport)
+      });
+    }
+
+    const data = await collectUserData(req.user.id);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const archive = createExportArchive(data);
+    archive.on('error', (error) => {
+      console.error('Data export stream error:', error);
+      res.destroy(error);
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${getExportFileName()}"`,
+      'Cache-Control': 'no-store'
+    });
+    archive.pipe(res);
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export data',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the status of a background data export
+ * @route   GET /api/users/me/export/:exportId
+ * @access  Private
+ */
+const getExportStatus = async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req);
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: formatExport(dataExport)
+    });
+
+  } catch (error) {
+    console.error('Get data export status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch export status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Download a finished background data export
+ * @route   GET /api/users/me/export/:exportId/download
+ * @access  Private
+ */
+const downloadExport = async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req);
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    if (dataExport.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: `Export is ${dataExport.status}`
+      });
+    }
+
+    if (dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'Export has expired. Request a new one.'
+      });
+    }
+
+    const { stream, contentLength } = await getS3ObjectStream(dataExport.storageKey);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${getExportFileName()}"`,
+      'Cache-Control': 'no-store'
+    });
+    if (contentLength) res.set('Content-Length', String(contentLength));
+
+    stream.on('error', (error) => {
+      console.error('Data export download stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to download export',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  requestExport,
+  getExportStatus,
+  downloadExport
+};
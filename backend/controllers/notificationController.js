@@ -0,0 +1,301 @@
+/**
+ * =============================================================================
+ * NOTIFICATION CONTROLLER
+ * =============================================================================
+ * Notification endpoints
+ *
+ * Methods:
+ * - getNotifications   : List the user's notification center (paginated)
+ * - getUnreadCount     : Number of unread notifications
+ * - markAsRead         : Mark one notification as read
+ * - markAllAsRead      : Mark every notification as read
+ * - getUnsubscribeInfo : Describe what an unsubscribe link turns off
+ * - unsubscribe        : Turn email notifications off (one-click)
+ *
+ * Entries are created by utils/notifier.js (inApp channel). Marking entries
+ * read emits "notifications_read" so the user's other tabs stay in sync.
+ *
+ * Unsubscribe tokens are embedded in every notification email by
+ * utils/notifier.js. GET never changes anything (mail scanners prefetch
+ * links); the change is a POST from the unsubscribe page or from a mail
+ * client's one-click button (RFC 8058).
+ * =============================================================================
+ */
+
+const User = require('../models/UserSchema');
+const Notification = require('../models/Notification');
+const { emitToUser } = require('../config/websocket');
+const { getPagination, formatPagination } = require('../middleware/validators');
+const { verifyUnsubscribeToken } = require('../utils/tokenGenerator');
+const { NOTIFICATION_TYPES, NOTIFICATION_TYPE_DESCRIPTIONS } = require('../config/notifications');
+const { clearUserCache } = require('../middleware/cache');
+
+// =============================================================================
+// NOTIFICATION CENTER
+// =============================================================================
+
+/**
+ * @desc    Tell the user's open sockets that entries were read
+ * @param   {string} userId
+ * @param   {Object} payload - { ids } or { all: true }
+ * @returns {Promise<number>} Unread count after the change
+ */
+const emitNotificationsRead = async (userId, payload) => {
+  const unreadCount = await Notification.countUnread(userId);
+  emitToUser(userId, 'notifications_read', { ...payload, unreadCount });
+  return unreadCount;
+};
+
+/**
+ * @desc    List the current user's notifications (newest first)
+ * @route   GET /api/notifications
+ * @access  Private
+ * @query   unread ("true" for unread only), type, page, limit
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 20 });
+
+    const filter = { user: req.user.id };
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (req.query.type) filter.type = req.query.type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user.id)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        notifications: notifications.map((notification) => notification.toSummary()),
+        unreadCount,
+        pagination: formatPagination(total, page, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the number of unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get notification unread count error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Mark one notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private (own notifications)
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await emitNotificationsRead(req.user.id, { ids: [notification._id] });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification: notification.toSummary(),
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification as read error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user.id);
+    const unreadCount = await emitNotificationsRead(req.user.id, { all: true });
+
+    return res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        modifiedCount: result.modifiedCount,
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications as read error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// EMAIL UNSUBSCRIBE
+// =============================================================================
+
+/**
+ * @desc    Read and verify the unsubscribe token from the query or body
+ * @param   {Object} req - Express request
+ * @returns {Object|null} Decoded token
+ */
+const readUnsubscribeToken = (req) => {
+  const token = req.query.token || req.body?.token;
+  return token ? verifyUnsubscribeToken(token) : null;
+};
+
+/**
+ * @desc    Describe an unsubscribe link without changing anything
+ * @route   GET /api/notifications/unsubscribe?token=
+ * @access  Public (token)
+ */
+const getUnsubscribeInfo = async (req, res) => {
+  try {
+    const decoded = readUnsubscribeToken(req);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const { notificationType } = decoded;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        notificationType,
+        description: notificationType
+          ? NOTIFICATION_TYPE_DESCRIPTIONS[notificationType]
+          : 'All notification emails'
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unsubscribe info error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to read unsubscribe link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Turn off email for the token's notification type (or all types)
+ *          Accepts the token as ?token= or in the body, so mail clients can
+ *          POST the List-Unsubscribe URL directly.
+ * @route   POST /api/notifications/unsubscribe
+ * @access  Public (token)
+ * @body    { token } (optional when given in the query)
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const decoded = readUnsubscribeToken(req);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const types = decoded.notificationType
+      ? [decoded.notificationType]
+      : Object.values(NOTIFICATION_TYPES);
+
+    const updates = types.reduce((set, type) => {
+      set[`notificationPreferences.${type}.email`] = false;
+      return set;
+    }, {});
+
+    const result = await User.updateOne({ _id: decoded.id, anonymizedAt: null }, { $set: updates });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    await clearUserCache(decoded.id);
+
+    return res.status(200).json({
+      success: true,
+      message: decoded.notificationType
+        ? `You will no longer receive "${NOTIFICATION_TYPE_DESCRIPTIONS[decoded.notificationType]}" emails`
+        : 'You will no longer receive notification emails',
+      data: {
+        unsubscribed: types
+      }
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getUnsubscribeInfo,
+  unsubscribe
+};
@@ -0,0 +1,348 @@
+/**
+ * =============================================================================
+ * ORGANIZER CONTROLLER
+ * =============================================================================
+ * Endpoints for users assigned as organizers of specific competitions
+ *
+ * Features:
+ * - List and view organized competitions
+ * - Edit competition details (not status, category or featured flag)
+ * - Manage co-organizers (lead organizers only)
+ *
+ * Registration review and export reuse the admin registration handlers,
+ * limited to organized competitions by middleware/organizer.js.
+ * =============================================================================
+ */
+
+const Competition = require('../models/Competition');
+const Registration = require('../models/Registration');
+const User = require('../models/UserSchema');
+const cacheService = require('../config/cache');
+const { recordAudit, pickFields } = require('../utils/auditLogger');
+const { notifyCompetitionUpdated } = require('../utils/notifier');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+
+// Fields organizers may change; status, category, featuring and
+// organizer assignments stay with admins
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'deadline',
+  'startDate',
+  'endDate',
+  'maxRegistrations',
+  'waitlistEnabled',
+  'venue',
+  'isOnline',
+  'teamSize',
+  'teamLockAt',
+  'prizes',
+  'requirements',
+  'rules',
+  'faqs',
+  'tags',
+  'externalLink',
+  'contactEmail',
+  'organizer',
+  'sponsors'
+];
+
+const DATE_FIELDS = ['deadline', 'startDate', 'endDate', 'teamLockAt'];
+
+// =============================================================================
+// MY COMPETITIONS
+// =============================================================================
+
+/**
+ * @desc    Get competitions the user organizes
+ * @route   GET /api/organizer/competitions
+ * @access  Organizer
+ */
+const getMyCompetitions = async (req, res) => {
+  try {
+    const competitions = await Competition.findByOrganizer(req.user.id)
+      .sort({ deadline: -1 })
+      .select('title slug status deadline category registrationsCount thumbnail organizers')
+      .populate('category', 'name slug color')
+      .lean();
+
+    const data = competitions.map(({ organizers, ...competition }) => ({
+      ...competition,
+      organizerRole: organizers.find((o) => o.user.toString() === req.user.id).role
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get organizer competitions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch competitions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get an organized competition with registration stats
+ * @route   GET /api/organizer/competitions/:competitionId
+ * @access  Organizer (of this competition)
+ */
+const getCompetition = async (req, res) => {
+  try {
+    const competition = await Competition.findById(req.competition._id)
+      .populate('category', 'name slug color')
+      .populate('organizers.user', 'name email avatar')
+      .lean();
+
+    const registrationStats = await Registration.getCompetitionStats(competition._id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...competition,
+        organizerRole: req.organizerRole,
+        registrationStats
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organizer competition error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch competition',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// UPDATE COMPETITION
+// =============================================================================
+
+/**
+ * @desc    Update details of an organized competition
+ * @route   PUT /api/organizer/competitions/:competitionId
+ * @access  Organizer (of this competition)
+ */
+const updateCompetition = async (req, res) => {
+  try {
+    const competition = req.competition;
+
+    const blocked = Object.keys(req.body).filter((field) => !EDITABLE_FIELDS.includes(field));
+    if (blocked.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Organizers cannot change: ${blocked.join(', ')}`
+      });
+    }
+
+    const before = pickFields(competition, EDITABLE_FIELDS);
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      competition[field] = DATE_FIELDS.includes(field) && req.body[field] !== null
+        ? new Date(req.body[field])
+        : req.body[field];
+    });
+    competition.updatedBy = req.user.id;
+
+    const modifiedPaths = competition.modifiedPaths();
+    await competition.save();
+
+    // Invalidate caches
+    await Promise.all([
+      cacheService.delete('competitions:featured'),
+      cacheService.delete('competitions:trending'),
+      cacheService.delete(`competition:${competition._id}`)
+    ]);
+
+    await recordAudit(req, {
+      action: 'competition.update',
+      targetType: 'competition',
+      targetId: competition._id,
+      before,
+      after: pickFields(competition, EDITABLE_FIELDS),
+      metadata: { organizerRole: req.organizerRole }
+    });
+
+    await notifyCompetitionUpdated(competition, modifiedPaths);
+
+    // A higher limit frees slots for the waitlist
+    if (modifiedPaths.includes('maxRegistrations')) {
+      await promoteFromWaitlist(competition._id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Competition updated successfully',
+      data: competition
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+
+    console.error('Organizer update competition error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update competition',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// CO-ORGANIZERS
+// =============================================================================
+
+/**
+ * @desc    List organizers of a competition
+ * @route   GET /api/organizer/competitions/:competitionId/organizers
+ * @access  Organizer (of this competition)
+ */
+const getOrganizers = async (req, res) => {
+  try {
+    await req.competition.populate('organizers.user', 'name email avatar');
+
+    return res.status(200).json({
+      success: true,
+      data: req.competition.organizers
+    });
+
+  } catch (error) {
+    console.error('Get organizers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch organizers',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Add a co-organizer
+ * @route   POST /api/organizer/competitions/:competitionId/organizers
+ * @access  Lead organizer (of this competition)
+ * @body    { userId } or { email }
+ */
+const addCoOrganizer = async (req, res) => {
+  try {
+    const { userId, email } = req.body;
+    const competition = req.competition;
+
+    const user = userId
+      ? await User.findById(userId)
+      : await User.findByEmail(email);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const currentRole = competition.getOrganizerRole(user._id);
+    if (currentRole) {
+      return res.status(409).json({
+        success: false,
+        message: `User is already a ${currentRole} of this competition`
+      });
+    }
+
+    await competition.setOrganizer(user._id, 'co-organizer', req.user.id);
+
+    await recordAudit(req, {
+      action: 'competition.organizer_add',
+      targetType: 'competition',
+      targetId: competition._id,
+      before: { organizerRole: null },
+      after: { organizerRole: 'co-organizer' },
+      metadata: { user: user._id }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Co-organizer added successfully',
+      data: {
+        user: { id: user._id, name: user.name, email: user.email },
+        role: 'co-organizer'
+      }
+    });
+
+  } catch (error) {
+    console.error('Add co-organizer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add co-organizer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove a co-organizer
+ * @route   DELETE /api/organizer/competitions/:competitionId/organizers/:userId
+ * @access  Lead organizer (of this competition)
+ */
+const removeCoOrganizer = async (req, res) => {
+  try {
+    const competition = req.competition;
+    const targetRole = competition.getOrganizerRole(req.params.userId);
+
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not an organizer of this competition'
+      });
+    }
+
+    if (targetRole !== 'co-organizer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Lead organizers can only be removed by an admin'
+      });
+    }
+
+    await competition.removeOrganizer(req.params.userId, req.user.id);
+
+    await recordAudit(req, {
+      action: 'competition.organizer_remove',
+      targetType: 'competition',
+      targetId: competition._id,
+      before: { organizerRole: targetRole },
+      after: { organizerRole: null },
+      metadata: { user: req.params.userId }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Co-organizer removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove co-organizer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove co-organizer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getMyCompetitions,
+  getCompetition,
+  updateCompetition,
+  getOrganizers,
+  addCoOrganizer,
+  removeCoOrganizer
+};
@@ -6,8 +6,16 @@
  * 
  * Features:
  * - Register for competition with validation
+ *   (phone and institution prefilled from the participant profile; answers
+ *   checked against the competition's registration form)
  * - View my registrations
+ * - Waitlist when the competition is full and waitlistEnabled is set
+ *   (cancellations promote the next waitlisted registration, utils/waitlist.js)
+ * - Team members are invited to confirm (utils/teamInvites.js); a user can
+ *   be on one team per competition
+ * - Teams are managed after registration by controllers/teamController.js
  * - Cancel registration
+ * - Confirmation emails on registration and cancellation (utils/mailQueue.js)
  * - Submit project (for hackathons)
  * =============================================================================
  */
@@ -15,7 +23,12 @@
 const mongoose = require('mongoose');
 const Registration = require('../models/Registration');
 const Competition = require('../models/Competition');
+const User = require('../models/UserSchema');
 const { getPagination, formatPagination } = require('../middleware/validators');
+const { queueRegistrationMail } = require('../utils/mailQueue');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { sendTeamInvites } = require('../utils/teamInvites');
+const { validateAnswers } = require('../utils/registrationForm');
 
 // =============================================================================
 // REGISTER FOR COMPETITION
@@ -23,6 +36,11 @@ const { getPagination, formatPagination } = require('../middleware/validators');
 
 /**
  * @desc    Register for a competition
+ *          phone and institution fall back to the user's profile when omitted.
+ *          If the competition is full and has a waitlist, the registration
+ *          is created as "waitlisted" with its queue position.
+ *          additionalInfo holds the answers to the competition's
+ *          registration form (utils/registrationForm.js).
  * @route   POST /api/registrations/:competitionId
  * @access  Private
  */
@@ -36,6 +54,24 @@ const registerForCompetition = async (req, res) => {
     const userId = req.user.id;
     const { teamName, teamMembers, phone, institution, additionalInfo } = req.body;
 
+    // 0. Only verified accounts may register
+    const user = await User.findById(userId).select('name email isEmailVerified profile').session(session);
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before registering for competitions'
+      });
+    }
+
     // 1. Check if competition exists and is published
     const competition = await Competition.findOne({
       _id: competitionId,
@@ -80,6 +116,24 @@ const registerForCompetition = async (req, res) => {
       });
     }
 
+    // 3b. A user can only be on one team per competition
+    const membership = await Registration.findTeamMembership(userId, competitionId, session);
+    if (membership) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on a team for this competition',
+        data: { registrationId: membership._id }
+      });
+    }
+
+    // Members confirm through team invites; accounts are never linked here
+    const members = (teamMembers || []).map(({ name, email, role }) => ({
+      name,
+      email: email?.toLowerCase(),
+      role
+    }));
+
     // 4. Validate team requirements for team competitions
     if (competition.type === 'team') {
       if (!teamName) {
@@ -90,7 +144,23 @@ const registerForCompetition = async (req, res) => {
         });
       }
 
-      const teamSize = (teamMembers?.length || 0) + 1; // +1 for the registering user
+      const emails = members.map((member) => member.email);
+      if (emails.includes(user.email)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Do not list yourself as a team member'
+        });
+      }
+      if (new Set(emails).size !== emails.length) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Each team member must have a different email address'
+        });
+      }
+
+      const teamSize = members.length + 1; // +1 for the registering user
       if (teamSize < competition.teamSize.min) {
         await session.abortTransaction();
         return res.status(400).json({
@@ -107,30 +177,70 @@ const registerForCompetition = async (req, res) => {
       }
     }
 
-    // 5. Create registration with transaction
+    // 4b. Answers must match the competition's registration form, if it has one
+    let answers = additionalInfo;
+    if (competition.registrationForm.length > 0) {
+      const result = validateAnswers(competition.registrationForm, additionalInfo, userId);
+      if (result.errors.length > 0) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: result.errors
+        });
+      }
+      answers = result.answers;
+    }
+
+    // 5. Create registration with transaction (claims a slot, or joins the waitlist)
     const registration = await Registration.createWithTransaction({
       user: userId,
       competition: competitionId,
       teamName,
-      teamMembers,
-      phone,
-      institution,
-      additionalInfo,
+      teamMembers: members,
+      // Contact details default to the participant profile
+      phone: phone || user.profile?.phone || undefined,
+      institution: institution || user.profile?.institution || undefined,
+      additionalInfo: answers,
       status: 'pending'
-    }, session);
+    }, session, { allowWaitlist: competition.waitlistEnabled });
+
+    // Filled up since the check above
+    if (!registration) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum registrations reached'
+      });
+    }
 
     await session.commitTransaction();
 
     // Populate for response
     await registration.populate('competition', 'title slug deadline');
 
+    const waitlistPosition = await Registration.getWaitlistPosition(registration);
+
+    if (waitlistPosition) {
+      await queueRegistrationMail(registration, 'registrationWaitlisted', { waitlistPosition });
+    } else {
+      await queueRegistrationMail(registration, 'registrationReceived');
+    }
+
+    if (competition.type === 'team') {
+      await sendTeamInvites(registration, user);
+    }
+
     return res.status(201).json({
       success: true,
-      message: 'Registration successful! Awaiting approval.',
+      message: waitlistPosition
+        ? 'Competition is full. You have been added to the waitlist.'
+        : 'Registration successful! Awaiting approval.',
       data: {
         _id: registration._id,
         confirmationCode: registration.confirmationCode,
         status: registration.status,
+        waitlistPosition,
         competition: registration.competition,
         teamName: registration.teamName,
         createdAt: registration.createdAt
@@ -138,7 +248,9 @@ const registerForCompetition = async (req, res) => {
     });
 
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     console.error('Registration error:', error);
 
     // Handle duplicate key error
@@ -237,6 +349,8 @@ const getRegistrationById = async (req, res) => {
       });
     }
 
+    registration.waitlistPosition = await Registration.getWaitlistPosition(registration);
+
     return res.status(200).json({
       success: true,
       data: registration
@@ -258,6 +372,7 @@ const getRegistrationById = async (req, res) => {
 
 /**
  * @desc    Cancel a registration
+ *          A freed slot goes to the next waitlisted registration.
  * @route   PATCH /api/registrations/:id/cancel
  * @access  Private (owner only)
  */
@@ -294,8 +409,15 @@ const cancelRegistration = async (req, res) => {
     }
 
     // Cancel the registration
+    const heldSlot = ['pending', 'approved'].includes(registration.status);
     await registration.cancel(reason || 'Cancelled by user');
 
+    await queueRegistrationMail(registration, 'registrationCancelled');
+
+    if (heldSlot) {
+      await promoteFromWaitlist(registration.competition);
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Registration cancelled successfully'
@@ -393,7 +515,7 @@ const checkRegistrationStatus = async (req, res) => {
       user: userId,
       competition: competitionId,
       status: { $ne: 'cancelled' }
-    }).select('status confirmationCode createdAt');
+    }).select('competition status confirmationCode createdAt');
 
     if (!registration) {
       return res.status(200).json({
@@ -412,6 +534,7 @@ const checkRegistrationStatus = async (req, res) => {
           _id: registration._id,
           status: registration.status,
           confirmationCode: registration.confirmationCode,
+          waitlistPosition: await Registration.getWaitlistPosition(registration),
           registeredAt: registration.createdAt
         }
       }
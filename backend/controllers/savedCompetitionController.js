@@ -0,0 +1,161 @@
+/**
+ * =============================================================================
+ * SAVED COMPETITION CONTROLLER
+ * =============================================================================
+ * Competitions a user bookmarked
+ *
+ * Methods:
+ * - getSavedCompetitions : List the user's saved competitions (paginated)
+ * - saveCompetition      : Save a competition (idempotent)
+ * - unsaveCompetition    : Remove a saved competition
+ *
+ * Saved competitions get registration deadline reminders (utils/reminders.js)
+ * until the user registers.
+ * =============================================================================
+ */
+
+const Competition = require('../models/Competition');
+const SavedCompetition = require('../models/SavedCompetition');
+const { getPagination, formatPagination } = require('../middleware/validators');
+
+const COMPETITION_FIELDS = 'title slug shortDescription thumbnail deadline startDate endDate status registrationsCount';
+
+// =============================================================================
+// GET SAVED COMPETITIONS
+// =============================================================================
+
+/**
+ * @desc    List the current user's saved competitions (most recently saved first)
+ *          Deleted competitions are left out.
+ * @route   GET /api/users/me/saved-competitions
+ * @access  Private
+ * @query   page, limit
+ */
+const getSavedCompetitions = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 20 });
+    const filter = { user: req.user.id };
+
+    const [saved, total] = await Promise.all([
+      SavedCompetition.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({
+          path: 'competition',
+          match: { isDeleted: false },
+          select: COMPETITION_FIELDS
+        })
+        .lean(),
+      SavedCompetition.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        competitions: saved
+          .filter((entry) => entry.competition)
+          .map((entry) => ({ ...entry.competition, savedAt: entry.createdAt })),
+        pagination: formatPagination(total, page, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved competitions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved competitions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// SAVE / UNSAVE
+// =============================================================================
+
+/**
+ * @desc    Save a competition
+ * @route   PUT /api/users/me/saved-competitions/:competitionId
+ * @access  Private
+ */
+const saveCompetition = async (req, res) => {
+  try {
+    const { competitionId } = req.params;
+
+    const competition = await Competition.findOne({
+      _id: competitionId,
+      isDeleted: false,
+      status: { $ne: 'draft' }
+    }).select('_id');
+
+    if (!competition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition not found'
+      });
+    }
+
+    const result = await SavedCompetition.updateOne(
+      { user: req.user.id, competition: competition._id },
+      { $setOnInsert: { user: req.user.id, competition: competition._id } },
+      { upsert: true }
+    );
+    const created = result.upsertedCount > 0;
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Competition saved' : 'Competition already saved',
+      data: { competitionId: competition._id, saved: true }
+    });
+
+  } catch (error) {
+    console.error('Save competition error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save competition',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove a saved competition (no more reminders for it)
+ * @route   DELETE /api/users/me/saved-competitions/:competitionId
+ * @access  Private
+ */
+const unsaveCompetition = async (req, res) => {
+  try {
+    const result = await SavedCompetition.deleteOne({
+      user: req.user.id,
+      competition: req.params.competitionId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Competition is not saved'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Competition removed from saved',
+      data: { competitionId: req.params.competitionId, saved: false }
+    });
+
+  } catch (error) {
+    console.error('Unsave competition error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove saved competition',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getSavedCompetitions,
+  saveCompetition,
+  unsaveCompetition
+};
@@ -16,6 +16,10 @@ const Registration = require('../models/Registration');
 const Competition = require('../models/Competition');
 const User = require('../models/UserSchema');
 const { getPagination, formatPagination } = require('../middleware/validators');
+const { applyRegistrationScope } = require('../middleware/permissions');
+const { recordAudit, pickFields } = require('../utils/auditLogger');
+const { notifyRegistrationDecision } = require('../utils/notifier');
+const { rejectPendingRegistrations } = require('../utils/waitlist');
 
 // =============================================================================
 // GET PENDING REGISTRATIONS
@@ -34,8 +38,11 @@ const getPendingRegistrations = async (req, res) => {
     const filter = { status: 'pending' };
     if (competition) filter.competition = competition;
 
+    // Limit to the categories a scoped role may manage
+    const scopedFilter = await applyRegistrationScope(req, filter);
+
     const pipeline = [
-      { $match: filter },
+      { $match: scopedFilter },
       {
         $lookup: {
           from: 'users',
@@ -129,7 +136,9 @@ const approveRegistration = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const registration = await Registration.findById(id);
+    const registration = await Registration.findOne(
+      await applyRegistrationScope(req, { _id: id })
+    );
     if (!registration) {
       return res.status(404).json({
         success: false,
@@ -146,6 +155,17 @@ const approveRegistration = async (req, res) => {
 
     const updated = await Registration.approve(id, req.user.id);
 
+    await recordAudit(req, {
+      action: 'registration.approve',
+      targetType: 'registration',
+      targetId: registration._id,
+      before: pickFields(registration, ['status']),
+      after: pickFields(updated, ['status']),
+      metadata: { competition: registration.competition }
+    });
+
+    await notifyRegistrationDecision(updated);
+
     return res.status(200).json({
       success: true,
       message: 'Registration approved successfully',
@@ -176,7 +196,9 @@ const rejectRegistration = async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const registration = await Registration.findById(id);
+    const registration = await Registration.findOne(
+      await applyRegistrationScope(req, { _id: id })
+    );
     if (!registration) {
       return res.status(404).json({
         success: false,
@@ -191,8 +213,25 @@ const rejectRegistration = async (req, res) => {
       });
     }
 
-    const updated = await Registration.reject(id, req.user.id, reason);
-    await Competition.updateRegistrationCount(registration.competition, -1);
+    // Reject, free the slot and give it to the next waitlisted registration
+    const [updated] = await rejectPendingRegistrations([id], req.user.id, reason);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration was already processed'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'registration.reject',
+      targetType: 'registration',
+      targetId: registration._id,
+      before: pickFields(registration, ['status', 'reason']),
+      after: pickFields(updated, ['status', 'reason']),
+      metadata: { competition: registration.competition }
+    });
+
+    await notifyRegistrationDecision(updated);
 
     return res.status(200).json({
       success: true,
@@ -278,7 +317,9 @@ const getUserRegistrations = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const registrations = await Registration.find({ user: userId })
+    const scopedFilter = await applyRegistrationScope(req, { user: userId });
+
+    const registrations = await Registration.find(scopedFilter)
       .populate({
         path: 'competition',
         select: 'title slug deadline category'
@@ -313,16 +354,21 @@ const getUserRegistrations = async (req, res) => {
  */
 const getDashboardStats = async (req, res) => {
   try {
+    const competitionFilter = {
+      isDeleted: false,
+      status: 'published',
+      deadline: { $gte: new Date() }
+    };
+    if (req.permissionScope) {
+      competitionFilter.category = { $in: req.permissionScope.categories };
+    }
+
     const [pendingCount, todayRegistrations, activeCompetitions] = await Promise.all([
-      Registration.countDocuments({ status: 'pending' }),
-      Registration.countDocuments({
+      Registration.countDocuments(await applyRegistrationScope(req, { status: 'pending' })),
+      Registration.countDocuments(await applyRegistrationScope(req, {
         createdAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
-      }),
-      Competition.countDocuments({
-        isDeleted: false,
-        status: 'published',
-        deadline: { $gte: new Date() }
-      })
+      })),
+      Competition.countDocuments(competitionFilter)
     ]);
 
     return res.status(200).json({
@@ -0,0 +1,739 @@
+/**
+ * =============================================================================
+ * TEAM BOARD CONTROLLER
+ * =============================================================================
+ * "Looking for team" board of team competitions
+ *
+ * Methods:
+ * - getBoard       : Open listings of a competition (filter by type, skills)
+ * - upsertListing  : Post or update the user's listing
+ * - closeListing   : Take the user's listing off the board
+ * - sendRequest    : Ask to join a team, or invite a participant (captain)
+ * - getMyRequests  : Requests sent and received by the user
+ * - acceptRequest  : Accept a request (captain for "join", participant for
+ *                    "invite")
+ * - declineRequest : Decline a request
+ * - cancelRequest  : Withdraw a request (sender)
+ *
+ * A user without a team posts an individual listing; a captain posts a
+ * listing for their team registration. Accepting a request adds the
+ * participant to the team through utils/teamInvites.addTeamMember(): they
+ * get the usual team invite and join by accepting it. The board is open
+ * until team changes lock (Competition.teamChangesLockAt).
+ * =============================================================================
+ */
+
+const Registration = require('../models/Registration');
+const { TEAM_EDITABLE_STATUSES } = require('../models/Registration');
+const Competition = require('../models/Competition');
+const TeamListing = require('../models/TeamListing');
+const TeamJoinRequest = require('../models/TeamJoinRequest');
+const User = require('../models/UserSchema');
+const { getPagination, formatPagination } = require('../middleware/validators');
+const { addTeamMember } = require('../utils/teamInvites');
+const { notifyTeamJoinRequest, notifyTeamJoinResponse } = require('../utils/notifier');
+
+/**
+ * @desc    Compare two user IDs (ObjectId or string)
+ * @returns {boolean}
+ */
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * @desc    Trim, lowercase and deduplicate skills
+ * @param   {string[]} skills
+ * @returns {string[]}
+ */
+const normalizeSkills = (skills = []) => [...new Set(skills.map((skill) => skill.trim().toLowerCase()))];
+
+/**
+ * @desc    Team size of a lean registration, captain included
+ *          (Registration.countActiveTeamMembers() for documents)
+ * @param   {Object} registration
+ * @returns {number}
+ */
+const countTeam = (registration) => registration.teamMembers
+  .filter((member) => member.inviteStatus !== 'declined')
+  .length + 1;
+
+/**
+ * @desc    Load the published team competition of a board
+ *          Sends the error response itself and returns null on failure.
+ * @param   {Object} req
+ * @param   {Object} res
+ * @returns {Promise<Object|null>} Competition
+ */
+const findBoardCompetition = async (req, res) => {
+  const competition = await Competition.findOne({
+    _id: req.params.competitionId,
+    status: 'published',
+    isDeleted: false
+  }).select('title slug type deadline teamLockAt teamSize');
+
+  if (!competition) {
+    res.status(404).json({
+      success: false,
+      message: 'Competition not found'
+    });
+    return null;
+  }
+
+  if (competition.type !== 'team') {
+    res.status(400).json({
+      success: false,
+      message: 'The team board is only available for team competitions'
+    });
+    return null;
+  }
+
+  return competition;
+};
+
+/**
+ * @desc    Load a pending request the user has to answer
+ *          Sends the error response itself and returns null on failure.
+ * @param   {Object} req
+ * @param   {Object} res
+ * @returns {Promise<Object|null>} { request, registration } (competition populated)
+ */
+const loadRequestForResponse = async (req, res) => {
+  const request = await TeamJoinRequest.findById(req.params.id);
+  const registration = request
+    ? await Registration.findById(request.registration).populate('competition', 'title deadline teamLockAt teamSize')
+    : null;
+
+  // "join" requests are answered by the current captain, "invite" requests by the participant
+  const responderId = request?.direction === 'join' ? registration?.user : request?.member;
+  if (!registration || !isSameUser(responderId, req.user.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Request not found'
+    });
+    return null;
+  }
+
+  if (request.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `Request was already ${request.status}`
+    });
+    return null;
+  }
+
+  return { request, registration };
+};
+
+// =============================================================================
+// LISTINGS
+// =============================================================================
+
+/**
+ * @desc    Get the open listings of a team competition
+ * @route   GET /api/team-board/:competitionId
+ * @access  Private
+ * @query   type (individual|team), skills (comma separated), page, limit
+ */
+const getBoard = async (req, res) => {
+  try {
+    const competition = await findBoardCompetition(req, res);
+    if (!competition) return;
+
+    const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 20 });
+
+    const filter = { competition: competition._id, status: 'open' };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.skills) {
+      filter.skills = { $in: normalizeSkills(req.query.skills.split(',')).filter(Boolean) };
+    }
+
+    const [listings, total] = await Promise.all([
+      TeamListing.find(filter)
+        .populate('user', 'name avatar')
+        .populate('registration', 'user teamName status teamMembers')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      TeamListing.countDocuments(filter)
+    ]);
+
+    const data = listings
+      // Teams whose registration was cancelled or rejected are left out
+      .filter((listing) => listing.type === 'individual' ||
+        (listing.registration && TEAM_EDITABLE_STATUSES.includes(listing.registration.status)))
+      .map((listing) => {
+        const entry = {
+          _id: listing._id,
+          type: listing.type,
+          user: listing.user,
+          blurb: listing.blurb,
+          skills: listing.skills,
+          updatedAt: listing.updatedAt
+        };
+
+        if (listing.type === 'team') {
+          const teamSize = countTeam(listing.registration);
+          entry.team = {
+            registrationId: listing.registration._id,
+            teamName: listing.registration.teamName,
+            size: teamSize,
+            spotsLeft: Math.max(0, competition.teamSize.max - teamSize)
+          };
+          entry.openRoles = listing.openRoles;
+          entry.isMine = isSameUser(listing.registration.user, req.user.id);
+        } else {
+          entry.isMine = isSameUser(listing.user?._id, req.user.id);
+        }
+
+        return entry;
+      });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        competition: {
+          _id: competition._id,
+          title: competition.title,
+          slug: competition.slug,
+          teamSize: competition.teamSize,
+          lockAt: competition.teamChangesLockAt
+        },
+        listings: data,
+        pagination: formatPagination(total, page, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team board error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch team board',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Post or update the user's listing
+ *          Captains post for their team, users without a team for themselves.
+ * @route   PUT /api/team-board/:competitionId/listing
+ * @access  Private
+ */
+const upsertListing = async (req, res) => {
+  try {
+    const competition = await findBoardCompetition(req, res);
+    if (!competition) return;
+
+    if (competition.teamChangesLockAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team changes are locked for this competition'
+      });
+    }
+
+    const userId = req.user.id;
+    const membership = await Registration.findTeamMembership(userId, competition._id);
+
+    let filter;
+    let registration = null;
+    if (membership && isSameUser(membership.user, userId)) {
+      if (!TEAM_EDITABLE_STATUSES.includes(membership.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change a team with registration status: ${membership.status}`
+        });
+      }
+      if (membership.countActiveTeamMembers() + 1 >= competition.teamSize.max) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your team is already full'
+        });
+      }
+      registration = membership._id;
+      filter = { registration, type: 'team' };
+    } else if (membership) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on a team for this competition'
+      });
+    } else {
+      filter = { competition: competition._id, user: userId, type: 'individual' };
+    }
+
+    const type = registration ? 'team' : 'individual';
+    const listing = await TeamListing.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          competition: competition._id,
+          type,
+          user: userId,
+          registration,
+          blurb: req.body.blurb,
+          skills: normalizeSkills(req.body.skills),
+          openRoles: type === 'team' ? (req.body.openRoles || []) : [],
+          status: 'open',
+          closedAt: null
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Listing posted',
+      data: listing
+    });
+
+  } catch (error) {
+    console.error('Upsert team listing error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to post listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Take the user's listing (or their team's) off the board
+ * @route   DELETE /api/team-board/:competitionId/listing
+ * @access  Private
+ */
+const closeListing = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const competitionId = req.params.competitionId;
+
+    const registration = await Registration.findOne({
+      user: userId,
+      competition: competitionId,
+      status: { $in: TEAM_EDITABLE_STATUSES }
+    }).select('_id');
+
+    const owned = [{ type: 'individual', user: userId }];
+    if (registration) owned.push({ type: 'team', registration: registration._id });
+
+    const listing = await TeamListing.findOne({ competition: competitionId, status: 'open', $or: owned });
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    await listing.close().save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Listing closed'
+    });
+
+  } catch (error) {
+    console.error('Close team listing error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to close listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// REQUESTS
+// =============================================================================
+
+/**
+ * @desc    Send a request to a listing
+ *          On a team listing: ask to join the team (users without a team).
+ *          On an individual listing: invite the participant (captains).
+ * @route   POST /api/team-board/listings/:id/requests
+ * @access  Private
+ */
+const sendRequest = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const listing = await TeamListing.findOne({ _id: req.params.id, status: 'open' });
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    const competition = await Competition.findById(listing.competition).select('deadline teamLockAt teamSize');
+    if (!competition || competition.teamChangesLockAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team changes are locked for this competition'
+      });
+    }
+
+    let registration;
+    let memberId;
+    let direction;
+    if (listing.type === 'team') {
+      registration = await Registration.findById(listing.registration);
+      if (!registration || !TEAM_EDITABLE_STATUSES.includes(registration.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This team is no longer looking for members'
+        });
+      }
+      if (isSameUser(registration.user, userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot send a request to your own listing'
+        });
+      }
+      memberId = userId;
+      direction = 'join';
+    } else {
+      if (isSameUser(listing.user, userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot send a request to your own listing'
+        });
+      }
+      registration = await Registration.findOne({
+        user: userId,
+        competition: listing.competition,
+        status: { $in: TEAM_EDITABLE_STATUSES }
+      });
+      if (!registration) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only team captains can invite participants'
+        });
+      }
+      memberId = listing.user;
+      direction = 'invite';
+    }
+
+    // One team per competition
+    const membership = await Registration.findTeamMembership(memberId, listing.competition);
+    if (membership) {
+      return res.status(409).json({
+        success: false,
+        message: direction === 'join'
+          ? 'You are already on a team for this competition'
+          : 'This participant already joined a team'
+      });
+    }
+
+    const [member, sender] = await Promise.all([
+      User.findById(memberId).select('name email'),
+      User.findById(userId).select('name')
+    ]);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found'
+      });
+    }
+
+    if (registration.teamMembers.some((entry) => entry.email === member.email && entry.inviteStatus !== 'declined')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This participant is already on the team'
+      });
+    }
+
+    if (registration.countActiveTeamMembers() + 1 >= competition.teamSize.max) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team is already full'
+      });
+    }
+
+    const request = await TeamJoinRequest.create({
+      competition: listing.competition,
+      listing: listing._id,
+      registration: registration._id,
+      member: memberId,
+      requestedBy: userId,
+      direction,
+      role: req.body.role,
+      message: req.body.message
+    });
+
+    await notifyTeamJoinRequest(request, direction === 'join' ? registration.user : memberId, {
+      senderName: sender?.name || 'A participant',
+      teamName: registration.teamName
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: direction === 'join' ? 'Request sent to the team captain' : 'Invitation sent to the participant',
+      data: request
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request between this team and participant is already pending'
+      });
+    }
+
+    console.error('Send team request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get team board requests sent and received by the user
+ * @route   GET /api/team-board/requests
+ * @access  Private
+ * @query   status, competitionId, page, limit
+ */
+const getMyRequests = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { page, limit, skip } = getPagination(req.query, { page: 1, limit: 20 });
+
+    // Requests to teams the user captains are received by the user too
+    const captainOf = await Registration.find({
+      user: userId,
+      status: { $in: TEAM_EDITABLE_STATUSES }
+    }).distinct('_id');
+
+    const filter = {
+      $or: [
+        { member: userId },
+        { requestedBy: userId },
+        { registration: { $in: captainOf } }
+      ]
+    };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.competitionId) filter.competition = req.query.competitionId;
+
+    const [requests, total] = await Promise.all([
+      TeamJoinRequest.find(filter)
+        .populate('competition', 'title slug')
+        .populate('registration', 'user teamName')
+        .populate('member', 'name avatar')
+        .populate('requestedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      TeamJoinRequest.countDocuments(filter)
+    ]);
+
+    const data = requests.map((request) => {
+      const responderId = request.direction === 'join' ? request.registration?.user : request.member?._id;
+      return {
+        ...request,
+        registration: request.registration
+          ? { _id: request.registration._id, teamName: request.registration.teamName }
+          : null,
+        sentByMe: isSameUser(request.requestedBy?._id, userId),
+        canRespond: request.status === 'pending' && isSameUser(responderId, userId)
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        requests: data,
+        pagination: formatPagination(total, page, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team requests error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Accept a request: the participant is added to the team and sent
+ *          a team invite
+ * @route   PATCH /api/team-board/requests/:id/accept
+ * @access  Private (captain for "join", participant for "invite")
+ */
+const acceptRequest = async (req, res) => {
+  try {
+    const loaded = await loadRequestForResponse(req, res);
+    if (!loaded) return;
+
+    const { request, registration } = loaded;
+    const competition = registration.competition;
+
+    const lockReason = registration.getTeamLockReason();
+    if (lockReason) {
+      return res.status(400).json({
+        success: false,
+        message: lockReason
+      });
+    }
+
+    const [member, captain] = await Promise.all([
+      User.findById(request.member).select('name email'),
+      User.findById(registration.user).select('name email')
+    ]);
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'The participant account no longer exists'
+      });
+    }
+
+    const membership = await Registration.findTeamMembership(member._id, competition._id);
+    if (membership) {
+      return res.status(409).json({
+        success: false,
+        message: 'The participant already joined a team for this competition'
+      });
+    }
+
+    if (registration.teamMembers.some((entry) => entry.email === member.email && entry.inviteStatus !== 'declined')) {
+      return res.status(409).json({
+        success: false,
+        message: 'The participant is already on the team'
+      });
+    }
+
+    const { max } = competition.teamSize;
+    if (registration.countActiveTeamMembers() + 2 > max) {
+      return res.status(400).json({
+        success: false,
+        message: `Team cannot have more than ${max} members`
+      });
+    }
+
+    const invite = await addTeamMember(
+      registration,
+      { name: member.name, email: member.email, role: request.role },
+      registration.user,
+      captain
+    );
+
+    request.status = 'accepted';
+    request.respondedAt = new Date();
+    request.teamInvite = invite?._id || null;
+    await request.save();
+
+    // The participant is placed; a full team stops looking
+    await TeamListing.closeIndividual(competition._id, member._id);
+    if (registration.countActiveTeamMembers() + 1 >= max) {
+      await TeamListing.closeTeam(registration._id);
+    }
+
+    await notifyTeamJoinResponse(request, { teamName: registration.teamName });
+
+    return res.status(200).json({
+      success: true,
+      message: request.direction === 'join'
+        ? `${member.name} was sent a team invite`
+        : 'Accept the team invite to join the team',
+      data: {
+        requestId: request._id,
+        registrationId: registration._id,
+        teamInviteId: request.teamInvite
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept team request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to accept request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Decline a request
+ * @route   PATCH /api/team-board/requests/:id/decline
+ * @access  Private (captain for "join", participant for "invite")
+ */
+const declineRequest = async (req, res) => {
+  try {
+    const loaded = await loadRequestForResponse(req, res);
+    if (!loaded) return;
+
+    const { request, registration } = loaded;
+    request.status = 'declined';
+    request.respondedAt = new Date();
+    await request.save();
+
+    await notifyTeamJoinResponse(request, { teamName: registration.teamName });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request declined'
+    });
+
+  } catch (error) {
+    console.error('Decline team request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to decline request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Withdraw a pending request
+ * @route   PATCH /api/team-board/requests/:id/cancel
+ * @access  Private (sender)
+ */
+const cancelRequest = async (req, res) => {
+  try {
+    const request = await TeamJoinRequest.findOne({ _id: req.params.id, requestedBy: req.user.id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Request was already ${request.status}`
+      });
+    }
+
+    request.status = 'cancelled';
+    request.respondedAt = new Date();
+    await request.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Request cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel team request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getBoard,
+  upsertListing,
+  closeListing,
+  sendRequest,
+  getMyRequests,
+  acceptRequest,
+  declineRequest,
+  cancelRequest
+};
@@ -0,0 +1,430 @@
+/**
+ * =============================================================================
+ * TEAM CONTROLLER
+ * =============================================================================
+ * Team management after registration
+ *
+ * Methods:
+ * - getTeam         : Team, members and change history (captain and members)
+ * - renameTeam      : Change the team name (captain)
+ * - addMember       : Add a member and send them a team invite (captain)
+ * - removeMember    : Remove a member (captain), or leave the team (member)
+ * - transferCaptain : Hand the registration to an accepted member (captain)
+ *
+ * The captain is the user who owns the registration. Changes are allowed
+ * while the registration is pending, approved or waitlisted, and until the
+ * competition's team lock date (Competition.teamChangesLockAt: the earlier
+ * of the registration deadline and teamLockAt). Member counts must stay
+ * within Competition.teamSize; declined members do not count. Every change
+ * is recorded in Registration.teamHistory.
+ *
+ * New members are added through utils/teamInvites.addTeamMember(), shared
+ * with the team board (controllers/teamBoardController.js).
+ * =============================================================================
+ */
+
+const Registration = require('../models/Registration');
+const TeamInvite = require('../models/TeamInvite');
+const User = require('../models/UserSchema');
+const { addTeamMember } = require('../utils/teamInvites');
+
+/**
+ * @desc    Remove a member entry by email (does not save)
+ * @param   {Object} registration
+ * @param   {string} email
+ */
+const removeEntry = (registration, email) => {
+  registration.teamMembers = registration.teamMembers.filter((member) => member.email !== email);
+};
+
+/**
+ * @desc    Load a team registration the user belongs to
+ * @param   {string} registrationId
+ * @param   {string} userId
+ * @returns {Promise<Object|null>} { registration, isCaptain } or null
+ */
+const findTeam = async (registrationId, userId) => {
+  const registration = await Registration.findOne({
+    _id: registrationId,
+    $or: [
+      { user: userId },
+      { teamMembers: { $elemMatch: { userId, inviteStatus: 'accepted' } } }
+    ]
+  }).populate('competition', 'title slug type deadline teamLockAt teamSize');
+
+  if (!registration || !registration.competition || registration.competition.type !== 'team') {
+    return null;
+  }
+
+  return { registration, isCaptain: registration.user.toString() === userId.toString() };
+};
+
+/**
+ * @desc    Load the team for a change by its captain
+ *          Sends the error response itself and returns null on failure.
+ * @param   {Object} req
+ * @param   {Object} res
+ * @returns {Promise<Object|null>} Registration (competition populated)
+ */
+const loadTeamForCaptain = async (req, res) => {
+  const team = await findTeam(req.params.id, req.user.id);
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  if (!team.isCaptain) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the team captain can change the team'
+    });
+    return null;
+  }
+
+  const lockReason = team.registration.getTeamLockReason();
+  if (lockReason) {
+    res.status(400).json({
+      success: false,
+      message: lockReason
+    });
+    return null;
+  }
+
+  return team.registration;
+};
+
+/**
+ * @desc    Team summary returned by every team endpoint
+ * @param   {Object} registration - Populated with competition and user
+ * @returns {Object}
+ */
+const formatTeam = (registration) => ({
+  registrationId: registration._id,
+  competition: {
+    _id: registration.competition._id,
+    title: registration.competition.title,
+    slug: registration.competition.slug,
+    teamSize: registration.competition.teamSize
+  },
+  teamName: registration.teamName,
+  status: registration.status,
+  captain: registration.populated('user')
+    ? { _id: registration.user._id, name: registration.user.name }
+    : { _id: registration.user },
+  members: registration.teamMembers.map(({ name, email, role, userId, inviteStatus }) => ({
+    name,
+    email,
+    role,
+    userId,
+    inviteStatus
+  })),
+  lockAt: registration.competition.teamChangesLockAt,
+  history: registration.teamHistory
+});
+
+// =============================================================================
+// GET TEAM
+// =============================================================================
+
+/**
+ * @desc    Get a team with its members and change history
+ * @route   GET /api/registrations/:id/team
+ * @access  Private (captain or accepted member)
+ */
+const getTeam = async (req, res) => {
+  try {
+    const team = await findTeam(req.params.id, req.user.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    await team.registration.populate('user', 'name');
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatTeam(team.registration),
+        isCaptain: team.isCaptain,
+        isLocked: !!team.registration.getTeamLockReason()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch team',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// RENAME TEAM
+// =============================================================================
+
+/**
+ * @desc    Rename the team
+ * @route   PATCH /api/registrations/:id/team
+ * @access  Private (captain)
+ */
+const renameTeam = async (req, res) => {
+  try {
+    const registration = await loadTeamForCaptain(req, res);
+    if (!registration) return;
+
+    const teamName = req.body.teamName.trim();
+    if (teamName === registration.teamName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team already has this name'
+      });
+    }
+
+    registration.recordTeamChange('renamed', req.user.id, { from: registration.teamName, to: teamName });
+    registration.teamName = teamName;
+    await registration.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Team renamed',
+      data: formatTeam(registration)
+    });
+
+  } catch (error) {
+    console.error('Rename team error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to rename team',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// ADD MEMBER
+// =============================================================================
+
+/**
+ * @desc    Add a team member and invite them to confirm
+ * @route   POST /api/registrations/:id/team/members
+ * @access  Private (captain)
+ */
+const addMember = async (req, res) => {
+  try {
+    const registration = await loadTeamForCaptain(req, res);
+    if (!registration) return;
+
+    const { name, role } = req.body;
+    const email = req.body.email.toLowerCase();
+
+    const captain = await User.findById(registration.user).select('name email');
+    if (email === captain.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The captain is already on the team'
+      });
+    }
+
+    const existing = registration.teamMembers.find((member) => member.email === email);
+    if (existing && existing.inviteStatus !== 'declined') {
+      return res.status(409).json({
+        success: false,
+        message: 'This person is already on the team'
+      });
+    }
+
+    // +1 for the new member, +1 for the captain
+    const { max } = registration.competition.teamSize;
+    if (registration.countActiveTeamMembers() + 2 > max) {
+      return res.status(400).json({
+        success: false,
+        message: `Team cannot have more than ${max} members`
+      });
+    }
+
+    // A declined member is invited again
+    await addTeamMember(registration, { name, email, role }, req.user.id, captain);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Member added and invited',
+      data: formatTeam(registration)
+    });
+
+  } catch (error) {
+    console.error('Add team member error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// REMOVE MEMBER
+// =============================================================================
+
+/**
+ * @desc    Remove a team member (captain), or leave the team (the member)
+ * @route   DELETE /api/registrations/:id/team/members/:email
+ * @access  Private (captain, or the member themself)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const team = await findTeam(req.params.id, req.user.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const { registration, isCaptain } = team;
+    const email = req.params.email.toLowerCase();
+    const member = registration.teamMembers.find((entry) => entry.email === email);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const isSelf = member.userId?.toString() === req.user.id.toString();
+    if (!isCaptain && !isSelf) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team captain can remove other members'
+      });
+    }
+
+    const lockReason = registration.getTeamLockReason();
+    if (lockReason) {
+      return res.status(400).json({
+        success: false,
+        message: lockReason
+      });
+    }
+
+    // Declined members do not count towards the minimum
+    const { min } = registration.competition.teamSize;
+    if (member.inviteStatus !== 'declined' && registration.countActiveTeamMembers() + 1 <= min) {
+      return res.status(400).json({
+        success: false,
+        message: `Team must have at least ${min} members`
+      });
+    }
+
+    removeEntry(registration, email);
+    registration.recordTeamChange(isSelf ? 'member_left' : 'member_removed', req.user.id, {
+      member: { name: member.name, email }
+    });
+    await registration.save();
+
+    // The invitation link stops working
+    await TeamInvite.deleteOne({ registration: registration._id, email });
+
+    return res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the team' : 'Member removed',
+      data: isSelf ? null : formatTeam(registration)
+    });
+
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// TRANSFER CAPTAIN
+// =============================================================================
+
+/**
+ * @desc    Make an accepted member the captain; the old captain stays on
+ *          the team as a member
+ * @route   POST /api/registrations/:id/team/captain
+ * @access  Private (captain)
+ */
+const transferCaptain = async (req, res) => {
+  try {
+    const registration = await loadTeamForCaptain(req, res);
+    if (!registration) return;
+
+    const email = req.body.email.toLowerCase();
+    const member = registration.teamMembers.find((entry) => entry.email === email);
+    if (!member || member.inviteStatus !== 'accepted' || !member.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new captain must be a member who accepted the team invite'
+      });
+    }
+
+    const [captain, newCaptain] = await Promise.all([
+      User.findById(registration.user).select('name email'),
+      User.findById(member.userId).select('name')
+    ]);
+    if (!newCaptain) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new captain account no longer exists'
+      });
+    }
+
+    removeEntry(registration, email);
+    registration.teamMembers.push({
+      name: captain.name,
+      email: captain.email,
+      userId: captain._id,
+      inviteStatus: 'accepted'
+    });
+    registration.user = member.userId;
+    registration.recordTeamChange('captain_transferred', req.user.id, {
+      from: captain.name,
+      to: newCaptain.name,
+      member: { name: member.name, email }
+    });
+    await registration.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `${newCaptain.name} is now the team captain`,
+      data: formatTeam(registration)
+    });
+
+  } catch (error) {
+    // The new captain has an old (e.g. cancelled) registration for the competition
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The new captain already has a registration for this competition'
+      });
+    }
+
+    console.error('Transfer team captain error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to transfer captain',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTeam,
+  renameTeam,
+  addMember,
+  removeMember,
+  transferCaptain
+};
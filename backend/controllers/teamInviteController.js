@@ -0,0 +1,371 @@
+/**
+ * =============================================================================
+ * TEAM INVITE CONTROLLER
+ * =============================================================================
+ * Team members confirm (or decline) the teams they were listed on
+ *
+ * Methods:
+ * - getMyInvites   : Pending invites for the user's email address
+ * - getInviteInfo  : Describe the invite behind an email link
+ * - acceptInvite   : Join the team (by email link token or invite ID)
+ * - declineInvite  : Decline the invite (by email link token or invite ID)
+ *
+ * Invites are created when a team registers (utils/teamInvites.js). A user
+ * can be on one team per competition: accepting fails while they have their
+ * own active registration or are an accepted member of another team.
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const TeamInvite = require('../models/TeamInvite');
+const Registration = require('../models/Registration');
+const User = require('../models/UserSchema');
+const { notifyTeamInviteResponse } = require('../utils/notifier');
+
+// Registration statuses a team can still be joined in
+const JOINABLE_STATUSES = ['pending', 'approved', 'waitlisted'];
+
+/**
+ * @desc    Find the invite addressed by the request
+ *          /:id routes look the invite up for the signed-in user's email,
+ *          token routes by the token from the email link (body or query).
+ * @param   {Object} req - Express request
+ * @param   {Object|null} user - Signed-in user ({ email })
+ * @param   {Object} session - Optional MongoDB session
+ * @returns {Promise<Object|null>}
+ */
+const findInvite = (req, user, session = null) => {
+  if (req.params.id) {
+    return TeamInvite.findOne({ _id: req.params.id, email: user.email }).session(session);
+  }
+
+  const token = req.body?.token || req.query.token;
+  return token ? TeamInvite.findByToken(token).session(session) : null;
+};
+
+/**
+ * @desc    Reason an invite cannot be answered, or null
+ * @param   {Object} invite
+ * @returns {string|null}
+ */
+const getInviteProblem = (invite) => {
+  if (invite.status !== 'pending') return `Invitation was already ${invite.status}`;
+  if (invite.isExpired) return 'Invitation has expired';
+  return null;
+};
+
+// =============================================================================
+// LIST / VIEW
+// =============================================================================
+
+/**
+ * @desc    Get pending team invites for the current user's email address
+ * @route   GET /api/team-invites
+ * @access  Private
+ */
+const getMyInvites = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const invites = await TeamInvite.find({
+      email: user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('registration', 'teamName status teamMembers')
+      .populate('competition', 'title slug deadline startDate')
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const data = invites
+      .filter((invite) => invite.registration && invite.competition &&
+        JOINABLE_STATUSES.includes(invite.registration.status))
+      .map((invite) => ({
+        _id: invite._id,
+        teamName: invite.registration.teamName,
+        teamSize: invite.registration.teamMembers.length + 1,
+        competition: invite.competition,
+        invitedBy: invite.invitedBy,
+        expiresAt: invite.expiresAt,
+        createdAt: invite.createdAt
+      }));
+
+    return res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get team invites error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch team invites',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Describe the invite behind an email link (changes nothing)
+ * @route   GET /api/team-invites/lookup?token=
+ * @access  Public (token)
+ */
+const getInviteInfo = async (req, res) => {
+  try {
+    const invite = await findInvite(req, null);
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation link'
+      });
+    }
+
+    await invite.populate([
+      { path: 'registration', select: 'teamName status' },
+      { path: 'competition', select: 'title slug deadline startDate' },
+      { path: 'invitedBy', select: 'name' }
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        email: invite.email,
+        name: invite.name,
+        status: invite.isExpired ? 'expired' : invite.status,
+        teamName: invite.registration?.teamName,
+        competition: invite.competition,
+        invitedBy: invite.invitedBy,
+        expiresAt: invite.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team invite info error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to read invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// =============================================================================
+// ACCEPT
+// =============================================================================
+
+/**
+ * @desc    Accept a team invite and join the team
+ *          The invite must be addressed to the user's verified email address.
+ * @route   POST /api/team-invites/accept (body: { token })
+ * @route   PATCH /api/team-invites/:id/accept
+ * @access  Private
+ */
+const acceptInvite = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const user = await User.findById(req.user.id).select('name email isEmailVerified').session(session);
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const invite = await findInvite(req, user, session);
+    if (!invite) {
+      await session.abortTransaction();
+      return res.status(req.params.id ? 404 : 400).json({
+        success: false,
+        message: req.params.id ? 'Invitation not found' : 'Invalid invitation link'
+      });
+    }
+
+    if (invite.email !== user.email) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before joining a team'
+      });
+    }
+
+    const problem = getInviteProblem(invite);
+    if (problem) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const registration = await Registration.findById(invite.registration).session(session);
+    if (!registration || !JOINABLE_STATUSES.includes(registration.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'This team registration is no longer active'
+      });
+    }
+
+    // One team per competition
+    const membership = await Registration.findTeamMembership(user._id, invite.competition, session);
+    if (membership) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on a team for this competition',
+        data: { registrationId: membership._id }
+      });
+    }
+
+    await Registration.updateOne(
+      { _id: registration._id, 'teamMembers.email': invite.email },
+      {
+        $set: {
+          'teamMembers.$.userId': user._id,
+          'teamMembers.$.inviteStatus': 'accepted'
+        },
+        $push: {
+          teamHistory: {
+            action: 'member_joined',
+            by: user._id,
+            member: { name: invite.name, email: invite.email },
+            at: new Date()
+          }
+        }
+      },
+      { session }
+    );
+
+    invite.status = 'accepted';
+    invite.user = user._id;
+    invite.respondedAt = new Date();
+    await invite.save({ session });
+
+    await session.commitTransaction();
+
+    await notifyTeamInviteResponse(invite, registration);
+
+    return res.status(200).json({
+      success: true,
+      message: `You joined ${registration.teamName}`,
+      data: {
+        registrationId: registration._id,
+        competition: invite.competition,
+        teamName: registration.teamName
+      }
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Accept team invite error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// =============================================================================
+// DECLINE
+// =============================================================================
+
+/**
+ * @desc    Decline a team invite
+ *          The email link works without signing in: the token proves the
+ *          invite was received.
+ * @route   POST /api/team-invites/decline (body: { token })
+ * @route   PATCH /api/team-invites/:id/decline
+ * @access  Public (token) | Private (invite ID)
+ */
+const declineInvite = async (req, res) => {
+  try {
+    const user = req.params.id
+      ? await User.findById(req.user.id).select('email').lean()
+      : null;
+
+    const invite = await findInvite(req, user || {});
+    if (!invite) {
+      return res.status(req.params.id ? 404 : 400).json({
+        success: false,
+        message: req.params.id ? 'Invitation not found' : 'Invalid invitation link'
+      });
+    }
+
+    const problem = getInviteProblem(invite);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    invite.status = 'declined';
+    invite.user = user?._id || null;
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    await Registration.updateOne(
+      { _id: invite.registration, 'teamMembers.email': invite.email },
+      {
+        $set: { 'teamMembers.$.inviteStatus': 'declined' },
+        $push: {
+          teamHistory: {
+            action: 'member_declined',
+            by: user?._id || null,
+            member: { name: invite.name, email: invite.email },
+            at: new Date()
+          }
+        }
+      }
+    );
+
+    const registration = await Registration.findById(invite.registration).select('user teamName');
+    if (registration) {
+      await notifyTeamInviteResponse(invite, registration);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Decline team invite error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getMyInvites,
+  getInviteInfo,
+  acceptInvite,
+  declineInvite
+};
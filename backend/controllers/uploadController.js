@@ -2,14 +2,25 @@
  * =============================================================================
  * UPLOAD CONTROLLER
  * =============================================================================
- * Handles file uploads for categories and competitions
+ * Handles file uploads for categories, competitions, user avatars and
+ * registration form answers
  * =============================================================================
  */
 
 const { uploadToS3, deleteFromS3, generateS3Key, extractKeyFromUrl } = require('../config/s3');
-const { processCategoryImage, processCompetitionImage, getImageMetadata } = require('../utils/imageOptimizer');
+const {
+  processCategoryImage,
+  processCompetitionImage,
+  processAvatarImage,
+  getImageMetadata,
+  validateImageDimensions
+} = require('../utils/imageOptimizer');
 const Category = require('../models/Category');
 const Competition = require('../models/Competition');
+const User = require('../models/UserSchema');
+const { recordAudit } = require('../utils/auditLogger');
+const { clearUserCache, clearRouteCache } = require('../middleware/cache');
+const { FORM_FILE_FOLDER } = require('../utils/registrationForm');
 
 // =============================================================================
 // CATEGORY IMAGE UPLOAD
@@ -111,6 +122,13 @@ const uploadCategoryImage = async (req, res) => {
     // Delete old images from S3 (async, don't wait)
     oldImages.filter(Boolean).forEach(key => deleteFromS3(key));
 
+    await recordAudit(req, {
+      action: 'category.images_upload',
+      targetType: 'category',
+      targetId: updatedCategory._id,
+      metadata: { uploaded: Object.keys(uploadedImages) }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Category images uploaded successfully',
@@ -239,6 +257,13 @@ const uploadCompetitionImage = async (req, res) => {
     // Delete old cover images
     oldImages.filter(Boolean).forEach(key => deleteFromS3(key));
 
+    await recordAudit(req, {
+      action: 'competition.images_upload',
+      targetType: 'competition',
+      targetId: updatedCompetition._id,
+      metadata: { uploaded: Object.keys(uploadedImages) }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Competition images uploaded successfully',
@@ -305,6 +330,13 @@ const deleteGalleryImage = async (req, res) => {
       $set: { 'images.gallery': gallery }
     });
 
+    await recordAudit(req, {
+      action: 'competition.gallery_image_delete',
+      targetType: 'competition',
+      targetId: competition._id,
+      metadata: { imageIndex: index, url: imageToDelete.url }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Gallery image deleted successfully'
@@ -320,6 +352,96 @@ const deleteGalleryImage = async (req, res) => {
   }
 };
 
+// =============================================================================
+// USER AVATAR UPLOAD
+// =============================================================================
+
+/**
+ * @desc    Upload the current user's avatar
+ *          Cropped to a square; the previous uploaded avatar is removed from S3.
+ * @route   POST /api/users/me/avatar
+ * @access  Private
+ * @body    multipart/form-data, field "avatar" (jpeg, png, webp, gif, avif; max 5MB)
+ */
+const uploadAvatar = async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image provided. Upload an avatar.'
+      });
+    }
+
+    const dimensions = await validateImageDimensions(file.buffer, {
+      minWidth: 64,
+      minHeight: 64,
+      maxWidth: 5000,
+      maxHeight: 5000
+    });
+    if (!dimensions.valid) {
+      return res.status(400).json({
+        success: false,
+        message: dimensions.error
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('avatar avatarImages handle');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const processed = await processAvatarImage(file.buffer);
+
+    const avatarKey = generateS3Key('avatars', user._id, 'avatar.webp');
+    const avatarResult = await uploadToS3(processed.original, avatarKey, 'image/webp');
+
+    const avatarThumbKey = generateS3Key('avatars', user._id, 'avatar-thumb.webp');
+    const avatarThumbResult = await uploadToS3(processed.thumbnail, avatarThumbKey, 'image/webp');
+
+    // Only uploaded avatars have keys (a Google avatar URL is not ours to delete)
+    const oldImages = [...(user.avatarImages?.keys || [])];
+
+    user.avatar = avatarResult.url;
+    user.avatarImages = {
+      thumbnail: avatarThumbResult.url,
+      placeholder: processed.placeholder,
+      keys: [avatarKey, avatarThumbKey]
+    };
+    await user.save();
+
+    // Delete old avatar images (async, don't wait)
+    oldImages.filter(Boolean).forEach(key => deleteFromS3(key));
+
+    await clearUserCache(req.user.id);
+    if (user.handle) {
+      await clearRouteCache(`/api/users/${user.handle}/public`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Avatar uploaded successfully',
+      data: {
+        avatar: user.avatar,
+        thumbnail: user.avatarImages.thumbnail,
+        placeholder: user.avatarImages.placeholder
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload avatar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // =============================================================================
 // GENERIC IMAGE UPLOAD
 // =============================================================================
@@ -368,9 +490,61 @@ const uploadGenericImage = async (req, res) => {
   }
 };
 
+// =============================================================================
+// REGISTRATION FORM FILE UPLOAD
+// =============================================================================
+
+/**
+ * @desc    Upload a file to answer a "file" field of a registration form
+ *          The returned URL is the answer; it only validates for the user
+ *          who uploaded it.
+ * @route   POST /api/uploads/form-file
+ * @access  Authenticated
+ */
+const uploadFormFile = async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file provided'
+      });
+    }
+
+    const key = generateS3Key(FORM_FILE_FOLDER, req.user.id, file.originalname);
+    const result = await uploadToS3(file.buffer, key, file.mimetype, {
+      uploadedBy: req.user.id,
+      originalName: file.originalname
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        url: result.url,
+        key: result.key,
+        name: file.originalname,
+        size: file.size,
+        mimetype: file.mimetype
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload form file error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   uploadCategoryImage,
   uploadCompetitionImage,
   deleteGalleryImage,
-  uploadGenericImage
+  uploadAvatar,
+  uploadGenericImage,
+  uploadFormFile
 };
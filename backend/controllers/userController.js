@@ -9,19 +9,73 @@
  * - getAccountSettings : Get user's account settings
  * - getUserById        : Get user by ID (admin only)
  * - updateProfile      : Update current user's profile
+ * - getPublicProfile   : Public profile by handle
  * - updateAccountSettings : Update account settings
  * - changePassword     : Change user password
- * - deleteOwnAccount   : User deletes their own account
+ * - deleteOwnAccount   : User schedules their own account for deletion
+ * - getGoogleLinkUrl   : Start linking a Google identity
+ * - unlinkGoogle       : Unlink the Google identity
+ * - setPassword        : Set a password on a Google-only account
+ * - getMySessions      : List current user's active sessions
+ * - revokeSession      : Revoke one of current user's sessions
+ * - revokeOtherSessions : Revoke all sessions except the current one
  * - getAllUsers        : Get all users (admin only)
  * - updateUserRole     : Update user role (admin only)
- * - deleteUser         : Delete a user (admin only)
+ * - clearUserLockout   : Clear a login lockout (admin only)
+ * - suspendUser        : Suspend an account (admin only)
+ * - reactivateUser     : Lift a suspension (admin only)
+ * - forceLogoutUser    : Revoke all of a user's sessions and tokens (admin only)
+ * - deleteUser         : Schedule a user for deletion (admin only)
+ * - restoreUser        : Cancel a scheduled deletion (admin only)
  * =============================================================================
  */
 
 const { db } = require('../config/database');
 const { validateName, validateEmail, validatePassword } = require('../utils/validation');
 const { clearUserCache, clearRouteCache } = require('../middleware/cache');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { WILDCARD } = require('../config/permissions');
+const { recordAudit } = require('../utils/auditLogger');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { getRoleGrants } = require('../middleware/permissions');
+const { clearAccountStatusCache } = require('../middleware/auth');
+const { disconnectUser } = require('../config/websocket');
+const { getDeletionGraceDays } = require('../utils/accountDeletion');
+const { NOTIFICATION_TYPES, NOTIFICATION_TYPE_DESCRIPTIONS } = require('../config/notifications');
+const { getAccountLockout, clearAccountLockout } = require('../utils/loginThrottle');
+const { generateGoogleLinkState, generateRandomToken, hashToken } = require('../utils/tokenGenerator');
+const { isGoogleConfigured, GOOGLE_LINK_COOKIE, googleLinkCookieOptions } = require('../config/passport');
+const UserModel = require('../models/UserSchema');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+// Participant profile fields accepted by updateProfile (stored under user.profile)
+const PROFILE_FIELDS = ['institution', 'studentId', 'program', 'yearOfStudy', 'phone', 'bio', 'skills', 'publicFields'];
+
+/**
+ * @desc    Shape the participant profile for responses
+ * @param   {Object} user - User document or plain object
+ * @returns {Object}
+ */
+const formatProfile = (user) => {
+  const profile = user.profile || {};
+  return {
+    handle: user.handle || null,
+    institution: profile.institution ?? null,
+    studentId: profile.studentId ?? null,
+    program: profile.program ?? null,
+    yearOfStudy: profile.yearOfStudy ?? null,
+    phone: profile.phone ?? null,
+    bio: profile.bio ?? null,
+    skills: profile.skills || [],
+    socialLinks: UserModel.SOCIAL_LINK_TYPES.reduce((links, type) => {
+      links[type] = profile.socialLinks?.[type] ?? null;
+      return links;
+    }, {}),
+    publicFields: profile.publicFields || []
+  };
+};
 
 /**
  * @desc    Get current user's profile
@@ -48,6 +102,10 @@ const getUserProfile = async (req, res) => {
         name: user.name,
         role: user.role,
         isActive: user.isActive,
+        avatar: user.avatar,
+        avatarThumbnail: user.avatarImages?.thumbnail || null,
+        avatarPlaceholder: user.avatarImages?.placeholder || null,
+        profile: formatProfile(user),
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
@@ -89,7 +147,11 @@ const getUserById = async (req, res) => {
         name: user.name,
         role: user.role,
         isActive: user.isActive,
+        profile: formatProfile(user),
+        suspension: user.suspension?.suspendedAt ? user.suspension : null,
+        tokensValidAfter: user.tokensValidAfter,
         lastLogin: user.lastLogin,
+        loginLockout: await getAccountLockout(user.email),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -107,17 +169,23 @@ const getUserById = async (req, res) => {
 
 /**
  * @desc    Update current user's profile
+ *          Profile fields set to null (or "" for text) are cleared.
+ *          socialLinks is merged: only the given links change.
  * @route   PUT /api/users/update
  * @route   PUT /api/users/profile
  * @access  Private (requires authentication)
+ * @body    name, email, handle, institution, studentId, program, yearOfStudy,
+ *          phone, bio, skills[], socialLinks{website,github,linkedin,twitter},
+ *          publicFields[]
  */
 const updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, handle, socialLinks } = req.body;
     const userId = req.user.id;
     
     // Prepare updates object
     const updates = {};
+    const removals = {};
 
     // Validate and add name if provided
     if (name !== undefined) {
@@ -154,16 +222,70 @@ const updateProfile = async (req, res) => {
       updates.email = email.toLowerCase();
     }
 
+    // Public handle (null removes it; the sparse unique index skips missing handles)
+    if (handle !== undefined) {
+      if (handle === null) {
+        removals.handle = '';
+      } else {
+        const owner = await UserModel.findOne({ handle, _id: { $ne: userId } }).select('_id');
+        if (owner) {
+          return res.status(409).json({
+            success: false,
+            message: 'Handle is already taken'
+          });
+        }
+        updates.handle = handle;
+      }
+    }
+
+    // Participant profile fields (format checked by userValidation.updateProfile)
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      const value = req.body[field];
+      updates[`profile.${field}`] = value === '' ? null : value;
+    });
+
+    if (socialLinks !== undefined) {
+      Object.entries(socialLinks).forEach(([type, url]) => {
+        updates[`profile.socialLinks.${type}`] = url || null;
+      });
+    }
+
     // Ensure updates object is not empty
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && Object.keys(removals).length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'No fields to update. Provide name or email.'
+        message: 'No fields to update. Provide name, email, handle or profile fields.'
       });
     }
 
-    // Update user in database
-    const updatedUser = await db.updateUser(userId, updates);
+    const previous = await UserModel.findById(userId).select('handle email');
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // A new address must be verified again
+    const emailChanged = updates.email !== undefined && updates.email !== previous.email;
+    if (emailChanged) {
+      updates.isEmailVerified = false;
+      updates.emailVerifiedAt = null;
+      // Links sent to the old address must not verify the new one
+      updates.emailVerificationToken = null;
+      updates.emailVerificationExpires = null;
+    }
+
+    const update = { $set: updates };
+    if (Object.keys(removals).length > 0) {
+      update.$unset = removals;
+    }
+
+    const updatedUser = await UserModel.findByIdAndUpdate(userId, update, {
+      new: true,
+      runValidators: true
+    });
 
     if (!updatedUser) {
       return res.status(404).json({
@@ -172,22 +294,52 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    // Clear user's cache
+    // Send the verification link to the new address
+    // (mail failures must not block the update - user can resend)
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser, 'emailChange');
+      } catch (mailError) {
+        console.error('Verification email error:', mailError.message);
+      }
+    }
+
+    // Clear user's cache, account status and the cached public profile
     await clearUserCache(userId);
+    if (emailChanged) {
+      await clearAccountStatusCache(userId);
+    }
+    if (previous.handle) {
+      await clearRouteCache(`/api/users/${previous.handle}/public`);
+    }
 
     return res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
       data: {
-        id: updatedUser._id ? updatedUser._id.toString() : updatedUser.id,
+        id: updatedUser._id.toString(),
         email: updatedUser.email,
         name: updatedUser.name,
         role: updatedUser.role,
+        profile: formatProfile(updatedUser),
         updatedAt: updatedUser.updatedAt
       }
     });
 
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: error.keyPattern?.handle ? 'Handle is already taken' : 'Email already in use'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((err) => err.message).join(', ')
+      });
+    }
+
     console.error('UpdateProfile error:', error);
     return res.status(500).json({
       success: false,
@@ -197,6 +349,38 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a user's public profile by handle
+ *          Only the handle and the fields listed in profile.publicFields are returned.
+ * @route   GET /api/users/:handle/public
+ * @access  Public
+ */
+const getPublicProfile = async (req, res) => {
+  try {
+    const user = await UserModel.findByHandle(req.params.handle);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: user.toPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('GetPublicProfile error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch public profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Get all users
  * @route   GET /api/users
@@ -237,19 +421,29 @@ const getAllUsers = async (req, res) => {
 /**
  * @desc    Update user role
  * @route   PUT /api/users/:id/role
- * @access  Private (admin only)
+ * @access  Private (roles:manage)
+ * @body    { role } - Name of an existing role (see GET /api/admin/roles)
  */
 const updateUserRole = async (req, res) => {
   try {
     const { role } = req.body;
     const targetUserId = req.params.id;
-    const validRoles = ['user', 'moderator', 'admin'];
 
-    // Validate role
-    if (!role || !validRoles.includes(role.toLowerCase())) {
+    // Validate role against the roles collection
+    const roleDoc = role ? await Role.findByName(role) : null;
+    if (!roleDoc) {
+      const roleNames = await Role.find().distinct('name');
       return res.status(400).json({
         success: false,
-        message: `Role must be one of: ${validRoles.join(', ')}`
+        message: `Role must be one of: ${roleNames.join(', ')}`
+      });
+    }
+
+    // Only full administrators may hand out full administrator roles
+    if (roleDoc.permissions.includes(WILDCARD) && !req.permissions?.includes(WILDCARD)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only full administrators can assign this role'
       });
     }
 
@@ -261,9 +455,17 @@ const updateUserRole = async (req, res) => {
       });
     }
 
+    const existing = await db.findUserById(targetUserId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     // Update user role in database
     const user = await db.updateUser(targetUserId, {
-      role: role.toLowerCase()
+      role: roleDoc.name
     });
 
     if (!user) {
@@ -273,6 +475,14 @@ const updateUserRole = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user._id,
+      before: { role: existing.role },
+      after: { role: user.role }
+    });
+
     // Clear caches
     await clearUserCache(targetUserId);
     await clearRouteCache('/api/users');
@@ -299,39 +509,343 @@ const updateUserRole = async (req, res) => {
 };
 
 /**
- * @desc    Delete a user
- * @route   DELETE /api/users/:id
+ * @desc    Clear a user's login lockout and failed-attempt counter
+ * @route   DELETE /api/users/:id/lockout
  * @access  Private (admin only)
  */
-const deleteUser = async (req, res) => {
+const clearUserLockout = async (req, res) => {
   try {
-    const targetUserId = req.params.id;
+    const user = await db.findUserById(req.params.id);
 
-    // Prevent admin from deleting themselves
-    if (targetUserId === req.user.id) {
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previous = await getAccountLockout(user.email);
+    await clearAccountLockout(user.email);
+
+    await recordAudit(req, {
+      action: 'user.lockout_clear',
+      targetType: 'user',
+      targetId: user._id,
+      before: { locked: previous.locked, failedAttempts: previous.failedAttempts },
+      after: { locked: false, failedAttempts: 0 }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: previous.locked ? 'Login lockout cleared' : 'User was not locked out; failed attempts reset',
+      data: {
+        id: user._id ? user._id.toString() : user.id,
+        email: user.email,
+        wasLocked: previous.locked,
+        failedAttempts: previous.failedAttempts
+      }
+    });
+
+  } catch (error) {
+    console.error('ClearUserLockout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Check whether the actor may suspend or log out the target user
+ *          (not themselves; full administrators only by full administrators)
+ * @param   {Object} req - Express request (req.user, req.permissions)
+ * @param   {Object} target - Target user document
+ * @returns {Promise<Object|null>} null if allowed, otherwise { status, message }
+ */
+const checkAccountActionAllowed = async (req, target) => {
+  if (target._id.toString() === req.user.id) {
+    return { status: 400, message: 'Cannot perform this action on your own account' };
+  }
+
+  const targetGrants = await getRoleGrants(target.role);
+  if (targetGrants.permissions.includes(WILDCARD) && !req.permissions?.includes(WILDCARD)) {
+    return { status: 403, message: 'Only full administrators can perform this action on this user' };
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Suspension fields recorded in the audit log
+ * @param   {Object} user - User document
+ * @returns {Object} { isActive, reason, expiresAt }
+ */
+const getSuspensionSnapshot = (user) => ({
+  isActive: user.isActive,
+  reason: user.suspension.reason,
+  expiresAt: user.suspension.expiresAt
+});
+
+/**
+ * @desc    Suspend a user account
+ *          Revokes all sessions and access tokens; login is refused until
+ *          the suspension expires or an admin reactivates the account.
+ * @route   POST /api/users/:id/suspend
+ * @access  Private (users:write)
+ * @body    { reason, expiresAt? } - expiresAt omitted = until reactivated
+ */
+const suspendUser = async (req, res) => {
+  try {
+    const { reason, expiresAt } = req.body;
+
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const denied = await checkAccountActionAllowed(req, user);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message
+      });
+    }
+
+    const before = getSuspensionSnapshot(user);
+
+    await user.suspend({
+      reason,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      suspendedBy: req.user.id
+    });
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'suspended');
+
+    await clearAccountStatusCache(user._id.toString());
+    await clearUserCache(user._id.toString());
+    await clearRouteCache('/api/users');
+    disconnectUser(user._id.toString(), 'suspended');
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: getSuspensionSnapshot(user),
+      metadata: { revokedSessions }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: {
+        id: user._id.toString(),
+        email: user.email,
+        isActive: user.isActive,
+        suspension: user.suspension,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('SuspendUser error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Lift a suspension and reactivate the account
+ * @route   POST /api/users/:id/reactivate
+ * @access  Private (users:write)
+ */
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isPendingDeletion()) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is scheduled for deletion. Restore the account instead.'
+      });
+    }
+
+    if (user.isActive) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete your own account'
+        message: 'User is not suspended'
+      });
+    }
+
+    const before = getSuspensionSnapshot(user);
+
+    await user.reactivate();
+
+    await clearAccountStatusCache(user._id.toString());
+    await clearUserCache(user._id.toString());
+    await clearRouteCache('/api/users');
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: getSuspensionSnapshot(user)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: {
+        id: user._id.toString(),
+        email: user.email,
+        isActive: user.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('ReactivateUser error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Log a user out everywhere
+ *          Revokes every session (refresh token) and rejects every access
+ *          token issued so far.
+ * @route   POST /api/users/:id/force-logout
+ * @access  Private (users:write)
+ */
+const forceLogoutUser = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
     }
 
-    // Delete user from database
-    const deleted = await db.deleteUser(targetUserId);
+    const denied = await checkAccountActionAllowed(req, user);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message
+      });
+    }
 
-    if (!deleted) {
+    await user.revokeAccessTokens();
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'admin_revoked');
+
+    await clearAccountStatusCache(user._id.toString());
+    disconnectUser(user._id.toString(), 'force_logout');
+
+    await recordAudit(req, {
+      action: 'user.force_logout',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { revokedSessions }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User logged out of all sessions',
+      data: {
+        id: user._id.toString(),
+        email: user.email,
+        revokedSessions,
+        tokensValidAfter: user.tokensValidAfter
+      }
+    });
+
+  } catch (error) {
+    console.error('ForceLogoutUser error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to log out user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Delete a user
+ *          Deactivates the account now and anonymizes it once the deletion
+ *          grace period has passed (utils/accountDeletion.js). Only admins
+ *          can restore accounts deleted this way.
+ * @route   DELETE /api/users/:id
+ * @access  Private (users:write)
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.id);
+    if (!user || user.anonymizedAt) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    const denied = await checkAccountActionAllowed(req, user);
+    if (denied) {
+      return res.status(denied.status).json({
+        success: false,
+        message: denied.message
+      });
+    }
+
+    if (user.isPendingDeletion()) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already scheduled for deletion',
+        data: { scheduledFor: user.deletion.scheduledFor }
+      });
+    }
+
+    await user.scheduleDeletion({
+      graceDays: await getDeletionGraceDays(),
+      requestedBy: req.user.id,
+      initiatedBy: 'admin'
+    });
+    await Session.revokeAllForUser(user._id, 'admin_revoked');
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      before: { email: user.email, name: user.name, role: user.role },
+      metadata: { scheduledFor: user.deletion.scheduledFor }
+    });
+
     // Clear caches
-    await clearUserCache(targetUserId);
+    await clearUserCache(user._id.toString());
+    await clearAccountStatusCache(user._id.toString());
     await clearRouteCache('/api/users');
+    disconnectUser(user._id.toString(), 'deleted');
 
     return res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User scheduled for deletion',
+      data: {
+        id: user._id.toString(),
+        scheduledFor: user.deletion.scheduledFor
+      }
     });
 
   } catch (error) {
@@ -344,6 +858,66 @@ const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Cancel a scheduled deletion (self or admin initiated)
+ * @route   POST /api/users/:id/restore
+ * @access  Private (users:write)
+ */
+const restoreUser = async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isPendingDeletion()) {
+      return res.status(400).json({
+        success: false,
+        message: user.anonymizedAt
+          ? 'Account has already been anonymized and cannot be restored'
+          : 'User is not scheduled for deletion'
+      });
+    }
+
+    const before = { scheduledFor: user.deletion.scheduledFor, initiatedBy: user.deletion.initiatedBy };
+
+    await user.cancelDeletion();
+
+    await clearAccountStatusCache(user._id.toString());
+    await clearUserCache(user._id.toString());
+    await clearRouteCache('/api/users');
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { scheduledFor: null, initiatedBy: null }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: {
+        id: user._id.toString(),
+        email: user.email,
+        isActive: user.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('RestoreUser error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to restore user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Get user account settings
  * @route   GET /api/users/settings
@@ -351,7 +925,7 @@ const deleteUser = async (req, res) => {
  */
 const getAccountSettings = async (req, res) => {
   try {
-    const user = await db.findUserById(req.user.id);
+    const user = await UserModel.findById(req.user.id).select('+password');
     
     if (!user) {
       return res.status(404).json({
@@ -360,19 +934,25 @@ const getAccountSettings = async (req, res) => {
       });
     }
 
+    const notificationPreferences = user.getNotificationPreferences();
+
     return res.status(200).json({
       success: true,
       data: {
-        id: user._id ? user._id.toString() : user.id,
+        id: user._id.toString(),
         email: user.email,
         name: user.name,
         role: user.role,
         isActive: user.isActive,
-        emailNotifications: user.emailNotifications ?? true,
+        emailNotifications: Object.values(notificationPreferences).some((channels) => channels.email),
+        notificationPreferences,
+        notificationTypes: NOTIFICATION_TYPE_DESCRIPTIONS,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
-        hasGoogleAuth: !!user.googleId
+        hasGoogleAuth: !!user.googleId,
+        hasPassword: !!user.password,
+        twoFactorEnabled: !!user.twoFactor?.enabled
       }
     });
 
@@ -388,18 +968,32 @@ const getAccountSettings = async (req, res) => {
 
 /**
  * @desc    Update account settings
+ *          notificationPreferences is merged: only the given switches change.
+ *          emailNotifications (legacy) switches email for every type at once.
  * @route   PUT /api/users/settings
  * @access  Private
+ * @body    notificationPreferences { <type>: { email?, inApp?, push? } }, emailNotifications
  */
 const updateAccountSettings = async (req, res) => {
   try {
-    const { emailNotifications } = req.body;
+    const { emailNotifications, notificationPreferences } = req.body;
     const userId = req.user.id;
     
     const updates = {};
 
     if (typeof emailNotifications === 'boolean') {
-      updates.emailNotifications = emailNotifications;
+      Object.values(NOTIFICATION_TYPES).forEach((type) => {
+        updates[`notificationPreferences.${type}.email`] = emailNotifications;
+      });
+    }
+
+    // Checked by userValidation.updateSettings
+    if (notificationPreferences) {
+      Object.entries(notificationPreferences).forEach(([type, channels]) => {
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          updates[`notificationPreferences.${type}.${channel}`] = enabled;
+        });
+      });
     }
 
     if (Object.keys(updates).length === 0) {
@@ -409,7 +1003,7 @@ const updateAccountSettings = async (req, res) => {
       });
     }
 
-    const updatedUser = await db.updateUser(userId, updates);
+    const updatedUser = await UserModel.findByIdAndUpdate(userId, { $set: updates }, { new: true });
 
     if (!updatedUser) {
       return res.status(404).json({
@@ -420,11 +1014,14 @@ const updateAccountSettings = async (req, res) => {
 
     await clearUserCache(userId);
 
+    const preferences = updatedUser.getNotificationPreferences();
+
     return res.status(200).json({
       success: true,
       message: 'Account settings updated successfully',
       data: {
-        emailNotifications: updatedUser.emailNotifications ?? true
+        emailNotifications: Object.values(preferences).some((channels) => channels.email),
+        notificationPreferences: preferences
       }
     });
 
@@ -498,6 +1095,9 @@ const changePassword = async (req, res) => {
     await db.updateUser(userId, { password: hashedPassword });
     await clearUserCache(userId);
 
+    // Sign out every other device; the current session stays logged in
+    await Session.revokeAllForUser(userId, 'logout_all', { exceptSessionId: req.user.sid });
+
     return res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -515,6 +1115,9 @@ const changePassword = async (req, res) => {
 
 /**
  * @desc    Delete own account
+ *          The account is deactivated and can be restored by logging in
+ *          during the grace period; afterwards it is anonymized
+ *          (utils/accountDeletion.js).
  * @route   DELETE /api/users/account
  * @access  Private
  */
@@ -532,7 +1135,7 @@ const deleteOwnAccount = async (req, res) => {
     }
 
     // Get user
-    const user = await db.findUserById(userId);
+    const user = await UserModel.findById(userId).select('+password');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -549,7 +1152,7 @@ const deleteOwnAccount = async (req, res) => {
         });
       }
 
-      const isMatch = await bcrypt.compare(password, user.password);
+      const isMatch = await user.comparePassword(password);
       if (!isMatch) {
         return res.status(401).json({
           success: false,
@@ -558,13 +1161,23 @@ const deleteOwnAccount = async (req, res) => {
       }
     }
 
-    // Delete user
-    await db.deleteUser(userId);
+    // Schedule deletion and sign out everywhere
+    await user.scheduleDeletion({
+      graceDays: await getDeletionGraceDays(),
+      requestedBy: user._id,
+      initiatedBy: 'self'
+    });
+    await Session.revokeAllForUser(userId, 'user_revoked');
     await clearUserCache(userId);
+    await clearAccountStatusCache(userId);
+    disconnectUser(userId, 'deleted');
 
     return res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Log in before the scheduled date to restore it.',
+      data: {
+        scheduledFor: user.deletion.scheduledFor
+      }
     });
 
   } catch (error) {
@@ -577,16 +1190,298 @@ const deleteOwnAccount = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a URL that starts linking a Google identity to this account
+ * @route   POST /api/users/me/google/link
+ * @access  Private
+ * 
+ * The browser must navigate to the returned URL (it cannot carry the
+ * Authorization header); a short-lived signed state identifies the user.
+ * The state only works in this browser: its nonce is set as an HttpOnly
+ * cookie, so a link URL sent to someone else cannot link their Google.
+ */
+const getGoogleLinkUrl = async (req, res) => {
+  try {
+    if (!isGoogleConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Google sign-in is not configured'
+      });
+    }
+
+    const user = await db.findUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.googleId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A Google account is already linked. Unlink it first.'
+      });
+    }
+
+    const nonce = generateRandomToken();
+    const state = generateGoogleLinkState({ id: req.user.id, nonceHash: hashToken(nonce) });
+    res.cookie(GOOGLE_LINK_COOKIE, nonce, { ...googleLinkCookieOptions(), maxAge: 10 * 60 * 1000 });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/auth/google/link?state=${state}`
+      }
+    });
+
+  } catch (error) {
+    console.error('GetGoogleLinkUrl error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start Google linking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Unlink the Google identity from this account
+ * @route   DELETE /api/users/me/google
+ * @access  Private
+ * @body    { password }
+ */
+const unlinkGoogle = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await UserModel.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.googleId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No Google account is linked'
+      });
+    }
+
+    // Without a password the account would have no way to log in
+    if (!user.password) {
+      return res.status(409).json({
+        success: false,
+        message: 'Set a password before unlinking Google'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    await user.unlinkGoogleAccount();
+    await clearUserCache(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Google account unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('UnlinkGoogle error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to unlink Google account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Set a password on an account that has none (Google-only accounts)
+ * @route   POST /api/users/me/password
+ * @access  Private
+ * @body    { newPassword }
+ */
+const setPassword = async (req, res) => {
+  try {
+    const { newPassword } = req.body;
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordValidation.message
+      });
+    }
+
+    const user = await UserModel.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.password) {
+      return res.status(409).json({
+        success: false,
+        message: 'A password is already set. Use PUT /api/users/password to change it.'
+      });
+    }
+
+    // Hashed by the pre-save hook
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await clearUserCache(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password set successfully. You can now log in with your email and password.'
+    });
+
+  } catch (error) {
+    console.error('SetPassword error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to set password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    List current user's active sessions (devices)
+ * @route   GET /api/users/sessions
+ * @access  Private
+ */
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sid
+      }))
+    });
+
+  } catch (error) {
+    console.error('GetMySessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of current user's sessions
+ * @route   DELETE /api/users/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.user.id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('RevokeSession error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all of current user's sessions except the current one
+ * @route   DELETE /api/users/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedSessions = await Session.revokeAllForUser(req.user.id, 'user_revoked', {
+      exceptSessionId: req.user.sid
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: {
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('RevokeOtherSessions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Export all controller methods
 module.exports = {
   getUserProfile,
   getUserById,
   updateProfile,
+  getPublicProfile,
   getAccountSettings,
   updateAccountSettings,
   changePassword,
   deleteOwnAccount,
+  getGoogleLinkUrl,
+  unlinkGoogle,
+  setPassword,
+  getMySessions,
+  revokeSession,
+  revokeOtherSessions,
   getAllUsers,
   updateUserRole,
-  deleteUser
+  clearUserLockout,
+  suspendUser,
+  reactivateUser,
+  forceLogoutUser,
+  deleteUser,
+  restoreUser
 };
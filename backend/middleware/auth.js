@@ -11,12 +11,141 @@
  *   Authorization: Bearer <jwt_token>
  * 
  * After Authentication:
- *   req.user = { id, email, role, iat, exp }
+ *   req.user = { id, email, role, sid, iat, exp }
+ *
+ * Besides the token itself, the account must still exist, must not be
+ * suspended or deactivated, and the token must not be older than the user's
+ * tokensValidAfter (set by force logout and suspension). The account status
+ * is cached in Redis for ACCOUNT_STATUS_TTL seconds; call
+ * clearAccountStatusCache(userId) after changing it. The session named by
+ * the token's sid must still be active (Session.isActiveById), so revoking
+ * a session also ends its access tokens.
  * =============================================================================
  */
 
-const { verifyToken } = require('../utils/tokenGenerator');
+const { verifyAccessToken, verifyChallengeToken } = require('../utils/tokenGenerator');
 const cacheService = require('../config/cache');
+const UserModel = require('../models/UserSchema');
+const Session = require('../models/Session');
+
+// Seconds an account status lookup is cached
+const ACCOUNT_STATUS_TTL = 60;
+
+/**
+ * @desc    Build the error body for a login or request by an inactive account
+ * @param   {Object} user - User document or cached account status
+ * @returns {Object} Response body
+ */
+const buildInactiveAccountResponse = (user) => {
+  if (user.deletion?.scheduledFor) {
+    return {
+      success: false,
+      message: 'Account is scheduled for deletion.',
+      deletion: {
+        scheduledFor: user.deletion.scheduledFor,
+        canRestore: user.deletion.initiatedBy === 'self'
+      }
+    };
+  }
+
+  if (!user.suspension?.suspendedAt) {
+    return {
+      success: false,
+      message: 'Account is deactivated. Contact support.'
+    };
+  }
+
+  return {
+    success: false,
+    message: 'Account is suspended. Contact support.',
+    suspension: {
+      reason: user.suspension.reason,
+      expiresAt: user.suspension.expiresAt
+    }
+  };
+};
+
+/**
+ * @desc    Get a user's account status (cached)
+ *          Lifts suspensions that have run out.
+ * @param   {string} userId - User ID
+ * @returns {Promise<Object|null>} { isActive, suspension, tokensValidAfter } or null if the user is gone
+ */
+const getAccountStatus = async (userId) => {
+  const cacheKey = `user:status:${userId}`;
+  const cached = await cacheService.get(cacheKey);
+  if (cached) return cached;
+
+  const user = await UserModel.findById(userId).select('isActive suspension deletion anonymizedAt tokensValidAfter');
+  if (!user) return null;
+
+  await user.liftExpiredSuspension();
+
+  const status = {
+    isActive: user.isActive,
+    suspension: {
+      reason: user.suspension.reason,
+      suspendedAt: user.suspension.suspendedAt,
+      expiresAt: user.suspension.expiresAt
+    },
+    deletion: {
+      scheduledFor: user.isPendingDeletion() ? user.deletion.scheduledFor : null,
+      initiatedBy: user.deletion.initiatedBy
+    },
+    tokensValidAfter: user.tokensValidAfter ? user.tokensValidAfter.getTime() : null
+  };
+
+  await cacheService.set(cacheKey, status, ACCOUNT_STATUS_TTL);
+  return status;
+};
+
+/**
+ * @desc    Drop the cached account status after suspending, reactivating,
+ *          deleting, restoring or force-logging-out a user
+ * @param   {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+const clearAccountStatusCache = (userId) => cacheService.del(`user:status:${userId}`);
+
+/**
+ * @desc    Check that a verified token still belongs to a usable account
+ *          and an active session
+ * @param   {Object} decoded - Verified access token payload
+ * @returns {Promise<Object|null>} null if allowed, otherwise { status, body }
+ */
+const checkAccountStatus = async (decoded) => {
+  const status = await getAccountStatus(decoded.id);
+
+  if (!status) {
+    return {
+      status: 401,
+      body: { success: false, message: 'User not found' }
+    };
+  }
+
+  if (!status.isActive) {
+    return { status: 403, body: buildInactiveAccountResponse(status) };
+  }
+
+  // JWT iat has one-second precision; tokensValidAfter is stored rounded down
+  // to the second, so a login right after a revocation is still accepted
+  if (status.tokensValidAfter && decoded.iat < Math.floor(status.tokensValidAfter / 1000)) {
+    return {
+      status: 401,
+      body: { success: false, message: 'Token has been revoked. Please login again.' }
+    };
+  }
+
+  // Logout, "log out other devices", password reset, reuse detection, ...
+  if (decoded.sid && !(await Session.isActiveById(decoded.sid))) {
+    return {
+      status: 401,
+      body: { success: false, message: 'Session has been revoked. Please login again.' }
+    };
+  }
+
+  return null;
+};
 
 /**
  * @desc    Authenticate user using JWT token
@@ -61,7 +190,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Verify token signature and expiration
-    const decoded = verifyToken(token);
+    const decoded = verifyAccessToken(token);
     
     if (!decoded) {
       return res.status(401).json({
@@ -70,6 +199,12 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject suspended, deactivated or deleted accounts and revoked tokens
+    const rejection = await checkAccountStatus(decoded);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
     // Attach user data to request object
     req.user = decoded;
     next();
@@ -84,4 +219,34 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Authenticate with a 2FA setup challenge token (body.challengeToken)
+ *          or fall back to the normal access token check.
+ *          Used by 2FA enrollment routes so users forced to enroll at login
+ *          can do so before they hold an access token.
+ *          Sets req.user = { id, twoFactorSetup: true } for challenge tokens.
+ */
+const authenticateOrSetupChallenge = (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  const decoded = verifyChallengeToken(challengeToken, 'setup');
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge token. Please log in again.'
+    });
+  }
+
+  req.user = { id: decoded.id, twoFactorSetup: true };
+  next();
+};
+
 module.exports = authenticate;
+module.exports.authenticate = authenticate;
+module.exports.authenticateOrSetupChallenge = authenticateOrSetupChallenge;
+module.exports.checkAccountStatus = checkAccountStatus;
+module.exports.clearAccountStatusCache = clearAccountStatusCache;
+module.exports.buildInactiveAccountResponse = buildInactiveAccountResponse;
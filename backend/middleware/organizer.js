@@ -0,0 +1,115 @@
+/**
+ * =============================================================================
+ * COMPETITION ORGANIZER MIDDLEWARE
+ * =============================================================================
+ * Grants access to competitions the user is assigned to organize
+ * (Competition.organizers). Independent of the user's global role.
+ *
+ * Usage:
+ *   router.use(authenticate, requireOrganizer);
+ *   router.put('/competitions/:competitionId', requireCompetitionOrganizer(), handler);
+ *   router.post('/competitions/:competitionId/organizers', requireCompetitionOrganizer('organizer'), handler);
+ *
+ * After Authorization:
+ *   req.permissionScope = { competitions: [ids] } (see middleware/permissions.js)
+ *   req.competition     = Competition document (requireCompetitionOrganizer)
+ *   req.organizerRole   = 'organizer' | 'co-organizer' (requireCompetitionOrganizer)
+ *
+ * Prerequisites:
+ *   - Must be used after authenticate middleware
+ * =============================================================================
+ */
+
+const Competition = require('../models/Competition');
+
+/**
+ * @desc    Require the user to organize at least one competition and limit
+ *          registration queries to the competitions they organize
+ * @returns {Function} Express middleware function
+ */
+const requireOrganizer = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Authentication required.'
+      });
+    }
+
+    const competitionIds = await Competition.findByOrganizer(req.user.id).distinct('_id');
+
+    if (competitionIds.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not an organizer of any competition.'
+      });
+    }
+
+    req.permissionScope = { competitions: competitionIds.map((id) => id.toString()) };
+
+    next();
+
+  } catch (error) {
+    console.error('Organizer check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authorization error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Require the user to organize the competition in req.params.competitionId
+ * @param   {...string} allowedRoles - Organizer roles allowed (default: any)
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.delete('/competitions/:competitionId/organizers/:userId', requireCompetitionOrganizer('organizer'), handler);
+ */
+const requireCompetitionOrganizer = (...allowedRoles) => {
+  return async (req, res, next) => {
+    try {
+      const competition = await Competition.findOne({
+        _id: req.params.competitionId,
+        isDeleted: false
+      });
+
+      const organizerRole = competition ? competition.getOrganizerRole(req.user.id) : null;
+
+      // Same response whether the competition is missing or not theirs
+      if (!organizerRole) {
+        return res.status(404).json({
+          success: false,
+          message: 'Competition not found'
+        });
+      }
+
+      if (allowedRoles.length > 0 && !allowedRoles.includes(organizerRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required organizer role: ${allowedRoles.join(' or ')}`
+        });
+      }
+
+      req.competition = competition;
+      req.organizerRole = organizerRole;
+      req.permissionScope = { competitions: [competition._id.toString()] };
+
+      next();
+
+    } catch (error) {
+      console.error('Competition organizer check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireOrganizer,
+  requireCompetitionOrganizer
+};
@@ -0,0 +1,232 @@
+/**
+ * =============================================================================
+ * PERMISSION-BASED AUTHORIZATION MIDDLEWARE
+ * =============================================================================
+ * Checks that the authenticated user's role grants a permission
+ * (see config/permissions.js and models/Role.js)
+ *
+ * Usage:
+ *   const { requirePermission } = require('../middleware/permissions');
+ *   const { PERMISSIONS } = require('../config/permissions');
+ *   router.get('/', authenticate, requirePermission(PERMISSIONS.USERS_READ), handler);
+ *
+ * After Authorization:
+ *   req.permissions     = [...permissions of the user's role]
+ *   req.permissionScope = null (unrestricted) or { categories: [ids] }
+ *
+ * Competition organizers (middleware/organizer.js) get
+ *   req.permissionScope = { competitions: [ids] }
+ * which the same scope helpers below understand.
+ *
+ * Role grants are cached in Redis for 5 minutes; clearRoleCache() is called
+ * whenever a role is changed.
+ *
+ * Prerequisites:
+ *   - Must be used after authenticate middleware
+ *   - req.user must contain role property
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const cacheService = require('../config/cache');
+const Role = require('../models/Role');
+const Competition = require('../models/Competition');
+const { DEFAULT_ROLES, SCOPABLE_PERMISSIONS, WILDCARD } = require('../config/permissions');
+
+const ROLE_CACHE_TTL = 300; // 5 minutes
+
+const roleCacheKey = (roleName) => `role:grants:${roleName}`;
+
+/**
+ * @desc    Resolve what a role grants
+ * @param   {string} roleName - Role name (User.role)
+ * @returns {Promise<Object>} { permissions: [], categories: [] }
+ */
+const getRoleGrants = async (roleName) => {
+  const name = String(roleName || '').toLowerCase();
+  if (!name) return { permissions: [], categories: [] };
+
+  const cached = await cacheService.get(roleCacheKey(name));
+  if (cached) return cached;
+
+  const role = await Role.findByName(name).lean();
+  let grants;
+  if (role) {
+    grants = {
+      permissions: role.permissions || [],
+      categories: (role.scope?.categories || []).map((id) => id.toString())
+    };
+  } else {
+    // Fall back to built-in definitions (e.g. before roles are seeded)
+    grants = {
+      permissions: DEFAULT_ROLES[name]?.permissions || [],
+      categories: []
+    };
+  }
+
+  await cacheService.set(roleCacheKey(name), grants, ROLE_CACHE_TTL);
+  return grants;
+};
+
+/**
+ * @desc    Check whether grants include a permission
+ * @param   {Object} grants - From getRoleGrants()
+ * @param   {string} permission
+ * @returns {boolean}
+ */
+const grantsPermission = (grants, permission) => {
+  return grants.permissions.includes(WILDCARD) || grants.permissions.includes(permission);
+};
+
+/**
+ * @desc    Check whether a user (req.user or user document) has a permission
+ * @param   {Object} user - Object with a role property
+ * @param   {string} permission
+ * @returns {Promise<boolean>}
+ */
+const userHasPermission = async (user, permission) => {
+  if (!user) return false;
+  const grants = await getRoleGrants(user.role);
+  return grantsPermission(grants, permission);
+};
+
+/**
+ * @desc    Require at least one of the given permissions
+ * @param   {...string} requiredPermissions - Accepted permissions
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.patch('/:id/approve', authenticate, requirePermission(PERMISSIONS.REGISTRATIONS_APPROVE), handler);
+ */
+const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    try {
+      // Verify user is authenticated
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Authentication required.'
+        });
+      }
+
+      const grants = await getRoleGrants(req.user.role);
+      const granted = requiredPermissions.find((permission) => grantsPermission(grants, permission));
+
+      if (!granted) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required permission(s): ${requiredPermissions.join(', ')}`
+        });
+      }
+
+      // Scoped roles only grant scopable permissions within their categories
+      const isScoped = grants.categories.length > 0
+        && !grants.permissions.includes(WILDCARD)
+        && SCOPABLE_PERMISSIONS.includes(granted);
+
+      req.permissions = grants.permissions;
+      req.permissionScope = isScoped ? { categories: grants.categories } : null;
+
+      next();
+
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+/**
+ * @desc    Get the competition IDs a scoped request may touch
+ * @param   {Object} req - Express request (after requirePermission)
+ * @returns {Promise<Array|null>} ObjectIds, or null when unrestricted
+ */
+const getScopedCompetitionIds = async (req) => {
+  if (!req.permissionScope) return null;
+
+  if (req.permissionScope.competitions) {
+    return req.permissionScope.competitions.map((id) => new mongoose.Types.ObjectId(id));
+  }
+
+  const categories = req.permissionScope.categories.map((id) => new mongoose.Types.ObjectId(id));
+  return Competition.find({ category: { $in: categories } }).distinct('_id');
+};
+
+/**
+ * @desc    Restrict a registration filter to the request's permission scope
+ * @param   {Object} req - Express request (after requirePermission)
+ * @param   {Object} filter - Existing MongoDB filter
+ * @returns {Promise<Object>} Filter limited to in-scope competitions
+ */
+const applyRegistrationScope = async (req, filter = {}) => {
+  const competitionIds = await getScopedCompetitionIds(req);
+  if (!competitionIds) return filter;
+
+  return {
+    ...filter,
+    $and: [...(filter.$and || []), { competition: { $in: competitionIds } }]
+  };
+};
+
+/**
+ * @desc    Check that a category is inside the request's permission scope
+ * @param   {Object} req - Express request (after requirePermission)
+ * @param   {string|ObjectId} categoryId
+ * @returns {boolean}
+ */
+const isCategoryInScope = (req, categoryId) => {
+  if (!req.permissionScope) return true;
+  if (!req.permissionScope.categories) return false;
+  return !!categoryId && req.permissionScope.categories.includes(categoryId.toString());
+};
+
+/**
+ * @desc    Names of roles that grant a permission (directly or via "*")
+ * @param   {string} permission
+ * @returns {Promise<Array<string>>}
+ */
+const getRoleNamesWithPermission = async (permission) => {
+  const names = await Role.find({ permissions: { $in: [permission, WILDCARD] } }).distinct('name');
+  if (names.length) return names;
+
+  return Object.entries(DEFAULT_ROLES)
+    .filter(([, role]) => role.permissions.includes(WILDCARD) || role.permissions.includes(permission))
+    .map(([name]) => name);
+};
+
+/**
+ * @desc    Names of staff roles (roles granting at least one permission)
+ * @returns {Promise<Array<string>>}
+ */
+const getPrivilegedRoleNames = async () => {
+  const names = await Role.find({ 'permissions.0': { $exists: true } }).distinct('name');
+  if (names.length) return names;
+
+  return Object.entries(DEFAULT_ROLES)
+    .filter(([, role]) => role.permissions.length > 0)
+    .map(([name]) => name);
+};
+
+/**
+ * @desc    Invalidate cached grants for a role
+ * @param   {string} roleName
+ */
+const clearRoleCache = async (roleName) => {
+  await cacheService.del(roleCacheKey(String(roleName).toLowerCase()));
+};
+
+module.exports = {
+  requirePermission,
+  getRoleGrants,
+  userHasPermission,
+  getScopedCompetitionIds,
+  applyRegistrationScope,
+  isCategoryInScope,
+  getRoleNamesWithPermission,
+  getPrivilegedRoleNames,
+  clearRoleCache
+};
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * RATE LIMIT MIDDLEWARE
+ * =============================================================================
+ * Fixed-window request limits, e.g. for public endpoints that send email
+ *
+ * Features:
+ * - Counters per limiter name and key (client IP, email address, ...)
+ * - Counters stored in Redis (config/cache.js) and incremented atomically,
+ *   with an in-memory fallback when Redis is unavailable
+ * - 429 Too Many Requests with a Retry-After header once the limit is hit
+ *
+ * Usage:
+ *   router.post('/resend-verification',
+ *     rateLimit({ name: 'verify-email:ip', limit: 10, windowSeconds: 3600, key: getClientIp }),
+ *     controller.method);
+ *
+ * Key Format:
+ *   ratelimit:<name>:<key>
+ * =============================================================================
+ */
+
+const cacheService = require('../config/cache');
+
+// In-memory fallback store: key -> { count, expiresAt }
+const memoryCounters = new Map();
+
+/**
+ * Redis script: increment a counter, starting its window on the first hit
+ * KEYS[1] = key, ARGV[1] = window seconds
+ * Returns { count, seconds left in the window }
+ */
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('TTL', KEYS[1]) }
+`;
+
+/**
+ * Increment a counter in the in-memory store
+ * @param {string} key - Counter key
+ * @param {number} windowSeconds - Window length
+ * @returns {Object} { count, retryAfter }
+ */
+const incrementInMemory = (key, windowSeconds) => {
+  const now = Date.now();
+  let entry = memoryCounters.get(key);
+
+  if (!entry || entry.expiresAt <= now) {
+    if (memoryCounters.size > 10000) {
+      for (const [storedKey, stored] of memoryCounters) {
+        if (stored.expiresAt <= now) memoryCounters.delete(storedKey);
+      }
+    }
+    entry = { count: 0, expiresAt: now + windowSeconds * 1000 };
+    memoryCounters.set(key, entry);
+  }
+
+  entry.count += 1;
+  return { count: entry.count, retryAfter: Math.ceil((entry.expiresAt - now) / 1000) };
+};
+
+/**
+ * Increment a counter
+ * @param {string} key - Counter key
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<Object>} { count, retryAfter }
+ */
+const increment = async (key, windowSeconds) => {
+  if (cacheService.isConnected()) {
+    try {
+      const [count, ttl] = await cacheService.getClient().eval(INCREMENT_SCRIPT, {
+        keys: [key],
+        arguments: [String(windowSeconds)]
+      });
+      return { count: Number(count), retryAfter: Number(ttl) > 0 ? Number(ttl) : windowSeconds };
+    } catch (error) {
+      console.error('Rate limit increment error:', error.message);
+    }
+  }
+
+  return incrementInMemory(key, windowSeconds);
+};
+
+/**
+ * @desc    Create a rate limiting middleware
+ * @param   {Object} options
+ * @param   {string} options.name - Limiter name (part of the counter key)
+ * @param   {number} options.limit - Requests allowed per window
+ * @param   {number} options.windowSeconds - Window length
+ * @param   {Function} options.key - (req) => key; requests without a key are not limited
+ * @param   {string} [options.message] - Message of the 429 response
+ * @returns {Function} Express middleware function
+ */
+const rateLimit = ({ name, limit, windowSeconds, key, message }) => async (req, res, next) => {
+  try {
+    const value = key(req);
+    if (!value) return next();
+
+    const { count, retryAfter } = await increment(`ratelimit:${name}:${value}`, windowSeconds);
+    if (count <= limit) return next();
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: message || 'Too many requests. Please try again later.',
+      retryAfter
+    });
+
+  } catch (error) {
+    // Never block a request because the limiter failed
+    console.error('Rate limit error:', error.message);
+    return next();
+  }
+};
+
+module.exports = {
+  rateLimit
+};
@@ -8,10 +8,10 @@
  *   router.get('/admin', authenticate, authorize('admin'), controller.method);
  *   router.get('/staff', authenticate, authorize('admin', 'support'), controller.method);
  * 
- * Available Roles:
- *   - user    : Regular user (default)
- *   - support : Support staff with elevated permissions
- *   - admin   : Administrator with full access
+ * NOTE: Routes are protected with requirePermission() from
+ * middleware/permissions.js. Roles are admin-managed permission bundles, so
+ * checking role names directly ignores custom roles. This middleware is kept
+ * for compatibility only.
  * 
  * Prerequisites:
  *   - Must be used after authenticate middleware
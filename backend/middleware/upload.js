@@ -71,6 +71,12 @@ const createUploader = (options = {}) => {
 const imageUploader = createUploader({ fileTypes: 'image', maxFiles: 10 });
 const singleImageUploader = createUploader({ fileTypes: 'image', maxFiles: 1 });
 const documentUploader = createUploader({ fileTypes: 'document', maxFiles: 5 });
+const avatarUploader = createUploader({ fileTypes: 'image', maxSize: 5 * 1024 * 1024, maxFiles: 1 });
+const formFileUploader = createUploader({
+  fileTypes: [...ALLOWED_MIME_TYPES.image, ...ALLOWED_MIME_TYPES.document],
+  maxSize: FILE_SIZE_LIMITS.document,
+  maxFiles: 1
+});
 
 /**
  * Single image upload middleware
@@ -110,6 +116,18 @@ const uploadCompetitionImages = imageUploader.fields([
   { name: 'gallery', maxCount: 10 }
 ]);
 
+/**
+ * User avatar upload middleware
+ * Accepts: avatar (single image, max 5MB)
+ */
+const uploadAvatarImage = avatarUploader.single('avatar');
+
+/**
+ * Registration form file upload middleware
+ * Accepts: file (single image or document, max 25MB)
+ */
+const uploadFormFile = formFileUploader.single('file');
+
 /**
  * Error handler middleware for multer errors
  */
@@ -161,6 +179,8 @@ module.exports = {
   uploadFields,
   uploadCategoryImages,
   uploadCompetitionImages,
+  uploadAvatarImage,
+  uploadFormFile,
   handleUploadError,
   ALLOWED_MIME_TYPES,
   FILE_SIZE_LIMITS
@@ -14,6 +14,16 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { HANDLE_PATTERN, PUBLIC_PROFILE_FIELDS, SOCIAL_LINK_TYPES } = require('../models/UserSchema');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, isNotificationType } = require('../config/notifications');
+const { JOB_STATUSES } = require('../models/Job');
+const { TEAM_LISTING_TYPES } = require('../models/TeamListing');
+const { TEAM_JOIN_REQUEST_STATUSES } = require('../models/TeamJoinRequest');
+const { JOB_BACKENDS } = require('../utils/jobQueue');
+const { validateFormDefinition } = require('../utils/registrationForm');
+
+// Phone numbers on registrations and profiles
+const PHONE_PATTERN = /^[+]?[(]?[0-9]{1,4}[)]?[-\s./0-9]*$/;
 
 // =============================================================================
 // VALIDATION RESULT HANDLER
@@ -67,6 +77,54 @@ const isFutureDate = (value) => {
   return true;
 };
 
+/**
+ * Check that an object only uses supported social link keys
+ */
+const hasOnlySocialLinkTypes = (value) => {
+  const unknown = Object.keys(value).filter((key) => !SOCIAL_LINK_TYPES.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported social links: ${unknown.join(', ')}. Allowed: ${SOCIAL_LINK_TYPES.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Check a competition registration form definition
+ */
+const isValidRegistrationForm = (value) => {
+  const problem = validateFormDefinition(value);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
+
+/**
+ * Check a partial notification preference matrix: { <type>: { <channel>: boolean } }
+ */
+const isNotificationPreferenceMatrix = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Notification preferences must be an object');
+  }
+  Object.entries(value).forEach(([type, channels]) => {
+    if (!isNotificationType(type)) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      throw new Error(`Preferences for ${type} must be an object`);
+    }
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification channel: ${channel}. Allowed: ${NOTIFICATION_CHANNELS.join(', ')}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new Error(`${type}.${channel} must be true or false`);
+      }
+    });
+  });
+  return true;
+};
+
 /**
  * Check if value is a valid URL
  */
@@ -174,9 +232,22 @@ const competitionValidation = {
     body('endDate')
       .optional()
       .isISO8601().withMessage('Invalid end date format'),
+    body('publishAt')
+      .optional()
+      .isISO8601().withMessage('Invalid publish date format')
+      .custom(isFutureDate),
     body('maxRegistrations')
       .optional()
       .isInt({ min: 0 }).withMessage('Max registrations must be a positive integer'),
+    body('waitlistEnabled')
+      .optional()
+      .isBoolean().withMessage('waitlistEnabled must be a boolean'),
+    body('teamLockAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Invalid team lock date format'),
+    body('registrationForm')
+      .optional()
+      .custom(isValidRegistrationForm),
     body('venue')
       .optional()
       .trim()
@@ -263,9 +334,22 @@ const competitionValidation = {
     body('endDate')
       .optional()
       .isISO8601().withMessage('Invalid end date format'),
+    body('publishAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Invalid publish date format')
+      .custom(isFutureDate),
     body('maxRegistrations')
       .optional()
       .isInt({ min: 0 }).withMessage('Max registrations must be a positive integer'),
+    body('waitlistEnabled')
+      .optional()
+      .isBoolean().withMessage('waitlistEnabled must be a boolean'),
+    body('teamLockAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Invalid team lock date format'),
+    body('registrationForm')
+      .optional()
+      .custom(isValidRegistrationForm),
     body('status')
       .optional()
       .isIn(['draft', 'published', 'cancelled', 'completed'])
@@ -328,6 +412,104 @@ const competitionValidation = {
   paramId: [
     param('id').custom(isValidObjectId),
     validate
+  ],
+
+  addOrganizer: [
+    param('id').custom(isValidObjectId),
+    body('userId')
+      .optional()
+      .custom(isValidObjectId),
+    body('email')
+      .optional()
+      .isEmail().withMessage('Invalid email address'),
+    body()
+      .custom((value) => {
+        if (!value.userId && !value.email) {
+          throw new Error('userId or email is required');
+        }
+        return true;
+      }),
+    body('role')
+      .optional()
+      .isIn(['organizer', 'co-organizer'])
+      .withMessage('Role must be organizer or co-organizer'),
+    validate
+  ],
+
+  removeOrganizer: [
+    param('id').custom(isValidObjectId),
+    param('userId').custom(isValidObjectId),
+    validate
+  ]
+};
+
+// =============================================================================
+// ORGANIZER VALIDATIONS
+// =============================================================================
+
+const organizerValidation = {
+  competitionId: [
+    param('competitionId').custom(isValidObjectId),
+    validate
+  ],
+
+  update: [
+    param('competitionId').custom(isValidObjectId),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 200 }).withMessage('Title must be 5-200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ min: 20 }).withMessage('Description must be at least 20 characters'),
+    body('shortDescription')
+      .optional()
+      .trim()
+      .isLength({ max: 300 }).withMessage('Short description cannot exceed 300 characters'),
+    body('deadline')
+      .optional()
+      .isISO8601().withMessage('Invalid date format'),
+    body('startDate')
+      .optional()
+      .isISO8601().withMessage('Invalid start date format'),
+    body('endDate')
+      .optional()
+      .isISO8601().withMessage('Invalid end date format'),
+    body('maxRegistrations')
+      .optional()
+      .isInt({ min: 0 }).withMessage('Max registrations must be a positive integer'),
+    body('waitlistEnabled')
+      .optional()
+      .isBoolean().withMessage('waitlistEnabled must be a boolean'),
+    body('teamLockAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Invalid team lock date format'),
+    validate
+  ],
+
+  addCoOrganizer: [
+    param('competitionId').custom(isValidObjectId),
+    body('userId')
+      .optional()
+      .custom(isValidObjectId),
+    body('email')
+      .optional()
+      .isEmail().withMessage('Invalid email address'),
+    body()
+      .custom((value) => {
+        if (!value.userId && !value.email) {
+          throw new Error('userId or email is required');
+        }
+        return true;
+      }),
+    validate
+  ],
+
+  removeCoOrganizer: [
+    param('competitionId').custom(isValidObjectId),
+    param('userId').custom(isValidObjectId),
+    validate
   ]
 };
 
@@ -356,7 +538,7 @@ const registrationValidation = {
     body('phone')
       .optional()
       .trim()
-      .matches(/^[+]?[(]?[0-9]{1,4}[)]?[-\s./0-9]*$/)
+      .matches(PHONE_PATTERN)
       .withMessage('Invalid phone number'),
     body('institution')
       .optional()
@@ -385,8 +567,11 @@ const registrationValidation = {
   query: [
     query('status')
       .optional()
-      .isIn(['pending', 'approved', 'rejected', 'cancelled', 'completed'])
+      .isIn(['pending', 'approved', 'rejected', 'cancelled', 'completed', 'waitlisted'])
       .withMessage('Invalid status'),
+    query('competition')
+      .optional()
+      .custom(isValidObjectId),
     query('page')
       .optional()
       .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -413,12 +598,395 @@ const registrationValidation = {
     validate
   ],
 
+  export: [
+    query('competition')
+      .notEmpty().withMessage('Competition is required')
+      .custom(isValidObjectId),
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'cancelled', 'completed', 'waitlisted'])
+      .withMessage('Invalid status'),
+    validate
+  ],
+
+  paramId: [
+    param('id').custom(isValidObjectId),
+    validate
+  ]
+};
+
+// =============================================================================
+// USER ADMINISTRATION VALIDATIONS
+// =============================================================================
+
+const userValidation = {
+  suspend: [
+    param('id').custom(isValidObjectId),
+    body('reason')
+      .trim()
+      .notEmpty().withMessage('Suspension reason is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Invalid expiry date')
+      .custom(isFutureDate),
+    validate
+  ],
+
+  paramId: [
+    param('id').custom(isValidObjectId),
+    validate
+  ],
+
+  // Participant profile fields (name and email are checked in the controller)
+  updateProfile: [
+    body('handle')
+      .optional({ values: 'null' })
+      .trim()
+      .toLowerCase()
+      .matches(HANDLE_PATTERN)
+      .withMessage('Handle must be 3-30 characters: letters, numbers, "_" or "-"'),
+    body('institution')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 200 }).withMessage('Institution name cannot exceed 200 characters'),
+    body('studentId')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 50 }).withMessage('Student ID cannot exceed 50 characters'),
+    body('program')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 100 }).withMessage('Program cannot exceed 100 characters'),
+    body('yearOfStudy')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 10 }).withMessage('Year of study must be between 1 and 10')
+      .toInt(),
+    body('phone')
+      .optional({ values: 'null' })
+      .trim()
+      .matches(PHONE_PATTERN)
+      .withMessage('Invalid phone number'),
+    body('bio')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
+    body('skills')
+      .optional()
+      .isArray({ max: 30 }).withMessage('Skills must be an array of at most 30 items'),
+    body('skills.*')
+      .isString().withMessage('Each skill must be a string')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Each skill must be 1-50 characters'),
+    body('socialLinks')
+      .optional()
+      .isObject().withMessage('Social links must be an object')
+      .custom(hasOnlySocialLinkTypes),
+    body('socialLinks.*')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Social links must be http(s) URLs'),
+    body('publicFields')
+      .optional()
+      .isArray().withMessage('Public fields must be an array'),
+    body('publicFields.*')
+      .isIn(PUBLIC_PROFILE_FIELDS)
+      .withMessage(`Public fields must be any of: ${PUBLIC_PROFILE_FIELDS.join(', ')}`),
+    validate
+  ],
+
+  updateSettings: [
+    body('emailNotifications')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('emailNotifications must be true or false'),
+    body('notificationPreferences')
+      .optional()
+      .custom(isNotificationPreferenceMatrix),
+    validate
+  ],
+
+  handle: [
+    param('handle')
+      .trim()
+      .toLowerCase()
+      .matches(HANDLE_PATTERN)
+      .withMessage('Invalid handle'),
+    validate
+  ]
+};
+
+// =============================================================================
+// AUDIT LOG VALIDATIONS
+// =============================================================================
+
+const auditLogValidation = {
+  query: [
+    query('actor')
+      .optional()
+      .custom(isValidObjectId),
+    query('targetType')
+      .optional()
+      .isIn(['user', 'role', 'category', 'competition', 'registration', 'conversation', 'setting'])
+      .withMessage('Invalid target type'),
+    query('targetId')
+      .optional()
+      .custom(isValidObjectId),
+    query('action')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Action too long'),
+    query('from')
+      .optional()
+      .isISO8601().withMessage('Invalid from date'),
+    query('to')
+      .optional()
+      .isISO8601().withMessage('Invalid to date'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    validate
+  ]
+};
+
+// =============================================================================
+// NOTIFICATION VALIDATIONS
+// =============================================================================
+
+const notificationValidation = {
+  list: [
+    query('unread')
+      .optional()
+      .isIn(['true', 'false']).withMessage('unread must be true or false'),
+    query('type')
+      .optional()
+      .isIn(Object.values(NOTIFICATION_TYPES))
+      .withMessage(`Type must be one of: ${Object.values(NOTIFICATION_TYPES).join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    validate
+  ],
+
+  paramId: [
+    param('id').custom(isValidObjectId),
+    validate
+  ]
+};
+
+// =============================================================================
+// SAVED COMPETITION VALIDATIONS
+// =============================================================================
+
+const savedCompetitionValidation = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    validate
+  ],
+
+  competitionId: [
+    param('competitionId').custom(isValidObjectId),
+    validate
+  ]
+};
+
+// =============================================================================
+// TEAM VALIDATIONS
+// =============================================================================
+
+const teamValidation = {
+  paramId: [
+    param('id').custom(isValidObjectId),
+    validate
+  ],
+
+  rename: [
+    param('id').custom(isValidObjectId),
+    body('teamName')
+      .trim()
+      .notEmpty().withMessage('Team name is required')
+      .isLength({ max: 100 }).withMessage('Team name cannot exceed 100 characters'),
+    validate
+  ],
+
+  addMember: [
+    param('id').custom(isValidObjectId),
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Team member name is required'),
+    body('email')
+      .trim()
+      .isEmail().withMessage('Invalid team member email'),
+    body('role')
+      .optional()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Role cannot exceed 50 characters'),
+    validate
+  ],
+
+  removeMember: [
+    param('id').custom(isValidObjectId),
+    param('email').isEmail().withMessage('Invalid team member email'),
+    validate
+  ],
+
+  transferCaptain: [
+    param('id').custom(isValidObjectId),
+    body('email')
+      .trim()
+      .isEmail().withMessage('Invalid team member email'),
+    validate
+  ]
+};
+
+// =============================================================================
+// TEAM BOARD VALIDATIONS
+// =============================================================================
+
+const teamBoardValidation = {
+  board: [
+    param('competitionId').custom(isValidObjectId),
+    query('type')
+      .optional()
+      .isIn(TEAM_LISTING_TYPES).withMessage('Invalid listing type'),
+    query('skills')
+      .optional()
+      .trim()
+      .isLength({ max: 200 }).withMessage('Skills filter too long'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    validate
+  ],
+
+  listing: [
+    param('competitionId').custom(isValidObjectId),
+    body('blurb')
+      .trim()
+      .notEmpty().withMessage('Description is required')
+      .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('skills')
+      .optional()
+      .isArray({ max: 20 }).withMessage('Skills must be an array of at most 20 items'),
+    body('skills.*')
+      .isString().withMessage('Each skill must be a string')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Each skill must be 1-50 characters'),
+    body('openRoles')
+      .optional()
+      .isArray({ max: 10 }).withMessage('Open roles must be an array of at most 10 items'),
+    body('openRoles.*')
+      .isString().withMessage('Each role must be a string')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Each role must be 1-50 characters'),
+    validate
+  ],
+
+  competitionParam: [
+    param('competitionId').custom(isValidObjectId),
+    validate
+  ],
+
+  request: [
+    param('id').custom(isValidObjectId),
+    body('role')
+      .optional()
+      .trim()
+      .isLength({ max: 50 }).withMessage('Role cannot exceed 50 characters'),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters'),
+    validate
+  ],
+
+  requests: [
+    query('status')
+      .optional()
+      .isIn(TEAM_JOIN_REQUEST_STATUSES).withMessage('Invalid status'),
+    query('competitionId')
+      .optional()
+      .custom(isValidObjectId),
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    validate
+  ],
+
   paramId: [
     param('id').custom(isValidObjectId),
     validate
   ]
 };
 
+// =============================================================================
+// TEAM INVITE VALIDATIONS
+// =============================================================================
+
+const teamInviteValidation = {
+  tokenQuery: [
+    query('token')
+      .isHexadecimal().withMessage('Invalid invitation token')
+      .isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token'),
+    validate
+  ],
+
+  tokenBody: [
+    body('token')
+      .isHexadecimal().withMessage('Invalid invitation token')
+      .isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token'),
+    validate
+  ],
+
+  paramId: [
+    param('id').custom(isValidObjectId),
+    validate
+  ]
+};
+
+// =============================================================================
+// JOB VALIDATIONS
+// =============================================================================
+
+const jobValidation = {
+  query: [
+    query('backend')
+      .optional()
+      .isIn(JOB_BACKENDS).withMessage(`Backend must be one of: ${JOB_BACKENDS.join(', ')}`),
+    query('status')
+      .optional()
+      .isIn(JOB_STATUSES).withMessage(`Status must be one of: ${JOB_STATUSES.join(', ')}`),
+    query('name')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Job name too long'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    validate
+  ]
+};
+
 // =============================================================================
 // PAGINATION HELPER
 // =============================================================================
@@ -459,6 +1027,15 @@ module.exports = {
   categoryValidation,
   competitionValidation,
   registrationValidation,
+  organizerValidation,
+  userValidation,
+  auditLogValidation,
+  notificationValidation,
+  savedCompetitionValidation,
+  teamValidation,
+  teamBoardValidation,
+  teamInviteValidation,
+  jobValidation,
   getPagination,
   formatPagination
 };
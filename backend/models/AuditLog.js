@@ -0,0 +1,121 @@
+/**
+ * =============================================================================
+ * AUDIT LOG MODEL
+ * =============================================================================
+ * Append-only trail of privileged (admin, support and organizer) actions
+ *
+ * Features:
+ * - Actor, action, target and before/after diff of changed fields
+ * - Client IP and user agent of the request
+ * - Written through utils/auditLogger.js, never updated
+ *
+ * Actions are "<target>.<verb>" strings, e.g. "registration.approve",
+ * "user.role_change", "competition.publish".
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Kinds of records an action can target
+ */
+const TARGET_TYPES = [
+  'user',
+  'role',
+  'category',
+  'competition',
+  'registration',
+  'conversation',
+  'setting'
+];
+
+const AuditLogSchema = new mongoose.Schema({
+  /**
+   * User who performed the action
+   */
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  /**
+   * Actor's role at the time of the action
+   */
+  actorRole: {
+    type: String,
+    trim: true
+  },
+
+  /**
+   * What was done
+   * @example "registration.approve"
+   */
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+
+  /**
+   * Kind of record affected
+   */
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: [true, 'Target type is required']
+  },
+
+  /**
+   * ID of the record affected (null for bulk actions and settings)
+   */
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  /**
+   * Changed fields only
+   * @example { before: { status: 'pending' }, after: { status: 'approved' } }
+   */
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+
+  /**
+   * Extra context (e.g. bulk registration IDs, rejection reason)
+   */
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /**
+   * Request origin
+   */
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = AuditLog;
+module.exports.TARGET_TYPES = TARGET_TYPES;
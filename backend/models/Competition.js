@@ -8,10 +8,16 @@
  * - Full-text search on title and description
  * - Category relationship
  * - Registration tracking with denormalized count
+ * - Optional waitlist once maxRegistrations is reached
  * - Deadline management
+ * - Team size limits and an optional team change lock date (teamLockAt)
+ * - Custom registration form (answers validated by utils/registrationForm.js)
  * - Prize information
  * - Status management (draft, published, cancelled, completed)
+ * - Scheduled lifecycle: drafts published at publishAt, registration closed
+ *   at the deadline, completed after endDate (utils/competitionLifecycle.js)
  * - Trending calculation support
+ * - Organizer / co-organizer assignments (competition-scoped access)
  * =============================================================================
  */
 
@@ -21,6 +27,37 @@ const mongoose = require('mongoose');
 // SUB-SCHEMAS
 // =============================================================================
 
+/**
+ * Organizer roles on a single competition
+ * - organizer    : Lead organizer, can also manage co-organizers
+ * - co-organizer : Can edit the competition and review its registrations
+ */
+const ORGANIZER_ROLES = ['organizer', 'co-organizer'];
+
+/**
+ * User assigned to manage a competition
+ */
+const OrganizerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZER_ROLES,
+    default: 'co-organizer'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * Prize structure for competitions
  */
@@ -85,6 +122,60 @@ const FAQSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Registration form field types
+ * - text        : Free text (rules: pattern, min/max length)
+ * - number      : Number (rules: min/max value)
+ * - select      : One of options
+ * - multiselect : Several of options (rules: min/max choices)
+ * - file        : URL of a file uploaded with POST /api/uploads/form-file
+ * - checkbox    : true/false; a required checkbox must be checked
+ */
+const FORM_FIELD_TYPES = ['text', 'number', 'select', 'multiselect', 'file', 'checkbox'];
+
+/**
+ * Registration form field
+ * Answers are stored in Registration.additionalInfo under the field key.
+ */
+const FormFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: FORM_FIELD_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  pattern: {
+    type: String
+  },
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  }
+}, { _id: false });
+
 // =============================================================================
 // MAIN SCHEMA
 // =============================================================================
@@ -208,6 +299,31 @@ const CompetitionSchema = new mongoose.Schema({
     type: Date
   },
 
+  /**
+   * Scheduled publish time for drafts (null = publish manually)
+   */
+  publishAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * When registration was closed at the deadline (reset if the deadline is
+   * moved into the future)
+   */
+  registrationClosedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * When the competition was marked completed
+   */
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
   /**
    * Maximum number of registrations (0 = unlimited)
    */
@@ -217,8 +333,23 @@ const CompetitionSchema = new mongoose.Schema({
     min: 0
   },
 
+  /**
+   * Put registrations beyond maxRegistrations on a waitlist instead of
+   * refusing them (promoted in order as slots free up)
+   */
+  waitlistEnabled: {
+    type: Boolean,
+    default: false
+  },
+
+  /**
+   * Extra questions asked on registration, in display order
+   */
+  registrationForm: [FormFieldSchema],
+
   /**
    * Current registration count (denormalized for performance)
+   * Counts pending and approved registrations, not waitlisted ones.
    */
   registrationsCount: {
     type: Number,
@@ -283,6 +414,15 @@ const CompetitionSchema = new mongoose.Schema({
     max: { type: Number, default: 1, min: 1 }
   },
 
+  /**
+   * Team changes (members, captain, name) are locked after this date
+   * Optional; the registration deadline applies when it is earlier or unset.
+   */
+  teamLockAt: {
+    type: Date,
+    default: null
+  },
+
   /**
    * Competition timeline/schedule
    */
@@ -364,7 +504,7 @@ const CompetitionSchema = new mongoose.Schema({
   },
 
   /**
-   * Organizer information
+   * Organizer information (public display only)
    */
   organizer: {
     name: { type: String, trim: true },
@@ -372,6 +512,11 @@ const CompetitionSchema = new mongoose.Schema({
     website: { type: String, trim: true }
   },
 
+  /**
+   * Users who manage this competition through /api/organizer
+   */
+  organizers: [OrganizerSchema],
+
   /**
    * Sponsors
    */
@@ -443,6 +588,9 @@ CompetitionSchema.index({ status: 1, createdAt: -1 });
 CompetitionSchema.index({ status: 1, registrationsCount: -1 });
 CompetitionSchema.index({ isFeatured: 1, status: 1, deadline: 1 });
 CompetitionSchema.index({ category: 1, status: 1, deadline: 1 });
+CompetitionSchema.index({ 'organizers.user': 1 });
+CompetitionSchema.index({ status: 1, publishAt: 1 });
+CompetitionSchema.index({ status: 1, endDate: 1 });
 
 // =============================================================================
 // VIRTUALS
@@ -458,6 +606,15 @@ CompetitionSchema.virtual('isRegistrationOpen').get(function() {
   return true;
 });
 
+/**
+ * Check if new registrations go on the waitlist
+ */
+CompetitionSchema.virtual('isWaitlistOpen').get(function() {
+  if (!this.waitlistEnabled || this.status !== 'published') return false;
+  if (this.deadline < new Date()) return false;
+  return this.maxRegistrations > 0 && this.registrationsCount >= this.maxRegistrations;
+});
+
 /**
  * Check if competition is upcoming
  */
@@ -482,6 +639,15 @@ CompetitionSchema.virtual('daysUntilDeadline').get(function() {
   return Math.ceil(diff / (1000 * 60 * 60 * 24));
 });
 
+/**
+ * Date after which teams can no longer be changed
+ * (the earlier of the registration deadline and teamLockAt)
+ */
+CompetitionSchema.virtual('teamChangesLockAt').get(function() {
+  if (this.teamLockAt && this.teamLockAt < this.deadline) return this.teamLockAt;
+  return this.deadline;
+});
+
 /**
  * Registration progress percentage
  */
@@ -495,7 +661,8 @@ CompetitionSchema.virtual('registrationProgress').get(function() {
 // =============================================================================
 
 /**
- * Generate slug and calculate total prize pool
+ * Generate slug, calculate total prize pool and keep lifecycle timestamps
+ * in line with manual edits
  */
 CompetitionSchema.pre('save', function(next) {
   // Generate slug
@@ -514,6 +681,15 @@ CompetitionSchema.pre('save', function(next) {
     }, 0);
   }
 
+  // Extending a closed deadline reopens registration
+  if (this.isModified('deadline') && this.deadline > new Date()) {
+    this.registrationClosedAt = null;
+  }
+
+  if (this.isModified('status') && this.status !== 'completed') {
+    this.completedAt = null;
+  }
+
   next();
 });
 
@@ -687,6 +863,30 @@ CompetitionSchema.statics.updateRegistrationCount = function(competitionId, amou
   );
 };
 
+/**
+ * Take one registration slot if the competition is not full
+ * Use inside the registration transaction so the check and the increment
+ * cannot be split by a concurrent registration.
+ * @param {ObjectId} competitionId - Competition ID
+ * @param {Object} session - MongoDB session for transaction
+ * @returns {Promise<Object|null>} Updated competition, or null if full
+ */
+CompetitionSchema.statics.claimRegistrationSlot = function(competitionId, session) {
+  return this.findOneAndUpdate(
+    {
+      _id: competitionId,
+      $expr: {
+        $or: [
+          { $eq: ['$maxRegistrations', 0] },
+          { $lt: ['$registrationsCount', '$maxRegistrations'] }
+        ]
+      }
+    },
+    { $inc: { registrationsCount: 1 } },
+    { new: true, session }
+  );
+};
+
 /**
  * Increment view count
  * @param {ObjectId} competitionId - Competition ID
@@ -699,6 +899,15 @@ CompetitionSchema.statics.incrementViews = function(competitionId) {
   );
 };
 
+/**
+ * Find competitions a user organizes
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Query}
+ */
+CompetitionSchema.statics.findByOrganizer = function(userId) {
+  return this.find({ 'organizers.user': userId, isDeleted: false });
+};
+
 /**
  * Get statistics for admin dashboard
  * @returns {Promise<Object>}
@@ -769,14 +978,60 @@ CompetitionSchema.methods.softDelete = function(userId) {
  */
 CompetitionSchema.methods.publish = function(userId) {
   this.status = 'published';
+  this.publishAt = null;
   this.updatedBy = userId;
   return this.save();
 };
 
+/**
+ * Get a user's organizer role on this competition
+ * @param {ObjectId|string} userId - User ID
+ * @returns {string|null} 'organizer', 'co-organizer' or null
+ */
+CompetitionSchema.methods.getOrganizerRole = function(userId) {
+  const entry = (this.organizers || []).find(
+    (organizer) => organizer.user.toString() === userId.toString()
+  );
+  return entry ? entry.role : null;
+};
+
+/**
+ * Add or update an organizer assignment
+ * @param {ObjectId|string} userId - User to assign
+ * @param {string} role - 'organizer' | 'co-organizer'
+ * @param {ObjectId|string} addedBy - User making the change
+ */
+CompetitionSchema.methods.setOrganizer = function(userId, role, addedBy) {
+  const entry = this.organizers.find(
+    (organizer) => organizer.user.toString() === userId.toString()
+  );
+  if (entry) {
+    entry.role = role;
+  } else {
+    this.organizers.push({ user: userId, role, addedBy });
+  }
+  this.updatedBy = addedBy;
+  return this.save();
+};
+
+/**
+ * Remove an organizer assignment
+ * @param {ObjectId|string} userId - User to remove
+ * @param {ObjectId|string} removedBy - User making the change
+ */
+CompetitionSchema.methods.removeOrganizer = function(userId, removedBy) {
+  this.organizers = this.organizers.filter(
+    (organizer) => organizer.user.toString() !== userId.toString()
+  );
+  this.updatedBy = removedBy;
+  return this.save();
+};
+
 /**
  * Check if user can register
  * @param {ObjectId} userId - User ID
- * @returns {Object} { canRegister: boolean, reason: string }
+ * @returns {Object} { canRegister: boolean, reason: string, waitlisted: boolean }
+ *          waitlisted is true when the registration would join the waitlist
  */
 CompetitionSchema.methods.canRegister = function() {
   if (this.status !== 'published') {
@@ -786,11 +1041,16 @@ CompetitionSchema.methods.canRegister = function() {
     return { canRegister: false, reason: 'Registration deadline has passed' };
   }
   if (this.maxRegistrations > 0 && this.registrationsCount >= this.maxRegistrations) {
-    return { canRegister: false, reason: 'Maximum registrations reached' };
+    if (this.waitlistEnabled) {
+      return { canRegister: true, reason: null, waitlisted: true };
+    }
+    return { canRegister: false, reason: 'Maximum registrations reached', waitlisted: false };
   }
-  return { canRegister: true, reason: null };
+  return { canRegister: true, reason: null, waitlisted: false };
 };
 
 const Competition = mongoose.model('Competition', CompetitionSchema);
 
 module.exports = Competition;
+module.exports.ORGANIZER_ROLES = ORGANIZER_ROLES;
+module.exports.FORM_FIELD_TYPES = FORM_FIELD_TYPES;
@@ -0,0 +1,154 @@
+/**
+ * =============================================================================
+ * DATA EXPORT MODEL
+ * =============================================================================
+ * Tracks personal data exports that are built in the background
+ *
+ * Features:
+ * - Status lifecycle: pending → processing → completed | failed
+ * - Archive stored privately in S3 and served through the API
+ * - Exports expire after DATA_EXPORT_TTL_DAYS; the "data-export.purge" job
+ *   deletes the archive from S3, then the record (a TTL index would leave
+ *   the archive behind)
+ *
+ * Small exports are streamed straight to the client and never stored here
+ * (see utils/dataExport.js).
+ *
+ * Static Methods:
+ *   findInProgress(userId)   - The user's pending/processing export, if any
+ *   dropLegacyExpiryIndex()  - Remove the former TTL index on expiresAt
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Exports left processing longer than this are treated as failed
+const STALE_AFTER_MS = 30 * 60 * 1000;
+
+const DataExportSchema = new mongoose.Schema({
+  /**
+   * User whose data is exported
+   */
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+
+  /**
+   * Build status
+   */
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  /**
+   * S3 key of the finished archive
+   */
+  storageKey: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * Archive size in bytes
+   */
+  fileSize: {
+    type: Number,
+    default: null
+  },
+
+  /**
+   * Number of records per section
+   * @example { registrations: 12, messages: 340 }
+   */
+  recordCounts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /**
+   * Failure message (status = failed)
+   */
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Download link stops working after this date
+   */
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// Expired exports (see utils/dataExport.purgeExpiredExports)
+DataExportSchema.index({ expiresAt: 1, status: 1 });
+
+DataExportSchema.index({ user: 1, createdAt: -1 });
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Get the user's export that is still being built
+ * Exports stuck in processing (e.g. the server restarted) are marked failed.
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+DataExportSchema.statics.findInProgress = async function(userId) {
+  await this.updateMany(
+    {
+      user: userId,
+      status: { $in: ['pending', 'processing'] },
+      createdAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }
+    },
+    { $set: { status: 'failed', error: 'Export timed out' } }
+  );
+
+  return this.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+};
+
+/**
+ * Drop the TTL index that used to remove expired records, so records stay
+ * until their archive is deleted from S3
+ * @returns {Promise<boolean>} True if the index existed
+ */
+DataExportSchema.statics.dropLegacyExpiryIndex = async function() {
+  try {
+    await this.collection.dropIndex('expiresAt_1');
+    return true;
+  } catch (error) {
+    // IndexNotFound / NamespaceNotFound: nothing to drop
+    if (error.codeName === 'IndexNotFound' || error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+};
+
+const DataExport = mongoose.model('DataExport', DataExportSchema);
+
+module.exports = DataExport;
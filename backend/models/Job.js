@@ -0,0 +1,125 @@
+/**
+ * =============================================================================
+ * JOB MODEL
+ * =============================================================================
+ * Background jobs stored in MongoDB
+ *
+ * Used by utils/jobQueue.js when Redis is not available. Jobs queued in
+ * Redis never appear here.
+ *
+ * Features:
+ * - Status lifecycle: queued → active → completed | dead
+ *   (failed attempts go back to queued with a later runAt)
+ * - uniqueKey prevents the same recurring job from being queued twice
+ * - Completed jobs are removed after 7 days, dead jobs after 30 days
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'active', 'completed', 'dead'];
+
+const JobSchema = new mongoose.Schema({
+  /**
+   * Job type, e.g. "email.send" (see utils/jobs.js)
+   */
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+
+  /**
+   * Handler input
+   */
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  /**
+   * First retry delay; doubles on every further attempt
+   */
+  backoffSeconds: {
+    type: Number,
+    default: 30
+  },
+
+  /**
+   * Earliest time the job may run (delayed jobs and retries)
+   */
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Lease of the worker running the job; expired leases are retried
+   */
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * Deduplication key (only one job per key)
+   */
+  uniqueKey: {
+    type: String,
+    default: undefined
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// Worker polling: due jobs, oldest first
+JobSchema.index({ status: 1, runAt: 1 });
+
+// Admin view
+JobSchema.index({ status: 1, name: 1, updatedAt: -1 });
+
+JobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+// Housekeeping
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+JobSchema.index({ failedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', JobSchema);
+
+module.exports = Job;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,140 @@
+/**
+ * =============================================================================
+ * NOTIFICATION MODEL
+ * =============================================================================
+ * In-app notification center entries
+ *
+ * Created by utils/notifier.js for every notification delivered on the inApp
+ * channel, then pushed live with the "notification" socket event. Users who
+ * were offline find them with GET /api/notifications.
+ *
+ * Features:
+ * - Unread until readAt is set
+ * - Entries older than NOTIFICATION_RETENTION_DAYS (default 90) are removed
+ *   by a TTL index
+ *
+ * Instance Methods:
+ *   toSummary()           - Response shape (API and socket payload)
+ *
+ * Static Methods:
+ *   countUnread(userId)   - Number of unread entries
+ *   markAllRead(userId)   - Mark every unread entry as read
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+const NotificationSchema = new mongoose.Schema({
+  /**
+   * Recipient
+   */
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  /**
+   * Notification type (config/notifications.js)
+   */
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    required: [true, 'Type is required']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    maxlength: 200
+  },
+
+  message: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+
+  /**
+   * IDs the client needs to link the entry to its source
+   * @example { registrationId, competitionId, status }
+   */
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  /**
+   * When the user read it (null = unread)
+   */
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// Notification list (newest first) and unread filter/count
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+// Drop old entries
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Shape the entry for API responses and the "notification" socket event
+ * @returns {Object}
+ */
+NotificationSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    data: this.data || {},
+    read: !!this.readAt,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Count a user's unread notifications
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<number>}
+ */
+NotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<Object>} Update result
+ */
+NotificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+};
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
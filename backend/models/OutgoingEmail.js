@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * OUTGOING EMAIL MODEL
+ * =============================================================================
+ * Mail queue entries (see utils/mailQueue.js)
+ *
+ * Features:
+ * - Status lifecycle: queued → sent | failed
+ * - Delivery and retries run as "email.send" jobs (utils/jobQueue.js);
+ *   attempts and lastError are recorded here
+ * - Only the template and its data are stored; the message is rendered when
+ *   it is sent. Data, headers and footer can hold one-time token links, so
+ *   they are cleared once the message is sent or has failed.
+ * - Sent entries are removed after 30 days by a TTL index; failed ones are
+ *   kept for inspection
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const OutgoingEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+
+  /**
+   * Template the message is rendered from (utils/mailTemplates.js)
+   */
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+
+  /**
+   * Template data (cleared after delivery)
+   */
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /**
+   * Footer lines, e.g. an unsubscribe link (cleared after delivery)
+   */
+  footer: {
+    type: [String],
+    default: undefined
+  },
+
+  /**
+   * Extra message headers (cleared after delivery)
+   * @example { 'List-Unsubscribe': '<https://...>' }
+   */
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  /**
+   * Error of the last failed attempt
+   */
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * Message ID reported by the transport
+   */
+  messageId: {
+    type: String,
+    default: null
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+OutgoingEmailSchema.index({ status: 1, createdAt: -1 });
+
+// Remove delivered messages after a while
+OutgoingEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+const OutgoingEmail = mongoose.model('OutgoingEmail', OutgoingEmailSchema);
+
+module.exports = OutgoingEmail;
@@ -6,8 +6,12 @@
  * 
  * Features:
  * - User to Competition relationship
- * - Status tracking (pending, approved, rejected, cancelled)
- * - Team support
+ * - Status tracking (pending, approved, rejected, cancelled, completed,
+ *   waitlisted)
+ * - Waitlist: registrations beyond capacity wait in createdAt order and are
+ *   promoted to pending when a slot frees up (utils/waitlist.js)
+ * - Team support (members confirm through team invites, utils/teamInvites.js)
+ *   with a history of team changes made after registration
  * - Transaction-safe operations
  * - Duplicate prevention
  * =============================================================================
@@ -39,9 +43,65 @@ const TeamMemberSchema = new mongoose.Schema({
     trim: true,
     default: 'Member'
   },
+  /**
+   * Linked when the member accepts the team invite (models/TeamInvite.js)
+   */
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  inviteStatus: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  }
+}, { _id: false });
+
+// Registration statuses a team can still be changed in
+const TEAM_EDITABLE_STATUSES = ['pending', 'approved', 'waitlisted'];
+
+const TEAM_CHANGE_ACTIONS = [
+  'member_added',
+  'member_removed',
+  'member_left',
+  'member_joined',
+  'member_declined',
+  'captain_transferred',
+  'renamed'
+];
+
+/**
+ * Team change history entry
+ */
+const TeamChangeSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: TEAM_CHANGE_ACTIONS,
+    required: true
+  },
+  /**
+   * User who made the change (null for email link responses)
+   */
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  /**
+   * Member concerned, e.g. { name, email }
+   */
+  member: {
+    name: String,
+    email: String
+  },
+  /**
+   * Previous and new value (team name, captain)
+   */
+  from: String,
+  to: String,
+  at: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
@@ -75,7 +135,7 @@ const RegistrationSchema = new mongoose.Schema({
    */
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed', 'waitlisted'],
     default: 'pending',
     index: true
   },
@@ -95,7 +155,8 @@ const RegistrationSchema = new mongoose.Schema({
   teamMembers: [TeamMemberSchema],
 
   /**
-   * Additional registration data
+   * Additional registration data: answers to Competition.registrationForm,
+   * keyed by field key (free-form for competitions without a form)
    */
   additionalInfo: {
     type: mongoose.Schema.Types.Mixed,
@@ -191,7 +252,19 @@ const RegistrationSchema = new mongoose.Schema({
    */
   processedAt: {
     type: Date
-  }
+  },
+
+  /**
+   * Date when the registration moved from the waitlist to pending
+   */
+  waitlistPromotedAt: {
+    type: Date
+  },
+
+  /**
+   * Changes to the team after registration, oldest first
+   */
+  teamHistory: [TeamChangeSchema]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -214,6 +287,9 @@ RegistrationSchema.index({ competition: 1, status: 1, createdAt: -1 });
 // Index for admin queries
 RegistrationSchema.index({ status: 1, createdAt: -1 });
 
+// Index for teams a user joined as a member
+RegistrationSchema.index({ 'teamMembers.userId': 1, competition: 1 });
+
 // =============================================================================
 // PRE-SAVE MIDDLEWARE
 // =============================================================================
@@ -251,28 +327,103 @@ RegistrationSchema.statics.isAlreadyRegistered = async function(userId, competit
   return !!existing;
 };
 
+/**
+ * Find the active registration a user belongs to in a competition, as the
+ * registering user or as an accepted team member
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} competitionId - Competition ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Object|null>} Registration or null
+ */
+RegistrationSchema.statics.findTeamMembership = function(userId, competitionId, session = null) {
+  return this.findOne({
+    competition: competitionId,
+    status: { $nin: ['cancelled', 'rejected'] },
+    $or: [
+      { user: userId },
+      { teamMembers: { $elemMatch: { userId, inviteStatus: 'accepted' } } }
+    ]
+  }).session(session);
+};
+
 /**
  * Create registration with transaction (increments competition count)
+ * When the competition is full the registration is waitlisted (if allowed)
+ * and does not count towards registrationsCount.
  * @param {Object} registrationData - Registration data
  * @param {Object} session - MongoDB session for transaction
- * @returns {Promise<Object>} Created registration
+ * @param {Object} options - { allowWaitlist }
+ * @returns {Promise<Object|null>} Created registration, or null if full and
+ *          the waitlist is not allowed
  */
-RegistrationSchema.statics.createWithTransaction = async function(registrationData, session) {
+RegistrationSchema.statics.createWithTransaction = async function(registrationData, session, options = {}) {
   const Competition = mongoose.model('Competition');
   
+  // Take a slot (increments competition registration count)
+  const slot = await Competition.claimRegistrationSlot(registrationData.competition, session);
+  if (!slot && !options.allowWaitlist) {
+    return null;
+  }
+
   // Create registration
-  const [registration] = await this.create([registrationData], { session });
-  
-  // Increment competition registration count
-  await Competition.findByIdAndUpdate(
-    registrationData.competition,
-    { $inc: { registrationsCount: 1 } },
-    { session }
-  );
+  const [registration] = await this.create([{
+    ...registrationData,
+    status: slot ? registrationData.status : 'waitlisted'
+  }], { session });
   
   return registration;
 };
 
+/**
+ * Promote the oldest waitlisted registration if a slot is free
+ * @param {ObjectId} competitionId - Competition ID
+ * @param {Object} session - MongoDB session for transaction
+ * @returns {Promise<Object|null>} Promoted registration (now pending), or null
+ */
+RegistrationSchema.statics.promoteFromWaitlist = async function(competitionId, session) {
+  const Competition = mongoose.model('Competition');
+
+  const competition = await Competition.findOne({
+    _id: competitionId,
+    isDeleted: false,
+    status: 'published'
+  }).select('_id').session(session);
+  if (!competition) return null;
+
+  const next = await this.findOne({ competition: competitionId, status: 'waitlisted' })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session);
+  if (!next) return null;
+
+  const slot = await Competition.claimRegistrationSlot(competitionId, session);
+  if (!slot) return null;
+
+  next.status = 'pending';
+  next.waitlistPromotedAt = new Date();
+  await next.save({ session });
+
+  return next;
+};
+
+/**
+ * Get a waitlisted registration's place in the queue (1 = next)
+ * @param {Object} registration - Registration document
+ * @returns {Promise<number|null>} Position, or null if not waitlisted
+ */
+RegistrationSchema.statics.getWaitlistPosition = async function(registration) {
+  if (registration.status !== 'waitlisted') return null;
+
+  const ahead = await this.countDocuments({
+    competition: registration.competition?._id || registration.competition,
+    status: 'waitlisted',
+    $or: [
+      { createdAt: { $lt: registration.createdAt } },
+      { createdAt: registration.createdAt, _id: { $lt: registration._id } }
+    ]
+  });
+  return ahead + 1;
+};
+
 /**
  * Get user's registrations with competition details
  * @param {ObjectId} userId - User ID
@@ -367,6 +518,7 @@ RegistrationSchema.statics.getCompetitionRegistrations = async function(competit
         hasAttended: 1,
         score: 1,
         position: 1,
+        additionalInfo: 1,
         createdAt: 1,
         'user._id': '$userDetails._id',
         'user.name': '$userDetails.name',
@@ -411,7 +563,8 @@ RegistrationSchema.statics.getCompetitionStats = async function(competitionId) {
     approved: 0,
     rejected: 0,
     cancelled: 0,
-    completed: 0
+    completed: 0,
+    waitlisted: 0
   };
 
   stats.forEach(s => {
@@ -494,23 +647,37 @@ RegistrationSchema.statics.approve = function(registrationId, adminId) {
 };
 
 /**
- * Reject registration
+ * Reject a pending registration and free its slot
+ * The status change only applies while the registration is still pending,
+ * so concurrent rejections free the slot once. Use inside a transaction.
  * @param {ObjectId} registrationId - Registration ID
  * @param {ObjectId} adminId - Admin user ID
  * @param {string} reason - Rejection reason
- * @returns {Promise<Object>}
+ * @param {Object} session - MongoDB session for transaction
+ * @returns {Promise<Object|null>} Rejected registration, or null if it was not pending
  */
-RegistrationSchema.statics.reject = function(registrationId, adminId, reason) {
-  return this.findByIdAndUpdate(
-    registrationId,
+RegistrationSchema.statics.reject = async function(registrationId, adminId, reason, session) {
+  const Competition = mongoose.model('Competition');
+
+  const registration = await this.findOneAndUpdate(
+    { _id: registrationId, status: 'pending' },
     {
       status: 'rejected',
       reason,
       processedBy: adminId,
       processedAt: new Date()
     },
-    { new: true }
+    { new: true, session }
+  );
+  if (!registration) return null;
+
+  await Competition.updateOne(
+    { _id: registration.competition },
+    { $inc: { registrationsCount: -1 } },
+    { session }
   );
+
+  return registration;
 };
 
 // =============================================================================
@@ -550,6 +717,43 @@ RegistrationSchema.methods.submitProject = function(submissionData) {
   return this.save();
 };
 
+/**
+ * Add an entry to the team change history (does not save)
+ * @param {string} action - One of TEAM_CHANGE_ACTIONS
+ * @param {ObjectId|null} by - User who made the change
+ * @param {Object} details - { member: { name, email }, from, to }
+ */
+RegistrationSchema.methods.recordTeamChange = function(action, by, details = {}) {
+  this.teamHistory.push({ action, by, ...details, at: new Date() });
+  return this;
+};
+
+/**
+ * Count team members towards the team size (captain excluded)
+ * Declined members do not count.
+ * @returns {number}
+ */
+RegistrationSchema.methods.countActiveTeamMembers = function() {
+  return this.teamMembers.filter((member) => member.inviteStatus !== 'declined').length;
+};
+
+/**
+ * Reason the team cannot be changed now, or null
+ * Requires the competition to be populated (deadline, teamLockAt).
+ * @returns {string|null}
+ */
+RegistrationSchema.methods.getTeamLockReason = function() {
+  if (!TEAM_EDITABLE_STATUSES.includes(this.status)) {
+    return `Cannot change a team with registration status: ${this.status}`;
+  }
+  if (this.competition.teamChangesLockAt < new Date()) {
+    return 'Team changes are locked for this competition';
+  }
+  return null;
+};
+
 const Registration = mongoose.model('Registration', RegistrationSchema);
 
 module.exports = Registration;
+module.exports.TEAM_CHANGE_ACTIONS = TEAM_CHANGE_ACTIONS;
+module.exports.TEAM_EDITABLE_STATUSES = TEAM_EDITABLE_STATUSES;
@@ -0,0 +1,72 @@
+/**
+ * =============================================================================
+ * REMINDER LOG MODEL
+ * =============================================================================
+ * Reminders already sent (see utils/reminders.js)
+ *
+ * An entry is written before a reminder is delivered; the unique index makes
+ * sure each reminder goes out once, even with several job workers. The event
+ * time is part of the key, so moving a deadline or start time schedules new
+ * reminders for the new time.
+ *
+ * Entries are removed after 90 days by a TTL index (long after the event).
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const REMINDER_KINDS = ['registration_deadline', 'submission_deadline', 'competition_start'];
+
+const ReminderLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  competition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: REMINDER_KINDS,
+    required: true
+  },
+
+  /**
+   * Reminder offset before the event, e.g. "7d", "1d", "1h"
+   */
+  offset: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Deadline or start time the reminder was about
+   */
+  eventAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+ReminderLogSchema.index(
+  { competition: 1, kind: 1, user: 1, offset: 1, eventAt: 1 },
+  { unique: true }
+);
+ReminderLogSchema.index({ user: 1 });
+ReminderLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const ReminderLog = mongoose.model('ReminderLog', ReminderLogSchema);
+
+module.exports = ReminderLog;
+module.exports.REMINDER_KINDS = REMINDER_KINDS;
@@ -0,0 +1,127 @@
+/**
+ * =============================================================================
+ * ROLE MODEL
+ * =============================================================================
+ * Named bundles of permissions (see config/permissions.js)
+ *
+ * Features:
+ * - Unique, lowercase role names referenced by User.role
+ * - Permission list validated against the permission catalog
+ * - Optional category scope restricting scopable permissions
+ * - Built-in system roles (admin, support, user) seeded on startup
+ *
+ * Static Methods:
+ *   seedDefaults()       - Create missing system roles
+ *   findByName(name)     - Find a role by name
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, isValidPermission } = require('../config/permissions');
+
+const RoleSchema = new mongoose.Schema({
+  /**
+   * Role name stored on users
+   * @example "registrations-manager-design"
+   */
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: [2, 'Role name must be at least 2 characters'],
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z0-9][a-z0-9_-]*$/, 'Role name may only contain lowercase letters, numbers, "-" and "_"']
+  },
+
+  /**
+   * Role description
+   */
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  /**
+   * Granted permissions ("*" = all)
+   */
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: 'Role contains an unknown permission'
+    }
+  },
+
+  /**
+   * Restricts scopable permissions to these categories (empty = no restriction)
+   */
+  scope: {
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }]
+  },
+
+  /**
+   * Built-in role (cannot be deleted or renamed)
+   */
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  /**
+   * Admin who created the role
+   */
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Create any missing system roles (existing roles are left untouched)
+ * @returns {Promise<void>}
+ */
+RoleSchema.statics.seedDefaults = async function() {
+  const operations = Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+    updateOne: {
+      filter: { name },
+      update: {
+        $setOnInsert: {
+          name,
+          description: role.description,
+          permissions: role.permissions,
+          isSystem: true
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  await this.bulkWrite(operations);
+};
+
+/**
+ * Find a role by name
+ * @param {string} name - Role name
+ * @returns {Promise<Object|null>}
+ */
+RoleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase() });
+};
+
+const Role = mongoose.model('Role', RoleSchema);
+
+module.exports = Role;
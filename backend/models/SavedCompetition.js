@@ -0,0 +1,43 @@
+/**
+ * =============================================================================
+ * SAVED COMPETITION MODEL
+ * =============================================================================
+ * Competitions a user bookmarked (GET/PUT/DELETE /api/users/me/saved-competitions)
+ *
+ * Saving a competition subscribes the user to reminders about its
+ * registration deadline (utils/reminders.js).
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const SavedCompetitionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  competition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    required: [true, 'Competition is required']
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// One entry per user and competition; also lists a user's saved competitions
+SavedCompetitionSchema.index({ user: 1, competition: 1 }, { unique: true });
+SavedCompetitionSchema.index({ user: 1, createdAt: -1 });
+
+// Reminder lookups by competition
+SavedCompetitionSchema.index({ competition: 1 });
+
+const SavedCompetition = mongoose.model('SavedCompetition', SavedCompetitionSchema);
+
+module.exports = SavedCompetition;
@@ -0,0 +1,281 @@
+/**
+ * =============================================================================
+ * SESSION MODEL
+ * =============================================================================
+ * Persistent refresh-token sessions (one per login / device)
+ *
+ * Features:
+ * - One session per login, identified by the `sid` claim in tokens
+ * - Refresh token rotation: only the latest token id (jti) is valid
+ * - Reuse detection: presenting an already-rotated token revokes the session
+ *   (the whole token family)
+ * - Device, IP and user agent tracking for the "active sessions" view
+ * - Expired sessions removed automatically by a TTL index
+ * - Access tokens carry the sid too; middleware/auth.js rejects them once
+ *   the session is revoked (status cached in Redis for SESSION_STATUS_TTL
+ *   seconds and dropped by the revoke methods below)
+ *
+ * Static Methods:
+ *   createForUser(userId, context)    - Start a new session
+ *   rotate(sessionId, tokenId, ctx)   - Atomically rotate the refresh token id
+ *   isActiveById(sessionId)           - Whether a session is usable (cached)
+ *   revokeById(sessionId, reason, filter) - Revoke one session if still active
+ *   revokeAllForUser(userId, reason)  - Revoke every active session of a user
+ *   getActiveForUser(userId)          - List a user's active sessions
+ *
+ * Instance Methods:
+ *   revoke(reason) - Revoke this session
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const cacheService = require('../config/cache');
+
+// Session lifetime - matches refresh token expiry (7 days)
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Seconds a session status lookup is cached
+const SESSION_STATUS_TTL = 60;
+const statusCacheKey = (sessionId) => `session:status:${sessionId}`;
+
+/**
+ * Generate a new refresh token id
+ * @returns {string}
+ */
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+const SessionSchema = new mongoose.Schema({
+  /**
+   * Session owner
+   */
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+
+  /**
+   * Id (jti) of the only refresh token currently valid for this session
+   */
+  tokenId: {
+    type: String,
+    required: true
+  },
+
+  /**
+   * Human readable device label (e.g. "Chrome on Windows")
+   */
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: 'Unknown device'
+  },
+
+  /**
+   * Client IP address at last use
+   */
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+
+  /**
+   * Client user agent at last use
+   */
+  userAgent: {
+    type: String,
+    trim: true
+  },
+
+  /**
+   * Last time the session refreshed its tokens
+   */
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Session expiry (sliding, renewed on every rotation)
+   */
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  /**
+   * Revocation details
+   */
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'reuse_detected', 'password_reset', 'admin_revoked', 'suspended', 'two_factor_required', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// Remove sessions automatically once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Active sessions for a user
+SessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Start a new session for a user
+ * @param {ObjectId} userId - User ID
+ * @param {Object} context - { device, ipAddress, userAgent }
+ * @returns {Promise<Object>} Created session document
+ */
+SessionSchema.statics.createForUser = function(userId, context = {}) {
+  return this.create({
+    user: userId,
+    tokenId: newTokenId(),
+    device: context.device,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+};
+
+/**
+ * Atomically rotate a session's refresh token id
+ * Succeeds only if the presented token id is the current one and the
+ * session has not been revoked.
+ * @param {ObjectId} sessionId - Session ID
+ * @param {string} tokenId - Token id presented by the client
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object|null>} Updated session or null if rotation failed
+ */
+SessionSchema.statics.rotate = function(sessionId, tokenId, context = {}) {
+  const update = {
+    tokenId: newTokenId(),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  };
+  if (context.ipAddress) update.ipAddress = context.ipAddress;
+  if (context.userAgent) update.userAgent = context.userAgent;
+
+  return this.findOneAndUpdate(
+    { _id: sessionId, tokenId, revokedAt: null },
+    { $set: update },
+    { new: true }
+  );
+};
+
+/**
+ * Whether a session exists and is neither revoked nor expired
+ * Cached for SESSION_STATUS_TTL seconds; the revoke methods drop the entry.
+ * @param {ObjectId} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+SessionSchema.statics.isActiveById = async function(sessionId) {
+  const cacheKey = statusCacheKey(sessionId);
+  const cached = await cacheService.get(cacheKey);
+  if (cached) return cached.active;
+
+  const session = await this.findById(sessionId).select('revokedAt expiresAt');
+  const active = Boolean(session && session.isActive());
+
+  await cacheService.set(cacheKey, { active }, SESSION_STATUS_TTL);
+  return active;
+};
+
+/**
+ * Revoke one session if it is still active
+ * @param {ObjectId} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} filter - Extra conditions, e.g. { user: userId }
+ * @returns {Promise<boolean>} True if the session was revoked
+ */
+SessionSchema.statics.revokeById = async function(sessionId, reason, filter = {}) {
+  const result = await this.updateOne(
+    { ...filter, _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await cacheService.del(statusCacheKey(sessionId));
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {ObjectId} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} options - { exceptSessionId }
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+SessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all', options = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (options.exceptSessionId) {
+    filter._id = { $ne: options.exceptSessionId };
+  }
+
+  const sessionIds = await this.find(filter).distinct('_id');
+  if (sessionIds.length === 0) return 0;
+
+  const result = await this.updateMany({ _id: { $in: sessionIds }, revokedAt: null }, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  await cacheService.delMany(sessionIds.map(statusCacheKey));
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active (non-revoked, non-expired) sessions
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Array>}
+ */
+SessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('device ipAddress userAgent createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+// =============================================================================
+// INSTANCE METHODS
+// =============================================================================
+
+/**
+ * Revoke this session
+ * @param {string} reason - Revocation reason
+ */
+SessionSchema.methods.revoke = async function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+  await cacheService.del(statusCacheKey(this._id));
+  return this;
+};
+
+/**
+ * Whether this session can still be used
+ * @returns {boolean}
+ */
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
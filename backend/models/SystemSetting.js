@@ -0,0 +1,102 @@
+/**
+ * =============================================================================
+ * SYSTEM SETTING MODEL
+ * =============================================================================
+ * Admin-managed, platform-wide settings stored as key/value documents
+ *
+ * Known keys (with defaults):
+ *   security - { require2FAForPrivilegedRoles: false }
+ *   accounts - { deletionGraceDays: 30 }
+ *
+ * Static Methods:
+ *   getValue(key)                   - Get a setting merged over its defaults
+ *   setValue(key, value, updatedBy) - Merge and save a setting
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Default values for every known setting key
+ */
+const SETTING_DEFAULTS = {
+  security: {
+    require2FAForPrivilegedRoles: false
+  },
+  accounts: {
+    // Days a deleted account can be restored before it is anonymized
+    deletionGraceDays: 30
+  }
+};
+
+const SystemSettingSchema = new mongoose.Schema({
+  /**
+   * Setting key
+   * @example "security"
+   */
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+
+  /**
+   * Setting value (shape depends on the key)
+   */
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  /**
+   * Admin who last changed the setting
+   */
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Get a setting value merged over its defaults
+ * @param {string} key - Setting key
+ * @returns {Promise<Object>}
+ */
+SystemSettingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key }).lean();
+  return { ...(SETTING_DEFAULTS[key] || {}), ...(setting?.value || {}) };
+};
+
+/**
+ * Merge changes into a setting and save it
+ * @param {string} key - Setting key
+ * @param {Object} changes - Fields to update
+ * @param {ObjectId} updatedBy - Admin user ID
+ * @returns {Promise<Object>} Updated value merged over defaults
+ */
+SystemSettingSchema.statics.setValue = async function(key, changes, updatedBy = null) {
+  const current = await this.getValue(key);
+  const value = { ...current, ...changes };
+
+  await this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return value;
+};
+
+const SystemSetting = mongoose.model('SystemSetting', SystemSettingSchema);
+
+module.exports = SystemSetting;
+module.exports.SETTING_DEFAULTS = SETTING_DEFAULTS;
@@ -0,0 +1,167 @@
+/**
+ * =============================================================================
+ * TEAM INVITE MODEL
+ * =============================================================================
+ * Invitations to join a team registration (see utils/teamInvites.js)
+ *
+ * Features:
+ * - One invite per team member listed on a team registration
+ * - Status lifecycle: pending → accepted | declined
+ * - Accept/decline links carry a random token; only its hash is stored
+ * - Invites expire after TEAM_INVITE_EXPIRY_DAYS
+ *
+ * Accepting links the member entry in Registration.teamMembers to the user
+ * (userId) so the team shows on their dashboard.
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokenGenerator');
+
+const TEAM_INVITE_STATUSES = ['pending', 'accepted', 'declined'];
+const TEAM_INVITE_EXPIRY_DAYS = 7;
+
+const TeamInviteSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: [true, 'Registration is required']
+  },
+
+  competition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    required: [true, 'Competition is required']
+  },
+
+  /**
+   * Team captain (the user who registered the team)
+   */
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  /**
+   * Invited member, as listed in Registration.teamMembers
+   */
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+
+  name: {
+    type: String,
+    trim: true
+  },
+
+  /**
+   * User who accepted or declined (set on response)
+   */
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: TEAM_INVITE_STATUSES,
+    default: 'pending'
+  },
+
+  /**
+   * SHA-256 hash of the token in the invitation email
+   */
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+TeamInviteSchema.index({ tokenHash: 1 }, { unique: true });
+
+// One invite per member of a registration
+TeamInviteSchema.index({ registration: 1, email: 1 }, { unique: true });
+
+// Pending invites of a user
+TeamInviteSchema.index({ email: 1, status: 1 });
+
+// =============================================================================
+// VIRTUALS
+// =============================================================================
+
+/**
+ * Check if the invite can no longer be answered because it expired
+ */
+TeamInviteSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Create an invite for a team member
+ * @param {Object} registration - Team registration
+ * @param {Object} member - { email, name } from registration.teamMembers
+ * @returns {Promise<Object>} { invite, token } - token is only available here
+ */
+TeamInviteSchema.statics.createForMember = async function(registration, member) {
+  const token = generateRandomToken();
+
+  const invite = await this.create({
+    registration: registration._id,
+    competition: registration.competition?._id || registration.competition,
+    invitedBy: registration.user?._id || registration.user,
+    email: member.email,
+    name: member.name,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TEAM_INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { invite, token };
+};
+
+/**
+ * Find an invite by the raw token from the invitation email
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>} Invite document or null
+ */
+TeamInviteSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+const TeamInvite = mongoose.model('TeamInvite', TeamInviteSchema);
+
+module.exports = TeamInvite;
+module.exports.TEAM_INVITE_STATUSES = TEAM_INVITE_STATUSES;
+module.exports.TEAM_INVITE_EXPIRY_DAYS = TEAM_INVITE_EXPIRY_DAYS;
@@ -0,0 +1,130 @@
+/**
+ * =============================================================================
+ * TEAM JOIN REQUEST MODEL
+ * =============================================================================
+ * Requests between a team and a participant found on the team board
+ * (controllers/teamBoardController.js)
+ *
+ * Directions:
+ * - join   : The participant asks to join the team; the captain answers
+ * - invite : The captain asks the participant to join; the participant answers
+ *
+ * Status lifecycle: pending → accepted | declined | cancelled (by the sender)
+ *
+ * Accepting adds the participant to Registration.teamMembers and sends the
+ * usual team invite (utils/teamInvites.js), which the participant accepts
+ * to join the team.
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const TEAM_JOIN_DIRECTIONS = ['join', 'invite'];
+const TEAM_JOIN_REQUEST_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+
+const TeamJoinRequestSchema = new mongoose.Schema({
+  competition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    required: [true, 'Competition is required']
+  },
+
+  /**
+   * Listing the request was sent from the board to
+   */
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamListing',
+    required: true
+  },
+
+  /**
+   * Team registration
+   */
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: [true, 'Registration is required']
+  },
+
+  /**
+   * Participant who would join the team
+   */
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  /**
+   * User who sent the request (the participant or the captain)
+   */
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  direction: {
+    type: String,
+    enum: TEAM_JOIN_DIRECTIONS,
+    required: true
+  },
+
+  /**
+   * Role on the team, e.g. one of the listing's open roles
+   */
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Role cannot exceed 50 characters']
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: TEAM_JOIN_REQUEST_STATUSES,
+    default: 'pending'
+  },
+
+  /**
+   * Team invite sent when the request was accepted
+   */
+  teamInvite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamInvite',
+    default: null
+  },
+
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// One pending request between a team and a participant
+TeamJoinRequestSchema.index(
+  { registration: 1, member: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Requests of a user
+TeamJoinRequestSchema.index({ member: 1, createdAt: -1 });
+TeamJoinRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+
+const TeamJoinRequest = mongoose.model('TeamJoinRequest', TeamJoinRequestSchema);
+
+module.exports = TeamJoinRequest;
+module.exports.TEAM_JOIN_DIRECTIONS = TEAM_JOIN_DIRECTIONS;
+module.exports.TEAM_JOIN_REQUEST_STATUSES = TEAM_JOIN_REQUEST_STATUSES;
@@ -0,0 +1,163 @@
+/**
+ * =============================================================================
+ * TEAM LISTING MODEL
+ * =============================================================================
+ * "Looking for team" board posts of a team competition
+ * (controllers/teamBoardController.js)
+ *
+ * Listing types:
+ * - individual : A participant without a team describes themself and their
+ *                skills (one per user and competition)
+ * - team       : A team registration advertises open roles (one per
+ *                registration, managed by its current captain)
+ *
+ * Either side can send a join request (models/TeamJoinRequest.js) to the
+ * other. Listings close when their owner closes them or the match fills
+ * the team / places the participant.
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+
+const TEAM_LISTING_TYPES = ['individual', 'team'];
+const TEAM_LISTING_STATUSES = ['open', 'closed'];
+
+const TeamListingSchema = new mongoose.Schema({
+  competition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    required: [true, 'Competition is required']
+  },
+
+  type: {
+    type: String,
+    enum: TEAM_LISTING_TYPES,
+    required: true
+  },
+
+  /**
+   * User who posted the listing (for team listings, the captain at the time)
+   */
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  /**
+   * Team registration (team listings only)
+   */
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    default: null
+  },
+
+  blurb: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+
+  /**
+   * Skills offered (individual) or wanted (team), lowercase
+   */
+  skills: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Skill cannot exceed 50 characters']
+  }],
+
+  /**
+   * Open roles of a team, e.g. "Designer"
+   */
+  openRoles: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Role cannot exceed 50 characters']
+  }],
+
+  status: {
+    type: String,
+    enum: TEAM_LISTING_STATUSES,
+    default: 'open'
+  },
+
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// =============================================================================
+// INDEXES
+// =============================================================================
+
+// One individual listing per user and competition
+TeamListingSchema.index(
+  { competition: 1, user: 1 },
+  { unique: true, partialFilterExpression: { type: 'individual' } }
+);
+
+// One team listing per registration
+TeamListingSchema.index(
+  { registration: 1 },
+  { unique: true, partialFilterExpression: { type: 'team' } }
+);
+
+// Board of a competition
+TeamListingSchema.index({ competition: 1, status: 1, type: 1, updatedAt: -1 });
+TeamListingSchema.index({ competition: 1, skills: 1 });
+
+// =============================================================================
+// METHODS
+// =============================================================================
+
+/**
+ * Close the listing (does not save)
+ * @returns {Object} this
+ */
+TeamListingSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this;
+};
+
+// =============================================================================
+// STATIC METHODS
+// =============================================================================
+
+/**
+ * Close the open individual listing of a participant who found a team
+ * @param {string} competitionId
+ * @param {string} userId
+ * @returns {Promise<Object>} Update result
+ */
+TeamListingSchema.statics.closeIndividual = function(competitionId, userId) {
+  return this.updateOne(
+    { competition: competitionId, user: userId, type: 'individual', status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date() } }
+  );
+};
+
+/**
+ * Close the open listing of a team that is full
+ * @param {string} registrationId
+ * @returns {Promise<Object>} Update result
+ */
+TeamListingSchema.statics.closeTeam = function(registrationId) {
+  return this.updateOne(
+    { registration: registrationId, type: 'team', status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date() } }
+  );
+};
+
+const TeamListing = mongoose.model('TeamListing', TeamListingSchema);
+
+module.exports = TeamListing;
+module.exports.TEAM_LISTING_TYPES = TEAM_LISTING_TYPES;
+module.exports.TEAM_LISTING_STATUSES = TEAM_LISTING_STATUSES;
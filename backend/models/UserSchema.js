@@ -9,6 +9,16 @@
  * - Role-based access control (user, admin, support)
  * - Google OAuth support with googleId field
  * - Email validation and normalization
+ * - Email verification with hashed, expiring tokens
+ * - Password reset with hashed, single-use, expiring tokens
+ * - TOTP two-factor authentication with hashed recovery codes
+ * - Admin suspension (optionally time-limited) and force logout
+ * - Soft deletion with a restore grace period, then anonymization
+ *   (utils/accountDeletion.js)
+ * - Avatar uploads (square, with thumbnail and placeholder variants in S3)
+ * - Participant profile (institution, studies, contact, skills, links)
+ *   with a unique public handle and per-field public visibility
+ * - Notification preferences per event type and channel
  * - Password excluded from queries by default
  * - Automatic timestamps (createdAt, updatedAt)
  * 
@@ -16,12 +26,38 @@
  *   comparePassword(password) - Compare plain password with hashed
  *   toSafeObject()            - Get user without sensitive fields
  *   updateLastLogin()         - Update lastLogin timestamp
+ *   createEmailVerificationToken() - Issue a new verification token
+ *   createPasswordResetToken()     - Issue a new password reset token
+ *   resetPassword(newPassword)     - Set new password and consume reset token
+ *   beginTwoFactorSetup()          - Generate a pending TOTP secret
+ *   enableTwoFactor(code)          - Confirm pending secret and enable 2FA
+ *   generateRecoveryCodes()        - Replace recovery codes (returns raw codes)
+ *   verifyTwoFactorCode(code)      - Check a TOTP or recovery code
+ *   disableTwoFactor()             - Turn 2FA off and clear secrets
+ *   unlinkGoogleAccount()          - Remove the linked Google identity
+ *   suspend(options)               - Suspend the account and revoke access tokens
+ *   reactivate()                   - Lift a suspension
+ *   isSuspended()                  - Check for an unexpired suspension
+ *   liftExpiredSuspension()        - Reactivate if the suspension has run out
+ *   revokeAccessTokens()           - Reject all access tokens issued so far
+ *   scheduleDeletion(options)      - Deactivate and schedule anonymization
+ *   cancelDeletion()               - Restore an account pending deletion
+ *   isPendingDeletion()            - Check for a scheduled, not yet run deletion
+ *   toPublicProfile()              - Profile fields the user marked public
+ *   getNotificationPreferences()   - Full preference matrix (defaults filled in)
+ *   wantsNotification(type, channel) - Check one preference
  * 
  * Static Methods:
  *   findByEmail(email)              - Find user by email
  *   findByGoogleId(googleId)        - Find user by Google ID
  *   verifyCredentials(email, pass)  - Verify login credentials
  *   findOrCreateGoogleUser(profile) - Find or create Google OAuth user
+ *   findByEmailVerificationToken(token) - Find user by valid verification token
+ *   findByPasswordResetToken(token)     - Find user by valid reset token
+ *   findWithTwoFactorSecrets(id)        - Find user including 2FA secrets
+ *   findByHandle(handle)                - Find an active user by public handle
+ *   linkGoogleAccount(userId, profile)  - Link a Google identity to an account
+ *   markLegacyAccountsVerified()        - Verify accounts created before email verification
  * 
  * Usage:
  *   const User = require('./models/UserSchema');
@@ -32,6 +68,47 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokenGenerator');
+const totp = require('../utils/totp');
+const { NOTIFICATION_CHANNELS, DEFAULT_PREFERENCES } = require('../config/notifications');
+
+// Email verification token lifetime (24 hours)
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Password reset token lifetime (1 hour)
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Number of two-factor recovery codes issued at a time
+const RECOVERY_CODE_COUNT = 10;
+
+// Hidden two-factor fields (select them explicitly when needed)
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Cut-off for access tokens, in whole seconds like the JWT iat
+const tokenCutoff = (date = new Date()) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+
+// Public handle: 3-30 lowercase letters, digits, "_" or "-"
+const HANDLE_PATTERN = /^[a-z0-9_-]{3,30}$/;
+
+// Fields a user may show on their public profile (profile.publicFields)
+const PUBLIC_PROFILE_FIELDS = [
+  'name', 'avatar', 'institution', 'program', 'yearOfStudy', 'bio', 'skills', 'socialLinks'
+];
+
+// Supported social links (profile.socialLinks)
+const SOCIAL_LINK_TYPES = ['website', 'github', 'linkedin', 'twitter'];
+
+// One Boolean per notification type and channel (see config/notifications.js)
+const notificationPreferencesDefinition = Object.entries(DEFAULT_PREFERENCES).reduce(
+  (definition, [type, channels]) => {
+    definition[type] = NOTIFICATION_CHANNELS.reduce((channelDefinition, channel) => {
+      channelDefinition[channel] = { type: Boolean, default: channels[channel] };
+      return channelDefinition;
+    }, {});
+    return definition;
+  },
+  {}
+);
 
 /**
  * User Schema Definition
@@ -64,14 +141,12 @@ const userSchema = new mongoose.Schema(
       maxlength: [50, 'Name cannot exceed 50 characters'],
       trim: true
     },
+    // Name of a Role document (see models/Role.js)
     role: {
       type: String,
-      enum: {
-        values: ['user', 'admin', 'support'],
-        message: 'Role must be one of: user, admin, support'
-      },
       default: 'user',
-      lowercase: true
+      lowercase: true,
+      trim: true
     },
     // Google OAuth fields
     googleId: {
@@ -83,6 +158,85 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null
     },
+    // Variants of an uploaded avatar (null/empty for Google or no avatar)
+    avatarImages: {
+      thumbnail: {
+        type: String,
+        default: null
+      },
+      placeholder: {
+        type: String,
+        default: null // Base64 blurred preview
+      },
+      keys: {
+        type: [String],
+        default: [] // S3 keys, deleted when the avatar is replaced
+      }
+    },
+    // Public handle (GET /api/users/:handle/public)
+    handle: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      match: [HANDLE_PATTERN, 'Handle must be 3-30 characters: letters, numbers, "_" or "-"']
+    },
+    // Participant profile, used to prefill competition registrations
+    profile: {
+      institution: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Institution name cannot exceed 200 characters'],
+        default: null
+      },
+      studentId: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Student ID cannot exceed 50 characters'],
+        default: null // Never shown publicly
+      },
+      program: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Program cannot exceed 100 characters'],
+        default: null
+      },
+      yearOfStudy: {
+        type: Number,
+        min: [1, 'Year of study must be between 1 and 10'],
+        max: [10, 'Year of study must be between 1 and 10'],
+        default: null
+      },
+      phone: {
+        type: String,
+        trim: true,
+        default: null // Never shown publicly
+      },
+      bio: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Bio cannot exceed 500 characters'],
+        default: null
+      },
+      skills: {
+        type: [String],
+        default: []
+      },
+      socialLinks: {
+        website: { type: String, trim: true, default: null },
+        github: { type: String, trim: true, default: null },
+        linkedin: { type: String, trim: true, default: null },
+        twitter: { type: String, trim: true, default: null }
+      },
+      // Subset of PUBLIC_PROFILE_FIELDS shown on the public profile
+      publicFields: {
+        type: [{ type: String, enum: PUBLIC_PROFILE_FIELDS }],
+        default: []
+      }
+    },
+    // Notification preference matrix: { <type>: { email, inApp, push } }
+    notificationPreferences: notificationPreferencesDefinition,
     authProvider: {
       type: String,
       enum: ['local', 'google'],
@@ -92,6 +246,115 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    // Admin suspension (isActive is false while suspended)
+    suspension: {
+      reason: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      suspendedAt: {
+        type: Date,
+        default: null
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      expiresAt: {
+        type: Date,
+        default: null // null = until reactivated
+      }
+    },
+    // Access tokens issued before this second are rejected (force logout)
+    tokensValidAfter: {
+      type: Date,
+      default: null
+    },
+    // Soft deletion (isActive is false until restored or anonymized)
+    deletion: {
+      requestedAt: {
+        type: Date,
+        default: null
+      },
+      scheduledFor: {
+        type: Date,
+        default: null // Anonymized after this date
+      },
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      initiatedBy: {
+        type: String,
+        enum: ['self', 'admin', null],
+        default: null // 'self' deletions can be restored by the user
+      }
+    },
+    anonymizedAt: {
+      type: Date,
+      default: null
+    },
+    // Email verification
+    isEmailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false // Stored hashed, never returned in queries
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    // Password reset
+    passwordResetToken: {
+      type: String,
+      select: false // Stored hashed, never returned in queries
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null
+    },
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false // Base32 TOTP secret, never returned in queries
+      },
+      pendingSecret: {
+        type: String,
+        select: false // Secret awaiting confirmation during setup
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false // Stored hashed, each usable once
+      },
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false // Time step of the last accepted TOTP code (no replays)
+      },
+      enabledAt: {
+        type: Date,
+        default: null
+      }
+    },
     lastLogin: {
       type: Date,
       default: null
@@ -150,6 +413,325 @@ userSchema.methods.updateLastLogin = async function () {
   await this.save();
 };
 
+/**
+ * @desc    Create a new email verification token (stores hash, returns raw)
+ * @returns {string} Raw token to send to the user
+ * @note    Caller is responsible for saving the document
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = generateRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
+/**
+ * @desc    Mark the email address as verified and clear the token
+ * @returns {Promise<void>}
+ */
+userSchema.methods.markEmailVerified = async function () {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  await this.save();
+};
+
+/**
+ * @desc    Create a new password reset token (stores hash, returns raw)
+ * @returns {string} Raw token to send to the user
+ * @note    Caller is responsible for saving the document
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const token = generateRandomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+/**
+ * @desc    Set a new password and consume the reset token (single use)
+ * @param   {string} newPassword - Plain text password (hashed by pre-save hook)
+ * @returns {Promise<void>}
+ */
+userSchema.methods.resetPassword = async function (newPassword) {
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  await this.save();
+};
+
+/**
+ * @desc    Start two-factor setup by generating a pending TOTP secret
+ * @returns {string} Base32 secret to show to the user
+ * @note    Caller is responsible for saving the document
+ */
+userSchema.methods.beginTwoFactorSetup = function () {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = secret;
+  return secret;
+};
+
+/**
+ * @desc    Replace the recovery codes with a fresh set
+ * @returns {Array<string>} Raw recovery codes (shown to the user once)
+ * @note    Caller is responsible for saving the document
+ */
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+/**
+ * @desc    Confirm the pending secret with a code and enable 2FA
+ * @param   {string} code - Current TOTP code from the authenticator app
+ * @returns {Promise<Array<string>|null>} Raw recovery codes, or null if code is invalid
+ * @note    Requires the document to be loaded with findWithTwoFactorSecrets()
+ */
+userSchema.methods.enableTwoFactor = async function (code) {
+  const pendingSecret = this.twoFactor.pendingSecret;
+  const step = pendingSecret ? totp.verifyCode(pendingSecret, code) : null;
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.secret = pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  const recoveryCodes = this.generateRecoveryCodes();
+  await this.save();
+  return recoveryCodes;
+};
+
+/**
+ * @desc    Verify a TOTP code or consume a recovery code
+ *          A TOTP code is accepted once: its time step must be later than
+ *          the last accepted one (claimed atomically, so parallel requests
+ *          cannot both use it).
+ * @param   {string} code - TOTP code or recovery code
+ * @returns {Promise<string|null>} 'totp', 'recovery', or null if invalid
+ * @note    Requires the document to be loaded with findWithTwoFactorSecrets()
+ */
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  if (!this.twoFactor.enabled || !code) return null;
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    const claimed = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (claimed.modifiedCount === 0) return null;
+
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hashed = hashToken(String(code).trim().toLowerCase());
+  const codes = this.twoFactor.recoveryCodes || [];
+  if (codes.includes(hashed)) {
+    this.twoFactor.recoveryCodes = codes.filter((c) => c !== hashed);
+    await this.save();
+    return 'recovery';
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Disable two-factor authentication and clear all secrets
+ * @returns {Promise<void>}
+ */
+userSchema.methods.disableTwoFactor = async function () {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = null;
+  await this.save();
+};
+
+/**
+ * @desc    Remove the linked Google identity (account keeps its password login)
+ * @returns {Promise<void>}
+ */
+userSchema.methods.unlinkGoogleAccount = async function () {
+  this.googleId = undefined;
+  this.authProvider = 'local';
+  await this.save();
+};
+
+/**
+ * @desc    Suspend the account and invalidate its access tokens
+ * @param   {Object} options - { reason, expiresAt, suspendedBy }
+ * @returns {Promise<Object>} Updated user
+ */
+userSchema.methods.suspend = async function ({ reason, expiresAt = null, suspendedBy }) {
+  this.isActive = false;
+  this.suspension = {
+    reason,
+    suspendedAt: new Date(),
+    suspendedBy,
+    expiresAt
+  };
+  this.tokensValidAfter = tokenCutoff();
+  return this.save();
+};
+
+/**
+ * @desc    Lift a suspension and reactivate the account
+ * @returns {Promise<Object>} Updated user
+ */
+userSchema.methods.reactivate = async function () {
+  this.isActive = true;
+  this.suspension = {
+    reason: null,
+    suspendedAt: null,
+    suspendedBy: null,
+    expiresAt: null
+  };
+  return this.save();
+};
+
+/**
+ * @desc    Whether the account is under a suspension that has not expired
+ * @returns {boolean}
+ */
+userSchema.methods.isSuspended = function () {
+  if (!this.suspension?.suspendedAt) return false;
+  return !this.suspension.expiresAt || this.suspension.expiresAt > new Date();
+};
+
+/**
+ * @desc    Reactivate the account if its suspension has run out
+ * @returns {Promise<boolean>} True if the suspension was lifted
+ */
+userSchema.methods.liftExpiredSuspension = async function () {
+  if (this.isActive || this.isPendingDeletion() || !this.suspension?.suspendedAt || this.isSuspended()) {
+    return false;
+  }
+  await this.reactivate();
+  return true;
+};
+
+/**
+ * @desc    Reject every access token issued until now (force logout)
+ * @returns {Promise<Object>} Updated user
+ */
+userSchema.methods.revokeAccessTokens = async function () {
+  this.tokensValidAfter = tokenCutoff();
+  return this.save();
+};
+
+/**
+ * @desc    Deactivate the account and schedule it for anonymization
+ * @param   {Object} options - { graceDays, requestedBy, initiatedBy: 'self' | 'admin' }
+ * @returns {Promise<Object>} Updated user
+ */
+userSchema.methods.scheduleDeletion = async function ({ graceDays, requestedBy, initiatedBy }) {
+  const now = new Date();
+  this.isActive = false;
+  this.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000),
+    requestedBy,
+    initiatedBy
+  };
+  this.tokensValidAfter = tokenCutoff(now);
+  return this.save();
+};
+
+/**
+ * @desc    Restore an account that is pending deletion
+ *          (stays inactive if it is also suspended)
+ * @returns {Promise<Object>} Updated user
+ */
+userSchema.methods.cancelDeletion = async function () {
+  this.deletion = {
+    requestedAt: null,
+    scheduledFor: null,
+    requestedBy: null,
+    initiatedBy: null
+  };
+  this.isActive = !this.isSuspended();
+  return this.save();
+};
+
+/**
+ * @desc    Whether the account is scheduled for deletion and not yet anonymized
+ * @returns {boolean}
+ */
+userSchema.methods.isPendingDeletion = function () {
+  return Boolean(this.deletion?.scheduledFor) && !this.anonymizedAt;
+};
+
+/**
+ * @desc    Build the public profile: the handle plus the fields in profile.publicFields
+ * @returns {Object} { handle, ...publicFields }
+ */
+userSchema.methods.toPublicProfile = function () {
+  const publicProfile = { handle: this.handle };
+  const profile = this.profile || {};
+
+  (profile.publicFields || []).forEach((field) => {
+    if (field === 'name' || field === 'avatar') {
+      publicProfile[field] = this[field];
+    } else if (field === 'skills') {
+      publicProfile.skills = [...(profile.skills || [])];
+    } else if (field === 'socialLinks') {
+      publicProfile.socialLinks = SOCIAL_LINK_TYPES.reduce((links, type) => {
+        if (profile.socialLinks?.[type]) links[type] = profile.socialLinks[type];
+        return links;
+      }, {});
+    } else {
+      publicProfile[field] = profile[field];
+    }
+  });
+
+  return publicProfile;
+};
+
+/**
+ * @desc    Get the notification preference matrix with defaults for unset entries
+ * @returns {Object} { <type>: { email, inApp, push } }
+ */
+userSchema.methods.getNotificationPreferences = function () {
+  const stored = this.notificationPreferences || {};
+  return Object.entries(DEFAULT_PREFERENCES).reduce((preferences, [type, defaults]) => {
+    preferences[type] = NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+      const value = stored[type]?.[channel];
+      channels[channel] = typeof value === 'boolean' ? value : defaults[channel];
+      return channels;
+    }, {});
+    return preferences;
+  }, {});
+};
+
+/**
+ * @desc    Check whether the user wants a notification type on a channel
+ * @param   {string} type - Notification type (config/notifications.js)
+ * @param   {string} channel - email | inApp | push
+ * @returns {boolean}
+ */
+userSchema.methods.wantsNotification = function (type, channel) {
+  const preferences = this.getNotificationPreferences();
+  return Boolean(preferences[type]?.[channel]);
+};
+
 /**
  * @desc    Find user by email address
  * @param   {string} email - User's email address
@@ -181,6 +763,30 @@ userSchema.statics.verifyCredentials = async function (email, password) {
   return user;
 };
 
+/**
+ * @desc    Find user by a valid (unexpired) email verification token
+ * @param   {string} token - Raw verification token
+ * @returns {Promise<Object|null>} User document or null
+ */
+userSchema.statics.findByEmailVerificationToken = async function (token) {
+  return await this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+/**
+ * @desc    Find user by a valid (unexpired) password reset token
+ * @param   {string} token - Raw reset token
+ * @returns {Promise<Object|null>} User document or null
+ */
+userSchema.statics.findByPasswordResetToken = async function (token) {
+  return await this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
 /**
  * @desc    Find user by Google ID
  * @param   {string} googleId - Google OAuth ID
@@ -192,33 +798,35 @@ userSchema.statics.findByGoogleId = async function (googleId) {
 
 /**
  * @desc    Find or create user from Google OAuth profile
+ *          An existing account with the same email is never linked here:
+ *          its owner must sign in and link Google from the account settings
+ *          (linkGoogleAccount), so whoever signed up with the address first
+ *          cannot keep access to it.
  * @param   {Object} profile - Google OAuth profile
- * @returns {Promise<Object>} User document
+ * @returns {Promise<Object>} { user, conflict } - conflict is null on success or
+ *          ACCOUNT_NOT_LINKED - an account with this email exists
  */
 userSchema.statics.findOrCreateGoogleUser = async function (profile) {
   // Try to find existing user by googleId
-  let user = await this.findOne({ googleId: profile.id });
+  const user = await this.findOne({ googleId: profile.id });
   
   if (user) {
+    // Google has verified the address if it is still the account's email
+    const googleEmail = profile.emails?.[0]?.value?.toLowerCase();
+    if (!user.isEmailVerified && googleEmail === user.email) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
     // Update last login and return existing user
     user.lastLogin = new Date();
     await user.save();
-    return user;
+    return { user, conflict: null };
   }
 
-  // Try to find user by email (might have registered locally)
-  user = await this.findOne({ email: profile.emails[0].value.toLowerCase() });
-  
-  if (user) {
-    // Link Google account to existing local account
-    user.googleId = profile.id;
-    user.authProvider = 'google';
-    if (profile.photos && profile.photos[0]) {
-      user.avatar = profile.photos[0].value;
-    }
-    user.lastLogin = new Date();
-    await user.save();
-    return user;
+  // An account registered with this email must link Google explicitly
+  if (await this.exists({ email: profile.emails[0].value.toLowerCase() })) {
+    return { user: null, conflict: 'ACCOUNT_NOT_LINKED' };
   }
 
   // Create new user from Google profile
@@ -229,11 +837,99 @@ userSchema.statics.findOrCreateGoogleUser = async function (profile) {
     avatar: profile.photos && profile.photos[0] ? profile.photos[0].value : null,
     authProvider: 'google',
     role: 'user',
+    isEmailVerified: true,
+    emailVerifiedAt: new Date(),
     lastLogin: new Date()
   });
 
-  return newUser;
+  // Lets the caller send the welcome email
+  newUser.$locals.isNewSignup = true;
+
+  return { user: newUser, conflict: null };
+};
+
+/**
+ * @desc    Explicitly link a Google identity to an existing (signed-in) account
+ * @param   {string} userId - Account to link to
+ * @param   {Object} profile - Google profile from Passport
+ * @returns {Promise<Object>} { user, conflict } - conflict is null on success or one of:
+ *          USER_NOT_FOUND        - account no longer exists
+ *          GOOGLE_ACCOUNT_IN_USE - this Google identity is linked to another user
+ *          ALREADY_LINKED        - account is linked to a different Google identity
+ *          GOOGLE_EMAIL_IN_USE   - the Google email belongs to another user
+ */
+userSchema.statics.linkGoogleAccount = async function (userId, profile) {
+  const user = await this.findById(userId);
+  if (!user) {
+    return { user: null, conflict: 'USER_NOT_FOUND' };
+  }
+
+  const owner = await this.findOne({ googleId: profile.id });
+  if (owner && owner._id.toString() !== user._id.toString()) {
+    return { user: null, conflict: 'GOOGLE_ACCOUNT_IN_USE' };
+  }
+
+  if (user.googleId && user.googleId !== profile.id) {
+    return { user: null, conflict: 'ALREADY_LINKED' };
+  }
+
+  const googleEmail = profile.emails?.[0]?.value?.toLowerCase();
+  if (googleEmail && googleEmail !== user.email) {
+    const emailOwner = await this.findOne({ email: googleEmail, _id: { $ne: user._id } });
+    if (emailOwner) {
+      return { user: null, conflict: 'GOOGLE_EMAIL_IN_USE' };
+    }
+  }
+
+  user.googleId = profile.id;
+  if (!user.avatar && profile.photos && profile.photos[0]) {
+    user.avatar = profile.photos[0].value;
+  }
+  await user.save();
+
+  return { user, conflict: null };
+};
+
+/**
+ * @desc    Mark accounts created before email verification existed as verified
+ *          They have no isEmailVerified field stored (newer accounts always
+ *          do), so this runs once per account; safe to call on every startup.
+ * @returns {Promise<number>} Number of accounts updated
+ */
+userSchema.statics.markLegacyAccountsVerified = async function () {
+  const result = await this.updateMany(
+    { isEmailVerified: { $exists: false } },
+    [{ $set: { isEmailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * @desc    Find user by ID including the hidden two-factor secrets
+ * @param   {string} id - User ID
+ * @returns {Query} Chainable query resolving to the user document or null
+ */
+userSchema.statics.findWithTwoFactorSecrets = function (id) {
+  return this.findById(id).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
+/**
+ * @desc    Find an active, not anonymized user by public handle
+ * @param   {string} handle - Public handle (case-insensitive)
+ * @returns {Promise<Object|null>} User document or null
+ */
+userSchema.statics.findByHandle = async function (handle) {
+  return await this.findOne({
+    handle: String(handle).toLowerCase(),
+    isActive: true,
+    anonymizedAt: null
+  });
 };
 
 // Create and export the model
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.HANDLE_PATTERN = HANDLE_PATTERN;
+module.exports.PUBLIC_PROFILE_FIELDS = PUBLIC_PROFILE_FIELDS;
+module.exports.SOCIAL_LINK_TYPES = SOCIAL_LINK_TYPES;
@@ -0,0 +1,23 @@
+/**
+ * =============================================================================
+ * ADMIN AUDIT LOG ROUTES
+ * =============================================================================
+ * Routes for reviewing privileged actions
+ * Base path: /api/admin/audit-logs
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../../controllers/admin/auditLogController');
+const { auditLogValidation } = require('../../middleware/validators');
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get audit log entries (filter by actor, target and date range)
+ * @access  Admin (audit:read)
+ * @query   actor, targetType, targetId, action, from, to, page, limit
+ */
+router.get('/', auditLogValidation.query, auditLogController.getAuditLogs);
+
+module.exports = router;
@@ -15,7 +15,8 @@
  *   PATCH  /conversations/:id/reopen   - Reopen a conversation
  *   GET    /stats                      - Get chat statistics
  *
- * Auth handled by parent admin router (admin/support role).
+ * Authentication handled by parent admin router; reading requires
+ * chat:read_all and replying/closing requires chat:reply.
  * =============================================================================
  */
 
@@ -33,6 +34,13 @@ const {
   getChatStats
 } = require('../../controllers/admin/chatController');
 
+// Middleware
+const { requirePermission } = require('../../middleware/permissions');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const canRead = requirePermission(PERMISSIONS.CHAT_READ_ALL);
+const canReply = requirePermission(PERMISSIONS.CHAT_REPLY);
+
 // =============================================================================
 // STATS
 // =============================================================================
@@ -40,9 +48,9 @@ const {
 /**
  * @route   GET /api/admin/chat/stats
  * @desc    Get chat module statistics
- * @access  Admin, Support
+ * @access  Admin, Support (chat:read_all)
  */
-router.get('/stats', getChatStats);
+router.get('/stats', canRead, getChatStats);
 
 // =============================================================================
 // CONVERSATION ROUTES
@@ -51,43 +59,43 @@ router.get('/stats', getChatStats);
 /**
  * @route   GET /api/admin/chat/conversations
  * @desc    List all conversations with filters
- * @access  Admin, Support
+ * @access  Admin, Support (chat:read_all)
  */
-router.get('/conversations', getAllConversations);
+router.get('/conversations', canRead, getAllConversations);
 
 /**
  * @route   GET /api/admin/chat/conversations/:id
  * @desc    Get single conversation details
- * @access  Admin, Support
+ * @access  Admin, Support (chat:read_all)
  */
-router.get('/conversations/:id', getConversation);
+router.get('/conversations/:id', canRead, getConversation);
 
 /**
  * @route   GET /api/admin/chat/conversations/:id/messages
  * @desc    Get paginated messages
- * @access  Admin, Support
+ * @access  Admin, Support (chat:read_all)
  */
-router.get('/conversations/:id/messages', getMessages);
+router.get('/conversations/:id/messages', canRead, getMessages);
 
 /**
  * @route   POST /api/admin/chat/conversations/:id/messages
  * @desc    Reply to a conversation
- * @access  Admin, Support
+ * @access  Admin, Support (chat:reply)
  */
-router.post('/conversations/:id/messages', replyToConversation);
+router.post('/conversations/:id/messages', canReply, replyToConversation);
 
 /**
  * @route   PATCH /api/admin/chat/conversations/:id/close
  * @desc    Close a conversation
- * @access  Admin, Support
+ * @access  Admin, Support (chat:reply)
  */
-router.patch('/conversations/:id/close', closeConversation);
+router.patch('/conversations/:id/close', canReply, closeConversation);
 
 /**
  * @route   PATCH /api/admin/chat/conversations/:id/reopen
  * @desc    Reopen a closed conversation
- * @access  Admin, Support
+ * @access  Admin, Support (chat:reply)
  */
-router.patch('/conversations/:id/reopen', reopenConversation);
+router.patch('/conversations/:id/reopen', canReply, reopenConversation);
 
 module.exports = router;
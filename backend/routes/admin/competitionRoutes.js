@@ -76,4 +76,19 @@ router.post('/:id/duplicate', competitionValidation.paramId, competitionControll
  */
 router.get('/:id/registrations', competitionValidation.paramId, competitionController.getCompetitionRegistrations);
 
+/**
+ * @route   POST /api/admin/competitions/:id/organizers
+ * @desc    Assign an organizer or co-organizer
+ * @access  Admin
+ * @body    { userId } or { email }, role?: 'organizer' | 'co-organizer'
+ */
+router.post('/:id/organizers', competitionValidation.addOrganizer, competitionController.addOrganizer);
+
+/**
+ * @route   DELETE /api/admin/competitions/:id/organizers/:userId
+ * @desc    Remove an organizer
+ * @access  Admin
+ */
+router.delete('/:id/organizers/:userId', competitionValidation.removeOrganizer, competitionController.removeOrganizer);
+
 module.exports = router;
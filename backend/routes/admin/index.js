@@ -5,7 +5,9 @@
  * Aggregates all admin routes
  * Base path: /api/admin
  * 
- * All routes require admin authentication
+ * All routes require authentication; each section requires a permission
+ * (see config/permissions.js). Registration and chat routes check
+ * permissions per route.
  * =============================================================================
  */
 
@@ -18,20 +20,28 @@ const competitionRoutes = require('./competitionRoutes');
 const registrationRoutes = require('./registrationRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
 const chatRoutes = require('./chatRoutes');
+const settingsRoutes = require('./settingsRoutes');
+const roleRoutes = require('./roleRoutes');
+const auditLogRoutes = require('./auditLogRoutes');
+const jobRoutes = require('./jobRoutes');
 
 // Import middleware
 const authenticate = require('../../middleware/auth');
-const { requireRole } = require('../../middleware/roleCheck');
+const { requirePermission } = require('../../middleware/permissions');
+const { PERMISSIONS } = require('../../config/permissions');
 
 // Apply authentication to all admin routes
 router.use(authenticate);
-router.use(requireRole(['admin']));
 
 // Mount routes
-router.use('/categories', categoryRoutes);
-router.use('/competitions', competitionRoutes);
+router.use('/categories', requirePermission(PERMISSIONS.CATEGORIES_WRITE), categoryRoutes);
+router.use('/competitions', requirePermission(PERMISSIONS.COMPETITIONS_WRITE), competitionRoutes);
 router.use('/registrations', registrationRoutes);
-router.use('/analytics', analyticsRoutes);
+router.use('/analytics', requirePermission(PERMISSIONS.ANALYTICS_READ), analyticsRoutes);
 router.use('/chat', chatRoutes);
+router.use('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), settingsRoutes);
+router.use('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), roleRoutes);
+router.use('/audit-logs', requirePermission(PERMISSIONS.AUDIT_READ), auditLogRoutes);
+router.use('/jobs', requirePermission(PERMISSIONS.JOBS_READ), jobRoutes);
 
 module.exports = router;
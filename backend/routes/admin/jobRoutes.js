@@ -0,0 +1,23 @@
+/**
+ * =============================================================================
+ * ADMIN JOB ROUTES
+ * =============================================================================
+ * Routes for monitoring background jobs
+ * Base path: /api/admin/jobs
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobController = require('../../controllers/admin/jobController');
+const { jobValidation } = require('../../middleware/validators');
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Get queue counts and jobs by status (dead-letter list by default)
+ * @access  Admin (jobs:read)
+ * @query   backend, status, name, page, limit
+ */
+router.get('/', jobValidation.query, jobController.getJobs);
+
+module.exports = router;
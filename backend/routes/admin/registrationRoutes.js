@@ -11,54 +11,68 @@ const express = require('express');
 const router = express.Router();
 const registrationController = require('../../controllers/admin/registrationController');
 const { registrationValidation } = require('../../middleware/validators');
+const { requirePermission } = require('../../middleware/permissions');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const canRead = requirePermission(PERMISSIONS.REGISTRATIONS_READ);
+const canApprove = requirePermission(PERMISSIONS.REGISTRATIONS_APPROVE);
+const canExport = requirePermission(PERMISSIONS.REGISTRATIONS_EXPORT);
 
 /**
  * @route   GET /api/admin/registrations
  * @desc    Get all registrations across all competitions
- * @access  Admin
+ * @access  Admin (registrations:read)
+ */
+router.get('/', canRead, registrationValidation.query, registrationController.getAllRegistrations);
+
+/**
+ * @route   GET /api/admin/registrations/export
+ * @desc    Export a competition's registrations (form answers as columns)
+ * @access  Admin (registrations:export)
+ * @query   competition (required), status
  */
-router.get('/', registrationValidation.query, registrationController.getAllRegistrations);
+router.get('/export', canExport, registrationValidation.export, registrationController.exportRegistrations);
 
 /**
  * @route   POST /api/admin/registrations/bulk-approve
  * @desc    Bulk approve multiple registrations
- * @access  Admin
+ * @access  Admin (registrations:approve)
  */
-router.post('/bulk-approve', registrationController.bulkApprove);
+router.post('/bulk-approve', canApprove, registrationController.bulkApprove);
 
 /**
  * @route   POST /api/admin/registrations/bulk-reject
  * @desc    Bulk reject multiple registrations
- * @access  Admin
+ * @access  Admin (registrations:approve)
  */
-router.post('/bulk-reject', registrationController.bulkReject);
+router.post('/bulk-reject', canApprove, registrationController.bulkReject);
 
 /**
  * @route   GET /api/admin/registrations/:id
  * @desc    Get registration details
- * @access  Admin
+ * @access  Admin (registrations:read)
  */
-router.get('/:id', registrationValidation.paramId, registrationController.getRegistrationById);
+router.get('/:id', canRead, registrationValidation.paramId, registrationController.getRegistrationById);
 
 /**
  * @route   PATCH /api/admin/registrations/:id
  * @desc    Update registration (notes, score, position)
- * @access  Admin
+ * @access  Admin (registrations:approve)
  */
-router.patch('/:id', registrationValidation.paramId, registrationController.updateRegistration);
+router.patch('/:id', canApprove, registrationValidation.paramId, registrationController.updateRegistration);
 
 /**
  * @route   PATCH /api/admin/registrations/:id/approve
  * @desc    Approve a pending registration
- * @access  Admin
+ * @access  Admin (registrations:approve)
  */
-router.patch('/:id/approve', registrationValidation.approve, registrationController.approveRegistration);
+router.patch('/:id/approve', canApprove, registrationValidation.approve, registrationController.approveRegistration);
 
 /**
  * @route   PATCH /api/admin/registrations/:id/reject
  * @desc    Reject a pending registration
- * @access  Admin
+ * @access  Admin (registrations:approve)
  */
-router.patch('/:id/reject', registrationValidation.reject, registrationController.rejectRegistration);
+router.patch('/:id/reject', canApprove, registrationValidation.reject, registrationController.rejectRegistration);
 
 module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * =============================================================================
+ * ADMIN ROLE ROUTES
+ * =============================================================================
+ * Routes for managing roles and their permissions
+ * Base path: /api/admin/roles
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const roleController = require('../../controllers/admin/roleController');
+
+/**
+ * @route   GET /api/admin/roles/permissions
+ * @desc    List every permission that can be granted
+ * @access  Admin (roles:manage)
+ */
+router.get('/permissions', roleController.getPermissionCatalog);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Get all roles with user counts
+ * @access  Admin (roles:manage)
+ */
+router.get('/', roleController.getAllRoles);
+
+/**
+ * @route   GET /api/admin/roles/:id
+ * @desc    Get a single role
+ * @access  Admin (roles:manage)
+ */
+router.get('/:id', roleController.getRoleById);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role
+ * @access  Admin (roles:manage)
+ * @body    { name, description?, permissions: [], scope?: { categories: [] } }
+ */
+router.post('/', roleController.createRole);
+
+/**
+ * @route   PUT /api/admin/roles/:id
+ * @desc    Update a role's description, permissions or scope
+ * @access  Admin (roles:manage)
+ */
+router.put('/:id', roleController.updateRole);
+
+/**
+ * @route   DELETE /api/admin/roles/:id
+ * @desc    Delete a custom role
+ * @access  Admin (roles:manage)
+ */
+router.delete('/:id', roleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * =============================================================================
+ * ADMIN SETTINGS ROUTES
+ * =============================================================================
+ * Routes for platform-wide settings
+ * Base path: /api/admin/settings
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../../controllers/admin/settingsController');
+
+/**
+ * @route   GET /api/admin/settings/security
+ * @desc    Get security settings (2FA policy)
+ * @access  Admin
+ */
+router.get('/security', settingsController.getSecuritySettings);
+
+/**
+ * @route   PUT /api/admin/settings/security
+ * @desc    Update security settings
+ * @access  Admin
+ * @body    { require2FAForPrivilegedRoles: boolean }
+ */
+router.put('/security', settingsController.updateSecuritySettings);
+
+/**
+ * @route   GET /api/admin/settings/accounts
+ * @desc    Get account settings (deletion grace period)
+ * @access  Admin
+ */
+router.get('/accounts', settingsController.getAccountSettings);
+
+/**
+ * @route   PUT /api/admin/settings/accounts
+ * @desc    Update account settings
+ * @access  Admin
+ * @body    { deletionGraceDays: number } (0-365)
+ */
+router.put('/accounts', settingsController.updateAccountSettings);
+
+module.exports = router;
@@ -11,13 +11,25 @@
  * POST /api/auth/register         - Register new user (alias)
  * POST /api/auth/login            - Login and get JWT tokens
  * POST /api/auth/refresh          - Refresh access token
+ * POST /api/auth/verify-email     - Verify email address with token
+ * POST /api/auth/resend-verification - Resend email verification link
+ * POST /api/auth/forgot-password  - Request a password reset link
+ * POST /api/auth/reset-password   - Reset password with token
+ * POST /api/auth/2fa/verify       - Complete login with a 2FA code
+ * POST /api/auth/restore-account  - Cancel own account deletion (restore token)
  * GET  /api/auth/google           - Initiate Google OAuth
  * GET  /api/auth/google/callback  - Google OAuth callback
+ * GET  /api/auth/google/link      - Start linking Google (state from /api/users/me/google/link)
+ * GET  /api/auth/google/link/callback - Google callback for linking
  * 
  * PROTECTED ROUTES (require JWT token):
  * POST /api/auth/logout           - Logout and invalidate token
  * POST /api/auth/revoke           - Revoke refresh token
  * GET  /api/auth/me               - Get current authenticated user
+ * POST /api/auth/2fa/setup        - Start 2FA enrollment (or setup challenge)
+ * POST /api/auth/2fa/enable       - Confirm 2FA enrollment (or setup challenge)
+ * POST /api/auth/2fa/disable      - Disable 2FA
+ * POST /api/auth/2fa/recovery-codes - Regenerate recovery codes
  * =============================================================================
  */
 
@@ -30,6 +42,23 @@ const authController = require('../controllers/authController');
 
 // Import middleware
 const authenticate = require('../middleware/auth');
+const { authenticateOrSetupChallenge } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getClientIp } = require('../utils/requestContext');
+
+// Email address in the body, as a rate limit key
+const bodyEmail = (req) => (typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : null);
+
+// Verification and reset emails: per client IP and per address, so no address can be flooded
+const resendVerificationLimits = [
+  rateLimit({ name: 'resend-verification:ip', limit: 10, windowSeconds: 3600, key: getClientIp }),
+  rateLimit({ name: 'resend-verification:email', limit: 3, windowSeconds: 3600, key: bodyEmail })
+];
+
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-password:ip', limit: 10, windowSeconds: 3600, key: getClientIp }),
+  rateLimit({ name: 'forgot-password:email', limit: 3, windowSeconds: 3600, key: bodyEmail })
+];
 
 // =============================================================================
 // PUBLIC ROUTES
@@ -39,7 +68,7 @@ const authenticate = require('../middleware/auth');
  * @route   POST /api/auth/signup
  * @desc    Register a new user account
  * @access  Public
- * @body    { email, password, name, role? }
+ * @body    { email, password, name }
  */
 router.post('/signup', authController.signup);
 
@@ -47,7 +76,7 @@ router.post('/signup', authController.signup);
  * @route   POST /api/auth/register
  * @desc    Register a new user account (alias for /signup)
  * @access  Public
- * @body    { email, password, name, role? }
+ * @body    { email, password, name }
  */
 router.post('/register', authController.signup);
 
@@ -67,6 +96,54 @@ router.post('/login', authController.login);
  */
 router.post('/refresh', authController.refreshAccessToken);
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address using the token from the verification email
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Public (10 requests per IP and 3 per address per hour)
+ * @body    { email }
+ */
+router.post('/resend-verification', resendVerificationLimits, authController.resendVerification);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public (10 requests per IP and 3 per address per hour)
+ * @body    { email }
+ */
+router.post('/forgot-password', forgotPasswordLimits, authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ * @body    { token, newPassword }
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @route   POST /api/auth/restore-account
+ * @desc    Cancel a self-requested account deletion during the grace period
+ * @access  Public
+ * @body    { restoreToken } - From the 403 login response
+ */
+router.post('/restore-account', authController.restoreAccount);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public
+ * @body    { challengeToken, code }
+ */
+router.post('/2fa/verify', authController.verifyTwoFactorLogin);
+
 // =============================================================================
 // GOOGLE OAUTH ROUTES
 // =============================================================================
@@ -90,10 +167,7 @@ router.get('/google',
  * @access  Public (called by Google)
  */
 router.get('/google/callback',
-  passport.authenticate('google', { 
-    failureRedirect: '/api/auth/google/failure',
-    session: false
-  }),
+  authController.authenticateGoogleCallback('redirect'),
   authController.googleCallback
 );
 
@@ -103,13 +177,25 @@ router.get('/google/callback',
  * @access  Public
  */
 router.get('/google/callback/json',
-  passport.authenticate('google', { 
-    failureRedirect: '/api/auth/google/failure',
-    session: false
-  }),
+  authController.authenticateGoogleCallback('json'),
   authController.googleCallbackJson
 );
 
+/**
+ * @route   GET /api/auth/google/link
+ * @desc    Start linking Google to a signed-in account
+ * @access  Public (signed state from POST /api/users/me/google/link)
+ * @query   state - Link state token
+ */
+router.get('/google/link', authController.startGoogleLink);
+
+/**
+ * @route   GET /api/auth/google/link/callback
+ * @desc    Google callback for linking - redirects to frontend account settings
+ * @access  Public (called by Google)
+ */
+router.get('/google/link/callback', authController.googleLinkCallback);
+
 /**
  * @route   GET /api/auth/google/failure
  * @desc    Google OAuth failure handler
@@ -150,4 +236,36 @@ router.post('/revoke', authenticate, authController.revokeToken);
  */
 router.get('/me', authenticate, authController.getMe);
 
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment - returns secret and otpauth URI
+ * @access  Private (or setup challenge token from login)
+ * @body    { challengeToken? }
+ */
+router.post('/2fa/setup', authenticateOrSetupChallenge, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code - returns recovery codes
+ * @access  Private (or setup challenge token from login)
+ * @body    { code, challengeToken? }
+ */
+router.post('/2fa/enable', authenticateOrSetupChallenge, authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (not allowed when mandatory for the role)
+ * @access  Private
+ * @body    { code, password? }
+ */
+router.post('/2fa/disable', authenticate, authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/2fa/recovery-codes', authenticate, authController.regenerateRecoveryCodes);
+
 module.exports = router;
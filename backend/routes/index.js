@@ -7,12 +7,16 @@
  * Structure:
  * /api/auth/*          - Authentication routes (login, register, logout)
  * /api/users/*         - User management routes
+ * /api/notifications/* - Notification routes (email unsubscribe)
  * /api/dashboard/*     - User dashboard routes
  * /api/categories/*    - Public category browsing
  * /api/competitions/*  - Public competition browsing
  * /api/registrations/* - User registration management
+ * /api/team-invites/*  - Team invitations (accept/decline)
+ * /api/team-board/*    - "Looking for team" board of team competitions
  * /api/uploads/*       - File upload routes
  * /api/support/*       - Support staff routes
+ * /api/organizer/*     - Competition organizer routes
  * /api/admin/*         - Admin management routes
  * /api/health          - Health check endpoint
  * =============================================================================
@@ -24,12 +28,16 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
+const notificationRoutes = require('./notificationRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
 const categoryRoutes = require('./categoryRoutes');
 const competitionRoutes = require('./competitionRoutes');
 const registrationRoutes = require('./registrationRoutes');
+const teamInviteRoutes = require('./teamInviteRoutes');
+const teamBoardRoutes = require('./teamBoardRoutes');
 const uploadRoutes = require('./uploadRoutes');
 const supportRoutes = require('./supportRoutes');
+const organizerRoutes = require('./organizerRoutes');
 const chatRoutes = require('./chatRoutes');
 const adminRoutes = require('./admin');
 
@@ -49,6 +57,12 @@ router.use('/auth', authRoutes);
  */
 router.use('/users', userRoutes);
 
+/**
+ * Notification Routes
+ * @path /api/notifications/*
+ */
+router.use('/notifications', notificationRoutes);
+
 /**
  * User Dashboard Routes
  * @path /api/dashboard/*
@@ -73,6 +87,18 @@ router.use('/competitions', competitionRoutes);
  */
 router.use('/registrations', registrationRoutes);
 
+/**
+ * Team Invite Routes (Authenticated, email links public)
+ * @path /api/team-invites/*
+ */
+router.use('/team-invites', teamInviteRoutes);
+
+/**
+ * Team Board Routes (Authenticated)
+ * @path /api/team-board/*
+ */
+router.use('/team-board', teamBoardRoutes);
+
 /**
  * Upload Routes (Authenticated)
  * @path /api/uploads/*
@@ -91,6 +117,12 @@ router.use('/chat', chatRoutes);
  */
 router.use('/support', supportRoutes);
 
+/**
+ * Organizer Routes (Assigned competition organizers)
+ * @path /api/organizer/*
+ */
+router.use('/organizer', organizerRoutes);
+
 /**
  * Admin Routes (Admin only)
  * @path /api/admin/*
@@ -126,13 +158,17 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       users: '/api/users',
+      notifications: '/api/notifications',
       dashboard: '/api/dashboard',
       categories: '/api/categories',
       competitions: '/api/competitions',
       registrations: '/api/registrations',
+      teamInvites: '/api/team-invites',
+      teamBoard: '/api/team-board',
       uploads: '/api/uploads',
       chat: '/api/chat',
       support: '/api/support',
+      organizer: '/api/organizer',
       admin: '/api/admin',
       health: '/api/health'
     }
@@ -0,0 +1,85 @@
+/**
+ * =============================================================================
+ * NOTIFICATION ROUTES
+ * =============================================================================
+ * Base path: /api/notifications
+ *
+ * PROTECTED ROUTES (require JWT token):
+ * GET   /api/notifications               - List my notifications
+ * GET   /api/notifications/unread-count  - Unread notification count
+ * PATCH /api/notifications/read-all      - Mark all as read
+ * PATCH /api/notifications/:id/read      - Mark one as read
+ *
+ * PUBLIC ROUTES (signed token from a notification email):
+ * GET   /api/notifications/unsubscribe   - Describe an unsubscribe link
+ * POST  /api/notifications/unsubscribe   - Turn the email notification off
+ *
+ * Preferences are managed with GET/PUT /api/users/settings.
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const notificationController = require('../controllers/notificationController');
+const authenticate = require('../middleware/auth');
+const { notificationValidation } = require('../middleware/validators');
+
+// =============================================================================
+// PUBLIC ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/notifications/unsubscribe
+ * @desc    Describe what an unsubscribe link turns off (changes nothing)
+ * @access  Public
+ * @query   token - Unsubscribe token
+ */
+router.get('/unsubscribe', notificationController.getUnsubscribeInfo);
+
+/**
+ * @route   POST /api/notifications/unsubscribe
+ * @desc    Turn email off for the link's notification type (one-click)
+ * @access  Public
+ * @query   token - Unsubscribe token (or { token } in the body)
+ */
+router.post('/unsubscribe', notificationController.unsubscribe);
+
+// =============================================================================
+// PROTECTED ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List my notifications, newest first
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @query   unread, type, page, limit
+ */
+router.get('/', authenticate, notificationValidation.list, notificationController.getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/unread-count', authenticate, notificationController.getUnreadCount);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all my notifications as read
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.patch('/read-all', authenticate, notificationController.markAllAsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark one notification as read
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.patch('/:id/read', authenticate, notificationValidation.paramId, notificationController.markAsRead);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * =============================================================================
+ * ORGANIZER ROUTES
+ * =============================================================================
+ * Routes for users assigned as organizers/co-organizers of competitions
+ * Base path: /api/organizer
+ *
+ * Access is per competition (Competition.organizers), not by global role.
+ * Registration routes only match registrations of organized competitions.
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/auth');
+const { requireOrganizer, requireCompetitionOrganizer } = require('../middleware/organizer');
+const { organizerValidation, registrationValidation } = require('../middleware/validators');
+const organizerController = require('../controllers/organizerController');
+const registrationController = require('../controllers/admin/registrationController');
+
+// All routes require authentication and at least one organized competition
+router.use(authenticate);
+router.use(requireOrganizer);
+
+// =============================================================================
+// COMPETITIONS
+// =============================================================================
+
+/**
+ * @route   GET /api/organizer/competitions
+ * @desc    Get competitions I organize
+ * @access  Organizer
+ */
+router.get('/competitions', organizerController.getMyCompetitions);
+
+/**
+ * @route   GET /api/organizer/competitions/:competitionId
+ * @desc    Get an organized competition with registration stats
+ * @access  Organizer (of this competition)
+ */
+router.get('/competitions/:competitionId', organizerValidation.competitionId, requireCompetitionOrganizer(), organizerController.getCompetition);
+
+/**
+ * @route   PUT /api/organizer/competitions/:competitionId
+ * @desc    Update competition details
+ * @access  Organizer (of this competition)
+ */
+router.put('/competitions/:competitionId', organizerValidation.update, requireCompetitionOrganizer(), organizerController.updateCompetition);
+
+/**
+ * @route   GET /api/organizer/competitions/:competitionId/registrations
+ * @desc    Get registrations for an organized competition
+ * @query   page, limit, status, search
+ * @access  Organizer (of this competition)
+ */
+router.get('/competitions/:competitionId/registrations', organizerValidation.competitionId, requireCompetitionOrganizer(), registrationValidation.query, registrationController.getAllRegistrations);
+
+/**
+ * @route   GET /api/organizer/competitions/:competitionId/registrations/export
+ * @desc    Export registrations for an organized competition
+ *          (registration form answers as columns)
+ * @query   status
+ * @access  Organizer (of this competition)
+ */
+router.get('/competitions/:competitionId/registrations/export', organizerValidation.competitionId, requireCompetitionOrganizer(), registrationValidation.query, registrationController.exportRegistrations);
+
+// =============================================================================
+// CO-ORGANIZERS
+// =============================================================================
+
+/**
+ * @route   GET /api/organizer/competitions/:competitionId/organizers
+ * @desc    List organizers of a competition
+ * @access  Organizer (of this competition)
+ */
+router.get('/competitions/:competitionId/organizers', organizerValidation.competitionId, requireCompetitionOrganizer(), organizerController.getOrganizers);
+
+/**
+ * @route   POST /api/organizer/competitions/:competitionId/organizers
+ * @desc    Add a co-organizer
+ * @access  Lead organizer (of this competition)
+ * @body    { userId } or { email }
+ */
+router.post('/competitions/:competitionId/organizers', organizerValidation.addCoOrganizer, requireCompetitionOrganizer('organizer'), organizerController.addCoOrganizer);
+
+/**
+ * @route   DELETE /api/organizer/competitions/:competitionId/organizers/:userId
+ * @desc    Remove a co-organizer
+ * @access  Lead organizer (of this competition)
+ */
+router.delete('/competitions/:competitionId/organizers/:userId', organizerValidation.removeCoOrganizer, requireCompetitionOrganizer('organizer'), organizerController.removeCoOrganizer);
+
+// =============================================================================
+// REGISTRATIONS (of organized competitions)
+// =============================================================================
+
+/**
+ * @route   POST /api/organizer/registrations/bulk-approve
+ * @desc    Bulk approve registrations
+ * @access  Organizer
+ */
+router.post('/registrations/bulk-approve', registrationController.bulkApprove);
+
+/**
+ * @route   POST /api/organizer/registrations/bulk-reject
+ * @desc    Bulk reject registrations
+ * @access  Organizer
+ */
+router.post('/registrations/bulk-reject', registrationController.bulkReject);
+
+/**
+ * @route   GET /api/organizer/registrations/:id
+ * @desc    Get registration details
+ * @access  Organizer
+ */
+router.get('/registrations/:id', registrationValidation.paramId, registrationController.getRegistrationById);
+
+/**
+ * @route   PATCH /api/organizer/registrations/:id
+ * @desc    Update registration (notes, score, position, attendance)
+ * @access  Organizer
+ */
+router.patch('/registrations/:id', registrationValidation.paramId, registrationController.updateRegistration);
+
+/**
+ * @route   PATCH /api/organizer/registrations/:id/approve
+ * @desc    Approve a pending registration
+ * @access  Organizer
+ */
+router.patch('/registrations/:id/approve', registrationValidation.approve, registrationController.approveRegistration);
+
+/**
+ * @route   PATCH /api/organizer/registrations/:id/reject
+ * @desc    Reject a pending registration
+ * @body    { reason }
+ * @access  Organizer
+ */
+router.patch('/registrations/:id/reject', registrationValidation.reject, registrationController.rejectRegistration);
+
+module.exports = router;
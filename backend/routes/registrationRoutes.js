@@ -12,8 +12,9 @@
 const express = require('express');
 const router = express.Router();
 const registrationController = require('../controllers/registrationController');
+const teamController = require('../controllers/teamController');
 const authenticate = require('../middleware/auth');
-const { registrationValidation } = require('../middleware/validators');
+const { registrationValidation, teamValidation } = require('../middleware/validators');
 
 // All routes require authentication
 router.use(authenticate);
@@ -68,4 +69,43 @@ router.patch('/:id/cancel', registrationValidation.paramId, registrationControll
  */
 router.post('/:id/submit', registrationValidation.submission, registrationController.submitProject);
 
+// =============================================================================
+// TEAM MANAGEMENT
+// =============================================================================
+
+/**
+ * @route   GET /api/registrations/:id/team
+ * @desc    Get team members and change history
+ * @access  Private (captain or accepted member)
+ */
+router.get('/:id/team', teamValidation.paramId, teamController.getTeam);
+
+/**
+ * @route   PATCH /api/registrations/:id/team
+ * @desc    Rename the team
+ * @access  Private (captain)
+ */
+router.patch('/:id/team', teamValidation.rename, teamController.renameTeam);
+
+/**
+ * @route   POST /api/registrations/:id/team/members
+ * @desc    Add a team member (sends a team invite)
+ * @access  Private (captain)
+ */
+router.post('/:id/team/members', teamValidation.addMember, teamController.addMember);
+
+/**
+ * @route   DELETE /api/registrations/:id/team/members/:email
+ * @desc    Remove a team member, or leave the team
+ * @access  Private (captain, or the member themself)
+ */
+router.delete('/:id/team/members/:email', teamValidation.removeMember, teamController.removeMember);
+
+/**
+ * @route   POST /api/registrations/:id/team/captain
+ * @desc    Transfer the captain role to an accepted member
+ * @access  Private (captain)
+ */
+router.post('/:id/team/captain', teamValidation.transferCaptain, teamController.transferCaptain);
+
 module.exports = router;
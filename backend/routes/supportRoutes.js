@@ -9,7 +9,8 @@
 const express = require('express');
 const router = express.Router();
 const authenticate = require('../middleware/auth');
-const { authorize } = require('../middleware/roleCheck');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
 const {
   getPendingRegistrations,
   approveRegistration,
@@ -19,53 +20,52 @@ const {
   getDashboardStats
 } = require('../controllers/supportController');
 
-// All routes require authentication and support or higher role
+// All routes require authentication; each route requires a permission
 router.use(authenticate);
-router.use(authorize('support', 'admin'));
 
 /**
  * @route   GET /api/support/dashboard
  * @desc    Get support dashboard stats
- * @access  Support
+ * @access  Support (registrations:read)
  */
-router.get('/dashboard', getDashboardStats);
+router.get('/dashboard', requirePermission(PERMISSIONS.REGISTRATIONS_READ), getDashboardStats);
 
 /**
  * @route   GET /api/support/registrations/pending
  * @desc    Get pending registrations for review
  * @query   page, limit, search, competition
- * @access  Support
+ * @access  Support (registrations:read)
  */
-router.get('/registrations/pending', getPendingRegistrations);
+router.get('/registrations/pending', requirePermission(PERMISSIONS.REGISTRATIONS_READ), getPendingRegistrations);
 
 /**
  * @route   PATCH /api/support/registrations/:id/approve
  * @desc    Approve a pending registration
- * @access  Support
+ * @access  Support (registrations:approve)
  */
-router.patch('/registrations/:id/approve', approveRegistration);
+router.patch('/registrations/:id/approve', requirePermission(PERMISSIONS.REGISTRATIONS_APPROVE), approveRegistration);
 
 /**
  * @route   PATCH /api/support/registrations/:id/reject
  * @desc    Reject a pending registration
  * @body    { reason: "string" }
- * @access  Support
+ * @access  Support (registrations:approve)
  */
-router.patch('/registrations/:id/reject', rejectRegistration);
+router.patch('/registrations/:id/reject', requirePermission(PERMISSIONS.REGISTRATIONS_APPROVE), rejectRegistration);
 
 /**
  * @route   GET /api/support/users/search
  * @desc    Search for users
  * @query   q (required, min 2 chars), page, limit
- * @access  Support
+ * @access  Support (users:read)
  */
-router.get('/users/search', searchUsers);
+router.get('/users/search', requirePermission(PERMISSIONS.USERS_READ), searchUsers);
 
 /**
  * @route   GET /api/support/users/:userId/registrations
  * @desc    Get user's registrations
- * @access  Support
+ * @access  Support (registrations:read)
  */
-router.get('/users/:userId/registrations', getUserRegistrations);
+router.get('/users/:userId/registrations', requirePermission(PERMISSIONS.REGISTRATIONS_READ), getUserRegistrations);
 
 module.exports = router;
@@ -0,0 +1,101 @@
+/**
+ * =============================================================================
+ * TEAM BOARD ROUTES
+ * =============================================================================
+ * Base path: /api/team-board
+ *
+ * All routes require authentication
+ *
+ * REQUESTS:
+ * GET    /api/team-board/requests                  - My sent and received requests
+ * POST   /api/team-board/listings/:id/requests     - Request to join / invite
+ * PATCH  /api/team-board/requests/:id/accept       - Accept a request
+ * PATCH  /api/team-board/requests/:id/decline      - Decline a request
+ * PATCH  /api/team-board/requests/:id/cancel       - Withdraw my request
+ *
+ * LISTINGS:
+ * GET    /api/team-board/:competitionId            - Open listings
+ * PUT    /api/team-board/:competitionId/listing    - Post or update my listing
+ * DELETE /api/team-board/:competitionId/listing    - Close my listing
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const teamBoardController = require('../controllers/teamBoardController');
+const authenticate = require('../middleware/auth');
+const { teamBoardValidation } = require('../middleware/validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+// =============================================================================
+// REQUESTS
+// =============================================================================
+
+/**
+ * @route   GET /api/team-board/requests
+ * @desc    List team board requests I sent or have to answer
+ * @access  Private
+ * @query   status, competitionId, page, limit
+ */
+router.get('/requests', teamBoardValidation.requests, teamBoardController.getMyRequests);
+
+/**
+ * @route   POST /api/team-board/listings/:id/requests
+ * @desc    Ask to join a team listing, or invite an individual (captains)
+ * @access  Private
+ * @body    { role, message }
+ */
+router.post('/listings/:id/requests', teamBoardValidation.request, teamBoardController.sendRequest);
+
+/**
+ * @route   PATCH /api/team-board/requests/:id/accept
+ * @desc    Accept a request (the participant is sent a team invite)
+ * @access  Private (captain for join requests, participant for invitations)
+ */
+router.patch('/requests/:id/accept', teamBoardValidation.paramId, teamBoardController.acceptRequest);
+
+/**
+ * @route   PATCH /api/team-board/requests/:id/decline
+ * @desc    Decline a request
+ * @access  Private (captain for join requests, participant for invitations)
+ */
+router.patch('/requests/:id/decline', teamBoardValidation.paramId, teamBoardController.declineRequest);
+
+/**
+ * @route   PATCH /api/team-board/requests/:id/cancel
+ * @desc    Withdraw a pending request
+ * @access  Private (sender)
+ */
+router.patch('/requests/:id/cancel', teamBoardValidation.paramId, teamBoardController.cancelRequest);
+
+// =============================================================================
+// LISTINGS
+// =============================================================================
+
+/**
+ * @route   GET /api/team-board/:competitionId
+ * @desc    Open listings of a team competition
+ * @access  Private
+ * @query   type (individual|team), skills (comma separated), page, limit
+ */
+router.get('/:competitionId', teamBoardValidation.board, teamBoardController.getBoard);
+
+/**
+ * @route   PUT /api/team-board/:competitionId/listing
+ * @desc    Post or update my listing (my team's, if I am a captain)
+ * @access  Private
+ * @body    { blurb, skills, openRoles }
+ */
+router.put('/:competitionId/listing', teamBoardValidation.listing, teamBoardController.upsertListing);
+
+/**
+ * @route   DELETE /api/team-board/:competitionId/listing
+ * @desc    Close my listing
+ * @access  Private
+ */
+router.delete('/:competitionId/listing', teamBoardValidation.competitionParam, teamBoardController.closeListing);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ * TEAM INVITE ROUTES
+ * =============================================================================
+ * Base path: /api/team-invites
+ *
+ * PUBLIC ROUTES (token from the invitation email):
+ * GET   /api/team-invites/lookup?token=  - Describe an invitation
+ * POST  /api/team-invites/decline        - Decline an invitation
+ *
+ * PROTECTED ROUTES (require JWT token):
+ * GET   /api/team-invites                - My pending invitations
+ * POST  /api/team-invites/accept         - Accept by email token
+ * PATCH /api/team-invites/:id/accept     - Accept by invite ID
+ * PATCH /api/team-invites/:id/decline    - Decline by invite ID
+ * =============================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const teamInviteController = require('../controllers/teamInviteController');
+const authenticate = require('../middleware/auth');
+const { teamInviteValidation } = require('../middleware/validators');
+
+// =============================================================================
+// PUBLIC ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/team-invites/lookup
+ * @desc    Describe the invitation behind an email link (changes nothing)
+ * @access  Public
+ * @query   token - Invitation token
+ */
+router.get('/lookup', teamInviteValidation.tokenQuery, teamInviteController.getInviteInfo);
+
+/**
+ * @route   POST /api/team-invites/decline
+ * @desc    Decline an invitation from the email link
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/decline', teamInviteValidation.tokenBody, teamInviteController.declineInvite);
+
+// =============================================================================
+// PROTECTED ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/team-invites
+ * @desc    List pending invitations for my email address
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/', authenticate, teamInviteController.getMyInvites);
+
+/**
+ * @route   POST /api/team-invites/accept
+ * @desc    Accept an invitation from the email link
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @body    { token }
+ */
+router.post('/accept', authenticate, teamInviteValidation.tokenBody, teamInviteController.acceptInvite);
+
+/**
+ * @route   PATCH /api/team-invites/:id/accept
+ * @desc    Accept an invitation from the in-app list
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.patch('/:id/accept', authenticate, teamInviteValidation.paramId, teamInviteController.acceptInvite);
+
+/**
+ * @route   PATCH /api/team-invites/:id/decline
+ * @desc    Decline an invitation from the in-app list
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.patch('/:id/decline', authenticate, teamInviteValidation.paramId, teamInviteController.declineInvite);
+
+module.exports = router;
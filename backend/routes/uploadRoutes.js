@@ -2,25 +2,28 @@
  * =============================================================================
  * UPLOAD ROUTES
  * =============================================================================
- * Routes for file uploads (images)
+ * Routes for file uploads (images, registration form files)
  * =============================================================================
  */
 
 const express = require('express');
 const router = express.Router();
 const authenticate = require('../middleware/auth');
-const { authorize } = require('../middleware/roleCheck');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
 const {
   uploadCategoryImages,
   uploadCompetitionImages,
   uploadSingleImage,
+  uploadFormFile: formFileUpload,
   handleUploadError
 } = require('../middleware/upload');
 const {
   uploadCategoryImage,
   uploadCompetitionImage,
   deleteGalleryImage,
-  uploadGenericImage
+  uploadGenericImage,
+  uploadFormFile
 } = require('../controllers/uploadController');
 
 // =============================================================================
@@ -30,12 +33,12 @@ const {
 /**
  * @route   POST /api/uploads/category/:id
  * @desc    Upload category images (icon, banner)
- * @access  Admin
+ * @access  Admin (categories:write)
  */
 router.post(
   '/category/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   uploadCategoryImages,
   handleUploadError,
   uploadCategoryImage
@@ -44,12 +47,12 @@ router.post(
 /**
  * @route   POST /api/uploads/competition/:id
  * @desc    Upload competition images (cover, gallery)
- * @access  Admin
+ * @access  Admin (competitions:write)
  */
 router.post(
   '/competition/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission(PERMISSIONS.COMPETITIONS_WRITE),
   uploadCompetitionImages,
   handleUploadError,
   uploadCompetitionImage
@@ -58,12 +61,12 @@ router.post(
 /**
  * @route   DELETE /api/uploads/competition/:id/gallery/:imageIndex
  * @desc    Delete a gallery image from competition
- * @access  Admin
+ * @access  Admin (competitions:write)
  */
 router.delete(
   '/competition/:id/gallery/:imageIndex',
   authenticate,
-  authorize('admin'),
+  requirePermission(PERMISSIONS.COMPETITIONS_WRITE),
   deleteGalleryImage
 );
 
@@ -84,4 +87,17 @@ router.post(
   uploadGenericImage
 );
 
+/**
+ * @route   POST /api/uploads/form-file
+ * @desc    Upload a file answer for a registration form (image, PDF, Word)
+ * @access  Authenticated
+ */
+router.post(
+  '/form-file',
+  authenticate,
+  formFileUpload,
+  handleUploadError,
+  uploadFormFile
+);
+
 module.exports = router;
@@ -6,23 +6,44 @@
  * 
  * Base path: /api/users
  * 
+ * PUBLIC ROUTES:
+ * GET  /api/users/:handle/public  - Public profile by handle
+ * 
  * PROTECTED ROUTES (require JWT token):
  * GET  /api/users/me              - Get current user profile
  * GET  /api/users/profile         - Get current user profile (alias)
  * PUT  /api/users/update          - Update current user profile
  * PUT  /api/users/profile         - Update current user profile (alias)
+ * POST /api/users/me/avatar       - Upload avatar image
  * GET  /api/users/settings        - Get account settings
  * PUT  /api/users/settings        - Update account settings
  * PUT  /api/users/password        - Change password
  * DELETE /api/users/account       - Delete own account
+ * POST /api/users/me/google/link  - Get URL to link a Google account
+ * DELETE /api/users/me/google     - Unlink Google account
+ * POST /api/users/me/password     - Set a password (Google-only accounts)
+ * GET  /api/users/sessions        - List own active sessions
+ * DELETE /api/users/sessions      - Revoke all other sessions
+ * DELETE /api/users/sessions/:id  - Revoke one session
+ * GET  /api/users/me/export       - Export own personal data (ZIP)
+ * GET  /api/users/me/export/:exportId          - Background export status
+ * GET  /api/users/me/export/:exportId/download - Download background export
+ * GET  /api/users/me/saved-competitions                 - List saved competitions
+ * PUT  /api/users/me/saved-competitions/:competitionId  - Save a competition
+ * DELETE /api/users/me/saved-competitions/:competitionId - Remove a saved competition
  * 
- * ADMIN ROUTES (require JWT token + admin role):
+ * ADMIN ROUTES (require JWT token + permission, see config/permissions.js):
  * GET  /api/users                 - Get all users
  * GET  /api/users/allusers        - Get all users (alias)
  * GET  /api/users/:id             - Get user by ID
  * GET  /api/users/userprofile/:id - Get user by ID (alias)
  * PUT  /api/users/:id/role        - Update user role
- * DELETE /api/users/:id           - Delete user
+ * DELETE /api/users/:id/lockout   - Clear login lockout
+ * POST /api/users/:id/suspend     - Suspend account
+ * POST /api/users/:id/reactivate  - Lift suspension
+ * POST /api/users/:id/force-logout - Revoke all sessions and tokens
+ * DELETE /api/users/:id           - Delete user (after grace period)
+ * POST /api/users/:id/restore     - Cancel a scheduled deletion
  * =============================================================================
  */
 
@@ -31,11 +52,30 @@ const router = express.Router();
 
 // Import controller
 const userController = require('../controllers/userController');
+const dataExportController = require('../controllers/dataExportController');
+const uploadController = require('../controllers/uploadController');
+const savedCompetitionController = require('../controllers/savedCompetitionController');
 
 // Import middleware
 const authenticate = require('../middleware/auth');
-const authorize = require('../middleware/roleCheck');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
 const { cacheMiddleware } = require('../middleware/cache');
+const { userValidation, savedCompetitionValidation } = require('../middleware/validators');
+const { uploadAvatarImage, handleUploadError } = require('../middleware/upload');
+
+// =============================================================================
+// PUBLIC ROUTES
+// =============================================================================
+
+/**
+ * @route   GET /api/users/:handle/public
+ * @desc    Get a user's public profile (only fields the user marked public)
+ * @access  Public
+ * @param   handle - Public handle
+ * @cache   5 minutes
+ */
+router.get('/:handle/public', userValidation.handle, cacheMiddleware(300), userController.getPublicProfile);
 
 // =============================================================================
 // PROTECTED ROUTES (Any Authenticated User)
@@ -64,18 +104,29 @@ router.get('/profile', authenticate, cacheMiddleware(600), userController.getUse
  * @desc    Update current user's profile
  * @access  Private
  * @header  Authorization: Bearer <token>
- * @body    { name?, email? }
+ * @body    { name?, email?, handle?, institution?, studentId?, program?, yearOfStudy?,
+ *            phone?, bio?, skills?, socialLinks?, publicFields? }
  */
-router.put('/update', authenticate, userController.updateProfile);
+router.put('/update', authenticate, userValidation.updateProfile, userController.updateProfile);
 
 /**
  * @route   PUT /api/users/profile
  * @desc    Update current user's profile (alias for /update)
  * @access  Private
  * @header  Authorization: Bearer <token>
- * @body    { name?, email? }
+ * @body    { name?, email?, handle?, institution?, studentId?, program?, yearOfStudy?,
+ *            phone?, bio?, skills?, socialLinks?, publicFields? }
+ */
+router.put('/profile', authenticate, userValidation.updateProfile, userController.updateProfile);
+
+/**
+ * @route   POST /api/users/me/avatar
+ * @desc    Upload avatar (cropped square, with thumbnail and placeholder)
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @body    multipart/form-data: avatar (image, max 5MB)
  */
-router.put('/profile', authenticate, userController.updateProfile);
+router.post('/me/avatar', authenticate, uploadAvatarImage, handleUploadError, uploadController.uploadAvatar);
 
 /**
  * @route   GET /api/users/settings
@@ -90,9 +141,9 @@ router.get('/settings', authenticate, userController.getAccountSettings);
  * @desc    Update account settings
  * @access  Private
  * @header  Authorization: Bearer <token>
- * @body    { emailNotifications?: boolean }
+ * @body    { notificationPreferences?: { <type>: { email?, inApp?, push? } }, emailNotifications?: boolean }
  */
-router.put('/settings', authenticate, userController.updateAccountSettings);
+router.put('/settings', authenticate, userValidation.updateSettings, userController.updateAccountSettings);
 
 /**
  * @route   PUT /api/users/password
@@ -109,66 +160,215 @@ router.put('/password', authenticate, userController.changePassword);
  * @access  Private
  * @header  Authorization: Bearer <token>
  * @body    { password?, confirmation: "DELETE MY ACCOUNT" }
+ *          Deactivates now; anonymized after the grace period unless restored
  */
 router.delete('/account', authenticate, userController.deleteOwnAccount);
 
+/**
+ * @route   POST /api/users/me/google/link
+ * @desc    Get a URL that links a Google account (navigate the browser to it)
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.post('/me/google/link', authenticate, userController.getGoogleLinkUrl);
+
+/**
+ * @route   DELETE /api/users/me/google
+ * @desc    Unlink Google account (requires an existing password)
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @body    { password }
+ */
+router.delete('/me/google', authenticate, userController.unlinkGoogle);
+
+/**
+ * @route   POST /api/users/me/password
+ * @desc    Set a password on an account that has none
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @body    { newPassword }
+ */
+router.post('/me/password', authenticate, userController.setPassword);
+
+/**
+ * @route   GET /api/users/sessions
+ * @desc    List own active sessions (devices)
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/sessions', authenticate, userController.getMySessions);
+
+/**
+ * @route   DELETE /api/users/sessions
+ * @desc    Revoke all sessions except the current one
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.delete('/sessions', authenticate, userController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/users/sessions/:id
+ * @desc    Revoke one of own sessions
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @param   id - Session ID
+ */
+router.delete('/sessions/:id', authenticate, userController.revokeSession);
+
+/**
+ * @route   GET /api/users/me/export
+ * @desc    Export own personal data as a ZIP (JSON + CSV)
+ *          Streams the file, or answers 202 and builds large exports in the background
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @query   async - "true" to always build in the background
+ */
+router.get('/me/export', authenticate, dataExportController.requestExport);
+
+/**
+ * @route   GET /api/users/me/export/:exportId
+ * @desc    Get the status of a background data export
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/me/export/:exportId', authenticate, dataExportController.getExportStatus);
+
+/**
+ * @route   GET /api/users/me/export/:exportId/download
+ * @desc    Download a finished background data export
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.get('/me/export/:exportId/download', authenticate, dataExportController.downloadExport);
+
+/**
+ * @route   GET /api/users/me/saved-competitions
+ * @desc    List saved competitions (most recently saved first)
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ * @query   page, limit
+ */
+router.get('/me/saved-competitions', authenticate, savedCompetitionValidation.list, savedCompetitionController.getSavedCompetitions);
+
+/**
+ * @route   PUT /api/users/me/saved-competitions/:competitionId
+ * @desc    Save a competition (registration deadline reminders)
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.put('/me/saved-competitions/:competitionId', authenticate, savedCompetitionValidation.competitionId, savedCompetitionController.saveCompetition);
+
+/**
+ * @route   DELETE /api/users/me/saved-competitions/:competitionId
+ * @desc    Remove a saved competition
+ * @access  Private
+ * @header  Authorization: Bearer <token>
+ */
+router.delete('/me/saved-competitions/:competitionId', authenticate, savedCompetitionValidation.competitionId, savedCompetitionController.unsaveCompetition);
+
 // =============================================================================
-// ADMIN ROUTES (Require Admin Role)
+// ADMIN ROUTES (Require Permission)
 // =============================================================================
 
 /**
  * @route   GET /api/users
  * @desc    Get all users
- * @access  Private (Admin only)
+ * @access  Private (users:read)
  * @header  Authorization: Bearer <admin-token>
  * @cache   5 minutes
  */
-router.get('/', authenticate, authorize('admin'), cacheMiddleware(300), userController.getAllUsers);
+router.get('/', authenticate, requirePermission(PERMISSIONS.USERS_READ), cacheMiddleware(300), userController.getAllUsers);
 
 /**
  * @route   GET /api/users/allusers
  * @desc    Get all users (alias)
- * @access  Private (Admin only)
+ * @access  Private (users:read)
  * @header  Authorization: Bearer <admin-token>
  * @cache   5 minutes
  */
-router.get('/allusers', authenticate, authorize('admin'), cacheMiddleware(300), userController.getAllUsers);
+router.get('/allusers', authenticate, requirePermission(PERMISSIONS.USERS_READ), cacheMiddleware(300), userController.getAllUsers);
 
 /**
  * @route   GET /api/users/userprofile/:id
  * @desc    Get user profile by ID
- * @access  Private (Admin only)
+ * @access  Private (users:read)
  * @header  Authorization: Bearer <admin-token>
  * @param   id - User's MongoDB ObjectId
  */
-router.get('/userprofile/:id', authenticate, authorize('admin'), userController.getUserById);
+router.get('/userprofile/:id', authenticate, requirePermission(PERMISSIONS.USERS_READ), userController.getUserById);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Private (Admin only)
+ * @access  Private (users:read)
  * @header  Authorization: Bearer <admin-token>
  * @param   id - User's MongoDB ObjectId
  */
-router.get('/:id', authenticate, authorize('admin'), userController.getUserById);
+router.get('/:id', authenticate, requirePermission(PERMISSIONS.USERS_READ), userController.getUserById);
 
 /**
  * @route   PUT /api/users/:id/role
  * @desc    Update user's role
- * @access  Private (Admin only)
+ * @access  Private (roles:manage)
  * @header  Authorization: Bearer <admin-token>
  * @param   id - User's MongoDB ObjectId
- * @body    { role: 'user' | 'moderator' | 'admin' }
+ * @body    { role: '<role name>' } (see GET /api/admin/roles)
  */
-router.put('/:id/role', authenticate, authorize('admin'), userController.updateUserRole);
+router.put('/:id/role', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), userController.updateUserRole);
+
+/**
+ * @route   DELETE /api/users/:id/lockout
+ * @desc    Clear a user's login lockout (failed-attempt counter)
+ * @access  Private (users:write)
+ * @header  Authorization: Bearer <admin-token>
+ * @param   id - User's MongoDB ObjectId
+ */
+router.delete('/:id/lockout', authenticate, requirePermission(PERMISSIONS.USERS_WRITE), userController.clearUserLockout);
+
+/**
+ * @route   POST /api/users/:id/suspend
+ * @desc    Suspend a user (revokes sessions, blocks login and tokens)
+ * @access  Private (users:write)
+ * @header  Authorization: Bearer <admin-token>
+ * @param   id - User's MongoDB ObjectId
+ * @body    { reason, expiresAt? } - expiresAt omitted = until reactivated
+ */
+router.post('/:id/suspend', authenticate, requirePermission(PERMISSIONS.USERS_WRITE), userValidation.suspend, userController.suspendUser);
+
+/**
+ * @route   POST /api/users/:id/reactivate
+ * @desc    Lift a user's suspension
+ * @access  Private (users:write)
+ * @header  Authorization: Bearer <admin-token>
+ * @param   id - User's MongoDB ObjectId
+ */
+router.post('/:id/reactivate', authenticate, requirePermission(PERMISSIONS.USERS_WRITE), userValidation.paramId, userController.reactivateUser);
+
+/**
+ * @route   POST /api/users/:id/force-logout
+ * @desc    Revoke all of a user's sessions and access tokens
+ * @access  Private (users:write)
+ * @header  Authorization: Bearer <admin-token>
+ * @param   id - User's MongoDB ObjectId
+ */
+router.post('/:id/force-logout', authenticate, requirePermission(PERMISSIONS.USERS_WRITE), userValidation.paramId, userController.forceLogoutUser);
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete user
- * @access  Private (Admin only)
+ * @desc    Delete user (deactivated now, anonymized after the grace period)
+ * @access  Private (users:write)
+ * @header  Authorization: Bearer <admin-token>
+ * @param   id - User's MongoDB ObjectId
+ */
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.USERS_WRITE), userValidation.paramId, userController.deleteUser);
+
+/**
+ * @route   POST /api/users/:id/restore
+ * @desc    Cancel a scheduled deletion
+ * @access  Private (users:write)
  * @header  Authorization: Bearer <admin-token>
  * @param   id - User's MongoDB ObjectId
  */
-router.delete('/:id', authenticate, authorize('admin'), userController.deleteUser);
+router.post('/:id/restore', authenticate, requirePermission(PERMISSIONS.USERS_WRITE), userValidation.paramId, userController.restoreUser);
 
 module.exports = router;
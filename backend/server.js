@@ -6,7 +6,8 @@
  * 
  * Startup Order:
  *   1. Initialize Redis cache connection
- *   2. Connect to MongoDB database
+ *   2. Connect to MongoDB database (seed roles, verify pre-verification
+ *      accounts, drop the old data export TTL index, start the job worker)
  *   3. Start Express HTTP server
  * 
  * Graceful Shutdown:
@@ -15,8 +16,10 @@
  *   - Exits cleanly
  * 
  * Environment Variables:
- *   PORT     - HTTP server port (default: 5000)
- *   NODE_ENV - Environment mode (development/production)
+ *   PORT           - HTTP server port (default: 5000)
+ *   NODE_ENV       - Environment mode (development/production)
+ *   RUN_JOB_WORKER - "false" when background jobs run in worker.js instead
+ *                    (default: true)
  * =============================================================================
  */
 
@@ -25,6 +28,11 @@ const app = require('./app');
 const { connectDB } = require('./config/database');
 const { initializeCache } = require('./config/cache');
 const { initializeWebSocket } = require('./config/websocket');
+const Role = require('./models/Role');
+const User = require('./models/UserSchema');
+const DataExport = require('./models/DataExport');
+const { registerJobs } = require('./utils/jobs');
+const { startWorker, stopWorker } = require('./utils/jobQueue');
 
 const PORT = process.env.PORT || 5000;
 
@@ -43,6 +51,25 @@ const startServer = async () => {
     // Step 2: Connect to MongoDB
     console.log('[2/3] Connecting to MongoDB...');
     await connectDB();
+    await Role.seedDefaults();
+
+    // Accounts from before email verification keep access to registrations
+    const verifiedAccounts = await User.markLegacyAccountsVerified();
+    if (verifiedAccounts > 0) {
+      console.log(`✓ Marked ${verifiedAccounts} existing account(s) as email verified`);
+    }
+
+    // Expired data exports are purged by a job, not by the old TTL index
+    if (await DataExport.dropLegacyExpiryIndex()) {
+      console.log('✓ Dropped the data export TTL index');
+    }
+
+    // Background jobs: email, data exports, account purge (hourly), ...
+    registerJobs();
+    if (process.env.RUN_JOB_WORKER !== 'false') {
+      startWorker();
+      console.log('✓ Job worker started');
+    }
 
     // Step 3: Create HTTP server & attach WebSocket
     console.log('[3/4] Creating HTTP server...');
@@ -73,6 +100,7 @@ const startServer = async () => {
  */
 process.on('SIGTERM', async () => {
   console.log('\n✗ SIGTERM signal received: closing HTTP server');
+  stopWorker();
   const { closeConnection } = require('./config/cache');
   await closeConnection();
   process.exit(0);
@@ -80,6 +108,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('\n✗ SIGINT signal received: closing HTTP server');
+  stopWorker();
   const { closeConnection } = require('./config/cache');
   await closeConnection();
   process.exit(0);
@@ -0,0 +1,289 @@
+/**
+ * =============================================================================
+ * ACCOUNT DELETION UTILITY
+ * =============================================================================
+ * Anonymizes accounts whose deletion grace period has passed
+ *
+ * Deleting an account (self or admin) only deactivates it and sets
+ * User.deletion.scheduledFor (see models/UserSchema.js). The grace period
+ * is the admin setting accounts.deletionGraceDays. Afterwards the user
+ * document is kept so that references still resolve, but:
+ *
+ * - User: name, email, password, Google link, avatar, handle, participant
+ *   profile and 2FA are wiped
+ * - Registrations: pending and waitlisted ones, and approved ones for
+ *   competitions that have not ended, are cancelled (freed slots go to the
+ *   waitlist). Contact details and form answers are
+ *   removed. Scores and positions of past competitions are kept under the
+ *   anonymized name.
+ * - Team member entries naming the user in other registrations are anonymized
+ * - Messages sent by the user are replaced by a placeholder, and open
+ *   conversations are closed
+ * - Sessions, notifications, saved competitions, team invitations addressed
+ *   to the user, team board listings and requests, reminder logs, data
+ *   exports, uploaded avatars and organizer assignments are removed
+ *
+ * Usage:
+ *   await purgeDueAccounts();        // hourly "accounts.purge" job (utils/jobs.js)
+ *   await anonymizeUser(userId);     // one account, now
+ * =============================================================================
+ */
+
+const User = require('../models/UserSchema');
+const Registration = require('../models/Registration');
+const Competition = require('../models/Competition');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const SavedCompetition = require('../models/SavedCompetition');
+const TeamInvite = require('../models/TeamInvite');
+const TeamListing = require('../models/TeamListing');
+const TeamJoinRequest = require('../models/TeamJoinRequest');
+const ReminderLog = require('../models/ReminderLog');
+const DataExport = require('../models/DataExport');
+const SystemSetting = require('../models/SystemSetting');
+const { deleteFromS3 } = require('../config/s3');
+const { clearUserCache, clearRouteCache } = require('../middleware/cache');
+const { clearAccountStatusCache } = require('../middleware/auth');
+const { promoteFromWaitlist } = require('./waitlist');
+
+const ANONYMIZED_NAME = 'Deleted User';
+const REMOVED_MESSAGE = 'Message removed (account deleted)';
+
+/**
+ * @desc    Placeholder email for an anonymized account (keeps the unique index happy)
+ * @param   {ObjectId|string} userId
+ * @returns {string}
+ */
+const anonymizedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+/**
+ * @desc    Number of days a deleted account can still be restored
+ * @returns {Promise<number>}
+ */
+const getDeletionGraceDays = async () => {
+  const accounts = await SystemSetting.getValue('accounts');
+  return accounts.deletionGraceDays;
+};
+
+/**
+ * @desc    Cancel, strip or keep the user's registrations
+ * @param   {Object} user - User document (before anonymization)
+ * @returns {Promise<number>} Number of registrations cancelled
+ */
+const anonymizeRegistrations = async (user) => {
+  const email = anonymizedEmail(user._id);
+  const now = new Date();
+
+  const active = await Registration.find({
+    user: user._id,
+    status: { $in: ['pending', 'approved', 'waitlisted'] }
+  });
+
+  const endedIds = await Competition.find({
+    _id: { $in: active.map((registration) => registration.competition) },
+    endDate: { $lte: now }
+  }).distinct('_id');
+  const ended = new Set(endedIds.map((id) => id.toString()));
+
+  let cancelled = 0;
+  for (const registration of active) {
+    if (registration.status !== 'approved' || !ended.has(registration.competition.toString())) {
+      const heldSlot = registration.status !== 'waitlisted';
+      await registration.cancel('Account deleted');
+      cancelled += 1;
+
+      if (heldSlot) {
+        await promoteFromWaitlist(registration.competition);
+      }
+    }
+  }
+
+  // Keep results, drop contact details and form answers
+  await Registration.updateMany(
+    { user: user._id },
+    {
+      $set: { additionalInfo: {} },
+      $unset: { phone: '', institution: '' }
+    }
+  );
+
+  // Team member entries naming the user, in their own and other registrations
+  const memberUpdate = {
+    $set: {
+      'teamMembers.$[member].name': ANONYMIZED_NAME,
+      'teamMembers.$[member].email': email
+    }
+  };
+  await Registration.updateMany(
+    { 'teamMembers.userId': user._id },
+    memberUpdate,
+    { arrayFilters: [{ 'member.userId': user._id }] }
+  );
+  await Registration.updateMany(
+    { 'teamMembers.email': user.email },
+    memberUpdate,
+    { arrayFilters: [{ 'member.email': user.email }] }
+  );
+
+  return cancelled;
+};
+
+/**
+ * @desc    Replace the user's messages and close their open conversations
+ * @param   {ObjectId} userId
+ * @returns {Promise<void>}
+ */
+const anonymizeMessages = async (userId) => {
+  await Message.updateMany(
+    { sender: userId },
+    {
+      $set: {
+        content: REMOVED_MESSAGE,
+        type: 'system',
+        'metadata.imageUrl': null,
+        'metadata.thumbnailUrl': null,
+        'metadata.fileSize': null
+      }
+    }
+  );
+
+  await Conversation.updateMany(
+    { 'lastMessage.sender': userId },
+    { $set: { 'lastMessage.content': REMOVED_MESSAGE } }
+  );
+
+  await Conversation.updateMany(
+    { 'participants.user': userId, status: 'active' },
+    { $set: { status: 'closed', closedAt: new Date() } }
+  );
+};
+
+/**
+ * @desc    Remove stored data exports (and their archives)
+ *          A record whose archive could not be deleted is kept and expired
+ *          now, so the hourly "data-export.purge" job retries the delete.
+ * @param   {ObjectId} userId
+ * @returns {Promise<void>}
+ */
+const removeDataExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select('storageKey');
+  const removed = [];
+  const kept = [];
+  for (const dataExport of exports) {
+    if (dataExport.storageKey && !(await deleteFromS3(dataExport.storageKey))) {
+      kept.push(dataExport._id);
+    } else {
+      removed.push(dataExport._id);
+    }
+  }
+
+  await DataExport.deleteMany({ _id: { $in: removed } });
+  if (kept.length > 0) {
+    await DataExport.updateMany({ _id: { $in: kept } }, { $set: { expiresAt: new Date() } });
+  }
+};
+
+/**
+ * @desc    Anonymize one account and cascade to its data
+ *          Safe to run again on an account that is already anonymized.
+ * @param   {ObjectId|string} userId
+ * @returns {Promise<Object|null>} { cancelledRegistrations } or null if not found
+ */
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const cancelledRegistrations = user.anonymizedAt ? 0 : await anonymizeRegistrations(user);
+  await anonymizeMessages(user._id);
+
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    Notification.deleteMany({ user: user._id }),
+    SavedCompetition.deleteMany({ user: user._id }),
+    TeamInvite.deleteMany({ $or: [{ email: user.email }, { user: user._id }] }),
+    TeamListing.deleteMany({ user: user._id }),
+    TeamJoinRequest.deleteMany({ $or: [{ member: user._id }, { requestedBy: user._id }] }),
+    ReminderLog.deleteMany({ user: user._id }),
+    removeDataExports(user._id),
+    ...(user.avatarImages?.keys || []).map((key) => deleteFromS3(key)),
+    Competition.updateMany(
+      { 'organizers.user': user._id },
+      { $pull: { organizers: { user: user._id } } }
+    )
+  ]);
+
+  // updateOne: skips the password hook and the validators the placeholders would fail
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: ANONYMIZED_NAME,
+        email: anonymizedEmail(user._id),
+        role: 'user',
+        authProvider: 'local',
+        avatar: null,
+        avatarImages: { thumbnail: null, placeholder: null, keys: [] },
+        isActive: false,
+        isEmailVerified: false,
+        emailVerifiedAt: null,
+        lastLogin: null,
+        twoFactor: { enabled: false, enabledAt: null },
+        suspension: { reason: null, suspendedAt: null, suspendedBy: null, expiresAt: null },
+        profile: {},
+        anonymizedAt: new Date()
+      },
+      $unset: {
+        password: '',
+        googleId: '',
+        handle: '',
+        emailVerificationToken: '',
+        emailVerificationExpires: '',
+        passwordResetToken: '',
+        passwordResetExpires: ''
+      }
+    }
+  );
+
+  await clearUserCache(user._id.toString());
+  await clearAccountStatusCache(user._id.toString());
+  if (user.handle) {
+    await clearRouteCache(`/api/users/${user.handle}/public`);
+  }
+
+  return { cancelledRegistrations };
+};
+
+/**
+ * @desc    Anonymize every account whose grace period has passed
+ *          Never throws; failures are logged and retried on the next run.
+ * @returns {Promise<number>} Number of accounts anonymized
+ */
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    anonymizedAt: null
+  }).select('_id');
+
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      await anonymizeUser(_id);
+      purged += 1;
+    } catch (error) {
+      console.error(`Account purge error (${_id}):`, error.message);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`✓ Anonymized ${purged} deleted account(s)`);
+  }
+  return purged;
+};
+
+module.exports = {
+  getDeletionGraceDays,
+  anonymizeUser,
+  purgeDueAccounts
+};
@@ -0,0 +1,114 @@
+/**
+ * =============================================================================
+ * AUDIT LOGGER UTILITY
+ * =============================================================================
+ * Shared helper used by admin, support and organizer controllers to record
+ * privileged actions in the AuditLog collection.
+ *
+ * Usage:
+ *   const { recordAudit, pickFields } = require('../utils/auditLogger');
+ *   const before = pickFields(registration, ['status']);
+ *   ...
+ *   await recordAudit(req, {
+ *     action: 'registration.approve',
+ *     targetType: 'registration',
+ *     targetId: registration._id,
+ *     before,
+ *     after: pickFields(updated, ['status'])
+ *   });
+ *
+ * Writing an entry never throws: a failed write is logged and the action
+ * the user requested still succeeds.
+ * =============================================================================
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { getClientIp, getUserAgent } = require('./requestContext');
+
+/**
+ * @desc    Convert a value to something comparable and storable
+ * @param   {*} value
+ * @returns {*}
+ */
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  if (value && value._bsontype === 'ObjectId') return value.toString();
+  return value;
+};
+
+/**
+ * @desc    Copy selected fields from a document or plain object
+ * @param   {Object} source - Mongoose document or plain object
+ * @param   {Array<string>} fields - Field names
+ * @returns {Object|null}
+ */
+const pickFields = (source, fields) => {
+  if (!source) return null;
+  return fields.reduce((picked, field) => {
+    picked[field] = normalize(source.get ? source.get(field) : source[field]);
+    return picked;
+  }, {});
+};
+
+/**
+ * @desc    Reduce before/after snapshots to the fields that changed
+ * @param   {Object|null} before
+ * @param   {Object|null} after
+ * @returns {Object} { before, after }
+ */
+const diffChanges = (before, after) => {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const diff = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach((key) => {
+    const oldValue = normalize(before[key]);
+    const newValue = normalize(after[key]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      diff.before[key] = oldValue;
+      diff.after[key] = newValue;
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * @desc    Record a privileged action
+ * @param   {Object} req - Express request (actor, IP and user agent)
+ * @param   {Object} entry
+ * @param   {string} entry.action - e.g. "competition.publish"
+ * @param   {string} entry.targetType - See AuditLog.TARGET_TYPES
+ * @param   {ObjectId|string} [entry.targetId]
+ * @param   {Object} [entry.before] - Snapshot before the change
+ * @param   {Object} [entry.after] - Snapshot after the change
+ * @param   {Object} [entry.metadata] - Extra context
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null, metadata = null }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user.id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      changes: diffChanges(before, after),
+      metadata,
+      ipAddress: getClientIp(req),
+      userAgent: getUserAgent(req)
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error.message);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  pickFields,
+  diffChanges
+};
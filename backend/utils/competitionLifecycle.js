@@ -0,0 +1,156 @@
+/**
+ * =============================================================================
+ * COMPETITION LIFECYCLE UTILITY
+ * =============================================================================
+ * Moves competitions forward in time (run every minute by the
+ * "competitions.lifecycle" job, see utils/jobs.js)
+ *
+ * Transitions:
+ * - competition.published           : draft with a due publishAt → published
+ *                                     (drafts whose deadline has already
+ *                                     passed stay drafts, as with manual
+ *                                     publishing)
+ * - competition.registration_closed : published and past its deadline →
+ *                                     registrationClosedAt is set
+ * - competition.completed           : published and past its endDate →
+ *                                     completed
+ *
+ * Each transition is applied with a conditional update, so it happens (and
+ * its event fires) once even if several workers run. For each transition:
+ * - lifecycleEvents emits the event name with the payload below
+ * - Socket.IO clients receive "competition_status" ({ event, ...payload })
+ *   when the job runs in the API process
+ * - Cached competition lists and details are invalidated
+ *
+ * Payload: { competitionId, slug, title, status, at }
+ *
+ * Usage:
+ *   lifecycleEvents.on(COMPETITION_EVENTS.COMPLETED, ({ competitionId }) => { ... });
+ *   await runCompetitionLifecycle();
+ * =============================================================================
+ */
+
+const { EventEmitter } = require('events');
+const Competition = require('../models/Competition');
+const cacheService = require('../config/cache');
+const { getIO } = require('../config/websocket');
+
+const COMPETITION_EVENTS = {
+  PUBLISHED: 'competition.published',
+  REGISTRATION_CLOSED: 'competition.registration_closed',
+  COMPLETED: 'competition.completed'
+};
+
+const lifecycleEvents = new EventEmitter();
+
+/**
+ * Transitions in the order they are applied: a competition published,
+ * closed and ended while the scheduler was down goes through all three
+ */
+const TRANSITIONS = [
+  {
+    event: COMPETITION_EVENTS.PUBLISHED,
+    filter: (now) => ({
+      status: 'draft',
+      isDeleted: false,
+      publishAt: { $ne: null, $lte: now },
+      deadline: { $gt: now }
+    }),
+    update: () => ({ status: 'published', publishAt: null })
+  },
+  {
+    event: COMPETITION_EVENTS.REGISTRATION_CLOSED,
+    filter: (now) => ({
+      status: 'published',
+      isDeleted: false,
+      deadline: { $lte: now },
+      registrationClosedAt: null
+    }),
+    update: (now) => ({ registrationClosedAt: now })
+  },
+  {
+    event: COMPETITION_EVENTS.COMPLETED,
+    filter: (now) => ({
+      status: 'published',
+      isDeleted: false,
+      endDate: { $ne: null, $lte: now }
+    }),
+    update: (now) => ({ status: 'completed', completedAt: now })
+  }
+];
+
+/**
+ * @desc    Invalidate caches and announce one transition
+ * @param   {string} event - COMPETITION_EVENTS value
+ * @param   {Object} competition - Updated competition (lean)
+ * @param   {Date}   at - Transition time
+ */
+const emitTransition = async (event, competition, at) => {
+  const payload = {
+    competitionId: competition._id.toString(),
+    slug: competition.slug,
+    title: competition.title,
+    status: competition.status,
+    at
+  };
+
+  await Promise.all([
+    cacheService.delete('competitions:featured'),
+    cacheService.delete('competitions:trending'),
+    cacheService.delete(`competition:${payload.competitionId}`),
+    cacheService.delete(`competition:${payload.slug}`)
+  ]);
+
+  lifecycleEvents.emit(event, payload);
+
+  const io = getIO();
+  if (io) {
+    io.emit('competition_status', { event, ...payload });
+  }
+};
+
+/**
+ * @desc    Apply every due lifecycle transition
+ *          Never throws for a single competition; failures are logged and
+ *          retried on the next run.
+ * @param   {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} Number of competitions per event
+ */
+const runCompetitionLifecycle = async (now = new Date()) => {
+  const result = {};
+
+  for (const { event, filter, update } of TRANSITIONS) {
+    const due = await Competition.find(filter(now)).select('_id');
+    result[event] = 0;
+
+    for (const { _id } of due) {
+      try {
+        const competition = await Competition.findOneAndUpdate(
+          { _id, ...filter(now) },
+          { $set: update(now) },
+          { new: true }
+        ).select('title slug status').lean();
+
+        // Already moved on by another worker or an admin
+        if (!competition) continue;
+
+        await emitTransition(event, competition, now);
+        result[event] += 1;
+      } catch (error) {
+        console.error(`Competition lifecycle error (${event}, ${_id}):`, error.message);
+      }
+    }
+
+    if (result[event] > 0) {
+      console.log(`✓ ${event}: ${result[event]} competition(s)`);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  COMPETITION_EVENTS,
+  lifecycleEvents,
+  runCompetitionLifecycle
+};
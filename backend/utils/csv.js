@@ -0,0 +1,59 @@
+/**
+ * =============================================================================
+ * CSV UTILITY
+ * =============================================================================
+ * Minimal RFC 4180 CSV writer for exports
+ *
+ * Cells starting with =, +, - or @ are prefixed with a quote so spreadsheet
+ * apps do not evaluate them as formulas.
+ * =============================================================================
+ */
+
+/**
+ * @desc    Convert a value to an escaped CSV cell
+ * @param   {*} value
+ * @returns {string}
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * @desc    Build a CSV document
+ * @param   {Array<Object>} rows - Plain objects
+ * @param   {Array<string>} [columns] - Column order (default: keys of the first row)
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+  const header = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+  const lines = [header.map(toCell).join(',')];
+
+  rows.forEach((row) => {
+    lines.push(header.map((column) => toCell(row[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  toCsv
+};
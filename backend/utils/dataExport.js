@@ -0,0 +1,389 @@
+/**
+ * =============================================================================
+ * PERSONAL DATA EXPORT UTILITY
+ * =============================================================================
+ * Collects everything stored about a user and packs it into a ZIP archive
+ * (export.json plus one CSV per section)
+ *
+ * Sections:
+ * - profile           : Account and participant profile fields (no password,
+ *                       token or 2FA secrets)
+ * - registrations     : Competitions the user registered for
+ * - submissions       : Project submissions of those registrations
+ * - team_memberships  : Registrations where the user is listed as a team member
+ * - conversations     : Support conversations the user takes part in
+ * - messages          : Messages in those conversations
+ * - notifications     : Notification center entries
+ * - saved_competitions: Competitions the user saved
+ * - team_board_listings: "Looking for team" posts of the user
+ *
+ * Exports with up to DATA_EXPORT_SYNC_LIMIT records are streamed to the
+ * client directly; larger ones are built in the background by
+ * processDataExport() ("data-export.build" job) and stored in S3 under
+ * exports/. Expired archives and their records are removed by
+ * purgeExpiredExports() ("data-export.purge" job, hourly).
+ *
+ * Environment Variables:
+ *   DATA_EXPORT_SYNC_LIMIT - Max records streamed synchronously (default: 2000)
+ *   DATA_EXPORT_TTL_DAYS   - Days a background export can be downloaded (default: 7)
+ * =============================================================================
+ */
+
+const archiver = require('archiver');
+const User = require('../models/UserSchema');
+const Registration = require('../models/Registration');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const SavedCompetition = require('../models/SavedCompetition');
+const TeamListing = require('../models/TeamListing');
+const DataExport = require('../models/DataExport');
+const { uploadToS3, deleteFromS3 } = require('../config/s3');
+const { toCsv } = require('./csv');
+
+const SYNC_RECORD_LIMIT = parseInt(process.env.DATA_EXPORT_SYNC_LIMIT, 10) || 2000;
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS, 10) || 7;
+
+// CSV column order per section
+const CSV_COLUMNS = {
+  profile: ['id', 'name', 'email', 'handle', 'institution', 'studentId', 'program', 'yearOfStudy', 'phone', 'bio', 'skills', 'socialLinks', 'publicFields', 'role', 'authProvider', 'googleLinked', 'avatar', 'isEmailVerified', 'emailVerifiedAt', 'twoFactorEnabled', 'isActive', 'lastLogin', 'passwordChangedAt', 'createdAt', 'updatedAt'],
+  registrations: ['id', 'competition', 'competitionTitle', 'status', 'teamName', 'phone', 'institution', 'confirmationCode', 'hasAttended', 'score', 'position', 'reason', 'additionalInfo', 'createdAt', 'updatedAt'],
+  submissions: ['registrationId', 'competitionTitle', 'link', 'description', 'submittedAt'],
+  team_memberships: ['registrationId', 'competitionTitle', 'teamName', 'memberName', 'memberEmail', 'memberRole', 'inviteStatus', 'status', 'createdAt'],
+  conversations: ['id', 'subject', 'type', 'status', 'createdAt', 'closedAt'],
+  messages: ['id', 'conversation', 'sentByYou', 'type', 'content', 'imageUrl', 'createdAt'],
+  notifications: ['id', 'type', 'title', 'message', 'readAt', 'createdAt'],
+  saved_competitions: ['competition', 'competitionTitle', 'savedAt'],
+  team_board_listings: ['id', 'competitionTitle', 'type', 'blurb', 'skills', 'openRoles', 'status', 'createdAt', 'updatedAt']
+};
+
+/**
+ * @desc    Filter for registrations listing the user as a team member
+ * @param   {Object} user - { _id, email }
+ * @returns {Object} Mongo filter
+ */
+const teamMembershipFilter = (user) => ({
+  user: { $ne: user._id },
+  $or: [
+    { 'teamMembers.userId': user._id },
+    { 'teamMembers.email': user.email }
+  ]
+});
+
+/**
+ * @desc    Count the records an export of this user would contain
+ * @param   {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const countUserRecords = async (userId) => {
+  const user = await User.findById(userId).select('email').lean();
+  if (!user) return 0;
+
+  const conversationIds = await Conversation.find({ 'participants.user': user._id }).distinct('_id');
+
+  const [registrations, memberships, messages, notifications, saved, listings] = await Promise.all([
+    Registration.countDocuments({ user: user._id }),
+    Registration.countDocuments(teamMembershipFilter(user)),
+    Message.countDocuments({ conversation: { $in: conversationIds }, isDeleted: false }),
+    Notification.countDocuments({ user: user._id }),
+    SavedCompetition.countDocuments({ user: user._id }),
+    TeamListing.countDocuments({ user: user._id })
+  ]);
+
+  return 1 + registrations + memberships + conversationIds.length + messages + notifications + saved + listings;
+};
+
+/**
+ * @desc    Collect all personal data of a user
+ * @param   {string} userId - User ID
+ * @returns {Promise<Object|null>} Sections keyed like CSV_COLUMNS, or null if the user is gone
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const profile = {
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    handle: user.handle || null,
+    institution: user.profile?.institution ?? null,
+    studentId: user.profile?.studentId ?? null,
+    program: user.profile?.program ?? null,
+    yearOfStudy: user.profile?.yearOfStudy ?? null,
+    phone: user.profile?.phone ?? null,
+    bio: user.profile?.bio ?? null,
+    skills: user.profile?.skills || [],
+    socialLinks: user.profile?.socialLinks || {},
+    publicFields: user.profile?.publicFields || [],
+    role: user.role,
+    authProvider: user.authProvider,
+    googleLinked: Boolean(user.googleId),
+    avatar: user.avatar,
+    isEmailVerified: user.isEmailVerified,
+    emailVerifiedAt: user.emailVerifiedAt,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    isActive: user.isActive,
+    lastLogin: user.lastLogin,
+    passwordChangedAt: user.passwordChangedAt,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+
+  const [ownRegistrations, memberRegistrations, conversations, notifications, saved, listings] = await Promise.all([
+    Registration.find({ user: user._id })
+      .populate('competition', 'title')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Registration.find(teamMembershipFilter(user))
+      .populate('competition', 'title')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Conversation.find({ 'participants.user': user._id })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Notification.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .lean(),
+    SavedCompetition.find({ user: user._id })
+      .populate('competition', 'title')
+      .sort({ createdAt: -1 })
+      .lean(),
+    TeamListing.find({ user: user._id })
+      .populate('competition', 'title')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  const messages = await Message.find({
+    conversation: { $in: conversations.map((c) => c._id) },
+    isDeleted: false
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const registrations = ownRegistrations.map((reg) => ({
+    id: reg._id.toString(),
+    competition: reg.competition?._id?.toString() || null,
+    competitionTitle: reg.competition?.title || null,
+    status: reg.status,
+    teamName: reg.teamName,
+    teamMembers: reg.teamMembers,
+    phone: reg.phone,
+    institution: reg.institution,
+    confirmationCode: reg.confirmationCode,
+    hasAttended: reg.hasAttended,
+    score: reg.score,
+    position: reg.position,
+    reason: reg.reason,
+    additionalInfo: reg.additionalInfo,
+    createdAt: reg.createdAt,
+    updatedAt: reg.updatedAt
+  }));
+
+  const submissions = ownRegistrations
+    .filter((reg) => reg.submission?.submittedAt)
+    .map((reg) => ({
+      registrationId: reg._id.toString(),
+      competitionTitle: reg.competition?.title || null,
+      link: reg.submission.link,
+      description: reg.submission.description,
+      submittedAt: reg.submission.submittedAt
+    }));
+
+  const ownId = user._id.toString();
+  const teamMemberships = memberRegistrations.map((reg) => {
+    const member = reg.teamMembers.find((m) => m.userId?.toString() === ownId || m.email === user.email);
+    return {
+      registrationId: reg._id.toString(),
+      competitionTitle: reg.competition?.title || null,
+      teamName: reg.teamName,
+      memberName: member?.name,
+      memberEmail: member?.email,
+      memberRole: member?.role,
+      inviteStatus: member?.inviteStatus || 'pending',
+      status: reg.status,
+      createdAt: reg.createdAt
+    };
+  });
+
+  return {
+    profile,
+    registrations,
+    submissions,
+    team_memberships: teamMemberships,
+    conversations: conversations.map((conv) => ({
+      id: conv._id.toString(),
+      subject: conv.subject,
+      type: conv.type,
+      status: conv.status,
+      createdAt: conv.createdAt,
+      closedAt: conv.closedAt
+    })),
+    // Staff identities are not part of the user's data; only authorship is kept
+    messages: messages.map((msg) => ({
+      id: msg._id.toString(),
+      conversation: msg.conversation.toString(),
+      sentByYou: msg.sender.toString() === ownId,
+      type: msg.type,
+      content: msg.content,
+      imageUrl: msg.metadata?.imageUrl || null,
+      createdAt: msg.createdAt
+    })),
+    notifications: notifications.map((notification) => ({
+      id: notification._id.toString(),
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      readAt: notification.readAt,
+      createdAt: notification.createdAt
+    })),
+    saved_competitions: saved.map((entry) => ({
+      competition: entry.competition?._id?.toString() || null,
+      competitionTitle: entry.competition?.title || null,
+      savedAt: entry.createdAt
+    })),
+    team_board_listings: listings.map((listing) => ({
+      id: listing._id.toString(),
+      competitionTitle: listing.competition?.title || null,
+      type: listing.type,
+      blurb: listing.blurb,
+      skills: listing.skills,
+      openRoles: listing.openRoles,
+      status: listing.status,
+      createdAt: listing.createdAt,
+      updatedAt: listing.updatedAt
+    }))
+  };
+};
+
+/**
+ * @desc    Count records per section of collected data
+ * @param   {Object} data - Result of collectUserData()
+ * @returns {Object} { profile: 1, registrations: n, ... }
+ */
+const countSections = (data) => Object.keys(CSV_COLUMNS).reduce((counts, section) => {
+  counts[section] = section === 'profile' ? 1 : data[section].length;
+  return counts;
+}, {});
+
+/**
+ * @desc    Pack collected data into a ZIP archive
+ *          The returned archive is finalized; pipe it or pass it as a stream.
+ * @param   {Object} data - Result of collectUserData()
+ * @returns {Object} archiver instance (readable stream)
+ */
+const createExportArchive = (data) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.append(JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    ...data
+  }, null, 2), { name: 'export.json' });
+
+  Object.entries(CSV_COLUMNS).forEach(([section, columns]) => {
+    const rows = section === 'profile' ? [data.profile] : data[section];
+    archive.append(toCsv(rows, columns), { name: `csv/${section}.csv` });
+  });
+
+  archive.finalize();
+  return archive;
+};
+
+/**
+ * @desc    File name offered for download
+ * @returns {string}
+ */
+const getExportFileName = () => `ucp-takra-data-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+/**
+ * @desc    Build a background export and store it in S3
+ *          Never throws: failures are recorded on the DataExport document.
+ * @param   {string} exportId - DataExport ID
+ * @returns {Promise<void>}
+ */
+const processDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    if (!data) {
+      throw new Error('User not found');
+    }
+
+    const key = `exports/${dataExport.user}/${dataExport._id}.zip`;
+    const archive = createExportArchive(data);
+    await uploadToS3(archive, key, 'application/zip');
+
+    dataExport.status = 'completed';
+    dataExport.storageKey = key;
+    dataExport.fileSize = archive.pointer();
+    dataExport.recordCounts = countSections(data);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await dataExport.save();
+
+  } catch (error) {
+    console.error(`Data export error (${exportId}):`, error.message);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save().catch(() => {});
+  }
+};
+
+/**
+ * @desc    Delete a user's earlier exports and their archives
+ * @param   {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const removePreviousExports = async (userId) => {
+  const previous = await DataExport.find({
+    user: userId,
+    status: { $in: ['completed', 'failed'] }
+  });
+
+  for (const dataExport of previous) {
+    // Keep the record of an archive that could not be deleted; the purge job retries it
+    if (dataExport.storageKey && !(await deleteFromS3(dataExport.storageKey))) continue;
+    await dataExport.deleteOne();
+  }
+};
+
+/**
+ * @desc    Delete expired exports: the archive in S3 first, then the record
+ *          Records whose archive could not be deleted are kept for the next run.
+ * @returns {Promise<number>} Number of exports removed
+ */
+const purgeExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } })
+    .select('storageKey')
+    .limit(500);
+
+  let removed = 0;
+  for (const dataExport of expired) {
+    if (dataExport.storageKey && !(await deleteFromS3(dataExport.storageKey))) continue;
+    await dataExport.deleteOne();
+    removed += 1;
+  }
+
+  if (removed > 0) {
+    console.log(`✓ Removed ${removed} expired data export(s)`);
+  }
+  return removed;
+};
+
+module.exports = {
+  SYNC_RECORD_LIMIT,
+  countUserRecords,
+  collectUserData,
+  createExportArchive,
+  getExportFileName,
+  processDataExport,
+  removePreviousExports,
+  purgeExpiredExports
+};
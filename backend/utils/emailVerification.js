@@ -0,0 +1,44 @@
+/**
+ * =============================================================================
+ * EMAIL VERIFICATION UTILITY
+ * =============================================================================
+ * Issues an email verification token and queues the link to the user
+ *
+ * Used on signup (welcome email), when the user asks for a new link and
+ * when the user changes their email address. The raw token is only in the
+ * email; the user document stores its hash (see
+ * UserSchema.createEmailVerificationToken).
+ *
+ * Usage:
+ *   await sendVerificationEmail(userDoc, 'signup');
+ * =============================================================================
+ */
+
+const { queueTemplatedMail } = require('./mailQueue');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * @desc    Issue a new verification token and queue the verification link
+ * @param   {Object} user - User document
+ * @param   {string} [template] - signup (welcome), emailVerification (resend)
+ *          or emailChange (new address)
+ * @returns {Promise<Object|null>} Queued message, or null on failure
+ */
+const sendVerificationEmail = async (user, template = 'emailVerification') => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  return queueTemplatedMail({
+    to: user.email,
+    template,
+    data: {
+      name: user.name,
+      verifyUrl: `${FRONTEND_URL}/verify-email?token=${token}`
+    }
+  });
+};
+
+module.exports = {
+  sendVerificationEmail
+};
@@ -276,6 +276,40 @@ const processCompetitionImage = async (buffer, type = 'cover') => {
   return results;
 };
 
+/**
+ * Process user avatar (square crop)
+ * Applies EXIF orientation first so phone photos are not sideways, then
+ * crops to a centered square (small images are not enlarged).
+ * @param {Buffer} buffer - Image buffer
+ * @returns {Promise<Object>} Processed images
+ */
+const processAvatarImage = async (buffer) => {
+  const format = 'webp';
+  const oriented = await sharp(buffer).rotate().toBuffer();
+  const { width, height } = await sharp(oriented).metadata();
+  const side = Math.min(width, height);
+  const square = await sharp(oriented).resize(side, side, { fit: 'cover' }).toBuffer();
+  const results = {};
+
+  results.original = await optimizeImage(square, { 
+    width: 400, 
+    height: 400, 
+    format, 
+    quality: QUALITY.high,
+    fit: 'cover'
+  });
+  results.thumbnail = await optimizeImage(square, { 
+    width: 96, 
+    height: 96, 
+    format, 
+    quality: QUALITY.medium,
+    fit: 'cover'
+  });
+
+  results.placeholder = await createPlaceholder(square);
+  return results;
+};
+
 module.exports = {
   optimizeImage,
   generateImageSizes,
@@ -284,6 +318,7 @@ module.exports = {
   createPlaceholder,
   processCategoryImage,
   processCompetitionImage,
+  processAvatarImage,
   IMAGE_SIZES,
   QUALITY
 };
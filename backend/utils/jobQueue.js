@@ -0,0 +1,592 @@
+/**
+ * =============================================================================
+ * JOB QUEUE UTILITY
+ * =============================================================================
+ * Background jobs with delays, retries, dead-lettering and recurring jobs
+ *
+ * Storage:
+ * - Redis (the connection from config/cache.js) while it is connected
+ * - MongoDB (models/Job.js) otherwise, or when a Redis write fails
+ * Workers poll both, so jobs queued during a Redis outage still run.
+ *
+ * Lifecycle: queued → active → completed
+ *   A failed attempt goes back to queued after backoffSeconds × 2^(attempt - 1).
+ *   After maxAttempts the job is dead (dead-letter list, see GET /api/admin/jobs)
+ *   and the job type's onDead hook runs. A job whose worker died is retried
+ *   once its lease (JOB_LEASE_SECONDS) expires.
+ *
+ * Workers run in the API process (server.js) or separately (worker.js).
+ * Job types are registered in utils/jobs.js.
+ *
+ * Environment Variables:
+ *   JOB_POLL_INTERVAL_SECONDS - Worker polling interval (default: 5)
+ *   JOB_LEASE_SECONDS         - Time a job may run before it is retried (default: 900)
+ *
+ * Usage:
+ *   defineJob('email.send', async (payload, job) => { ... }, { maxAttempts: 5 });
+ *   await enqueue('email.send', { emailId }, { delayMs: 60000 });
+ *   startWorker();
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const cache = require('../config/cache');
+const Job = require('../models/Job');
+const { JOB_STATUSES } = require('../models/Job');
+
+const POLL_INTERVAL_MS = (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS, 10) || 5) * 1000;
+const LEASE_MS = (parseInt(process.env.JOB_LEASE_SECONDS, 10) || 900) * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_SECONDS = 30;
+
+// Finished jobs kept in Redis for the admin view
+const REDIS_KEEP = { completed: 500, dead: 1000 };
+
+// Registered job types: name → { handler, maxAttempts, backoffSeconds, every, onDead }
+const definitions = new Map();
+
+// Worker state
+let workerStarted = false;
+let processing = false;
+let rerunRequested = false;
+const workerTimers = [];
+
+// =============================================================================
+// REDIS BACKEND
+// =============================================================================
+
+/**
+ * Keys:
+ *   jobs:data              HASH  job id → job JSON
+ *   jobs:<status>          ZSET  job ids; score = runAt (queued), lease
+ *                                expiry (active) or finish time
+ *   jobs:unique:<key>      STRING deduplication marker (expires)
+ */
+const REDIS_DATA_KEY = 'jobs:data';
+const redisStatusKey = (status) => `jobs:${status}`;
+
+/**
+ * @desc    Parse a job stored as JSON (dates are revived)
+ * @param   {string} raw
+ * @returns {Object}
+ */
+const parseRedisJob = (raw) => {
+  const job = JSON.parse(raw);
+  ['runAt', 'createdAt', 'updatedAt', 'completedAt', 'failedAt'].forEach((field) => {
+    if (job[field]) job[field] = new Date(job[field]);
+  });
+  return job;
+};
+
+/**
+ * Redis script: requeue jobs whose lease expired, then move the first due
+ * job from queued to active. Each move is atomic, so a worker that dies
+ * mid-claim leaves the job in a list it is retried from.
+ *
+ * KEYS    = jobs:queued, jobs:active, jobs:data
+ * ARGV    = now (ms), lease expiry (ms)
+ * Returns { id, job JSON } or nil when no job is due
+ */
+const CLAIM_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[2], 0, ARGV[1])
+for _, id in ipairs(expired) do
+  redis.call('ZREM', KEYS[2], id)
+  redis.call('ZADD', KEYS[1], ARGV[1], id)
+end
+
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], 0, ARGV[1], 'LIMIT', 0, 10)
+for _, id in ipairs(due) do
+  redis.call('ZREM', KEYS[1], id)
+  local raw = redis.call('HGET', KEYS[3], id)
+  if raw then
+    redis.call('ZADD', KEYS[2], ARGV[2], id)
+    return { id, raw }
+  end
+end
+return false
+`;
+
+const redisBackend = {
+  name: 'redis',
+
+  isAvailable: () => Boolean(cache.isConnected()),
+
+  add: async (job, { uniqueKey, uniqueForMs }) => {
+    const client = cache.getClient();
+    if (uniqueKey) {
+      const reserved = await client.set(`jobs:unique:${uniqueKey}`, job.id, { NX: true, PX: uniqueForMs });
+      if (reserved !== 'OK') return false;
+    }
+    await client.hSet(REDIS_DATA_KEY, job.id, JSON.stringify(job));
+    await client.zAdd(redisStatusKey('queued'), { score: job.runAt.getTime(), value: job.id });
+    return true;
+  },
+
+  claim: async () => {
+    const client = cache.getClient();
+    const now = Date.now();
+
+    // Jobs whose worker went away are requeued in the same script
+    const claimed = await client.eval(CLAIM_SCRIPT, {
+      keys: [redisStatusKey('queued'), redisStatusKey('active'), REDIS_DATA_KEY],
+      arguments: [String(now), String(now + LEASE_MS)]
+    });
+    if (!claimed) return null;
+
+    const [id, raw] = claimed;
+    const job = parseRedisJob(raw);
+    job.status = 'active';
+    job.attempts += 1;
+    job.updatedAt = new Date();
+
+    // The job is already leased; if this write is lost it is retried after the lease
+    await client.hSet(REDIS_DATA_KEY, id, JSON.stringify(job));
+    return job;
+  },
+
+  save: async (job) => {
+    const client = cache.getClient();
+    const score = job.status === 'queued' ? job.runAt.getTime() : Date.now();
+
+    // One transaction, so the job is never missing from every status list
+    await client.multi()
+      .zRem(redisStatusKey('active'), job.id)
+      .hSet(REDIS_DATA_KEY, job.id, JSON.stringify(job))
+      .zAdd(redisStatusKey(job.status), { score, value: job.id })
+      .exec();
+
+    // Trim finished jobs to the newest REDIS_KEEP entries
+    const keep = REDIS_KEEP[job.status];
+    if (keep) {
+      const stale = await client.zRange(redisStatusKey(job.status), 0, -(keep + 1));
+      if (stale.length > 0) {
+        await client.zRem(redisStatusKey(job.status), stale);
+        await client.hDel(REDIS_DATA_KEY, stale);
+      }
+    }
+  },
+
+  counts: async () => {
+    const client = cache.getClient();
+    const counts = {};
+    for (const status of JOB_STATUSES) {
+      counts[status] = await client.zCard(redisStatusKey(status));
+    }
+    return counts;
+  },
+
+  list: async ({ status, name, skip, limit }) => {
+    const client = cache.getClient();
+    const key = redisStatusKey(status);
+    // Queued: next to run first; others: most recent first
+    const order = status === 'queued' ? {} : { REV: true };
+
+    if (!name) {
+      const [ids, total] = await Promise.all([
+        client.zRange(key, skip, skip + limit - 1, order),
+        client.zCard(key)
+      ]);
+      const raws = ids.length > 0 ? await client.hmGet(REDIS_DATA_KEY, ids) : [];
+      return { jobs: raws.filter(Boolean).map(parseRedisJob), total };
+    }
+
+    const ids = await client.zRange(key, 0, -1, order);
+    const raws = ids.length > 0 ? await client.hmGet(REDIS_DATA_KEY, ids) : [];
+    const matching = raws.filter(Boolean).map(parseRedisJob).filter((job) => job.name === name);
+    return { jobs: matching.slice(skip, skip + limit), total: matching.length };
+  }
+};
+
+// =============================================================================
+// MONGODB BACKEND
+// =============================================================================
+
+/**
+ * @desc    Convert a Job document to the shared job shape
+ * @param   {Object} doc - Lean Job document
+ * @returns {Object}
+ */
+const fromJobDocument = (doc) => ({
+  id: doc._id.toString(),
+  name: doc.name,
+  payload: doc.payload,
+  status: doc.status,
+  attempts: doc.attempts,
+  maxAttempts: doc.maxAttempts,
+  backoffSeconds: doc.backoffSeconds,
+  runAt: doc.runAt,
+  lastError: doc.lastError,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+  completedAt: doc.completedAt,
+  failedAt: doc.failedAt
+});
+
+const mongoBackend = {
+  name: 'mongodb',
+
+  isAvailable: () => mongoose.connection.readyState === 1,
+
+  add: async (job, { uniqueKey }) => {
+    try {
+      await Job.create({
+        _id: job.id,
+        name: job.name,
+        payload: job.payload,
+        maxAttempts: job.maxAttempts,
+        backoffSeconds: job.backoffSeconds,
+        runAt: job.runAt,
+        uniqueKey
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000 && uniqueKey) return false;
+      throw error;
+    }
+  },
+
+  claim: async () => {
+    const now = new Date();
+
+    await Job.updateMany(
+      { status: 'active', lockedUntil: { $lt: now } },
+      { $set: { status: 'queued', runAt: now, lockedUntil: null } }
+    );
+
+    const doc = await Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now } },
+      {
+        $set: { status: 'active', lockedUntil: new Date(now.getTime() + LEASE_MS) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    ).lean();
+
+    return doc ? fromJobDocument(doc) : null;
+  },
+
+  save: async (job) => {
+    await Job.updateOne(
+      { _id: job.id },
+      {
+        $set: {
+          status: job.status,
+          runAt: job.runAt,
+          lastError: job.lastError,
+          completedAt: job.completedAt,
+          failedAt: job.failedAt,
+          lockedUntil: null
+        }
+      }
+    );
+  },
+
+  counts: async () => {
+    const grouped = await Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    return JOB_STATUSES.reduce((counts, status) => {
+      counts[status] = grouped.find((group) => group._id === status)?.count || 0;
+      return counts;
+    }, {});
+  },
+
+  list: async ({ status, name, skip, limit }) => {
+    const filter = { status };
+    if (name) filter.name = name;
+
+    const [docs, total] = await Promise.all([
+      Job.find(filter)
+        .sort(status === 'queued' ? { runAt: 1 } : { updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Job.countDocuments(filter)
+    ]);
+    return { jobs: docs.map(fromJobDocument), total };
+  }
+};
+
+const BACKENDS = { redis: redisBackend, mongodb: mongoBackend };
+
+/**
+ * @desc    Backends to use, preferred first
+ * @returns {Object[]}
+ */
+const availableBackends = () => Object.values(BACKENDS).filter((backend) => backend.isAvailable());
+
+// =============================================================================
+// JOB TYPES
+// =============================================================================
+
+/**
+ * @desc    Register a job type
+ * @param   {string} name - Job name, e.g. "email.send"
+ * @param   {Function} handler - async (payload, job) => void; throw to retry
+ * @param   {Object} [options]
+ * @param   {number} [options.maxAttempts=3] - Attempts before the job is dead
+ * @param   {number} [options.backoffSeconds=30] - First retry delay (doubles each attempt)
+ * @param   {number} [options.every] - Run every N milliseconds (recurring job,
+ *          queued by each worker; duplicates within an interval are dropped)
+ * @param   {Function} [options.onDead] - async (payload, error, job) => void
+ */
+const defineJob = (name, handler, options = {}) => {
+  if (typeof handler !== 'function') {
+    throw new Error(`Job handler for "${name}" must be a function`);
+  }
+  definitions.set(name, {
+    handler,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoffSeconds: options.backoffSeconds || DEFAULT_BACKOFF_SECONDS,
+    every: options.every || null,
+    onDead: options.onDead || null
+  });
+};
+
+/**
+ * @desc    Registered job types (admin view)
+ * @returns {Object[]} [{ name, maxAttempts, backoffSeconds, every }]
+ */
+const getJobDefinitions = () => Array.from(definitions.entries()).map(([name, definition]) => ({
+  name,
+  maxAttempts: definition.maxAttempts,
+  backoffSeconds: definition.backoffSeconds,
+  everySeconds: definition.every ? definition.every / 1000 : null
+}));
+
+// =============================================================================
+// ENQUEUE
+// =============================================================================
+
+/**
+ * @desc    Queue a job
+ * @param   {string} name - Registered job name
+ * @param   {Object} [payload] - Handler input (must be JSON serializable)
+ * @param   {Object} [options]
+ * @param   {number} [options.delayMs] - Run no earlier than now + delayMs
+ * @param   {Date}   [options.runAt] - Run no earlier than this time
+ * @param   {number} [options.maxAttempts] - Override the job type's setting
+ * @param   {string} [options.uniqueKey] - Drop the job if one with this key was queued
+ * @param   {number} [options.uniqueForMs] - How long the key blocks duplicates in Redis (default: 24h)
+ * @returns {Promise<Object|null>} Queued job, or null if it was a duplicate
+ * @throws  When no backend could store the job
+ */
+const enqueue = async (name, payload = {}, options = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const now = new Date();
+  const job = {
+    id: new mongoose.Types.ObjectId().toString(),
+    name,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || definition.maxAttempts,
+    backoffSeconds: definition.backoffSeconds,
+    runAt: options.runAt ? new Date(options.runAt) : new Date(now.getTime() + (options.delayMs || 0)),
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    failedAt: null
+  };
+
+  const addOptions = {
+    uniqueKey: options.uniqueKey,
+    uniqueForMs: options.uniqueForMs || 24 * 60 * 60 * 1000
+  };
+
+  let lastError = new Error('No job storage available (Redis and MongoDB are down)');
+  for (const backend of availableBackends()) {
+    try {
+      const added = await backend.add(job, addOptions);
+      if (!added) return null;
+
+      if (workerStarted && job.runAt <= new Date()) {
+        setImmediate(processJobs);
+      }
+      return { ...job, backend: backend.name };
+
+    } catch (error) {
+      console.error(`Job queue error (${backend.name}, enqueue ${name}):`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+// =============================================================================
+// WORKER
+// =============================================================================
+
+/**
+ * @desc    Run one claimed job and store the outcome
+ * @param   {Object} backend
+ * @param   {Object} job - Claimed job (status: active)
+ * @returns {Promise<void>}
+ */
+const runJob = async (backend, job) => {
+  const definition = definitions.get(job.name);
+
+  try {
+    if (!definition) {
+      throw new Error(`No handler registered for job "${job.name}"`);
+    }
+    await definition.handler(job.payload, job);
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = null;
+
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (!definition || job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      job.failedAt = new Date();
+      console.error(`Job ${job.name} (${job.id}) failed permanently after ${job.attempts} attempt(s):`, error.message);
+
+      if (definition?.onDead) {
+        try {
+          await definition.onDead(job.payload, error, job);
+        } catch (hookError) {
+          console.error(`Job ${job.name} onDead error:`, hookError.message);
+        }
+      }
+    } else {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + job.backoffSeconds * 1000 * 2 ** (job.attempts - 1));
+    }
+  }
+
+  job.updatedAt = new Date();
+  try {
+    await backend.save(job);
+  } catch (error) {
+    // The lease expires and the job runs again
+    console.error(`Job queue error (${backend.name}, save ${job.name} ${job.id}):`, error.message);
+  }
+};
+
+/**
+ * @desc    Run every due job on every available backend
+ *          Never throws.
+ * @returns {Promise<number>} Number of jobs run
+ */
+const processJobs = async () => {
+  if (processing) {
+    rerunRequested = true;
+    return 0;
+  }
+  processing = true;
+  rerunRequested = false;
+
+  let processed = 0;
+  try {
+    for (const backend of availableBackends()) {
+      for (;;) {
+        let job;
+        try {
+          job = await backend.claim();
+        } catch (error) {
+          console.error(`Job queue error (${backend.name}, claim):`, error.message);
+          break;
+        }
+        if (!job) break;
+
+        await runJob(backend, job);
+        processed += 1;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  if (rerunRequested) {
+    processed += await processJobs();
+  }
+  return processed;
+};
+
+/**
+ * @desc    Queue the next run of a recurring job (at most once per interval)
+ * @param   {string} name
+ * @param   {number} every - Interval in milliseconds
+ */
+const queueRecurring = (name, every) => {
+  const slot = Math.floor(Date.now() / every);
+  enqueue(name, {}, { uniqueKey: `${name}:${slot}`, uniqueForMs: every })
+    .catch((error) => console.error(`Recurring job error (${name}):`, error.message));
+};
+
+/**
+ * @desc    Start processing jobs in this process
+ *          Polls every JOB_POLL_INTERVAL_SECONDS and queues recurring jobs.
+ */
+const startWorker = () => {
+  if (workerStarted) return;
+  workerStarted = true;
+
+  definitions.forEach((definition, name) => {
+    if (!definition.every) return;
+    queueRecurring(name, definition.every);
+    workerTimers.push(setInterval(() => queueRecurring(name, definition.every), definition.every));
+  });
+
+  processJobs();
+  workerTimers.push(setInterval(processJobs, POLL_INTERVAL_MS));
+};
+
+/**
+ * @desc    Stop polling (a running job finishes on its own)
+ */
+const stopWorker = () => {
+  workerTimers.splice(0).forEach((timer) => clearInterval(timer));
+  workerStarted = false;
+};
+
+// =============================================================================
+// ADMIN VIEW
+// =============================================================================
+
+/**
+ * @desc    Job counts per status for each backend
+ * @returns {Promise<Object>} { redis: counts | null, mongodb: counts | null }
+ */
+const getJobCounts = async () => {
+  const result = {};
+  for (const [name, backend] of Object.entries(BACKENDS)) {
+    result[name] = backend.isAvailable() ? await backend.counts() : null;
+  }
+  return result;
+};
+
+/**
+ * @desc    List jobs of one backend and status
+ * @param   {Object} options - { backend, status, name, skip, limit }
+ *          backend defaults to Redis when connected, else MongoDB
+ * @returns {Promise<Object>} { backend, jobs, total }
+ */
+const listJobs = async ({ backend: backendName, status, name, skip, limit }) => {
+  const backend = BACKENDS[backendName] || availableBackends()[0] || mongoBackend;
+  if (!backend.isAvailable()) {
+    return { backend: backend.name, jobs: [], total: 0 };
+  }
+  const { jobs, total } = await backend.list({ status, name, skip, limit });
+  return { backend: backend.name, jobs, total };
+};
+
+module.exports = {
+  defineJob,
+  getJobDefinitions,
+  enqueue,
+  processJobs,
+  startWorker,
+  stopWorker,
+  getJobCounts,
+  listJobs,
+  JOB_BACKENDS: Object.keys(BACKENDS)
+};
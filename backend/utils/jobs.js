@@ -0,0 +1,77 @@
+/**
+ * =============================================================================
+ * JOB HANDLERS
+ * =============================================================================
+ * Registers the handler and retry settings of every background job type
+ * (names: config/jobs.js)
+ *
+ * Must run before jobs are queued or processed, in the API process
+ * (server.js) and in a standalone worker (worker.js).
+ *
+ * Usage:
+ *   registerJobs();
+ *   startWorker();
+ * =============================================================================
+ */
+
+const { JOB_NAMES } = require('../config/jobs');
+const { defineJob } = require('./jobQueue');
+const { deliverEmail, markEmailFailed, MAIL_MAX_ATTEMPTS, MAIL_RETRY_BASE_SECONDS } = require('./mailQueue');
+const { processDataExport, purgeExpiredExports } = require('./dataExport');
+const { purgeDueAccounts } = require('./accountDeletion');
+const { deliverCompetitionUpdate } = require('./notifier');
+const { runCompetitionLifecycle } = require('./competitionLifecycle');
+const { sendDueReminders } = require('./reminders');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+let registered = false;
+
+/**
+ * @desc    Register all job types (safe to call more than once)
+ */
+const registerJobs = () => {
+  if (registered) return;
+  registered = true;
+
+  defineJob(JOB_NAMES.SEND_EMAIL, deliverEmail, {
+    maxAttempts: MAIL_MAX_ATTEMPTS,
+    backoffSeconds: MAIL_RETRY_BASE_SECONDS,
+    onDead: markEmailFailed
+  });
+
+  // processDataExport records its own failures on the export
+  defineJob(JOB_NAMES.BUILD_DATA_EXPORT, ({ exportId }) => processDataExport(exportId), {
+    maxAttempts: 1
+  });
+
+  defineJob(JOB_NAMES.PURGE_DATA_EXPORTS, () => purgeExpiredExports(), {
+    maxAttempts: 1,
+    every: HOUR_MS
+  });
+
+  defineJob(JOB_NAMES.PURGE_DELETED_ACCOUNTS, () => purgeDueAccounts(), {
+    maxAttempts: 1,
+    every: HOUR_MS
+  });
+
+  defineJob(JOB_NAMES.NOTIFY_COMPETITION_UPDATED, deliverCompetitionUpdate, {
+    maxAttempts: 3,
+    backoffSeconds: 60
+  });
+
+  defineJob(JOB_NAMES.RUN_COMPETITION_LIFECYCLE, () => runCompetitionLifecycle(), {
+    maxAttempts: 1,
+    every: MINUTE_MS
+  });
+
+  defineJob(JOB_NAMES.SEND_REMINDERS, () => sendDueReminders(), {
+    maxAttempts: 1,
+    every: 5 * MINUTE_MS
+  });
+};
+
+module.exports = {
+  registerJobs
+};
@@ -0,0 +1,284 @@
+/**
+ * =============================================================================
+ * LOGIN THROTTLE UTILITY
+ * =============================================================================
+ * Brute-force protection for password logins
+ *
+ * Features:
+ * - Failed-attempt counters per account (email) and per client IP
+ * - Temporary lockout once a counter reaches its limit
+ * - Exponential backoff: every further failure doubles the lock duration
+ * - Counters stored in Redis (config/cache.js), with an in-memory fallback
+ *   when Redis is unavailable
+ * - Failures are counted atomically (one Lua script in Redis), so parallel
+ *   attempts cannot slip past the limits
+ *
+ * Environment Variables:
+ *   LOGIN_MAX_ATTEMPTS         - Failures per account before lockout (default: 5)
+ *   LOGIN_IP_MAX_ATTEMPTS      - Failures per IP before lockout (default: 20)
+ *   LOGIN_LOCK_BASE_SECONDS    - First lockout duration (default: 60)
+ *   LOGIN_LOCK_MAX_SECONDS     - Longest lockout duration (default: 3600)
+ *   LOGIN_ATTEMPT_WINDOW_SECONDS - How long failures are remembered (default: 900)
+ * =============================================================================
+ */
+
+const cacheService = require('../config/cache');
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const LOCK_BASE_SECONDS = parseInt(process.env.LOGIN_LOCK_BASE_SECONDS, 10) || 60;
+const LOCK_MAX_SECONDS = parseInt(process.env.LOGIN_LOCK_MAX_SECONDS, 10) || 3600;
+const ATTEMPT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS, 10) || 900;
+
+// In-memory fallback store: key -> { value, expiresAt }
+const memoryStore = new Map();
+
+// =============================================================================
+// STORAGE (Redis with in-memory fallback)
+// =============================================================================
+
+/**
+ * Remove expired entries from the in-memory store
+ */
+const pruneMemoryStore = () => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) memoryStore.delete(key);
+  }
+};
+
+/**
+ * Read a counter record from the in-memory store
+ * @param {string} key - Storage key
+ * @returns {Object|null} { count, lockedUntil }
+ */
+const readMemoryRecord = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+/**
+ * Read a counter record
+ * Failures counted in memory while Redis writes failed still count, so the
+ * higher count and the later lock of both stores win.
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>} { count, lockedUntil }
+ */
+const readRecord = async (key) => {
+  const memoryRecord = readMemoryRecord(key);
+  const redisRecord = cacheService.isConnected() ? await cacheService.get(key) : null;
+  if (!memoryRecord || !redisRecord) return memoryRecord || redisRecord;
+
+  return {
+    count: Math.max(memoryRecord.count, redisRecord.count),
+    lockedUntil: Math.max(memoryRecord.lockedUntil || 0, redisRecord.lockedUntil || 0) || null
+  };
+};
+
+/**
+ * Delete a counter record from both stores
+ * @param {string} key - Storage key
+ */
+const deleteRecord = async (key) => {
+  memoryStore.delete(key);
+  if (cacheService.isConnected()) {
+    await cacheService.del(key);
+  }
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const accountKey = (email) => `login:fail:account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `login:fail:ip:${ip}`;
+
+/**
+ * Seconds remaining on a lock, 0 if not locked
+ * @param {Object|null} record
+ * @returns {number}
+ */
+const secondsLeft = (record) => {
+  if (!record || !record.lockedUntil) return 0;
+  const remaining = Math.ceil((record.lockedUntil - Date.now()) / 1000);
+  return remaining > 0 ? remaining : 0;
+};
+
+/**
+ * Lock duration for a failure count (doubles after every extra failure)
+ * @param {number} count - Failure count
+ * @param {number} limit - Failures allowed before locking
+ * @returns {number} Lock duration in seconds (0 = no lock)
+ */
+const lockDurationFor = (count, limit) => {
+  if (count < limit) return 0;
+  return Math.min(LOCK_BASE_SECONDS * 2 ** (count - limit), LOCK_MAX_SECONDS);
+};
+
+/**
+ * Redis script: increment a counter record and apply the lock in one step
+ * (same rules as lockDurationFor; the record is kept at least as long as
+ * the lock, so backoff keeps growing)
+ *
+ * KEYS[1] = key
+ * ARGV    = limit, lock base seconds, lock max seconds, window seconds, now (ms)
+ * Returns the lock duration in seconds (0 = not locked)
+ */
+const INCREMENT_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+local record = raw and cjson.decode(raw) or {}
+local count = (tonumber(record.count) or 0) + 1
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[4])
+
+local lock = 0
+if count >= limit then
+  lock = math.min(tonumber(ARGV[2]) * 2 ^ (count - limit), tonumber(ARGV[3]))
+end
+
+local lockedUntil = cjson.null
+if lock > 0 then lockedUntil = tonumber(ARGV[5]) + lock * 1000 end
+
+redis.call('SET', KEYS[1], cjson.encode({ count = count, lockedUntil = lockedUntil }),
+  'EX', math.max(window, lock + window))
+return lock
+`;
+
+/**
+ * Increment a counter in the in-memory store
+ * Synchronous, so concurrent requests in this process cannot interleave.
+ * @param {string} key - Storage key
+ * @param {number} limit - Failures allowed before locking
+ * @returns {number} Seconds locked (0 = not locked)
+ */
+const incrementInMemory = (key, limit) => {
+  const now = Date.now();
+  const entry = memoryStore.get(key);
+  const count = (entry && entry.expiresAt > now ? entry.value.count : 0) + 1;
+
+  const lockSeconds = lockDurationFor(count, limit);
+  const record = { count, lockedUntil: lockSeconds ? now + lockSeconds * 1000 : null };
+
+  // Keep the record at least as long as the lock, so backoff keeps growing
+  const ttl = Math.max(ATTEMPT_WINDOW_SECONDS, lockSeconds + ATTEMPT_WINDOW_SECONDS);
+  if (memoryStore.size > 10000) pruneMemoryStore();
+  memoryStore.set(key, { value: record, expiresAt: now + ttl * 1000 });
+  return lockSeconds;
+};
+
+/**
+ * Increment a counter and apply a lock if its limit is reached
+ * @param {string} key - Storage key
+ * @param {number} limit - Failures allowed before locking
+ * @returns {Promise<number>} Seconds locked (0 = not locked)
+ */
+const incrementCounter = async (key, limit) => {
+  if (cacheService.isConnected()) {
+    try {
+      const lockSeconds = await cacheService.getClient().eval(INCREMENT_SCRIPT, {
+        keys: [key],
+        arguments: [limit, LOCK_BASE_SECONDS, LOCK_MAX_SECONDS, ATTEMPT_WINDOW_SECONDS, Date.now()].map(String)
+      });
+      return Number(lockSeconds);
+    } catch (error) {
+      console.error('Login throttle increment error:', error.message);
+    }
+  }
+
+  return incrementInMemory(key, limit);
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @desc    Check whether a login attempt is currently locked out
+ * @param   {Object} params - { email, ip }
+ * @returns {Promise<Object>} { locked, retryAfter (seconds), scope: 'account'|'ip'|null }
+ */
+const checkLoginLock = async ({ email, ip }) => {
+  const [accountRecord, ipRecord] = await Promise.all([
+    email ? readRecord(accountKey(email)) : null,
+    ip ? readRecord(ipKey(ip)) : null
+  ]);
+
+  const accountWait = secondsLeft(accountRecord);
+  const ipWait = secondsLeft(ipRecord);
+
+  if (!accountWait && !ipWait) {
+    return { locked: false, retryAfter: 0, scope: null };
+  }
+
+  return {
+    locked: true,
+    retryAfter: Math.max(accountWait, ipWait),
+    scope: accountWait >= ipWait ? 'account' : 'ip'
+  };
+};
+
+/**
+ * @desc    Record a failed login attempt
+ * @param   {Object} params - { email, ip }
+ * @returns {Promise<Object>} Lock state after this failure (same shape as checkLoginLock)
+ */
+const recordFailedLogin = async ({ email, ip }) => {
+  const [accountWait, ipWait] = await Promise.all([
+    email ? incrementCounter(accountKey(email), MAX_ACCOUNT_ATTEMPTS) : 0,
+    ip ? incrementCounter(ipKey(ip), MAX_IP_ATTEMPTS) : 0
+  ]);
+
+  if (!accountWait && !ipWait) {
+    return { locked: false, retryAfter: 0, scope: null };
+  }
+
+  return {
+    locked: true,
+    retryAfter: Math.max(accountWait, ipWait),
+    scope: accountWait >= ipWait ? 'account' : 'ip'
+  };
+};
+
+/**
+ * @desc    Reset the account counter after a successful login
+ * @param   {Object} params - { email }
+ */
+const recordSuccessfulLogin = async ({ email }) => {
+  if (email) await deleteRecord(accountKey(email));
+};
+
+/**
+ * @desc    Get the lockout status of an account (admin view)
+ * @param   {string} email - Account email
+ * @returns {Promise<Object>} { failedAttempts, locked, retryAfter }
+ */
+const getAccountLockout = async (email) => {
+  const record = await readRecord(accountKey(email));
+  const retryAfter = secondsLeft(record);
+  return {
+    failedAttempts: record ? record.count : 0,
+    locked: retryAfter > 0,
+    retryAfter
+  };
+};
+
+/**
+ * @desc    Clear an account lockout and its failure counter (admin action)
+ * @param   {string} email - Account email
+ */
+const clearAccountLockout = async (email) => {
+  await deleteRecord(accountKey(email));
+};
+
+module.exports = {
+  checkLoginLock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getAccountLockout,
+  clearAccountLockout
+};
@@ -0,0 +1,195 @@
+/**
+ * =============================================================================
+ * MAIL QUEUE UTILITY
+ * =============================================================================
+ * Queues outgoing email and delivers it in the background
+ *
+ * Request handlers only store the template and its data
+ * (models/OutgoingEmail.js) and queue an "email.send" job
+ * (utils/jobQueue.js); a worker renders the message and sends it through
+ * the active transport (config/mail.js). The data (which may hold token
+ * links) is cleared once the message is sent or has failed.
+ * Failed deliveries are retried with
+ * exponential backoff (MAIL_RETRY_BASE_SECONDS × 2^(attempt - 1)) and the
+ * message is marked failed after MAIL_MAX_ATTEMPTS attempts.
+ *
+ * Environment Variables:
+ *   MAIL_MAX_ATTEMPTS       - Delivery attempts per message (default: 5)
+ *   MAIL_RETRY_BASE_SECONDS - First retry delay (default: 60)
+ *
+ * Usage:
+ *   await queueTemplatedMail({ to, template: 'passwordReset', data: { name, resetUrl } });
+ *   await queueRegistrationMail(registration, 'registrationReceived');
+ * =============================================================================
+ */
+
+const OutgoingEmail = require('../models/OutgoingEmail');
+const User = require('../models/UserSchema');
+const Competition = require('../models/Competition');
+const { sendMail } = require('../config/mail');
+const { JOB_NAMES } = require('../config/jobs');
+const { enqueue } = require('./jobQueue');
+const { renderMail } = require('./mailTemplates');
+
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const MAIL_RETRY_BASE_SECONDS = parseInt(process.env.MAIL_RETRY_BASE_SECONDS, 10) || 60;
+
+// Fields cleared once a message is no longer queued (may hold token links)
+const REDACTED_FIELDS = { data: null, footer: undefined, headers: null };
+
+// =============================================================================
+// DELIVERY (email.send job)
+// =============================================================================
+
+/**
+ * @desc    Render and send one queued message
+ *          Throws on transport errors so the job queue retries.
+ * @param   {Object} payload - { emailId }
+ * @returns {Promise<void>}
+ */
+const deliverEmail = async ({ emailId }) => {
+  const message = await OutgoingEmail.findById(emailId);
+  if (!message || message.status !== 'queued') return;
+
+  message.attempts += 1;
+  try {
+    const { subject, text, html } = renderMail(message.template, message.data || {}, {
+      footer: message.footer || []
+    });
+    const result = await sendMail({
+      to: message.to,
+      subject,
+      text,
+      html,
+      headers: message.headers || undefined
+    });
+
+    message.set({
+      status: 'sent',
+      sentAt: new Date(),
+      messageId: result?.messageId || null,
+      lastError: null,
+      ...REDACTED_FIELDS
+    });
+    await message.save();
+
+  } catch (error) {
+    message.lastError = error.message;
+    await message.save();
+    throw error;
+  }
+};
+
+/**
+ * @desc    Mark a message failed once its job is out of attempts
+ * @param   {Object} payload - { emailId }
+ * @param   {Error} error - Last delivery error
+ * @returns {Promise<void>}
+ */
+const markEmailFailed = async ({ emailId }, error) => {
+  await OutgoingEmail.updateOne(
+    { _id: emailId, status: 'queued' },
+    {
+      $set: { status: 'failed', failedAt: new Date(), lastError: error.message, data: null, headers: null },
+      $unset: { footer: 1 }
+    }
+  );
+};
+
+// =============================================================================
+// QUEUEING
+// =============================================================================
+
+/**
+ * @desc    Queue a templated message for delivery
+ *          The template is rendered once here to catch errors early, but only
+ *          its name and data are stored; the message is rendered again when
+ *          it is sent. Never throws: a message that cannot be queued is
+ *          logged and dropped, so email problems cannot fail the request that
+ *          sent it.
+ * @param   {Object} options
+ * @param   {string} options.to - Recipient address
+ * @param   {string} options.template - Template name (utils/mailTemplates.js)
+ * @param   {Object} options.data - Template data (data.name is the greeting)
+ * @param   {Object} [options.headers] - Extra message headers
+ * @param   {string[]} [options.footer] - Footer lines
+ * @returns {Promise<Object|null>} OutgoingEmail document, or null on failure
+ */
+const queueTemplatedMail = async ({ to, template, data = {}, headers, footer }) => {
+  let subject;
+  try {
+    ({ subject } = renderMail(template, data, { footer }));
+  } catch (error) {
+    console.error(`Render mail error (${template}):`, error.message);
+    return null;
+  }
+
+  let message;
+  try {
+    message = await OutgoingEmail.create({ to, subject, template, data, footer, headers });
+    await enqueue(JOB_NAMES.SEND_EMAIL, { emailId: message._id.toString() });
+    return message;
+
+  } catch (error) {
+    console.error(`Queue mail error (${template}):`, error.message);
+    if (message) {
+      await markEmailFailed({ emailId: message._id }, error).catch(() => {});
+    }
+    return null;
+  }
+};
+
+/**
+ * @desc    Template data shared by the registration templates
+ * @param   {Object} registration - Registration document
+ * @param   {Object|null} competition - { title, slug }
+ * @param   {Object} user - { name }
+ * @returns {Object}
+ */
+const buildRegistrationMailData = (registration, competition, user) => ({
+  name: user.name,
+  competitionTitle: competition?.title || 'a competition',
+  competitionSlug: competition?.slug,
+  confirmationCode: registration.confirmationCode,
+  teamName: registration.teamName,
+  reason: registration.reason
+});
+
+/**
+ * @desc    Email the participant about their registration
+ *          Used for messages that are sent regardless of notification
+ *          preferences (received, cancelled). Skips anonymized accounts.
+ * @param   {Object} registration - Registration document
+ * @param   {string} template - registrationReceived | registrationCancelled | ...
+ * @param   {Object} extra - Additional template data, e.g. { waitlistPosition }
+ * @returns {Promise<Object|null>} OutgoingEmail document, or null if nothing was queued
+ */
+const queueRegistrationMail = async (registration, template, extra = {}) => {
+  try {
+    const [user, competition] = await Promise.all([
+      User.findById(registration.user).select('email name anonymizedAt'),
+      Competition.findById(registration.competition?._id || registration.competition).select('title slug')
+    ]);
+    if (!user || user.anonymizedAt) return null;
+
+    return queueTemplatedMail({
+      to: user.email,
+      template,
+      data: { ...buildRegistrationMailData(registration, competition, user), ...extra }
+    });
+
+  } catch (error) {
+    console.error(`Queue registration mail error (${template}, ${registration._id}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  queueTemplatedMail,
+  queueRegistrationMail,
+  buildRegistrationMailData,
+  deliverEmail,
+  markEmailFailed,
+  MAIL_MAX_ATTEMPTS,
+  MAIL_RETRY_BASE_SECONDS
+};
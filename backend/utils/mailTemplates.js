@@ -0,0 +1,306 @@
+/**
+ * =============================================================================
+ * MAIL TEMPLATES
+ * =============================================================================
+ * Transactional email templates, rendered to a plain text and an HTML body
+ *
+ * Each template receives a data object and returns:
+ *   { subject, intro: [paragraphs], details: { label: value }, action: { label, url }, outro: [paragraphs] }
+ * Everything except subject and intro is optional. Values are escaped for the
+ * HTML body.
+ *
+ * Templates:
+ * - signup                 : Welcome, with the email verification link
+ * - emailVerification      : Email verification link (resend)
+ * - emailChange            : Verification link for a changed email address
+ * - passwordReset          : Password reset link
+ * - registrationReceived   : Registration submitted, with confirmation code
+ * - registrationApproved   : Registration approved
+ * - registrationRejected   : Registration rejected, with reason
+ * - registrationCancelled  : Registration cancelled
+ * - registrationWaitlisted : Competition full, registration is on the waitlist
+ * - waitlistPromoted       : Moved from the waitlist to pending review
+ * - teamInvite             : Invitation to join a team, with the accept/decline link
+ * - notification           : Generic notification ({ subject, text })
+ *
+ * Usage:
+ *   const { subject, text, html } = renderMail('registrationApproved', {
+ *     name, competitionTitle, confirmationCode
+ *   });
+ * =============================================================================
+ */
+
+const APP_NAME = 'UCP-TAKRA';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * @desc    Link to a competition page (falls back to the competition list)
+ * @param   {string} [slug]
+ * @returns {string}
+ */
+const competitionUrl = (slug) => (slug
+  ? `${FRONTEND_URL}/competitions/${slug}`
+  : `${FRONTEND_URL}/competitions`);
+
+// =============================================================================
+// TEMPLATES
+// =============================================================================
+
+const TEMPLATES = {
+  signup: ({ verifyUrl }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    intro: [
+      `Thanks for signing up for ${APP_NAME}.`,
+      verifyUrl
+        ? 'Please confirm your email address to finish setting up your account. You need a verified address to register for competitions.'
+        : 'Your account is ready. You can now browse and register for competitions.'
+    ],
+    action: verifyUrl
+      ? { label: 'Verify email address', url: verifyUrl }
+      : { label: 'Browse competitions', url: competitionUrl() },
+    outro: verifyUrl
+      ? ['This link expires in 24 hours. If you did not sign up, you can ignore this email.']
+      : []
+  }),
+
+  emailVerification: ({ verifyUrl }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    intro: ['Please confirm your email address to finish setting up your account.'],
+    action: { label: 'Verify email address', url: verifyUrl },
+    outro: ['This link expires in 24 hours. If you did not sign up, you can ignore this email.']
+  }),
+
+  emailChange: ({ verifyUrl }) => ({
+    subject: `Verify your new ${APP_NAME} email address`,
+    intro: ['The email address of your account was changed to this address. Please confirm it to register for competitions again.'],
+    action: { label: 'Verify email address', url: verifyUrl },
+    outro: ['This link expires in 24 hours. If you did not change your email address, you can ignore this email.']
+  }),
+
+  passwordReset: ({ resetUrl }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    intro: ['We received a request to reset your password. Use the link below to choose a new one.'],
+    action: { label: 'Reset password', url: resetUrl },
+    outro: [
+      'This link expires in 1 hour and can only be used once.',
+      'If you did not request a password reset, you can ignore this email.'
+    ]
+  }),
+
+  registrationReceived: ({ competitionTitle, competitionSlug, confirmationCode, teamName }) => ({
+    subject: `Registration received: ${competitionTitle}`,
+    intro: [
+      `We received your registration for ${competitionTitle}. It will be reviewed by the organizers, and we will email you once it is approved or rejected.`
+    ],
+    details: {
+      'Confirmation code': confirmationCode,
+      Team: teamName
+    },
+    action: { label: 'View competition', url: competitionUrl(competitionSlug) },
+    outro: ['Keep your confirmation code; you may be asked for it at check-in.']
+  }),
+
+  registrationApproved: ({ competitionTitle, competitionSlug, confirmationCode, teamName }) => ({
+    subject: `You're in: ${competitionTitle}`,
+    intro: [`Good news! Your registration for ${competitionTitle} was approved.`],
+    details: {
+      'Confirmation code': confirmationCode,
+      Team: teamName
+    },
+    action: { label: 'View competition', url: competitionUrl(competitionSlug) }
+  }),
+
+  registrationRejected: ({ competitionTitle, competitionSlug, reason }) => ({
+    subject: `Update on your registration for ${competitionTitle}`,
+    intro: [`Unfortunately, your registration for ${competitionTitle} was not accepted.`],
+    details: {
+      Reason: reason
+    },
+    action: { label: 'Browse other competitions', url: competitionUrl() },
+    outro: competitionSlug
+      ? [`Questions? Contact the organizers from the competition page: ${competitionUrl(competitionSlug)}`]
+      : []
+  }),
+
+  registrationCancelled: ({ competitionTitle, confirmationCode, reason }) => ({
+    subject: `Registration cancelled: ${competitionTitle}`,
+    intro: [`Your registration for ${competitionTitle} has been cancelled.`],
+    details: {
+      'Confirmation code': confirmationCode,
+      Reason: reason
+    },
+    outro: ['If you did not cancel this registration, please contact support.']
+  }),
+
+  registrationWaitlisted: ({ competitionTitle, competitionSlug, confirmationCode, waitlistPosition }) => ({
+    subject: `You're on the waitlist: ${competitionTitle}`,
+    intro: [
+      `${competitionTitle} is full, so your registration is on the waitlist. If a spot opens up, you move up automatically and we will email you.`
+    ],
+    details: {
+      'Waitlist position': waitlistPosition,
+      'Confirmation code': confirmationCode
+    },
+    action: { label: 'View competition', url: competitionUrl(competitionSlug) }
+  }),
+
+  waitlistPromoted: ({ competitionTitle, competitionSlug, confirmationCode, teamName }) => ({
+    subject: `A spot opened up: ${competitionTitle}`,
+    intro: [
+      `A spot opened up in ${competitionTitle}. Your registration moved off the waitlist and will now be reviewed by the organizers.`
+    ],
+    details: {
+      'Confirmation code': confirmationCode,
+      Team: teamName
+    },
+    action: { label: 'View competition', url: competitionUrl(competitionSlug) }
+  }),
+
+  teamInvite: ({ inviterName, competitionTitle, competitionSlug, teamName, inviteUrl, expiresInDays }) => ({
+    subject: `Join ${teamName} in ${competitionTitle}`,
+    intro: [
+      `${inviterName || 'A participant'} registered the team ${teamName} for ${competitionTitle} and listed you as a member.`,
+      'Please confirm whether you are part of the team. You need an account with this email address to accept.'
+    ],
+    details: {
+      Team: teamName,
+      Competition: competitionTitle
+    },
+    action: { label: 'Accept or decline', url: inviteUrl },
+    outro: [
+      `This invitation expires in ${expiresInDays} days. If you do not know this team, decline it or ignore this email.`,
+      `Competition details: ${competitionUrl(competitionSlug)}`
+    ]
+  }),
+
+  notification: ({ subject, text }) => ({
+    subject,
+    intro: [text]
+  })
+};
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * @desc    Escape a value for HTML
+ * @param   {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * @desc    Detail rows that have a value
+ * @param   {Object} [details]
+ * @returns {Array<[string, *]>}
+ */
+const detailRows = (details = {}) => Object.entries(details)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+/**
+ * @desc    Plain text body
+ */
+const renderText = (name, content, footer) => {
+  const lines = [`Hi ${name || 'there'},`, ''];
+
+  content.intro.forEach((paragraph) => lines.push(paragraph, ''));
+
+  const rows = detailRows(content.details);
+  if (rows.length > 0) {
+    rows.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push('');
+  }
+
+  if (content.action) {
+    lines.push(`${content.action.label}: ${content.action.url}`, '');
+  }
+
+  (content.outro || []).forEach((paragraph) => lines.push(paragraph, ''));
+
+  lines.push(`The ${APP_NAME} team`);
+
+  if (footer.length > 0) {
+    lines.push('', '--', ...footer);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * @desc    HTML body (inline styles only, for mail clients)
+ */
+const renderHtml = (name, content, footer) => {
+  const paragraph = (text) => `<p style="margin:0 0 16px">${escapeHtml(text).replace(/\n/g, '<br>')}</p>`;
+
+  const rows = detailRows(content.details);
+  const details = rows.length > 0
+    ? `<table style="margin:0 0 16px;border-collapse:collapse">${rows.map(([label, value]) => (
+      `<tr><td style="padding:4px 16px 4px 0;color:#555">${escapeHtml(label)}</td>`
+      + `<td style="padding:4px 0;font-weight:bold">${escapeHtml(value)}</td></tr>`
+    )).join('')}</table>`
+    : '';
+
+  const action = content.action
+    ? `<p style="margin:0 0 16px"><a href="${escapeHtml(content.action.url)}" style="display:inline-block;padding:10px 20px;background:#1a56db;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(content.action.label)}</a></p>`
+    : '';
+
+  const footerHtml = footer.length > 0
+    ? `<hr style="border:none;border-top:1px solid #ddd;margin:24px 0 12px"><p style="margin:0;font-size:12px;color:#777">${footer.map(escapeHtml).join('<br>')}</p>`
+    : '';
+
+  return [
+    '<!DOCTYPE html>',
+    `<html><body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.5;color:#222">`,
+    '<div style="max-width:560px;margin:0 auto;padding:24px;background:#fff;border-radius:6px">',
+    `<h2 style="margin:0 0 16px;font-size:18px">${APP_NAME}</h2>`,
+    paragraph(`Hi ${name || 'there'},`),
+    content.intro.map(paragraph).join(''),
+    details,
+    action,
+    (content.outro || []).map(paragraph).join(''),
+    paragraph(`The ${APP_NAME} team`),
+    footerHtml,
+    '</div></body></html>'
+  ].join('');
+};
+
+/**
+ * @desc    Render a template
+ * @param   {string} template - Template name (see TEMPLATES)
+ * @param   {Object} data - Template data; data.name is used in the greeting
+ * @param   {Object} [options]
+ * @param   {string[]} [options.footer] - Footer lines, e.g. an unsubscribe link
+ * @returns {Object} { subject, text, html }
+ */
+const renderMail = (template, data = {}, { footer = [] } = {}) => {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown mail template: ${template}`);
+  }
+
+  const content = build(data);
+
+  return {
+    subject: content.subject,
+    text: renderText(data.name, content, footer),
+    html: renderHtml(data.name, content, footer)
+  };
+};
+
+/**
+ * @desc    Check that a template exists
+ * @param   {string} template
+ * @returns {boolean}
+ */
+const hasTemplate = (template) => Object.prototype.hasOwnProperty.call(TEMPLATES, template);
+
+module.exports = {
+  renderMail,
+  hasTemplate
+};
@@ -0,0 +1,501 @@
+/**
+ * =============================================================================
+ * NOTIFIER UTILITY
+ * =============================================================================
+ * Single entry point for user notifications
+ *
+ * Delivers a notification on every channel the user enabled for its type
+ * (User.notificationPreferences, see config/notifications.js):
+ * - inApp : Stored in the notification center (models/Notification.js) and
+ *           pushed live as a "notification" Socket.IO event
+ * - email : Queued (utils/mailQueue.js) for verified addresses only, with a
+ *           one-click unsubscribe link and List-Unsubscribe headers
+ * - push  : Skipped until a sender is registered with setChannelSender()
+ *
+ * Inactive (suspended, deleted) accounts receive nothing. Delivery errors
+ * are logged and never thrown, so a failed email cannot fail the request
+ * that caused it.
+ *
+ * Environment Variables:
+ *   API_URL      - Public base URL of this API, used in unsubscribe headers
+ *                  (default: http://localhost:PORT)
+ *   FRONTEND_URL - Frontend base URL, used for the unsubscribe page link
+ *
+ * Usage:
+ *   await notifyUser(userId, NOTIFICATION_TYPES.REGISTRATION_APPROVED, {
+ *     title: 'Registration approved',
+ *     message: 'You are in!',
+ *     data: { registrationId },
+ *     email: { template: 'registrationApproved', data: { competitionTitle } }
+ *   });
+ *
+ * email is { template, data } (utils/mailTemplates.js) or { subject, text }.
+ * =============================================================================
+ */
+
+const User = require('../models/UserSchema');
+const Registration = require('../models/Registration');
+const Competition = require('../models/Competition');
+const Notification = require('../models/Notification');
+const { queueTemplatedMail, buildRegistrationMailData } = require('./mailQueue');
+const { enqueue } = require('./jobQueue');
+const { JOB_NAMES } = require('../config/jobs');
+const { generateUnsubscribeToken } = require('./tokenGenerator');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, isNotificationType } = require('../config/notifications');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Fields needed to decide and deliver
+const RECIPIENT_FIELDS = 'email name isActive isEmailVerified anonymizedAt notificationPreferences';
+
+// Competition changes participants are told about
+const PARTICIPANT_FACING_FIELDS = [
+  'title', 'deadline', 'startDate', 'endDate', 'venue', 'isOnline', 'teamSize', 'requirements', 'rules'
+];
+
+/**
+ * @desc    Build unsubscribe links for one notification type
+ * @param   {Object} user - Recipient
+ * @param   {string} type - Notification type
+ * @returns {Object} { pageUrl, oneClickUrl }
+ */
+const getUnsubscribeLinks = (user, type) => {
+  const token = generateUnsubscribeToken({ id: user._id.toString(), notificationType: type });
+  return {
+    pageUrl: `${FRONTEND_URL}/unsubscribe?token=${token}`,
+    oneClickUrl: `${API_URL}/api/notifications/unsubscribe?token=${token}`
+  };
+};
+
+// =============================================================================
+// CHANNEL SENDERS
+// =============================================================================
+
+/**
+ * Senders return true when the notification was handed over for delivery
+ */
+const channelSenders = {
+  inApp: async (user, type, notification) => {
+    const entry = await Notification.create({
+      user: user._id,
+      type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data
+    });
+
+    // Required lazily: config/websocket.js itself notifies through this module
+    const { emitToUser } = require('../config/websocket');
+    const unreadCount = await Notification.countUnread(user._id);
+
+    // data fields stay at the top level for clients written before entries were stored
+    emitToUser(user._id.toString(), 'notification', {
+      ...notification.data,
+      ...entry.toSummary(),
+      unreadCount
+    });
+    return true;
+  },
+
+  email: async (user, type, notification) => {
+    if (!notification.email || !user.isEmailVerified) return false;
+
+    const { pageUrl, oneClickUrl } = getUnsubscribeLinks(user, type);
+    const { template = 'notification', data = notification.email } = notification.email;
+
+    const queued = await queueTemplatedMail({
+      to: user.email,
+      template,
+      data: { ...data, name: user.name },
+      footer: [
+        'You receive this email because of your UCP-TAKRA notification settings.',
+        `Unsubscribe from these emails: ${pageUrl}`
+      ],
+      headers: {
+        'List-Unsubscribe': `<${oneClickUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+    return !!queued;
+  },
+
+  push: null
+};
+
+/**
+ * @desc    Register (or remove) the sender of a channel, e.g. a web push service
+ * @param   {string} channel - email | inApp | push
+ * @param   {Function|null} sender - async (user, type, notification) => boolean
+ */
+const setChannelSender = (channel, sender) => {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (sender !== null && typeof sender !== 'function') {
+    throw new Error('Channel sender must be a function or null');
+  }
+  channelSenders[channel] = sender;
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @desc    Notify one user on every channel they enabled for this type
+ * @param   {ObjectId|string|Object} userOrId - User ID or a user document
+ *          selected with RECIPIENT_FIELDS
+ * @param   {string} type - Notification type (config/notifications.js)
+ * @param   {Object} notification - { title, message, data, email: { subject, text } }
+ *          email is optional; without it the email channel is skipped
+ * @returns {Promise<string[]>} Channels the notification was delivered on
+ */
+const notifyUser = async (userOrId, type, notification) => {
+  if (!isNotificationType(type)) {
+    console.error(`Notify error: unknown notification type "${type}"`);
+    return [];
+  }
+
+  try {
+    const user = userOrId?.notificationPreferences
+      ? userOrId
+      : await User.findById(userOrId).select(RECIPIENT_FIELDS);
+
+    if (!user || !user.isActive || user.anonymizedAt) return [];
+
+    const delivered = [];
+    for (const channel of NOTIFICATION_CHANNELS) {
+      const sender = channelSenders[channel];
+      if (!sender || !user.wantsNotification(type, channel)) continue;
+
+      try {
+        if (await sender(user, type, notification)) {
+          delivered.push(channel);
+        }
+      } catch (error) {
+        console.error(`Notify error (${channel}, ${type}, ${user._id}):`, error.message);
+      }
+    }
+    return delivered;
+
+  } catch (error) {
+    console.error(`Notify error (${type}):`, error.message);
+    return [];
+  }
+};
+
+/**
+ * @desc    Notify several users
+ * @param   {Array<ObjectId|string>} userIds
+ * @param   {string} type - Notification type
+ * @param   {Object|Function} notification - Same for everyone, or (user) => notification
+ * @returns {Promise<number>} Number of users reached on at least one channel
+ */
+const notifyUsers = async (userIds, type, notification) => {
+  const users = await User.find({ _id: { $in: userIds } }).select(RECIPIENT_FIELDS);
+
+  let reached = 0;
+  for (const user of users) {
+    const payload = typeof notification === 'function' ? notification(user) : notification;
+    const delivered = await notifyUser(user, type, payload);
+    if (delivered.length > 0) reached += 1;
+  }
+  return reached;
+};
+
+/**
+ * @desc    Notify everyone with an active (pending or approved) registration
+ * @param   {ObjectId|string} competitionId
+ * @param   {string} type - Notification type
+ * @param   {Object|Function} notification - See notifyUsers()
+ * @returns {Promise<number>} Number of users reached
+ */
+const notifyCompetitionParticipants = async (competitionId, type, notification) => {
+  const userIds = await Registration.find({
+    competition: competitionId,
+    status: { $in: ['pending', 'approved'] }
+  }).distinct('user');
+
+  if (userIds.length === 0) return 0;
+  return notifyUsers(userIds, type, notification);
+};
+
+// =============================================================================
+// EVENT HELPERS
+// =============================================================================
+
+/**
+ * @desc    Load a competition's title and slug for a message (null on any error)
+ * @param   {ObjectId} competitionId
+ * @returns {Promise<Object|null>}
+ */
+const findCompetitionTitle = (competitionId) => Competition.findById(competitionId)
+  .select('title slug')
+  .catch(() => null);
+
+/**
+ * @desc    Tell a conversation participant about a new chat message
+ * @param   {ObjectId|string} recipientId
+ * @param   {Object} chatMessage - { conversationId, senderName, content, sentAt }
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyNewMessage = (recipientId, { conversationId, senderName, content, sentAt }) => {
+  const preview = content.substring(0, 80);
+
+  return notifyUser(recipientId, NOTIFICATION_TYPES.NEW_MESSAGE, {
+    title: `New message from ${senderName}`,
+    message: preview,
+    data: { conversationId, preview, senderName, sentAt },
+    email: {
+      subject: `New message from ${senderName}`,
+      text: `${senderName} wrote:\n\n${content}`
+    }
+  });
+};
+
+/**
+ * @desc    Tell the participant their registration was approved or rejected
+ * @param   {Object} registration - Registration after the decision
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyRegistrationDecision = async (registration) => {
+  const competition = await findCompetitionTitle(registration.competition);
+  const title = competition?.title || 'a competition';
+  const approved = registration.status === 'approved';
+
+  const message = approved
+    ? `Your registration for ${title} was approved. Confirmation code: ${registration.confirmationCode}`
+    : `Your registration for ${title} was rejected.${registration.reason ? ` Reason: ${registration.reason}` : ''}`;
+
+  return notifyUser(
+    registration.user,
+    approved ? NOTIFICATION_TYPES.REGISTRATION_APPROVED : NOTIFICATION_TYPES.REGISTRATION_REJECTED,
+    {
+      title: approved ? 'Registration approved' : 'Registration rejected',
+      message,
+      data: {
+        registrationId: registration._id,
+        competitionId: registration.competition,
+        status: registration.status
+      },
+      email: {
+        template: approved ? 'registrationApproved' : 'registrationRejected',
+        data: buildRegistrationMailData(registration, competition, {})
+      }
+    }
+  );
+};
+
+/**
+ * @desc    Tell the participant their waitlisted registration got a spot
+ * @param   {Object} registration - Registration after promotion (pending)
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyWaitlistPromotion = async (registration) => {
+  const competition = await findCompetitionTitle(registration.competition);
+  const title = competition?.title || 'a competition';
+
+  return notifyUser(registration.user, NOTIFICATION_TYPES.WAITLIST_PROMOTED, {
+    title: 'Off the waitlist',
+    message: `A spot opened up in ${title}. Your registration is now pending review.`,
+    data: {
+      registrationId: registration._id,
+      competitionId: registration.competition,
+      status: registration.status
+    },
+    email: {
+      template: 'waitlistPromoted',
+      data: buildRegistrationMailData(registration, competition, {})
+    }
+  });
+};
+
+/**
+ * @desc    Tell the team captain that an invited member answered
+ * @param   {Object} invite - TeamInvite after the response
+ * @param   {Object} registration - Team registration ({ user, teamName })
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyTeamInviteResponse = async (invite, registration) => {
+  const competition = await findCompetitionTitle(invite.competition);
+  const title = competition?.title || 'a competition';
+  const member = invite.name || invite.email;
+  const answer = invite.status === 'accepted' ? 'joined' : 'declined to join';
+
+  return notifyUser(registration.user, NOTIFICATION_TYPES.TEAM_INVITE_RESPONSE, {
+    title: invite.status === 'accepted' ? 'Team member joined' : 'Team invitation declined',
+    message: `${member} ${answer} ${registration.teamName} in ${title}.`,
+    data: {
+      inviteId: invite._id,
+      registrationId: registration._id,
+      competitionId: invite.competition,
+      status: invite.status
+    },
+    email: {
+      subject: `${member} ${answer} ${registration.teamName}`,
+      text: `${member} ${answer} your team ${registration.teamName} in ${title}.`
+    }
+  });
+};
+
+/**
+ * @desc    Tell the other side about a team board request
+ *          (the captain for "join", the participant for "invite")
+ * @param   {Object} request - TeamJoinRequest
+ * @param   {string} recipientId - User who answers the request
+ * @param   {Object} context - { senderName, teamName }
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyTeamJoinRequest = async (request, recipientId, { senderName, teamName }) => {
+  const competition = await findCompetitionTitle(request.competition);
+  const title = competition?.title || 'a competition';
+  const message = request.direction === 'join'
+    ? `${senderName} asked to join ${teamName} in ${title}.`
+    : `${senderName} invited you to join ${teamName} in ${title}.`;
+
+  return notifyUser(recipientId, NOTIFICATION_TYPES.TEAM_JOIN_REQUEST, {
+    title: request.direction === 'join' ? 'New request to join your team' : 'A team wants you',
+    message,
+    data: {
+      requestId: request._id,
+      registrationId: request.registration,
+      competitionId: request.competition,
+      direction: request.direction
+    },
+    email: {
+      subject: message,
+      text: `${message}${request.message ? `\n\n"${request.message}"` : ''}\n\nAnswer the request on the team board.`
+    }
+  });
+};
+
+/**
+ * @desc    Tell the sender of a team board request the answer
+ * @param   {Object} request - TeamJoinRequest after the response
+ * @param   {Object} context - { teamName }
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyTeamJoinResponse = async (request, { teamName }) => {
+  const competition = await findCompetitionTitle(request.competition);
+  const title = competition?.title || 'a competition';
+  const accepted = request.status === 'accepted';
+
+  let message;
+  if (request.direction === 'join') {
+    message = accepted
+      ? `${teamName} accepted your request for ${title}. Accept the team invite to join.`
+      : `${teamName} declined your request for ${title}.`;
+  } else {
+    message = accepted
+      ? `Your invitation to ${teamName} in ${title} was accepted. The participant was sent a team invite.`
+      : `Your invitation to ${teamName} in ${title} was declined.`;
+  }
+
+  return notifyUser(request.requestedBy, NOTIFICATION_TYPES.TEAM_JOIN_RESPONSE, {
+    title: accepted ? 'Team request accepted' : 'Team request declined',
+    message,
+    data: {
+      requestId: request._id,
+      registrationId: request.registration,
+      competitionId: request.competition,
+      status: request.status,
+      teamInviteId: request.teamInvite
+    },
+    email: {
+      subject: accepted ? `Team request accepted: ${teamName}` : `Team request declined: ${teamName}`,
+      text: message
+    }
+  });
+};
+
+/**
+ * @desc    Tell participants that details of their competition changed
+ *          Only PARTICIPANT_FACING_FIELDS count. Delivery runs as a background
+ *          job; the caller does not wait for it. Never throws.
+ * @param   {Object} competition - Competition after the update
+ * @param   {string[]} modifiedPaths - competition.modifiedPaths() taken before save
+ * @returns {Promise<void>}
+ */
+const notifyCompetitionUpdated = async (competition, modifiedPaths) => {
+  const changedFields = PARTICIPANT_FACING_FIELDS.filter((field) => modifiedPaths.includes(field));
+  if (changedFields.length === 0) return;
+
+  try {
+    await enqueue(JOB_NAMES.NOTIFY_COMPETITION_UPDATED, {
+      competitionId: competition._id.toString(),
+      changedFields
+    });
+  } catch (error) {
+    console.error(`Notify competition update error (${competition._id}):`, error.message);
+  }
+};
+
+/**
+ * @desc    Deliver a competition update to its participants
+ *          (notifications.competition-updated job)
+ * @param   {Object} payload - { competitionId, changedFields }
+ * @returns {Promise<number>} Number of users reached
+ */
+const deliverCompetitionUpdate = async ({ competitionId, changedFields }) => {
+  const competition = await Competition.findById(competitionId).select('title');
+  if (!competition) return 0;
+
+  const message = `${competition.title} was updated (${changedFields.join(', ')}). Check the competition page for details.`;
+
+  return notifyCompetitionParticipants(competition._id, NOTIFICATION_TYPES.COMPETITION_UPDATED, {
+    title: 'Competition updated',
+    message,
+    data: { competitionId: competition._id, changedFields },
+    email: {
+      subject: `${competition.title} has been updated`,
+      text: message
+    }
+  });
+};
+
+/**
+ * @desc    Tell the participant their score or position was published
+ * @param   {Object} registration - Registration with score/position set
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const notifyResultPublished = async (registration) => {
+  const competition = await findCompetitionTitle(registration.competition);
+  const title = competition?.title || 'a competition';
+
+  const parts = [];
+  if (registration.position) parts.push(`position ${registration.position}`);
+  if (registration.score !== null && registration.score !== undefined) parts.push(`score ${registration.score}`);
+  const message = `Your result for ${title} is out: ${parts.join(', ')}.`;
+
+  return notifyUser(registration.user, NOTIFICATION_TYPES.RESULTS_PUBLISHED, {
+    title: 'Result published',
+    message,
+    data: {
+      registrationId: registration._id,
+      competitionId: registration.competition,
+      score: registration.score,
+      position: registration.position
+    },
+    email: {
+      subject: `Your result for ${title}`,
+      text: message
+    }
+  });
+};
+
+module.exports = {
+  notifyUser,
+  notifyUsers,
+  notifyCompetitionParticipants,
+  notifyNewMessage,
+  notifyRegistrationDecision,
+  notifyWaitlistPromotion,
+  notifyTeamInviteResponse,
+  notifyTeamJoinRequest,
+  notifyTeamJoinResponse,
+  notifyCompetitionUpdated,
+  deliverCompetitionUpdate,
+  notifyResultPublished,
+  setChannelSender
+};
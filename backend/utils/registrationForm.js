@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * REGISTRATION FORM UTILITY
+ * =============================================================================
+ * Validation of per-competition registration forms
+ * (Competition.registrationForm) and of the answers to them
+ * (Registration.additionalInfo, keyed by field key)
+ *
+ * Field rules:
+ * - required    : An answer must be given (a checkbox must be checked)
+ * - pattern     : Regular expression a text answer must match, in RE2 syntax
+ *                 (no backreferences or lookarounds). RE2 matches in linear
+ *                 time, so a pattern cannot stall the event loop.
+ * - min / max   : Length of a text answer, value of a number, or number of
+ *                 choices of a multiselect
+ * - options     : Choices of select and multiselect fields
+ *
+ * File answers are URLs of files the registering user uploaded with
+ * POST /api/uploads/form-file.
+ *
+ * Usage:
+ *   const problem = validateFormDefinition(fields);   // null if valid
+ *   const { answers, errors } = validateAnswers(fields, additionalInfo, userId);
+ *   const columns = getFormColumns(fields, ['status']);
+ * =============================================================================
+ */
+
+const { RE2JS } = require('re2js');
+const { FORM_FIELD_TYPES } = require('../models/Competition');
+const { CDN_URL } = require('../config/s3');
+
+// S3 folder of uploaded form files (see controllers/uploadController.js)
+const FORM_FILE_FOLDER = 'registration-forms';
+
+const MAX_FORM_FIELDS = 50;
+const MAX_TEXT_LENGTH = 5000;
+// Longest text answer tested against a pattern
+const MAX_PATTERN_TEXT_LENGTH = 1000;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+// Fields that take options, and fields whose min/max count characters or choices
+const OPTION_TYPES = ['select', 'multiselect'];
+const COUNT_TYPES = ['text', 'multiselect'];
+
+// Compiled patterns, keyed by source (each pattern is compiled once)
+const MAX_COMPILED_PATTERNS = 500;
+const compiledPatterns = new Map();
+
+// =============================================================================
+// PATTERNS
+// =============================================================================
+
+/**
+ * @desc    Compile a pattern with RE2 (linear-time matching), reusing an
+ *          earlier compilation
+ * @param   {string} pattern - Regular expression source
+ * @returns {RE2JS} Throws if the pattern is not valid RE2 syntax
+ */
+const compilePattern = (pattern) => {
+  let regex = compiledPatterns.get(pattern);
+  if (!regex) {
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+    regex = RE2JS.compile(pattern);
+    compiledPatterns.set(pattern, regex);
+  }
+  return regex;
+};
+
+/**
+ * @desc    Test a text answer against a pattern
+ *          Forms saved before patterns used RE2 may hold one it cannot
+ *          compile; such a pattern matches nothing until the form is fixed.
+ * @param   {string} pattern - Regular expression source
+ * @param   {string} value - Answer
+ * @returns {boolean}
+ */
+const matchesPattern = (pattern, value) => {
+  let regex;
+  try {
+    regex = compilePattern(pattern);
+  } catch (error) {
+    console.error(`Registration form pattern error (${pattern}):`, error.message);
+    return false;
+  }
+  return regex.matcher(value).find();
+};
+
+// =============================================================================
+// FORM DEFINITION
+// =============================================================================
+
+/**
+ * @desc    Check a form definition sent by an admin
+ * @param   {Array} fields - Form fields
+ * @returns {string|null} Problem description, or null if valid
+ */
+const validateFormDefinition = (fields) => {
+  if (!Array.isArray(fields)) return 'Registration form must be an array';
+  if (fields.length > MAX_FORM_FIELDS) return `Registration form cannot have more than ${MAX_FORM_FIELDS} fields`;
+
+  const keys = new Set();
+  for (const [index, field] of fields.entries()) {
+    const name = `Form field ${index + 1}`;
+
+    if (!field || typeof field !== 'object') return `${name} must be an object`;
+    if (typeof field.key !== 'string' || !FIELD_KEY_PATTERN.test(field.key)) {
+      return `${name}: key must start with a letter and contain only letters, digits and underscores (max 50)`;
+    }
+    if (keys.has(field.key)) return `${name}: duplicate key "${field.key}"`;
+    keys.add(field.key);
+
+    if (typeof field.label !== 'string' || !field.label.trim() || field.label.length > 200) {
+      return `${name}: label is required (max 200 characters)`;
+    }
+    if (!FORM_FIELD_TYPES.includes(field.type)) {
+      return `${name}: type must be one of ${FORM_FIELD_TYPES.join(', ')}`;
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      return `${name}: required must be a boolean`;
+    }
+    if (field.helpText !== undefined && (typeof field.helpText !== 'string' || field.helpText.length > 500)) {
+      return `${name}: help text cannot exceed 500 characters`;
+    }
+
+    if (OPTION_TYPES.includes(field.type)) {
+      const { options } = field;
+      if (!Array.isArray(options) || options.length === 0 ||
+        !options.every((option) => typeof option === 'string' && option.trim())) {
+        return `${name}: options must be a non-empty list of strings`;
+      }
+      if (new Set(options.map((option) => option.trim())).size !== options.length) {
+        return `${name}: options must be unique`;
+      }
+    } else if (field.options !== undefined && field.options.length > 0) {
+      return `${name}: options are only allowed for select and multiselect fields`;
+    }
+
+    if (field.pattern !== undefined && field.pattern !== null) {
+      if (field.type !== 'text') return `${name}: pattern is only allowed for text fields`;
+      if (typeof field.pattern !== 'string' || field.pattern.length > 200) {
+        return `${name}: pattern must be a string (max 200 characters)`;
+      }
+      try {
+        compilePattern(field.pattern);
+      } catch (error) {
+        return `${name}: pattern is not a valid regular expression (RE2 syntax, no backreferences or lookarounds)`;
+      }
+    }
+
+    for (const bound of ['min', 'max']) {
+      const value = field[bound];
+      if (value === undefined || value === null) continue;
+      if (!['text', 'number', 'multiselect'].includes(field.type)) {
+        return `${name}: ${bound} is only allowed for text, number and multiselect fields`;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name}: ${bound} must be a number`;
+      if (COUNT_TYPES.includes(field.type) && (!Number.isInteger(value) || value < 0)) {
+        return `${name}: ${bound} must be a non-negative integer`;
+      }
+    }
+    if (typeof field.min === 'number' && typeof field.max === 'number' && field.min > field.max) {
+      return `${name}: min cannot be greater than max`;
+    }
+  }
+
+  return null;
+};
+
+// =============================================================================
+// ANSWERS
+// =============================================================================
+
+/**
+ * Each validator returns { value } or { message }
+ */
+const ANSWER_VALIDATORS = {
+  text: (raw, field) => {
+    if (typeof raw !== 'string') return { message: 'must be text' };
+    const value = raw.trim();
+    let max = field.max ?? MAX_TEXT_LENGTH;
+    if (field.pattern) max = Math.min(max, MAX_PATTERN_TEXT_LENGTH);
+    if (field.min != null && value.length < field.min) return { message: `must be at least ${field.min} characters` };
+    if (value.length > max) return { message: `cannot exceed ${max} characters` };
+    if (field.pattern && !matchesPattern(field.pattern, value)) return { message: 'has an invalid format' };
+    return { value };
+  },
+
+  number: (raw, field) => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return { message: 'must be a number' };
+    if (field.min != null && value < field.min) return { message: `must be at least ${field.min}` };
+    if (field.max != null && value > field.max) return { message: `cannot be more than ${field.max}` };
+    return { value };
+  },
+
+  select: (raw, field) => {
+    if (!field.options.includes(raw)) return { message: `must be one of: ${field.options.join(', ')}` };
+    return { value: raw };
+  },
+
+  multiselect: (raw, field) => {
+    if (!Array.isArray(raw) || !raw.every((choice) => field.options.includes(choice))) {
+      return { message: `must be a list of: ${field.options.join(', ')}` };
+    }
+    const value = [...new Set(raw)];
+    if (field.min != null && value.length < field.min) return { message: `needs at least ${field.min} choices` };
+    if (field.max != null && value.length > field.max) return { message: `cannot have more than ${field.max} choices` };
+    return { value };
+  },
+
+  file: (raw, field, userId) => {
+    const prefix = `${CDN_URL}/${FORM_FILE_FOLDER}/${userId}/`;
+    if (typeof raw !== 'string' || !raw.startsWith(prefix)) {
+      return { message: 'must be a file uploaded with POST /api/uploads/form-file' };
+    }
+    return { value: raw };
+  },
+
+  checkbox: (raw, field) => {
+    if (typeof raw !== 'boolean') return { message: 'must be true or false' };
+    if (field.required && !raw) return { message: 'must be checked' };
+    return { value: raw };
+  }
+};
+
+/**
+ * @desc    Check if an answer counts as not given
+ * @param   {*} value
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * @desc    Validate answers against a form
+ *          Unknown keys are errors. Answers are trimmed and numbers parsed.
+ * @param   {Array} fields - Competition.registrationForm
+ * @param   {Object} input - Submitted additionalInfo (may be undefined)
+ * @param   {string} userId - Registering user (owner of uploaded files)
+ * @returns {Object} { answers, errors } - errors as [{ field, message }]
+ */
+const validateAnswers = (fields, input = {}, userId) => {
+  const answers = {};
+  const errors = [];
+  const source = input || {};
+
+  const keys = new Set(fields.map((field) => field.key));
+  Object.keys(source)
+    .filter((key) => !keys.has(key))
+    .forEach((key) => errors.push({ field: `additionalInfo.${key}`, message: `Unknown form field: ${key}` }));
+
+  for (const field of fields) {
+    const raw = source[field.key];
+
+    if (isBlank(raw)) {
+      if (field.required) {
+        errors.push({ field: `additionalInfo.${field.key}`, message: `${field.label} is required` });
+      }
+      continue;
+    }
+
+    const { value, message } = ANSWER_VALIDATORS[field.type](raw, field, userId);
+    if (message) {
+      errors.push({ field: `additionalInfo.${field.key}`, message: `${field.label} ${message}` });
+    } else {
+      answers[field.key] = value;
+    }
+  }
+
+  return { answers, errors };
+};
+
+// =============================================================================
+// LISTS & EXPORTS
+// =============================================================================
+
+/**
+ * @desc    Column names for form answers in a registration export
+ *          Labels are used unless they clash with another column.
+ * @param   {Array} fields - Competition.registrationForm
+ * @param   {string[]} reserved - Column names already in use
+ * @returns {Array<Object>} [{ key, column }]
+ */
+const getFormColumns = (fields, reserved = []) => {
+  const used = new Set(reserved);
+  return fields.map((field) => {
+    const column = used.has(field.label) ? `${field.label} (${field.key})` : field.label;
+    used.add(column);
+    return { key: field.key, column };
+  });
+};
+
+/**
+ * @desc    Answer as a cell value
+ * @param   {*} value
+ * @returns {string}
+ */
+const formatAnswer = (value) => {
+  if (value === undefined || value === null || value === '') return 'N/A';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * @desc    Form field summary for registration lists (column headers)
+ * @param   {Array} fields - Competition.registrationForm
+ * @returns {Array<Object>} [{ key, label, type }]
+ */
+const summarizeForm = (fields = []) => fields.map(({ key, label, type }) => ({ key, label, type }));
+
+module.exports = {
+  FORM_FILE_FOLDER,
+  validateFormDefinition,
+  validateAnswers,
+  getFormColumns,
+  formatAnswer,
+  summarizeForm
+};
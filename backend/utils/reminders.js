@@ -0,0 +1,277 @@
+/**
+ * =============================================================================
+ * REMINDERS UTILITY
+ * =============================================================================
+ * Scheduled reminders before competition deadlines and start times
+ * (run every 5 minutes by the "notifications.reminders" job, see utils/jobs.js)
+ *
+ * Reminder kinds:
+ * - registration_deadline : Users who saved the competition and have no
+ *                           pending, approved or waitlisted registration
+ *                           for it
+ * - submission_deadline   : Approved registrations without a submission
+ *                           (endDate, or the deadline if there is none, as
+ *                           in POST /api/registrations/:id/submit)
+ * - competition_start     : Pending and approved registrations
+ *
+ * Reminders go out REMINDER_OFFSETS before the event (default: 7 days,
+ * 1 day and 1 hour) as "deadline_reminder" notifications, on the channels
+ * the user enabled for that type. Each reminder is recorded in ReminderLog
+ * before delivery, so it is sent once. Someone who saves a competition late
+ * only gets the closest reminder that is due, not every missed one.
+ *
+ * Environment Variables:
+ *   REMINDER_OFFSETS - Comma separated offsets in m/h/d (default: 7d,1d,1h)
+ *
+ * Usage:
+ *   await sendDueReminders();
+ * =============================================================================
+ */
+
+const Competition = require('../models/Competition');
+const Registration = require('../models/Registration');
+const SavedCompetition = require('../models/SavedCompetition');
+const ReminderLog = require('../models/ReminderLog');
+const { notifyUser } = require('./notifier');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const UNIT_LABELS = { m: 'minute', h: 'hour', d: 'day' };
+
+/**
+ * @desc    Parse "7d,1d,1h" into offsets, largest first
+ * @param   {string} value
+ * @returns {Array<Object>} [{ key, ms }]
+ */
+const parseOffsets = (value) => value
+  .split(',')
+  .map((part) => part.trim().match(/^(\d+)([mhd])$/))
+  .filter(Boolean)
+  .map(([key, amount, unit]) => ({ key, ms: parseInt(amount, 10) * UNIT_MS[unit] }))
+  .sort((a, b) => b.ms - a.ms);
+
+/**
+ * @desc    Time left until an event, e.g. "3 days", "5 hours"
+ * @param   {number} ms - Milliseconds left
+ * @returns {string}
+ */
+const formatTimeLeft = (ms) => {
+  const unit = ['d', 'h', 'm'].find((u) => ms >= UNIT_MS[u]) || 'm';
+  const amount = Math.max(1, Math.round(ms / UNIT_MS[unit]));
+  return `${amount} ${UNIT_LABELS[unit]}${amount === 1 ? '' : 's'}`;
+};
+
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '7d,1d,1h');
+
+const COMPETITION_FIELDS = 'title slug deadline startDate endDate';
+
+// =============================================================================
+// CANDIDATES
+// =============================================================================
+
+/**
+ * Each finder returns [{ userId, competition, eventAt }] for events in
+ * (now, horizon]
+ */
+const REMINDER_FINDERS = {
+  registration_deadline: async (now, horizon) => {
+    const competitions = await Competition.find({
+      status: 'published',
+      isDeleted: false,
+      deadline: { $gt: now, $lte: horizon }
+    }).select(COMPETITION_FIELDS).lean();
+    if (competitions.length === 0) return [];
+
+    const competitionIds = competitions.map((competition) => competition._id);
+    const [saved, registered] = await Promise.all([
+      SavedCompetition.find({ competition: { $in: competitionIds } }).select('user competition').lean(),
+      Registration.find({
+        competition: { $in: competitionIds },
+        status: { $in: ['pending', 'approved', 'waitlisted'] }
+      }).select('user competition').lean()
+    ]);
+
+    const registeredKeys = new Set(registered.map((reg) => `${reg.user}:${reg.competition}`));
+    const byId = new Map(competitions.map((competition) => [competition._id.toString(), competition]));
+
+    return saved
+      .filter((entry) => !registeredKeys.has(`${entry.user}:${entry.competition}`))
+      .map((entry) => {
+        const competition = byId.get(entry.competition.toString());
+        return { userId: entry.user, competition, eventAt: competition.deadline };
+      });
+  },
+
+  submission_deadline: async (now, horizon) => {
+    const competitions = await Competition.find({
+      status: 'published',
+      isDeleted: false,
+      $or: [
+        { endDate: { $gt: now, $lte: horizon } },
+        { endDate: null, deadline: { $gt: now, $lte: horizon } }
+      ]
+    }).select(COMPETITION_FIELDS).lean();
+    if (competitions.length === 0) return [];
+
+    const registrations = await Registration.find({
+      competition: { $in: competitions.map((competition) => competition._id) },
+      status: 'approved',
+      'submission.submittedAt': null
+    }).select('user competition').lean();
+
+    const byId = new Map(competitions.map((competition) => [competition._id.toString(), competition]));
+    return registrations.map((reg) => {
+      const competition = byId.get(reg.competition.toString());
+      return { userId: reg.user, competition, eventAt: competition.endDate || competition.deadline };
+    });
+  },
+
+  competition_start: async (now, horizon) => {
+    const competitions = await Competition.find({
+      status: 'published',
+      isDeleted: false,
+      startDate: { $gt: now, $lte: horizon }
+    }).select(COMPETITION_FIELDS).lean();
+    if (competitions.length === 0) return [];
+
+    const registrations = await Registration.find({
+      competition: { $in: competitions.map((competition) => competition._id) },
+      status: { $in: ['pending', 'approved'] }
+    }).select('user competition').lean();
+
+    const byId = new Map(competitions.map((competition) => [competition._id.toString(), competition]));
+    return registrations.map((reg) => {
+      const competition = byId.get(reg.competition.toString());
+      return { userId: reg.user, competition, eventAt: competition.startDate };
+    });
+  }
+};
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+const REMINDER_TEXT = {
+  registration_deadline: (title, label) => ({
+    title: 'Registration closing soon',
+    message: `Registration for ${title} closes in ${label}.`
+  }),
+  submission_deadline: (title, label) => ({
+    title: 'Submission deadline approaching',
+    message: `Submissions for ${title} close in ${label}. You have not submitted yet.`
+  }),
+  competition_start: (title, label) => ({
+    title: 'Competition starting soon',
+    message: `${title} starts in ${label}.`
+  })
+};
+
+/**
+ * @desc    Deliver one reminder
+ * @param   {string} kind - Reminder kind
+ * @param   {Object} candidate - { userId, competition, eventAt, offset }
+ * @param   {Date}   now
+ * @returns {Promise<string[]>} Channels delivered on
+ */
+const deliverReminder = (kind, { userId, competition, eventAt, offset }, now) => {
+  const timeLeft = formatTimeLeft(new Date(eventAt).getTime() - now.getTime());
+  const { title, message } = REMINDER_TEXT[kind](competition.title, timeLeft);
+  const when = new Date(eventAt).toUTCString();
+
+  return notifyUser(userId, NOTIFICATION_TYPES.DEADLINE_REMINDER, {
+    title,
+    message,
+    data: {
+      competitionId: competition._id,
+      slug: competition.slug,
+      kind,
+      offset: offset.key,
+      eventAt
+    },
+    email: {
+      subject: `${title}: ${competition.title}`,
+      text: `${message}\n\nDate: ${when}`
+    }
+  });
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @desc    Closest reminder offset that is due for an event
+ * @param   {Date} eventAt
+ * @param   {Date} now
+ * @returns {Object|null} Offset, or null if none is due yet
+ */
+const getDueOffset = (eventAt, now) => {
+  const due = REMINDER_OFFSETS.filter((offset) => eventAt.getTime() - offset.ms <= now.getTime());
+  return due.length > 0 ? due[due.length - 1] : null;
+};
+
+/**
+ * @desc    Send every reminder that is due and not sent yet
+ *          Never throws for a single reminder; failures are logged.
+ * @param   {Date} now - Reference time (default: now)
+ * @returns {Promise<Object>} Number of reminders sent per kind
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const result = {};
+  if (REMINDER_OFFSETS.length === 0) return result;
+
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS[0].ms);
+
+  for (const [kind, findCandidates] of Object.entries(REMINDER_FINDERS)) {
+    result[kind] = 0;
+
+    const candidates = (await findCandidates(now, horizon))
+      .map((candidate) => ({ ...candidate, offset: getDueOffset(new Date(candidate.eventAt), now) }))
+      .filter((candidate) => candidate.offset);
+    if (candidates.length === 0) continue;
+
+    const logged = await ReminderLog.find({
+      kind,
+      competition: { $in: [...new Set(candidates.map((candidate) => candidate.competition._id.toString()))] }
+    }).select('user competition offset eventAt').lean();
+
+    const sentKeys = new Set(logged.map((log) => (
+      `${log.user}:${log.competition}:${log.offset}:${log.eventAt.getTime()}`
+    )));
+
+    for (const candidate of candidates) {
+      const { userId, competition, eventAt, offset } = candidate;
+      const key = `${userId}:${competition._id}:${offset.key}:${new Date(eventAt).getTime()}`;
+      if (sentKeys.has(key)) continue;
+
+      try {
+        // Claim first: the unique index stops a second worker here
+        await ReminderLog.create({
+          user: userId,
+          competition: competition._id,
+          kind,
+          offset: offset.key,
+          eventAt
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          console.error(`Reminder error (${kind}, ${competition._id}, ${userId}):`, error.message);
+        }
+        continue;
+      }
+
+      await deliverReminder(kind, candidate, now);
+      result[kind] += 1;
+    }
+
+    if (result[kind] > 0) {
+      console.log(`✓ Sent ${result[kind]} ${kind} reminder(s)`);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  sendDueReminders
+};
@@ -0,0 +1,91 @@
+/**
+ * =============================================================================
+ * REQUEST CONTEXT UTILITY
+ * =============================================================================
+ * Helpers for extracting client information from Express requests
+ * =============================================================================
+ */
+
+/**
+ * @desc    Get the client IP address
+ *          X-Forwarded-For is only honoured through the proxies trusted by
+ *          the "trust proxy" setting (TRUST_PROXY in app.js), so clients
+ *          cannot pick their own IP.
+ * @param   {Object} req - Express request object
+ * @returns {string|null} Client IP address
+ */
+const getClientIp = (req) => {
+  return req.ip || req.socket?.remoteAddress || null;
+};
+
+/**
+ * @desc    Read a cookie from the Cookie header
+ * @param   {Object} req - Express request object
+ * @param   {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const getCookie = (req, name) => {
+  const header = req.headers?.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1 || part.slice(0, index).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+/**
+ * @desc    Get the raw User-Agent header
+ * @param   {Object} req - Express request object
+ * @returns {string|null} User agent string
+ */
+const getUserAgent = (req) => {
+  return req.headers?.['user-agent'] || null;
+};
+
+/**
+ * @desc    Build a short human readable device label from a user agent
+ * @param   {string} userAgent - User agent string
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['Postman', /PostmanRuntime/],
+    ['curl', /curl\//]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser) return browser[0];
+  if (platform) return platform[0];
+  return 'Unknown device';
+};
+
+module.exports = {
+  getClientIp,
+  getCookie,
+  getUserAgent,
+  describeDevice
+};
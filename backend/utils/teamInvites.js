@@ -0,0 +1,153 @@
+/**
+ * =============================================================================
+ * TEAM INVITES UTILITY
+ * =============================================================================
+ * Invites the members listed on a team registration to confirm
+ *
+ * Every member in Registration.teamMembers without an invite gets one
+ * (models/TeamInvite.js). The invitation email holds a link with a one-time
+ * token and is always sent, since the member may not have an account yet.
+ * Members who already have an account also get a "team_invite" notification
+ * and see the invite in GET /api/team-invites.
+ *
+ * Accepting or declining is handled by controllers/teamInviteController.js;
+ * the captain is told the answer ("team_invite_response").
+ *
+ * Members added after registration (team management, team board matches)
+ * go through addTeamMember(), which records the change and invites them.
+ *
+ * Usage:
+ *   await sendTeamInvites(registration, captain);
+ *   const invite = await addTeamMember(registration, { name, email, role }, userId, captain);
+ * =============================================================================
+ */
+
+const User = require('../models/UserSchema');
+const Competition = require('../models/Competition');
+const TeamInvite = require('../models/TeamInvite');
+const { TEAM_INVITE_EXPIRY_DAYS } = require('../models/TeamInvite');
+const { queueTemplatedMail } = require('./mailQueue');
+const { notifyUser } = require('./notifier');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * @desc    Send an invite to one team member
+ * @param   {Object} registration - Team registration
+ * @param   {Object} member - Entry of registration.teamMembers
+ * @param   {Object} captain - { name }
+ * @param   {Object|null} competition - { title, slug }
+ * @returns {Promise<Object>} Created invite
+ */
+const inviteMember = async (registration, member, captain, competition) => {
+  const { invite, token } = await TeamInvite.createForMember(registration, member);
+  const competitionTitle = competition?.title || 'a competition';
+
+  await queueTemplatedMail({
+    to: invite.email,
+    template: 'teamInvite',
+    data: {
+      name: member.name,
+      inviterName: captain.name,
+      competitionTitle,
+      competitionSlug: competition?.slug,
+      teamName: registration.teamName,
+      inviteUrl: `${FRONTEND_URL}/team-invite?token=${token}`,
+      expiresInDays: TEAM_INVITE_EXPIRY_DAYS
+    }
+  });
+
+  const invitee = await User.findOne({ email: invite.email }).select('_id');
+  if (invitee) {
+    await notifyUser(invitee._id, NOTIFICATION_TYPES.TEAM_INVITE, {
+      title: 'Team invitation',
+      message: `${captain.name || 'A participant'} invited you to join ${registration.teamName} in ${competitionTitle}.`,
+      data: {
+        inviteId: invite._id,
+        registrationId: registration._id,
+        competitionId: invite.competition
+      }
+    });
+  }
+
+  return invite;
+};
+
+/**
+ * @desc    Invite every listed team member who has no invite yet
+ *          Never throws; failures are logged per member.
+ * @param   {Object} registration - Team registration
+ * @param   {Object} captain - User who registered the team ({ name, email })
+ * @returns {Promise<number>} Number of invites sent
+ */
+const sendTeamInvites = async (registration, captain) => {
+  const members = (registration.teamMembers || []).filter((member) => (
+    member.email && member.inviteStatus === 'pending' && member.email !== captain.email
+  ));
+  if (members.length === 0) return 0;
+
+  let sent = 0;
+  try {
+    const [competition, existing] = await Promise.all([
+      Competition.findById(registration.competition?._id || registration.competition)
+        .select('title slug')
+        .lean(),
+      TeamInvite.find({ registration: registration._id }).distinct('email')
+    ]);
+
+    for (const member of members) {
+      if (existing.includes(member.email)) continue;
+
+      try {
+        await inviteMember(registration, member, captain, competition);
+        sent += 1;
+      } catch (error) {
+        console.error(`Team invite error (${registration._id}, ${member.email}):`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`Team invite error (${registration._id}):`, error.message);
+  }
+
+  return sent;
+};
+
+/**
+ * @desc    Add a member to a team registration and invite them
+ *          Callers check the team lock, size and duplicates first. A member
+ *          who declined before is replaced and gets a new invite; any other
+ *          entry with the same email throws (error.code 'TEAM_MEMBER_EXISTS').
+ * @param   {Object} registration - Team registration document
+ * @param   {Object} member - { name, email, role }
+ * @param   {string} addedBy - User making the change
+ * @param   {Object} captain - { name, email }
+ * @returns {Promise<Object|null>} The member's invite (null if sending failed)
+ */
+const addTeamMember = async (registration, member, addedBy, captain) => {
+  const email = member.email.toLowerCase();
+
+  const existing = registration.teamMembers.find((entry) => entry.email === email);
+  if (existing && existing.inviteStatus !== 'declined') {
+    const error = new Error('This person is already on the team');
+    error.code = 'TEAM_MEMBER_EXISTS';
+    throw error;
+  }
+
+  if (existing) {
+    registration.teamMembers = registration.teamMembers.filter((entry) => entry.email !== email);
+    await TeamInvite.deleteOne({ registration: registration._id, email });
+  }
+
+  registration.teamMembers.push({ name: member.name, email, role: member.role });
+  registration.recordTeamChange('member_added', addedBy, { member: { name: member.name, email } });
+  await registration.save();
+
+  await sendTeamInvites(registration, captain);
+  return TeamInvite.findOne({ registration: registration._id, email });
+};
+
+module.exports = {
+  sendTeamInvites,
+  addTeamMember
+};
@@ -7,16 +7,26 @@
  * Features:
  * - Access token: Short-lived (15min) for API requests
  * - Refresh token: Long-lived (7d) for getting new access tokens
+ *   (bound to a persistent Session and rotated on every use)
  * - Secure token verification
+ * - Random one-time tokens (email verification, password reset)
+ * - Two-factor challenge tokens (5min) issued between password and code
+ * - Google link state tokens (10min) identifying the user across OAuth
+ * - Account restore tokens (10min) issued at login to accounts pending deletion
+ * - Email unsubscribe tokens (no expiry) embedded in notification emails
  * =============================================================================
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET, JWT_EXPIRE } = require('../config/jwt');
 
 // Token expiration times
 const ACCESS_TOKEN_EXPIRE = '15m';   // 15 minutes
 const REFRESH_TOKEN_EXPIRE = '7d';   // 7 days
+const CHALLENGE_TOKEN_EXPIRE = '5m'; // 5 minutes
+const LINK_STATE_EXPIRE = '10m';     // 10 minutes
+const RESTORE_TOKEN_EXPIRE = '10m';  // 10 minutes
 
 /**
  * @desc    Generate access token (short-lived)
@@ -33,25 +43,30 @@ const generateAccessToken = (payload) => {
 
 /**
  * @desc    Generate refresh token (long-lived)
- * @param   {Object} payload - Data to encode { id }
+ * @param   {Object} payload - Data to encode { id, sid?, tokenId? }
+ *                             sid     - Session the token belongs to
+ *                             tokenId - Unique token id (jti) used for rotation
  * @returns {string} JWT refresh token
  */
 const generateRefreshToken = (payload) => {
-  return jwt.sign(
-    { id: payload.id, type: 'refresh' },
-    JWT_SECRET,
-    { expiresIn: REFRESH_TOKEN_EXPIRE }
-  );
+  const claims = { id: payload.id, type: 'refresh' };
+  if (payload.sid) claims.sid = payload.sid;
+
+  const options = { expiresIn: REFRESH_TOKEN_EXPIRE };
+  if (payload.tokenId) options.jwtid = payload.tokenId;
+
+  return jwt.sign(claims, JWT_SECRET, options);
 };
 
 /**
  * @desc    Generate both access and refresh tokens
- * @param   {Object} payload - User data { id, email, role }
+ * @param   {Object} payload - User data { id, email, role, sid?, tokenId? }
  * @returns {Object} { accessToken, refreshToken }
  */
 const generateTokenPair = (payload) => {
+  const { tokenId, ...accessPayload } = payload;
   return {
-    accessToken: generateAccessToken(payload),
+    accessToken: generateAccessToken(accessPayload),
     refreshToken: generateRefreshToken(payload)
   };
 };
@@ -78,6 +93,20 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * @desc    Verify a token used to authenticate API requests
+ *          Rejects refresh and challenge tokens (legacy untyped tokens pass)
+ * @param   {string} token - JWT token
+ * @returns {Object|null} Decoded token or null if invalid/not access type
+ */
+const verifyAccessToken = (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded || (decoded.type && decoded.type !== 'access')) {
+    return null;
+  }
+  return decoded;
+};
+
 /**
  * @desc    Verify refresh token specifically
  * @param   {string} token - Refresh token
@@ -95,6 +124,115 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * @desc    Generate a two-factor challenge token (short-lived)
+ * @param   {Object} payload - { id }
+ * @param   {string} purpose - 'login' (enter code) or 'setup' (enroll first)
+ * @returns {string} JWT challenge token
+ */
+const generateChallengeToken = (payload, purpose = 'login') => {
+  return jwt.sign(
+    { id: payload.id, type: '2fa_challenge', purpose },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * @desc    Verify a two-factor challenge token
+ * @param   {string} token - Challenge token
+ * @param   {string} purpose - Expected purpose ('login' | 'setup')
+ * @returns {Object|null} Decoded token or null if invalid/wrong purpose
+ */
+const verifyChallengeToken = (token, purpose = 'login') => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== '2fa_challenge' || decoded.purpose !== purpose) {
+    return null;
+  }
+  return decoded;
+};
+
+/**
+ * @desc    Generate the OAuth `state` used to link Google to a signed-in user
+ *          `nonceHash` binds it to the browser holding the nonce cookie.
+ * @param   {Object} payload - { id, nonceHash }
+ * @returns {string} JWT state token
+ */
+const generateGoogleLinkState = (payload) => {
+  return jwt.sign(
+    { id: payload.id, nonceHash: payload.nonceHash, type: 'google_link' },
+    JWT_SECRET,
+    { expiresIn: LINK_STATE_EXPIRE }
+  );
+};
+
+/**
+ * @desc    Verify a Google link state token
+ * @param   {string} token - State token from the OAuth callback
+ * @returns {Object|null} Decoded token or null if invalid
+ */
+const verifyGoogleLinkState = (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== 'google_link') {
+    return null;
+  }
+  return decoded;
+};
+
+/**
+ * @desc    Generate a token allowing a user to restore an account pending deletion
+ *          Issued only after the user proved their credentials at login.
+ * @param   {Object} payload - { id }
+ * @returns {string} JWT restore token
+ */
+const generateRestoreToken = (payload) => {
+  return jwt.sign(
+    { id: payload.id, type: 'account_restore' },
+    JWT_SECRET,
+    { expiresIn: RESTORE_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * @desc    Verify an account restore token
+ * @param   {string} token - Restore token
+ * @returns {Object|null} Decoded token or null if invalid
+ */
+const verifyRestoreToken = (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== 'account_restore') {
+    return null;
+  }
+  return decoded;
+};
+
+/**
+ * @desc    Generate a one-click unsubscribe token for notification emails
+ *          Does not expire: links in old emails must keep working. It can only
+ *          turn email notifications off, so a leaked token does little harm.
+ * @param   {Object} payload - { id, notificationType } (notificationType null = all types)
+ * @returns {string} JWT unsubscribe token
+ */
+const generateUnsubscribeToken = (payload) => {
+  return jwt.sign(
+    { id: payload.id, notificationType: payload.notificationType || null, type: 'email_unsubscribe' },
+    JWT_SECRET
+  );
+};
+
+/**
+ * @desc    Verify an email unsubscribe token
+ * @param   {string} token - Unsubscribe token
+ * @returns {Object|null} Decoded token or null if invalid
+ */
+const verifyUnsubscribeToken = (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== 'email_unsubscribe') {
+    return null;
+  }
+  return decoded;
+};
+
 /**
  * @desc    Decode token without verification (for debugging)
  * @param   {string} token - JWT token
@@ -123,15 +261,45 @@ const getTokenExpiry = (token) => {
   }
 };
 
+/**
+ * @desc    Generate a random URL-safe one-time token
+ * @param   {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Hex encoded token
+ */
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * @desc    Hash a one-time token for storage (never store raw tokens)
+ * @param   {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 module.exports = {
   generateToken,
   generateAccessToken,
   generateRefreshToken,
   generateTokenPair,
   verifyToken,
+  verifyAccessToken,
   verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateGoogleLinkState,
+  verifyGoogleLinkState,
+  generateRestoreToken,
+  verifyRestoreToken,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
   decodeToken,
   getTokenExpiry,
+  generateRandomToken,
+  hashToken,
   ACCESS_TOKEN_EXPIRE,
-  REFRESH_TOKEN_EXPIRE
+  REFRESH_TOKEN_EXPIRE,
+  CHALLENGE_TOKEN_EXPIRE
 };
@@ -0,0 +1,149 @@
+/**
+ * =============================================================================
+ * TOTP UTILITY
+ * =============================================================================
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ *
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ * - HMAC-SHA1, 6 digits, 30 second step
+ * - Secrets are base32 encoded (RFC 4648, no padding)
+ * - verifyCode returns the matched time step, so callers can refuse a code
+ *   whose step was already used (replay protection)
+ * =============================================================================
+ */
+
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @desc    Encode a buffer as base32
+ * @param   {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * @desc    Decode a base32 string (case-insensitive, spaces/padding ignored)
+ * @param   {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @desc    Generate a new random TOTP secret
+ * @param   {number} bytes - Secret length in bytes (default: 20 = 160 bits)
+ * @returns {string} Base32 encoded secret
+ */
+const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * @desc    Generate the TOTP code for a secret at a given time
+ * @param   {string} secret - Base32 encoded secret
+ * @param   {number} timestamp - Unix time in milliseconds (default: now)
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, timestamp = Date.now()) => {
+  const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * @desc    Verify a TOTP code, allowing for small clock drift
+ * @param   {string} secret - Base32 encoded secret
+ * @param   {string} code - Code entered by the user
+ * @param   {number} window - Steps accepted before/after now (default: 1)
+ * @returns {number|null} Time step (counter) the code belongs to, or null if invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+  if (!secret || !code) return null;
+
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const now = Date.now();
+  for (let step = -window; step <= window; step++) {
+    const timestamp = now + step * TOTP_STEP_SECONDS * 1000;
+    const candidate = generateCode(secret, timestamp);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+    }
+  }
+  return null;
+};
+
+/**
+ * @desc    Build the otpauth:// URI scanned by authenticator apps
+ * @param   {Object} options - { secret, accountName, issuer }
+ * @returns {string}
+ */
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri,
+  base32Encode,
+  base32Decode
+};
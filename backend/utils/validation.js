@@ -57,7 +57,7 @@ const validateRole = (role) => {
   return { valid: true };
 };
 
-const validateRegisterInput = (email, password, name, role) => {
+const validateRegisterInput = (email, password, name) => {
   const emailValidation = validateEmail(email);
   if (!emailValidation.valid) {
     return emailValidation;
@@ -73,11 +73,6 @@ const validateRegisterInput = (email, password, name, role) => {
     return nameValidation;
   }
 
-  const roleValidation = validateRole(role);
-  if (!roleValidation.valid) {
-    return roleValidation;
-  }
-
   return { valid: true };
 };
 
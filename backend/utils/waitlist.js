@@ -0,0 +1,122 @@
+/**
+ * =============================================================================
+ * WAITLIST UTILITY
+ * =============================================================================
+ * Moves waitlisted registrations into free slots
+ *
+ * Competitions with waitlistEnabled accept registrations beyond
+ * maxRegistrations as "waitlisted" (Registration.createWithTransaction).
+ * Whenever a slot may have been freed (cancellation, rejection, account
+ * deletion, a higher maxRegistrations) the caller runs
+ * promoteFromWaitlist(). Each promotion is its own transaction: the oldest
+ * waitlisted registration becomes pending only if a slot could be claimed,
+ * so concurrent promotions never overfill a competition.
+ *
+ * Rejections go through rejectPendingRegistrations(): the status change and
+ * the freed slot are one transaction, and only registrations that were
+ * still pending free a slot and trigger a promotion.
+ *
+ * Promoted participants are notified ("waitlist_promoted").
+ *
+ * Usage:
+ *   await registration.cancel(reason);
+ *   await promoteFromWaitlist(registration.competition);
+ *
+ *   const rejected = await rejectPendingRegistrations([id], req.user.id, reason);
+ * =============================================================================
+ */
+
+const mongoose = require('mongoose');
+const Registration = require('../models/Registration');
+const { notifyWaitlistPromotion } = require('./notifier');
+
+/**
+ * @desc    Promote one waitlisted registration in a transaction
+ * @param   {ObjectId|string} competitionId
+ * @returns {Promise<Object|null>} Promoted registration, or null
+ */
+const promoteNext = async (competitionId) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+    const registration = await Registration.promoteFromWaitlist(competitionId, session);
+    await session.commitTransaction();
+    return registration;
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @desc    Fill every free slot of a competition from its waitlist
+ *          Never throws; failures are logged and the remaining waitlist is
+ *          handled the next time a slot frees up.
+ * @param   {ObjectId|string} competitionId
+ * @returns {Promise<number>} Number of registrations promoted
+ */
+const promoteFromWaitlist = async (competitionId) => {
+  let promoted = 0;
+
+  try {
+    let registration = await promoteNext(competitionId);
+    while (registration) {
+      promoted += 1;
+      await notifyWaitlistPromotion(registration);
+      registration = await promoteNext(competitionId);
+    }
+  } catch (error) {
+    console.error(`Waitlist promotion error (${competitionId}):`, error.message);
+  }
+
+  return promoted;
+};
+
+/**
+ * @desc    Reject pending registrations in one transaction, then fill the
+ *          freed slots from the waitlists
+ *          Registrations that are no longer pending are skipped.
+ * @param   {Array<ObjectId|string>} registrationIds
+ * @param   {ObjectId|string} adminId - User rejecting them
+ * @param   {string} reason - Rejection reason
+ * @returns {Promise<Array>} The registrations that were rejected
+ */
+const rejectPendingRegistrations = async (registrationIds, adminId, reason) => {
+  const session = await mongoose.startSession();
+  const rejected = [];
+
+  try {
+    session.startTransaction();
+    for (const registrationId of registrationIds) {
+      const registration = await Registration.reject(registrationId, adminId, reason, session);
+      if (registration) rejected.push(registration);
+    }
+    await session.commitTransaction();
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const competitionIds = [...new Set(rejected.map((registration) => registration.competition.toString()))];
+  for (const competitionId of competitionIds) {
+    await promoteFromWaitlist(competitionId);
+  }
+
+  return rejected;
+};
+
+module.exports = {
+  promoteFromWaitlist,
+  rejectPendingRegistrations
+};
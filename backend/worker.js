@@ -0,0 +1,65 @@
+/**
+ * =============================================================================
+ * WORKER ENTRY POINT
+ * =============================================================================
+ * Runs background jobs without the HTTP server
+ *
+ * Start with `node worker.js` (npm run worker) next to `node server.js`, and
+ * set RUN_JOB_WORKER=false for the API so jobs only run here. Several workers
+ * may run at once; each job is claimed by one of them.
+ *
+ * Startup Order:
+ *   1. Initialize Redis cache connection (job storage when available)
+ *   2. Connect to MongoDB database
+ *   3. Register job types and start polling
+ *
+ * Note: this process has no Socket.IO server. In-app notifications created
+ * by jobs are stored and appear in the notification center, but are not
+ * pushed live.
+ * =============================================================================
+ */
+
+const { connectDB } = require('./config/database');
+const { initializeCache, closeConnection } = require('./config/cache');
+const { registerJobs } = require('./utils/jobs');
+const { startWorker, stopWorker } = require('./utils/jobQueue');
+
+/**
+ * @desc    Connect to Redis and MongoDB, then start processing jobs
+ * @returns {Promise<void>}
+ */
+const startJobWorker = async () => {
+  try {
+    console.log('Starting job worker...\n');
+
+    console.log('[1/3] Connecting to Redis cache...');
+    await initializeCache();
+
+    console.log('[2/3] Connecting to MongoDB...');
+    await connectDB();
+
+    console.log('[3/3] Starting job worker...');
+    registerJobs();
+    startWorker();
+
+    console.log('\n✓ Job worker is running');
+  } catch (error) {
+    console.error('✗ Failed to start job worker:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Graceful shutdown handler
+ */
+const shutdown = async (signal) => {
+  console.log(`\n✗ ${signal} signal received: stopping job worker`);
+  stopWorker();
+  await closeConnection();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startJobWorker();